@@ -25,3 +25,27 @@ export function setupCanvas2d(canvas, cssWidth, cssHeight) {
 
 	return ctx;
 }
+
+/**
+ * Splits one axis of the viewport into its frozen and scrolling bands.
+ * - The frozen band shows items [0, frozenCount) and never scrolls
+ * - The scrolling band shows [startIndex, endIndex) below/right of it
+ * Each band's `scroll` is the content offset drawn at its leading edge, so a draw
+ * routine can render a band as if it were the whole viewport. Empty bands are
+ * left out.
+ */
+export function splitFrozenBands(frozenCount, frozenSize, startIndex, endIndex, scroll, viewSize) {
+	const bands = [
+		{ offset: 0, size: frozenSize, start: 0, end: frozenCount, scroll: 0 },
+		{
+			offset: frozenSize,
+			size: viewSize - frozenSize,
+			start: startIndex,
+			end: endIndex,
+			scroll: frozenSize + scroll
+		}
+	];
+	return bands
+		.map((b) => ({ ...b, size: Math.min(b.size, viewSize - b.offset) }))
+		.filter((b) => b.size > 0 && b.end > b.start);
+}
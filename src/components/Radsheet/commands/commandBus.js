@@ -13,8 +13,13 @@ export function createCommandBus({ getters, setters, controllers, methods }) {
 				controllers.selection.extendSelectionToEdge(payload.key);
 				break;
 			case 'MoveFocusPage': {
-				const visibleRows = Math.floor(
-					getters.getContainerHeight() / getters.getConstants().CELL_HEIGHT
+				// Only the rows below the frozen panes page
+				const frozenHeight = getters.getFrozenPanes ? getters.getFrozenPanes().height : 0;
+				const visibleRows = Math.max(
+					2,
+					Math.floor(
+						(getters.getContainerHeight() - frozenHeight) / getters.getConstants().CELL_HEIGHT
+					)
 				);
 				const dr = payload.direction === 'up' ? -visibleRows + 1 : visibleRows - 1;
 				controllers.selection.moveFocusBy(dr, 0);
@@ -52,11 +57,29 @@ export function createCommandBus({ getters, setters, controllers, methods }) {
 				controllers.selection.handleCopy();
 				break;
 			case 'PasteFromClipboard':
-				controllers.selection.handlePaste(payload ? payload.text : undefined);
+				controllers.selection.handlePaste(
+					payload ? payload.text : undefined,
+					payload ? payload.html : undefined
+				);
+				break;
+			case 'OpenPasteSpecial':
+				if (methods && methods.openPasteSpecial) methods.openPasteSpecial();
+				break;
+			case 'PasteSpecial':
+				controllers.selection.handlePasteSpecial(payload || {});
 				break;
 			case 'DeleteSelection':
 				if (methods && methods.deleteSelection) methods.deleteSelection();
 				break;
+			case 'FillDown':
+				if (methods && methods.fillSelection) methods.fillSelection('down');
+				break;
+			case 'FillRight':
+				if (methods && methods.fillSelection) methods.fillSelection('right');
+				break;
+			case 'OpenFind':
+				if (methods && methods.openFind) methods.openFind(!!(payload && payload.replace));
+				break;
 			// History Commands
 			case 'Undo':
 				if (methods && methods.undo) methods.undo();
@@ -67,7 +90,7 @@ export function createCommandBus({ getters, setters, controllers, methods }) {
 
 			// Sorting / Filtering Commands
 			case 'ApplySort':
-				if (methods && methods.enableSortingUi) methods.enableSortingUi();
+				if (methods && methods.openSortDialog) methods.openSortDialog();
 				break;
 			case 'RemoveSort':
 				if (methods && methods.clearSort) methods.clearSort();
@@ -78,6 +101,9 @@ export function createCommandBus({ getters, setters, controllers, methods }) {
 			case 'RemoveFilter':
 				if (methods && methods.clearAllFilters) methods.clearAllFilters();
 				break;
+			case 'ReapplyFilter':
+				if (methods && methods.reapplyFilters) methods.reapplyFilters();
+				break;
 
 			default:
 				console.warn('Unknown command type:', type);
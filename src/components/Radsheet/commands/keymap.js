@@ -18,7 +18,11 @@ export function createKeymapHandler(keymap, commandBus, options = {}) {
 			type === 'CommitEditorAndMove' ||
 			type === 'UpdateEditorValue' ||
 			type === 'PasteFromClipboard' ||
+			type === 'OpenPasteSpecial' ||
+			type === 'PasteSpecial' ||
 			type === 'DeleteSelection' ||
+			type === 'FillDown' ||
+			type === 'FillRight' ||
 			type === 'Undo' ||
 			type === 'Redo'
 		);
@@ -75,6 +79,16 @@ export const keymap = {
 		End: { type: 'MoveFocusEnd' },
 		'Ctrl+c': { type: 'CopySelection' },
 		'Meta+c': { type: 'CopySelection' },
+		'Ctrl+Shift+V': { type: 'OpenPasteSpecial' },
+		'Meta+Shift+V': { type: 'OpenPasteSpecial' },
+		'Ctrl+d': { type: 'FillDown' },
+		'Meta+d': { type: 'FillDown' },
+		'Ctrl+r': { type: 'FillRight' },
+		'Meta+r': { type: 'FillRight' },
+		'Ctrl+f': { type: 'OpenFind' },
+		'Meta+f': { type: 'OpenFind' },
+		'Ctrl+h': { type: 'OpenFind', payload: { replace: true } },
+		'Meta+Shift+H': { type: 'OpenFind', payload: { replace: true } },
 		'Ctrl+z': { type: 'Undo' },
 		'Meta+z': { type: 'Undo' },
 		'Ctrl+Shift+z': { type: 'Redo' },
@@ -91,6 +105,8 @@ export const keymap = {
 		'Meta+Alt+f': { type: 'ApplyFilter' },
 		'Ctrl+Alt+Shift+F': { type: 'RemoveFilter' },
 		'Meta+Alt+Shift+F': { type: 'RemoveFilter' },
+		'Ctrl+Alt+l': { type: 'ReapplyFilter' },
+		'Meta+Alt+l': { type: 'ReapplyFilter' },
 		Delete: { type: 'DeleteSelection' },
 		Backspace: { type: 'DeleteSelection' }
 	},
@@ -12,6 +12,7 @@ export const CELL_WIDTH = 100; // px width for each grid column
 export const ROW_HEADER_WIDTH = 50; // px width of row index gutter
 export const COLUMN_HEADER_HEIGHT = 30; // px height of column header bar
 export const SCROLLBAR_SIZE = 12; // px size of custom scrollbars
+export const SHEET_TABS_HEIGHT = 30; // px height of the sheet tab strip below the grid
 
 // Hot zone around edges used to trigger autoscroll during drag-select
 export const EDGE = 24; // px
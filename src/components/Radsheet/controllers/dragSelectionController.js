@@ -7,6 +7,16 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 	let auto = { vx: 0, vy: 0, raf: null };
 	let resizing = { active: false, colIndex: -1, startX: 0, startWidth: 0 };
 	let rowResizing = { active: false, rowIndex: -1, startY: 0, startHeight: 0 };
+	// Fill-handle drag: the selection being extended and the range it will fill
+	let fill = { active: false, source: null, target: null };
+	// How close to the fill handle, in pixels, a pointer grabs it
+	const FILL_HANDLE_HIT = 5;
+
+	// Clicking anywhere in a merged cell selects it from its top-left cell
+	function snapToMergeAnchor(row, col) {
+		const merge = methods.getMergeAt ? methods.getMergeAt(row, col) : null;
+		return merge ? { row: merge.r1, col: merge.c1 } : { row, col };
+	}
 
 	function beginSelection(kind, row, col, e) {
 		if (methods.isEditorOpen()) methods.commitEditor(true);
@@ -67,16 +77,34 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		methods.drawGrid();
 	}
 
-	function edgeVelocity(pos, size) {
+	// `start` is where the scrolling area begins, past any frozen rows/columns
+	function edgeVelocity(pos, start, size) {
 		const EDGE = constants.EDGE;
-		if (pos < EDGE) return -Math.ceil((EDGE - pos) / 2);
+		if (pos < start + EDGE) return -Math.ceil((start + EDGE - pos) / 2);
 		if (pos > size - EDGE) return Math.ceil((pos - (size - EDGE)) / 2);
 		return 0;
 	}
 
+	function frozenPanes() {
+		return getters.getFrozenPanes
+			? getters.getFrozenPanes()
+			: { rows: 0, cols: 0, width: 0, height: 0 };
+	}
+
+	// Columns in the frozen panes do not scroll horizontally
+	function scrollLeftFor(col) {
+		return col < frozenPanes().cols ? 0 : getters.getScrollLeft();
+	}
+
+	// Rows in the frozen panes do not scroll vertically
+	function scrollTopFor(row) {
+		return row < frozenPanes().rows ? 0 : getters.getScrollTop();
+	}
+
 	function updateAutoScroll(x, y) {
-		const vx = edgeVelocity(x, getters.getContainerWidth());
-		const vy = edgeVelocity(y, getters.getContainerHeight());
+		const frozen = frozenPanes();
+		const vx = edgeVelocity(x, frozen.width, getters.getContainerWidth());
+		const vy = edgeVelocity(y, frozen.height, getters.getContainerHeight());
 		auto.vx = vx;
 		auto.vy = vy;
 		if ((vx || vy) && !auto.raf) {
@@ -86,11 +114,12 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 	}
 
 	function tickAutoScroll() {
-		if (!getters.getSelecting()) return stopAutoScroll();
+		if (!getters.getSelecting() && !fill.active) return stopAutoScroll();
 		if (!auto.vx && !auto.vy) return stopAutoScroll();
 		methods.clampScroll(getters.getScrollTop() + auto.vy, getters.getScrollLeft() + auto.vx);
 		const { row, col } = methods.pointToCell(lastPointer.x, lastPointer.y);
-		updateSelectionTo(row, col);
+		if (fill.active) updateFillTo(row, col);
+		else updateSelectionTo(row, col);
 		auto.raf = requestAnimationFrame(tickAutoScroll);
 	}
 
@@ -100,6 +129,58 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		auto.vx = auto.vy = 0;
 	}
 
+	// The fill handle sits on the selection's bottom-right corner
+	function isOverFillHandle(x, y) {
+		if (!methods.canFill || !methods.canFill()) return false;
+		const sel = methods.getSelection ? methods.getSelection() : null;
+		if (!sel) return false;
+		const cornerX = methods.getColLeft(sel.c2 + 1) - scrollLeftFor(sel.c2);
+		const cornerY = methods.getRowTop(sel.r2 + 1) - scrollTopFor(sel.r2);
+		return Math.abs(x - cornerX) <= FILL_HANDLE_HIT && Math.abs(y - cornerY) <= FILL_HANDLE_HIT;
+	}
+
+	// The fill extends the selection towards the pointer, along the axis the
+	// pointer has moved further out on
+	function updateFillTo(row, col) {
+		const s = fill.source;
+		const rowDist = Math.max(row - s.r2, s.r1 - row, 0);
+		const colDist = Math.max(col - s.c2, s.c1 - col, 0);
+		let target = null;
+		if (rowDist > 0 && rowDist >= colDist) {
+			target =
+				row > s.r2
+					? { ...s, r2: clamp(row, 0, getters.getNumRows() - 1) }
+					: { ...s, r1: clamp(row, 0, s.r1) };
+		} else if (colDist > 0) {
+			target =
+				col > s.c2
+					? { ...s, c2: clamp(col, 0, getters.getColumnsLength() - 1) }
+					: { ...s, c1: clamp(col, 0, s.c1) };
+		}
+		fill.target = target;
+		methods.setFillPreview(target);
+		methods.drawGrid();
+	}
+
+	function endFill() {
+		const { source, target } = fill;
+		fill = { active: false, source: null, target: null };
+		stopAutoScroll();
+		methods.setFillPreview(null);
+		if (target) {
+			methods.fillRange(source, target);
+			setters.setAnchorRow(target.r1);
+			setters.setAnchorCol(target.c1);
+			setters.setFocusRow(target.r2);
+			setters.setFocusCol(target.c2);
+			setters.setLastActiveRow(target.r1);
+			setters.setLastActiveCol(target.c1);
+			setters.setIsSelectionCopied(false);
+		}
+		methods.drawHeaders();
+		methods.drawGrid();
+	}
+
 	// Pointer handlers - GRID
 	function onGridPointerDown(e) {
 		const canvas = refs.getGridCanvas();
@@ -107,7 +188,8 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		if (e && e.button === 2) {
 			const { x, y } = methods.localXY(canvas, e);
 			lastPointer = { x, y };
-			const { row, col } = methods.pointToCell(x, y);
+			const point = methods.pointToCell(x, y);
+			const { row, col } = snapToMergeAnchor(point.row, point.col);
 			const sel = methods.getSelection ? methods.getSelection() : null;
 			const isRange = !!(sel && (sel.r1 !== sel.r2 || sel.c1 !== sel.c2));
 			const isInsideRange = !!(
@@ -135,13 +217,29 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		canvas.setPointerCapture(e.pointerId);
 		const { x, y } = methods.localXY(canvas, e);
 		lastPointer = { x, y };
-		const { row, col } = methods.pointToCell(x, y);
+		if (isOverFillHandle(x, y)) {
+			if (methods.isEditorOpen()) methods.commitEditor(true);
+			fill = { active: true, source: methods.getSelection(), target: null };
+			return;
+		}
+		const point = methods.pointToCell(x, y);
+		const { row, col } = snapToMergeAnchor(point.row, point.col);
 		beginSelection('grid', row, col, e);
 	}
 	function onGridPointerMove(e) {
-		if (!getters.getSelecting()) return;
 		const canvas = refs.getGridCanvas();
 		const { x, y } = methods.localXY(canvas, e);
+		if (fill.active) {
+			lastPointer = { x, y };
+			const { row, col } = methods.pointToCell(x, y);
+			updateFillTo(row, col);
+			updateAutoScroll(x, y);
+			return;
+		}
+		if (!getters.getSelecting()) {
+			if (canvas && canvas.style) canvas.style.cursor = isOverFillHandle(x, y) ? 'crosshair' : '';
+			return;
+		}
 		lastPointer = { x, y };
 		const { row, col } = methods.pointToCell(x, y);
 		updateSelectionTo(row, col);
@@ -150,6 +248,10 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 	function onGridPointerUp(e) {
 		const canvas = refs.getGridCanvas();
 		canvas.releasePointerCapture(e.pointerId);
+		if (fill.active) {
+			endFill();
+			return;
+		}
 		endSelection();
 	}
 
@@ -178,7 +280,7 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		// If near the filter icon area on the right side of the header cell, open filter popover
 		if (methods.openFilterForColumn) {
 			const rightAbs = methods.getColLeft(col + 1);
-			const rightLocal = rightAbs - getters.getScrollLeft();
+			const rightLocal = rightAbs - scrollLeftFor(col);
 			if (x >= rightLocal - 24 && x <= rightLocal - 4) {
 				// Only open if filtering UI is enabled
 				if (methods.isFilteringEnabled && methods.isFilteringEnabled()) {
@@ -191,10 +293,11 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 		// If near the sort icon area on the left side of the header cell, toggle sort
 		if (methods.toggleSortForColumn) {
 			const leftAbs = methods.getColLeft(col);
-			const leftLocal = leftAbs - getters.getScrollLeft();
+			const leftLocal = leftAbs - scrollLeftFor(col);
 			if (x >= leftLocal + 4 && x <= leftLocal + 24) {
 				if (methods.isSortingEnabled && methods.isSortingEnabled()) {
-					methods.toggleSortForColumn(col);
+					// Shift+click adds the column as a further sort key
+					methods.toggleSortForColumn(col, e.shiftKey);
 					return;
 				} else if (methods.toggleSortForColumn) {
 					// Even if sorting not globally enabled yet, clicking should enable with this column
@@ -221,7 +324,7 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 			} else if (methods.getColLeft && getters.getScrollLeft != null) {
 				const col = methods.xToColInHeader(x);
 				const rightAbs = methods.getColLeft(col + 1);
-				const rightLocal = rightAbs - getters.getScrollLeft();
+				const rightLocal = rightAbs - scrollLeftFor(col);
 				if (
 					x >= rightLocal - 24 &&
 					x <= rightLocal - 4 &&
@@ -231,7 +334,7 @@ export function createDragSelectionController({ getters, setters, methods, refs,
 					cursor = 'pointer';
 				}
 				const leftAbs = methods.getColLeft(col);
-				const leftLocal = leftAbs - getters.getScrollLeft();
+				const leftLocal = leftAbs - scrollLeftFor(col);
 				if (x >= leftLocal + 4 && x <= leftLocal + 24 && methods.toggleSortForColumn) {
 					cursor = 'pointer';
 				}
@@ -1,9 +1,19 @@
 export function createEditorController({ editorState, getters, setters, controllers }) {
 	function openEditorAt(row, col, seedText = null) {
-		const current = String(getters.readCell(row, col) ?? '');
+		// A merged cell is edited through its top-left cell, over the whole merged area
+		const merge = getters.getMergeAt ? getters.getMergeAt(row, col) : null;
+		if (merge) {
+			row = merge.r1;
+			col = merge.c1;
+		}
+		// Edit the raw input (formula source) rather than the computed value
+		const read = getters.readRawCell || getters.readCell;
+		const current = String(read(row, col) ?? '');
 		editorState.open = true;
 		editorState.row = row;
 		editorState.col = col;
+		editorState.endRow = merge ? merge.r2 : row;
+		editorState.endCol = merge ? merge.c2 : col;
 		editorState.value = seedText != null ? seedText : current;
 		editorState.seedText = seedText;
 
@@ -1,6 +1,13 @@
 export function createSelectionController({ getters, setters, controllers }) {
+	// Merges inside the last copied range, relative to its top-left, so pasting the
+	// same text back re-creates them
+	let lastCopy = { tsv: null, merges: [] };
+	// Runs a copy or paste once the cells it reads or writes are in memory
+	const withCellsLoaded = getters.withCellsLoaded || ((fn) => fn());
+
 	/**
 	 * Computes the normalized selection range from the current anchor and focus.
+	 * The range is grown to cover any merged cells it touches.
 	 * This is a pure getter but co-located for clarity.
 	 */
 	function getSelection() {
@@ -15,6 +22,10 @@ export function createSelectionController({ getters, setters, controllers }) {
 		const r2 = Math.min(getters.getSheetNumRows() - 1, Math.max(anchorRow, focusRow));
 		const c1 = Math.max(0, Math.min(anchorCol, focusCol));
 		const c2 = Math.min(getters.getColumnsLength() - 1, Math.max(anchorCol, focusCol));
+		if (getters.expandRangeToMerges) {
+			const m = getters.expandRangeToMerges(r1, c1, r2, c2);
+			return { r1: m.r1, r2: m.r2, c1: m.c1, c2: m.c2 };
+		}
 		return { r1, r2, c1, c2 };
 	}
 
@@ -43,14 +54,28 @@ export function createSelectionController({ getters, setters, controllers }) {
 	}
 
 	/**
-	 * Moves the focus cell, collapsing any existing selection.
+	 * Moves the focus cell, collapsing any existing selection. Moving out of a merged
+	 * cell steps from its far edge; landing in one selects its top-left cell.
 	 */
 	function moveFocusBy(dr, dc) {
-		const r = Math.min(Math.max(getters.getLastActiveRow() + dr, 0), getters.getSheetNumRows() - 1);
-		const c = Math.min(
-			Math.max(getters.getLastActiveCol() + dc, 0),
-			getters.getColumnsLength() - 1
-		);
+		let fromRow = getters.getLastActiveRow();
+		let fromCol = getters.getLastActiveCol();
+		const current = getters.getMergeAt ? getters.getMergeAt(fromRow, fromCol) : null;
+		if (current) {
+			fromRow = dr > 0 ? current.r2 : current.r1;
+			fromCol = dc > 0 ? current.c2 : current.c1;
+		}
+		let r = Math.min(Math.max(fromRow + dr, 0), getters.getSheetNumRows() - 1);
+		let c = Math.min(Math.max(fromCol + dc, 0), getters.getColumnsLength() - 1);
+		const target = getters.getMergeAt ? getters.getMergeAt(r, c) : null;
+		if (target && target !== current) {
+			r = target.r1;
+			c = target.c1;
+		} else if (target) {
+			// Already at the sheet edge: stay on the merge
+			r = getters.getLastActiveRow();
+			c = getters.getLastActiveCol();
+		}
 		setCell(r, c);
 		controllers.viewport.scrollCellIntoView(r, c);
 	}
@@ -129,12 +154,24 @@ export function createSelectionController({ getters, setters, controllers }) {
 	function handleCopy() {
 		const sel = getSelection();
 		if (!sel) return;
+		withCellsLoaded(() => copyRange(sel));
+	}
 
+	function copyRange(sel) {
 		const numCells = (sel.r2 - sel.r1 + 1) * (sel.c2 - sel.c1 + 1);
 		const LARGE_THRESHOLD = 10000;
 		const useAsync = getters.serializeRangeToTSVAsync && numCells >= LARGE_THRESHOLD;
 
-		const writeTSV = (tsv) => {
+		const merges = getters.getMergesInRange
+			? getters.getMergesInRange(sel.r1, sel.c1, sel.r2, sel.c2).map((m) => ({
+					r1: m.r1 - sel.r1,
+					c1: m.c1 - sel.c1,
+					r2: m.r2 - sel.r1,
+					c2: m.c2 - sel.c1
+				}))
+			: [];
+
+		const writeText = (tsv) => {
 			let copied = false;
 			if (
 				typeof navigator !== 'undefined' &&
@@ -154,15 +191,50 @@ export function createSelectionController({ getters, setters, controllers }) {
 			if (!copied) copyViaTextarea(tsv);
 		};
 
+		// Other spreadsheets read styles and merges from text/html; plain text stays
+		// alongside it for apps that only take text
+		const writeTSV = (tsv, html) => {
+			lastCopy = { tsv, merges };
+			if (
+				html &&
+				typeof ClipboardItem !== 'undefined' &&
+				typeof navigator !== 'undefined' &&
+				navigator.clipboard &&
+				navigator.clipboard.write
+			) {
+				const item = new ClipboardItem({
+					'text/plain': new Blob([tsv], { type: 'text/plain' }),
+					'text/html': new Blob([html], { type: 'text/html' })
+				});
+				navigator.clipboard.write([item]).then(
+					() => {
+						setters.setIsSelectionCopied(true);
+					},
+					() => {
+						writeText(tsv);
+					}
+				);
+				return;
+			}
+			writeText(tsv);
+		};
+
+		// Copy what the grid shows, so number formats carry over to other apps
+		const options = { formatted: true };
 		if (useAsync) {
-			getters.serializeRangeToTSVAsync(sel.r1, sel.c1, sel.r2, sel.c2).then((tsv) => writeTSV(tsv));
+			getters
+				.serializeRangeToTSVAsync(sel.r1, sel.c1, sel.r2, sel.c2, options)
+				.then((tsv) => writeTSV(tsv));
 			return;
 		}
 
 		const tsv = getters.serializeRangeToTSV
-			? getters.serializeRangeToTSV(sel.r1, sel.c1, sel.r2, sel.c2)
+			? getters.serializeRangeToTSV(sel.r1, sel.c1, sel.r2, sel.c2, options)
 			: '';
-		writeTSV(tsv);
+		const html = getters.serializeRangeToHTML
+			? getters.serializeRangeToHTML(sel.r1, sel.c1, sel.r2, sel.c2)
+			: '';
+		writeTSV(tsv, html);
 
 		function copyViaTextarea(text) {
 			if (typeof document === 'undefined') return;
@@ -185,40 +257,112 @@ export function createSelectionController({ getters, setters, controllers }) {
 		}
 	}
 
-	function handlePaste(text) {
-		// If text not provided (e.g., invoked via keymap), try clipboard API
+	function handlePaste(text, html) {
 		const pasteInto = () => {
-			const sel = getSelection();
-			const r = sel ? sel.r1 : getters.getLastActiveRow();
-			const c = sel ? sel.c1 : getters.getLastActiveCol();
-			if (getters.deserializeTSV && typeof text === 'string') {
-				const res = getters.deserializeTSV(r, c, text);
-				if (res && res.rows > 0 && res.cols > 0) {
-					const fr = r + res.rows - 1;
-					const fc = c + res.cols - 1;
-					setters.setAnchorRow(r);
-					setters.setAnchorCol(c);
-					setters.setFocusRow(fr);
-					setters.setFocusCol(fc);
-					setters.setLastActiveRow(fr);
-					setters.setLastActiveCol(fc);
-					setters.setIsSelectionCopied(false);
-					controllers.viewport.scrollCellIntoView(fr, fc);
-				}
+			const { r, c } = pasteTarget();
+			// An HTML table carries styles and merges; without one, paste the text
+			let res = html && getters.deserializeHTML ? getters.deserializeHTML(r, c, html) : null;
+			if ((!res || res.rows === 0) && getters.deserializeTSV && typeof text === 'string') {
+				const merges = isSameText(text, lastCopy.tsv) ? lastCopy.merges : [];
+				res = getters.deserializeTSV(r, c, text, merges);
 			}
+			selectPasted(r, c, res);
 		};
 
 		if (typeof text === 'string') {
-			pasteInto();
+			withCellsLoaded(pasteInto);
 			return;
 		}
+		// If text not provided (e.g., invoked via keymap), try clipboard API
+		readClipboard((clip) => {
+			text = clip.text;
+			html = clip.html;
+			withCellsLoaded(pasteInto);
+		});
+	}
 
-		if (typeof navigator !== 'undefined' && navigator.clipboard && navigator.clipboard.readText) {
-			navigator.clipboard.readText().then((clipText) => {
-				text = clipText;
-				pasteInto();
+	/**
+	 * Pastes the clipboard with Paste Special options (transpose, skip blanks,
+	 * values only, arithmetic). Falls back to the last copy from this grid when
+	 * the clipboard cannot be read.
+	 * @param {import('../../../domain/clipboard/pasteSpecial.js').PasteSpecialOptions} options
+	 */
+	function handlePasteSpecial(options) {
+		if (!getters.pasteSpecial) return;
+		const pasteInto = (clip) =>
+			withCellsLoaded(() => {
+				const { r, c } = pasteTarget();
+				const merges = isSameText(clip.text, lastCopy.tsv) ? lastCopy.merges : [];
+				const res = getters.pasteSpecial(r, c, { ...clip, merges }, options);
+				selectPasted(r, c, res);
 			});
+		const lastCopyClip = () => pasteInto({ text: lastCopy.tsv ?? '', html: '' });
+		if (!readClipboard(pasteInto, lastCopyClip)) lastCopyClip();
+	}
+
+	function pasteTarget() {
+		const sel = getSelection();
+		return {
+			r: sel ? sel.r1 : getters.getLastActiveRow(),
+			c: sel ? sel.c1 : getters.getLastActiveCol()
+		};
+	}
+
+	function selectPasted(r, c, res) {
+		if (!res || res.rows <= 0 || res.cols <= 0) return;
+		const fr = r + res.rows - 1;
+		const fc = c + res.cols - 1;
+		setters.setAnchorRow(r);
+		setters.setAnchorCol(c);
+		setters.setFocusRow(fr);
+		setters.setFocusCol(fc);
+		setters.setLastActiveRow(fr);
+		setters.setLastActiveCol(fc);
+		setters.setIsSelectionCopied(false);
+		controllers.viewport.scrollCellIntoView(fr, fc);
+	}
+
+	/**
+	 * Reads text/plain and, where the browser allows it, text/html from the
+	 * system clipboard.
+	 * @param {(clip: { text: string, html: string }) => void} onRead
+	 * @param {() => void} [onError]
+	 * @returns {boolean} Whether a read was started
+	 */
+	function readClipboard(onRead, onError) {
+		if (typeof navigator === 'undefined' || !navigator.clipboard) return false;
+		const readText = () => {
+			if (!navigator.clipboard.readText) {
+				if (onError) onError();
+				return;
+			}
+			navigator.clipboard.readText().then((text) => onRead({ text, html: '' }), onError);
+		};
+		if (!navigator.clipboard.read) {
+			if (!navigator.clipboard.readText) return false;
+			readText();
+			return true;
 		}
+		navigator.clipboard.read().then(async (items) => {
+			const clip = { text: '', html: '' };
+			for (const item of items) {
+				if (item.types.includes('text/html')) {
+					clip.html = await (await item.getType('text/html')).text();
+				}
+				if (item.types.includes('text/plain')) {
+					clip.text = await (await item.getType('text/plain')).text();
+				}
+			}
+			onRead(clip);
+		}, readText);
+		return true;
+	}
+
+	// Clipboards may rewrite line endings or drop a trailing newline
+	function isSameText(a, b) {
+		if (typeof a !== 'string' || typeof b !== 'string') return false;
+		const normalize = (s) => s.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+		return normalize(a) === normalize(b);
 	}
 
 	function deleteSelection(deleteToNull = true) {
@@ -243,6 +387,7 @@ export function createSelectionController({ getters, setters, controllers }) {
 		extendSelectionBy,
 		extendSelectionToEdge,
 		handleCopy,
-		handlePaste
+		handlePaste,
+		handlePasteSpecial
 	};
 }
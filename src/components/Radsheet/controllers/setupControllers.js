@@ -24,7 +24,10 @@ export function setupControllers({
 			getTotalWidth: vp.getters.getTotalWidth,
 			getConstants: vp.getters.getConstants,
 			getColLeft: vp.getters.getColLeft,
-			getColWidth: vp.getters.getColWidth
+			getColWidth: vp.getters.getColWidth,
+			getRowTop: vp.getters.getRowTop,
+			getRowHeight: vp.getters.getRowHeight,
+			getFrozenPanes: vp.getters.getFrozenPanes
 		},
 		setters: {
 			setScrollTop: vp.setters.setScrollTop,
@@ -42,10 +45,15 @@ export function setupControllers({
 			getLastActiveCol: sel.getters.getLastActiveCol,
 			getSheetNumRows: sel.getters.getSheetNumRows,
 			getColumnsLength: sel.getters.getColumnsLength,
+			getMergeAt: sel.getters.getMergeAt,
+			getMergesInRange: sel.getters.getMergesInRange,
+			expandRangeToMerges: sel.getters.expandRangeToMerges,
 			readCell: ed.readCell,
 			serializeRangeToTSV: ed.serializeRangeToTSV,
 			serializeRangeToTSVAsync: ed.serializeRangeToTSVAsync,
-			deserializeTSV: (r, c, text) => {
+			serializeRangeToHTML: ed.serializeRangeToHTML,
+			withCellsLoaded: methods && methods.withCellsLoaded,
+			deserializeTSV: (r, c, text, merges) => {
 				// Wrap small pastes in a transaction with anchor metadata
 				if (ed.deserializeTSV && methods && methods.sheetTransact) {
 					let rows = 0;
@@ -55,12 +63,31 @@ export function setupControllers({
 							const res = ed.deserializeTSV(r, c, text);
 							rows = res.rows;
 							cols = res.cols;
+							if (ed.pasteMerges) ed.pasteMerges(r, c, rows, cols, merges);
 						},
 						{ anchorRow: r, anchorCol: c }
 					);
 					return { rows, cols };
 				}
 				return { rows: 0, cols: 0 };
+			},
+			deserializeHTML: (r, c, html) => {
+				if (!ed.deserializeHTML || !methods || !methods.sheetTransact) return { rows: 0, cols: 0 };
+				let res = { rows: 0, cols: 0 };
+				methods.sheetTransact(() => (res = ed.deserializeHTML(r, c, html)), {
+					anchorRow: r,
+					anchorCol: c
+				});
+				return res;
+			},
+			pasteSpecial: (r, c, clip, options) => {
+				if (!ed.pasteSpecial || !methods || !methods.sheetTransact) return { rows: 0, cols: 0 };
+				let res = { rows: 0, cols: 0 };
+				methods.sheetTransact(() => (res = ed.pasteSpecial(r, c, clip, options)), {
+					anchorRow: r,
+					anchorCol: c
+				});
+				return res;
 			}
 		},
 		setters: {
@@ -78,7 +105,9 @@ export function setupControllers({
 	const editor = createEditorController({
 		editorState: ed.state,
 		getters: {
-			readCell: ed.readCell
+			readCell: ed.readCell,
+			readRawCell: ed.readRawCell,
+			getMergeAt: sel.getters.getMergeAt
 		},
 		setters: {
 			writeCell: ed.writeCell
@@ -93,7 +122,8 @@ export function setupControllers({
 			getLastActiveCol: sel.getters.getLastActiveCol,
 			getContainerHeight: vp.getters.getContainerHeight,
 			getConstants: vp.getters.getConstants,
-			getColumnsLength: sel.getters.getColumnsLength
+			getColumnsLength: sel.getters.getColumnsLength,
+			getFrozenPanes: vp.getters.getFrozenPanes
 		},
 		setters: {
 			triggerRedraw: methods.triggerRedraw
@@ -112,6 +142,7 @@ export function setupControllers({
 			getContainerHeight: vp.getters.getContainerHeight,
 			getScrollTop: vp.getters.getScrollTop,
 			getScrollLeft: vp.getters.getScrollLeft,
+			getFrozenPanes: vp.getters.getFrozenPanes,
 			getLastActiveRow: sel.getters.getLastActiveRow,
 			getLastActiveCol: sel.getters.getLastActiveCol,
 			getAnchorRow: sel.getters.getAnchorRow,
@@ -134,6 +165,7 @@ export function setupControllers({
 			drawHeaders: methods.drawHeaders,
 			drawGrid: methods.drawGrid,
 			getSelection: () => selection.getSelection(),
+			getMergeAt: sel.getters.getMergeAt,
 			clampScroll: viewport.clampScroll,
 			localXY: methods.localXY,
 			pointToCell: methods.pointToCell,
@@ -146,6 +178,9 @@ export function setupControllers({
 			getRowEdgeNearY: methods.getRowEdgeNearY,
 			setRowHeight: methods.setRowHeight,
 			getRowTop: methods.getRowTop,
+			canFill: methods.canEdit,
+			setFillPreview: methods.setFillPreview,
+			fillRange: methods.fillRange,
 			openFilterForColumn: methods.openFilterForColumn,
 			isFilteringEnabled: methods.isFilteringEnabled,
 			toggleSortForColumn: methods.toggleSortForColumn,
@@ -43,23 +43,33 @@ export function createViewportController({ getters, setters }) {
 
 	function scrollCellIntoView(r, c) {
 		const { CELL_HEIGHT, CELL_WIDTH } = getters.getConstants();
-		const cellTop = r * CELL_HEIGHT;
+		const topFn = getters.getRowTop;
+		const heightFn = getters.getRowHeight;
+		const cellTop = topFn ? topFn(r) : r * CELL_HEIGHT;
 		const leftFn = getters.getColLeft;
 		const widthFn = getters.getColWidth;
 		const cellLeft = leftFn ? leftFn(c) : c * CELL_WIDTH;
-		const cellBottom = cellTop + CELL_HEIGHT;
+		const cellBottom = cellTop + (heightFn ? heightFn(r) : CELL_HEIGHT);
 		const cellRight = cellLeft + (widthFn ? widthFn(c) : CELL_WIDTH);
+		// Frozen rows/columns are always visible; the others must clear the frozen panes
+		const frozen = getters.getFrozenPanes
+			? getters.getFrozenPanes()
+			: { rows: 0, cols: 0, width: 0, height: 0 };
 		let newTop = getters.getScrollTop();
 		let newLeft = getters.getScrollLeft();
 		const containerHeight = getters.getContainerHeight();
 		const containerWidth = getters.getContainerWidth();
 
-		if (cellTop < getters.getScrollTop()) newTop = cellTop;
-		else if (cellBottom > getters.getScrollTop() + containerHeight)
-			newTop = cellBottom - containerHeight;
-		if (cellLeft < getters.getScrollLeft()) newLeft = cellLeft;
-		else if (cellRight > getters.getScrollLeft() + containerWidth)
-			newLeft = cellRight - containerWidth;
+		if (r >= frozen.rows) {
+			if (cellTop < getters.getScrollTop() + frozen.height) newTop = cellTop - frozen.height;
+			else if (cellBottom > getters.getScrollTop() + containerHeight)
+				newTop = cellBottom - containerHeight;
+		}
+		if (c >= frozen.cols) {
+			if (cellLeft < getters.getScrollLeft() + frozen.width) newLeft = cellLeft - frozen.width;
+			else if (cellRight > getters.getScrollLeft() + containerWidth)
+				newLeft = cellRight - containerWidth;
+		}
 		clampScroll(newTop, newLeft);
 	}
 
@@ -18,11 +18,21 @@ export function createRenderContext(env) {
 				visibleColCount: env.visibleColCount(),
 				scrollLeft: env.scrollLeft(),
 				scrollTop: env.scrollTop(),
+				frozenRows: env.frozenRows ? env.frozenRows() : 0,
+				frozenCols: env.frozenCols ? env.frozenCols() : 0,
 				readCell: env.readCell,
+				formatCell: env.formatCell,
+				readStyle: env.readStyle,
+				getMergeAt: env.getMergeAt,
+				getMergesInRange: env.getMergesInRange,
 				getSelection: env.getSelection,
 				anchorRow: env.anchorRow(),
 				anchorCol: env.anchorCol(),
 				isSelectionCopied: env.isSelectionCopied(),
+				showFillHandle: env.showFillHandle ? env.showFillHandle() : false,
+				fillPreview: env.getFillPreview ? env.getFillPreview() : null,
+				findMatches: env.getFindMatches ? env.getFindMatches() : null,
+				activeFindMatch: env.getActiveFindMatch ? env.getActiveFindMatch() : null,
 				getColWidth: env.getColWidth,
 				colLeft: env.colLeft,
 				getRowHeight: env.getRowHeight,
@@ -30,6 +40,14 @@ export function createRenderContext(env) {
 				theme: env.theme ? env.theme() : undefined
 			};
 		},
+		getPresenceParams() {
+			return {
+				...api.getGridParams(),
+				presenceCanvas: env.presenceCanvas ? env.presenceCanvas() : null,
+				mapVisualRowToSheetRow: env.mapVisualRowToSheetRow,
+				peers: env.getPeers ? env.getPeers() : []
+			};
+		},
 		getHeaderParams() {
 			return {
 				colHeadCanvas: env.colHeadCanvas(),
@@ -47,6 +65,8 @@ export function createRenderContext(env) {
 				endIndexCol: env.endIndexCol(),
 				startIndexRow: env.startIndexRow(),
 				endIndexRow: env.endIndexRow(),
+				frozenRows: env.frozenRows ? env.frozenRows() : 0,
+				frozenCols: env.frozenCols ? env.frozenCols() : 0,
 				getSelection: env.getSelection,
 				getColWidth: env.getColWidth,
 				colLeft: env.colLeft,
@@ -61,7 +81,8 @@ export function createRenderContext(env) {
 				mapVisualRowToSheetRow: env.mapVisualRowToSheetRow,
 				// Pass through the getter so draw functions can query live state
 				getActiveSort: env.getActiveSort ? env.getActiveSort : null,
-				isSortingEnabled: env.isSortingEnabled ? env.isSortingEnabled() : false
+				isSortingEnabled: env.isSortingEnabled ? env.isSortingEnabled() : false,
+				peers: env.getPeers ? env.getPeers() : []
 			};
 		}
 	};
@@ -1,14 +1,111 @@
-import { setupCanvas2d } from '../canvas-utils.js';
+import { setupCanvas2d, splitFrozenBands } from '../canvas-utils.js';
+import { isFormulaError } from '../../../domain/formula/errors.js';
 
 /**
  * Draws the main grid: background, grid lines, cell text, and selection overlay.
  *
  * This is intentionally parameterized so it can be reused in tests and so
  * `Radsheet.svelte` remains the orchestrator of state, not rendering details.
+ *
+ * With frozen rows/columns the grid is split into up to four panes: the frozen
+ * corner, the frozen rows (scrolling horizontally only), the frozen columns
+ * (scrolling vertically only) and the body. `startIndex*`/`endIndex*` and the
+ * scroll offsets describe the body; content scrolls underneath the frozen panes.
  */
 export function drawGrid(opts) {
 	const {
 		gridCanvas,
+		containerWidth,
+		containerHeight,
+		CELL_WIDTH,
+		CELL_HEIGHT,
+		startIndexCol,
+		endIndexCol,
+		startIndexRow,
+		endIndexRow,
+		scrollLeft,
+		scrollTop,
+		frozenRows = 0,
+		frozenCols = 0,
+		colLeft,
+		rowTop,
+		theme
+	} = opts;
+
+	if (!gridCanvas) return;
+	const ctx = setupCanvas2d(gridCanvas, containerWidth, containerHeight);
+	ctx.clearRect(0, 0, containerWidth, containerHeight);
+	const t = theme;
+	ctx.fillStyle = t?.surface?.background || '#ffffff';
+	ctx.fillRect(0, 0, containerWidth, containerHeight);
+
+	const frozenWidth =
+		frozenCols > 0 ? (colLeft ? colLeft(frozenCols) : frozenCols * CELL_WIDTH) : 0;
+	const frozenHeight =
+		frozenRows > 0 ? (rowTop ? rowTop(frozenRows) : frozenRows * CELL_HEIGHT) : 0;
+	const rowBands = splitFrozenBands(
+		frozenRows,
+		frozenHeight,
+		startIndexRow,
+		endIndexRow,
+		scrollTop,
+		containerHeight
+	);
+	const colBands = splitFrozenBands(
+		frozenCols,
+		frozenWidth,
+		startIndexCol,
+		endIndexCol,
+		scrollLeft,
+		containerWidth
+	);
+	for (const rows of rowBands) {
+		for (const cols of colBands) {
+			ctx.save();
+			ctx.beginPath();
+			ctx.rect(cols.offset, rows.offset, cols.size, rows.size);
+			ctx.clip();
+			ctx.translate(cols.offset, rows.offset);
+			drawPane(ctx, {
+				...opts,
+				containerWidth: cols.size,
+				containerHeight: rows.size,
+				startIndexRow: rows.start,
+				endIndexRow: rows.end,
+				startIndexCol: cols.start,
+				endIndexCol: cols.end,
+				visibleRowCount: rows.end - rows.start,
+				visibleColCount: cols.end - cols.start,
+				scrollTop: rows.scroll,
+				scrollLeft: cols.scroll
+			});
+			ctx.restore();
+		}
+	}
+
+	// Lines marking where the frozen panes end
+	ctx.strokeStyle = t?.grid?.frozenLine || '#9ca3af';
+	ctx.lineWidth = 1.5;
+	if (frozenWidth > 0 && frozenWidth < containerWidth) {
+		ctx.beginPath();
+		ctx.moveTo(frozenWidth + 0.5, 0);
+		ctx.lineTo(frozenWidth + 0.5, containerHeight);
+		ctx.stroke();
+	}
+	if (frozenHeight > 0 && frozenHeight < containerHeight) {
+		ctx.beginPath();
+		ctx.moveTo(0, frozenHeight + 0.5);
+		ctx.lineTo(containerWidth, frozenHeight + 0.5);
+		ctx.stroke();
+	}
+}
+
+/**
+ * Draws one pane of the grid as if it were the whole viewport. The context is
+ * already clipped and translated to the pane.
+ */
+function drawPane(ctx, opts) {
+	const {
 		containerWidth,
 		containerHeight,
 		CELL_WIDTH,
@@ -22,10 +119,18 @@ export function drawGrid(opts) {
 		scrollLeft,
 		scrollTop,
 		readCell,
+		formatCell,
+		readStyle,
+		getMergeAt,
+		getMergesInRange,
 		getSelection,
 		anchorRow,
 		anchorCol,
 		isSelectionCopied = false,
+		showFillHandle = false,
+		fillPreview = null,
+		findMatches = null,
+		activeFindMatch = null,
 		getColWidth,
 		colLeft,
 		getRowHeight,
@@ -33,14 +138,9 @@ export function drawGrid(opts) {
 		theme
 	} = opts;
 
-	if (!gridCanvas) return;
-	const ctx = setupCanvas2d(gridCanvas, containerWidth, containerHeight);
-	ctx.clearRect(0, 0, containerWidth, containerHeight);
 	const t = theme;
 	const fontFamily = t?.font?.family || 'Inter, system-ui, sans-serif';
 	const cellFontSize = t?.font?.cellSizePx || 14;
-	ctx.fillStyle = t?.surface?.background || '#ffffff';
-	ctx.fillRect(0, 0, containerWidth, containerHeight);
 
 	const baseLeft = colLeft ? colLeft(startIndexCol) : startIndexCol * CELL_WIDTH;
 	const offsetX = baseLeft - scrollLeft;
@@ -50,6 +150,41 @@ export function drawGrid(opts) {
 	ctx.save();
 	ctx.translate(offsetX, offsetY);
 
+	const cellX = (c) => (colLeft ? colLeft(c) : c * CELL_WIDTH) - baseLeft;
+	const cellY = (r) => (rowTop ? rowTop(r) : r * CELL_HEIGHT) - baseTop;
+	const cellW = (c) => (getColWidth ? getColWidth(c) : CELL_WIDTH);
+	const cellH = (r) => (getRowHeight ? getRowHeight(r) : CELL_HEIGHT);
+
+	// Merged ranges touching the viewport; each paints as one cell showing its top-left value
+	const merges = getMergesInRange
+		? getMergesInRange(startIndexRow, startIndexCol, endIndexRow - 1, endIndexCol - 1)
+		: [];
+	const mergeAt = (r, c) => {
+		for (let i = 0; i < merges.length; i++) {
+			const m = merges[i];
+			if (r >= m.r1 && r <= m.r2 && c >= m.c1 && c <= m.c2) return m;
+		}
+		return null;
+	};
+	const mergeRect = (m) => ({
+		x: cellX(m.c1),
+		y: cellY(m.r1),
+		w: cellX(m.c2) + cellW(m.c2) - cellX(m.c1),
+		h: cellY(m.r2) + cellH(m.r2) - cellY(m.r1)
+	});
+
+	// cell fills (under the grid lines, like an unstyled cell's background)
+	if (readStyle) {
+		for (let r = startIndexRow; r < endIndexRow; r++) {
+			for (let c = startIndexCol; c < endIndexCol; c++) {
+				const fill = readStyle(r, c).fill;
+				if (!fill) continue;
+				ctx.fillStyle = fill;
+				ctx.fillRect(cellX(c), cellY(r), cellW(c), cellH(r));
+			}
+		}
+	}
+
 	// grid lines
 	ctx.strokeStyle = t?.grid?.lineColor || '#e5e7eb';
 	ctx.lineWidth = 1.5;
@@ -59,11 +194,12 @@ export function drawGrid(opts) {
 		for (let k = startIndexCol; k < endIndexCol; k++) sum += getColWidth(k);
 		return sum;
 	})();
+	const viewportHeightPx = rowTop ? rowTop(endIndexRow) - baseTop : visibleRowCount * CELL_HEIGHT;
 	for (let c = startIndexCol; c <= endIndexCol; c++) {
 		const x = (colLeft ? colLeft(c) : c * CELL_WIDTH) - baseLeft + 0.5;
 		ctx.beginPath();
 		ctx.moveTo(x, 0.5);
-		ctx.lineTo(x, visibleRowCount * CELL_HEIGHT + 0.5);
+		ctx.lineTo(x, viewportHeightPx + 0.5);
 		ctx.stroke();
 	}
 	for (let r = startIndexRow; r <= endIndexRow; r++) {
@@ -74,29 +210,91 @@ export function drawGrid(opts) {
 		ctx.stroke();
 	}
 
+	// merged cells: cover the inner grid lines with the top-left cell's fill
+	for (const m of merges) {
+		const { x, y, w, h } = mergeRect(m);
+		ctx.fillStyle =
+			(readStyle && readStyle(m.r1, m.c1).fill) || t?.surface?.background || '#ffffff';
+		ctx.fillRect(x + 1.25, y + 1.25, w - 1.5, h - 1.5);
+	}
+
+	// Find matches, under the text; `findMatches` is sorted by row so only the
+	// pane's rows are visited
+	if (findMatches && findMatches.length > 0) {
+		for (let i = firstMatchAtRow(findMatches, startIndexRow); i < findMatches.length; i++) {
+			const { row: r, col: c } = findMatches[i];
+			if (r >= endIndexRow) break;
+			if (c < startIndexCol || c >= endIndexCol) continue;
+			const active = activeFindMatch && activeFindMatch.row === r && activeFindMatch.col === c;
+			const m = mergeAt(r, c);
+			const { x, y, w, h } = m
+				? mergeRect(m)
+				: { x: cellX(c), y: cellY(r), w: cellW(c), h: cellH(r) };
+			ctx.fillStyle = active
+				? t?.find?.activeMatch || 'rgba(249,115,22,0.45)'
+				: t?.find?.match || 'rgba(250,204,21,0.35)';
+			ctx.fillRect(x + 1, y + 1, w - 1.5, h - 1.5);
+		}
+	}
+
 	// text
-	ctx.font = `${cellFontSize}px ${fontFamily}`;
-	ctx.fillStyle = t?.grid?.text || '#111827';
-	ctx.textBaseline = 'middle';
+	const textColor = t?.grid?.text || '#111827';
+	const errorTextColor = t?.grid?.errorText || '#dc2626';
 	const padX = 8;
+	const padY = 3;
+	const drawCellText = (r, c, x, y, w, h) => {
+		const value = readCell(r, c);
+		if (value === '' || value == null) return;
+		const style = readStyle ? readStyle(r, c) : null;
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(x + 1, y + 1, w - 2, h - 2);
+		ctx.clip();
+		ctx.font = `${style?.italic ? 'italic ' : ''}${style?.bold ? '600 ' : ''}${cellFontSize}px ${fontFamily}`;
+		// Number formats decide the text and may pick a color, e.g. [Red] for negatives
+		const display = formatCell ? formatCell(value, r, c) : null;
+		ctx.fillStyle = isFormulaError(value)
+			? errorTextColor
+			: (display && display.color) || style?.color || textColor;
+		const hAlign = style?.hAlign || 'left';
+		const vAlign = style?.vAlign || 'middle';
+		ctx.textAlign = hAlign;
+		ctx.textBaseline = vAlign;
+		const tx = hAlign === 'center' ? x + w / 2 : hAlign === 'right' ? x + w - padX : x + padX;
+		const ty = vAlign === 'top' ? y + padY : vAlign === 'bottom' ? y + h - padY : y + h / 2;
+		ctx.fillText(display ? display.text : String(value), tx, ty);
+		ctx.restore();
+	};
 	for (let r = startIndexRow; r < endIndexRow; r++) {
 		for (let c = startIndexCol; c < endIndexCol; c++) {
-			const x = (colLeft ? colLeft(c) : c * CELL_WIDTH) - baseLeft;
-			const y = (rowTop ? rowTop(r) : r * CELL_HEIGHT) - baseTop;
-			const value = readCell(r, c);
-			if (value !== '' && value != null) {
-				ctx.save();
-				ctx.beginPath();
-				const w = getColWidth ? getColWidth(c) : CELL_WIDTH;
-				const h = getRowHeight ? getRowHeight(r) : CELL_HEIGHT;
-				ctx.rect(x + 1, y + 1, w - 2, h - 2);
-				ctx.clip();
-				ctx.fillText(
-					String(value),
-					x + padX,
-					y + (getRowHeight ? getRowHeight(r) : CELL_HEIGHT) / 2
-				);
-				ctx.restore();
+			if (merges.length > 0 && mergeAt(r, c)) continue;
+			drawCellText(r, c, cellX(c), cellY(r), cellW(c), cellH(r));
+		}
+	}
+	// A merge's top-left cell may be scrolled out of view while the merge is not
+	for (const m of merges) {
+		const { x, y, w, h } = mergeRect(m);
+		drawCellText(m.r1, m.c1, x, y, w, h);
+	}
+
+	// borders (over text so adjacent fills cannot hide them); inside a merge only
+	// the sides on the merge's outer edge are drawn
+	if (readStyle) {
+		for (let r = startIndexRow; r < endIndexRow; r++) {
+			for (let c = startIndexCol; c < endIndexCol; c++) {
+				const style = readStyle(r, c);
+				if (!style.borderTop && !style.borderRight && !style.borderBottom && !style.borderLeft) {
+					continue;
+				}
+				const m = merges.length > 0 ? mergeAt(r, c) : null;
+				const x0 = cellX(c);
+				const y0 = cellY(r);
+				const x1 = x0 + cellW(c);
+				const y1 = y0 + cellH(r);
+				if (!m || r === m.r1) strokeBorder(ctx, style.borderTop, x0, y0, x1, y0);
+				if (!m || c === m.c2) strokeBorder(ctx, style.borderRight, x1, y0, x1, y1);
+				if (!m || r === m.r2) strokeBorder(ctx, style.borderBottom, x0, y1, x1, y1);
+				if (!m || c === m.c1) strokeBorder(ctx, style.borderLeft, x0, y0, x0, y1);
 			}
 		}
 	}
@@ -112,17 +310,24 @@ export function drawGrid(opts) {
 		const vR1 = Math.max(r1, startIndexRow);
 		const vR2 = Math.min(r2, endIndexRow - 1);
 
-		// Precompute anchor cell rect in local space
-		const anchorX0 = (colLeft ? colLeft(anchorCol) : anchorCol * CELL_WIDTH) - baseLeft;
+		// Precompute anchor cell rect in local space; a merged anchor covers its merge
+		const anchorMerge = getMergeAt ? getMergeAt(anchorRow, anchorCol) : null;
+		const aR1 = anchorMerge ? anchorMerge.r1 : anchorRow;
+		const aR2 = anchorMerge ? anchorMerge.r2 : anchorRow;
+		const aC1 = anchorMerge ? anchorMerge.c1 : anchorCol;
+		const aC2 = anchorMerge ? anchorMerge.c2 : anchorCol;
+		const anchorX0 = (colLeft ? colLeft(aC1) : aC1 * CELL_WIDTH) - baseLeft;
 		const anchorX1 =
 			(colLeft
-				? colLeft(anchorCol) + (getColWidth ? getColWidth(anchorCol) : CELL_WIDTH)
-				: (anchorCol + 1) * CELL_WIDTH) - baseLeft;
-		const anchorY0 = (rowTop ? rowTop(anchorRow) : anchorRow * CELL_HEIGHT) - baseTop;
+				? colLeft(aC2) + (getColWidth ? getColWidth(aC2) : CELL_WIDTH)
+				: (aC2 + 1) * CELL_WIDTH) - baseLeft;
+		const anchorY0 = (rowTop ? rowTop(aR1) : aR1 * CELL_HEIGHT) - baseTop;
 		const anchorY1 =
 			(rowTop
-				? rowTop(anchorRow) + (getRowHeight ? getRowHeight(anchorRow) : CELL_HEIGHT)
-				: (anchorRow + 1) * CELL_HEIGHT) - baseTop;
+				? rowTop(aR2) + (getRowHeight ? getRowHeight(aR2) : CELL_HEIGHT)
+				: (aR2 + 1) * CELL_HEIGHT) - baseTop;
+		// Selecting exactly one merged cell looks like selecting a single cell
+		const isSingleCell = r1 === aR1 && r2 === aR2 && c1 === aC1 && c2 === aC2;
 
 		// If any part is visible, paint the fill clipped to viewport, excluding the anchor cell area
 		if (vC1 <= vC2 && vR1 <= vR2) {
@@ -137,7 +342,7 @@ export function drawGrid(opts) {
 					? rowTop(vR2) + (getRowHeight ? getRowHeight(vR2) : CELL_HEIGHT)
 					: (vR2 + 1) * CELL_HEIGHT) - baseTop;
 			// Skip fill entirely when selection is a single cell (hole would remove all fill anyway)
-			if (!(r1 === r2 && c1 === c2)) {
+			if (!isSingleCell) {
 				ctx.save();
 				ctx.beginPath();
 				// Outer selection rect
@@ -188,13 +393,13 @@ export function drawGrid(opts) {
 		const isLeftAtBoundary = selX0 <= 0;
 		const isRightAtBoundary = selX1 >= viewportRightLocalX - 1; // tolerate 1px underflow
 		const isBottomAtBoundary = selY1 >= viewportBottomLocalY;
-		const anchorOnTop = anchorRow === r1;
-		const anchorOnBottom = anchorRow === r2;
-		const anchorOnLeft = anchorCol === c1;
-		const anchorOnRight = anchorCol === c2;
+		const anchorOnTop = aR1 === r1;
+		const anchorOnBottom = aR2 === r2;
+		const anchorOnLeft = aC1 === c1;
+		const anchorOnRight = aC2 === c2;
 
 		// Draw selection outer edges only when selection spans more than one cell
-		if (!(r1 === r2 && c1 === c2)) {
+		if (!isSingleCell) {
 			// Top edge visible?
 			if (r1 >= startIndexRow) {
 				const a = Math.max(selX0, 0);
@@ -391,8 +596,11 @@ export function drawGrid(opts) {
 			}
 		}
 
-		// Anchor cell highlight box (originally clicked cell), always outline only
-		{
+		// Anchor cell highlight box (originally clicked cell), always outline only;
+		// skipped when the anchor lies outside this pane
+		const anchorInPane =
+			aR2 >= startIndexRow && aR1 < endIndexRow && aC2 >= startIndexCol && aC1 < endIndexCol;
+		if (anchorInPane) {
 			ctx.save();
 			ctx.strokeStyle = t?.selection?.stroke || '#3b82f6';
 			ctx.lineWidth = 1.5;
@@ -471,7 +679,77 @@ export function drawGrid(opts) {
 
 			ctx.restore();
 		}
+
+		// Range a fill-handle drag will fill, outlined while dragging
+		if (fillPreview) {
+			const x0 = cellX(fillPreview.c1);
+			const x1 = cellX(fillPreview.c2) + cellW(fillPreview.c2);
+			const y0 = cellY(fillPreview.r1);
+			const y1 = cellY(fillPreview.r2) + cellH(fillPreview.r2);
+			ctx.save();
+			ctx.strokeStyle = t?.selection?.fillPreview || '#6b7280';
+			ctx.lineWidth = 1;
+			ctx.setLineDash([3, 3]);
+			ctx.strokeRect(x0 + 0.5, y0 + 0.5, x1 - x0 - 1, y1 - y0 - 1);
+			ctx.restore();
+		}
+
+		// Fill handle: a small square on the selection's bottom-right corner
+		const cornerInPane =
+			r2 >= startIndexRow && r2 < endIndexRow && c2 >= startIndexCol && c2 < endIndexCol;
+		if (showFillHandle && cornerInPane) {
+			const size = FILL_HANDLE_SIZE;
+			ctx.save();
+			ctx.fillStyle = t?.surface?.background || '#ffffff';
+			ctx.fillRect(selX1 - size / 2 - 1, selY1 - size / 2 - 1, size + 2, size + 2);
+			ctx.fillStyle = t?.selection?.stroke || '#3b82f6';
+			ctx.fillRect(selX1 - size / 2, selY1 - size / 2, size, size);
+			ctx.restore();
+		}
 	}
 
 	ctx.restore();
 }
+
+/**
+ * Index of the first match at or below a row.
+ * @param {{ row:number, col:number }[]} matches - Sorted by row
+ * @param {number} row
+ */
+function firstMatchAtRow(matches, row) {
+	let lo = 0;
+	let hi = matches.length;
+	while (lo < hi) {
+		const mid = (lo + hi) >> 1;
+		if (matches[mid].row < row) lo = mid + 1;
+		else hi = mid;
+	}
+	return lo;
+}
+
+/** Side of the fill handle square, in CSS pixels */
+export const FILL_HANDLE_SIZE = 6;
+
+const BORDER_WIDTHS = { thin: 1, medium: 2, thick: 3, dashed: 1, dotted: 1 };
+const BORDER_DASHES = { dashed: [4, 2], dotted: [1, 2] };
+
+/**
+ * Strokes one side of a cell border, if set.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {import('../../../domain/style/StyleTable.js').Border|undefined} border
+ */
+function strokeBorder(ctx, border, x0, y0, x1, y1) {
+	if (!border) return;
+	const width = BORDER_WIDTHS[border.style] || 1;
+	// Odd widths need a half-pixel offset to stay crisp
+	const offset = width % 2 === 1 ? 0.5 : 0;
+	ctx.save();
+	ctx.strokeStyle = border.color;
+	ctx.lineWidth = width;
+	ctx.setLineDash(BORDER_DASHES[border.style] || []);
+	ctx.beginPath();
+	ctx.moveTo(x0 + (x0 === x1 ? offset : 0), y0 + (y0 === y1 ? offset : 0));
+	ctx.lineTo(x1 + (x0 === x1 ? offset : 0), y1 + (y0 === y1 ? offset : 0));
+	ctx.stroke();
+	ctx.restore();
+}
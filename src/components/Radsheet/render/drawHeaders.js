@@ -1,7 +1,8 @@
-import { setupCanvas2d } from '../canvas-utils.js';
+import { setupCanvas2d, splitFrozenBands } from '../canvas-utils.js';
 
 /**
  * Draws the column and row headers, including selection highlights and grid lines.
+ * Collaborators' selections (`peers`, see PresenceStore) tint the headers in their colors.
  *
  * Inputs are provided via a single object to keep the function signature stable
  * and easy to evolve as rendering needs change.
@@ -16,27 +17,17 @@ export function drawHeaders(opts) {
 		ROW_HEADER_WIDTH,
 		CELL_WIDTH,
 		CELL_HEIGHT,
-		columns,
 		scrollLeft,
 		scrollTop,
 		startIndexCol,
 		endIndexCol,
 		startIndexRow,
 		endIndexRow,
-		getSelection,
-		getColWidth,
 		colLeft,
-		getHoverResizeCol,
-		getRowHeight,
 		rowTop,
-		getHoverResizeRow,
 		theme,
-		isFiltered,
-		activeFilters,
-		openFilterCol,
-		mapVisualRowToSheetRow,
-		getActiveSort,
-		isSortingEnabled
+		frozenRows = 0,
+		frozenCols = 0
 	} = opts;
 
 	// Column headers
@@ -44,106 +35,42 @@ export function drawHeaders(opts) {
 		const ctx = setupCanvas2d(colHeadCanvas, containerWidth, COLUMN_HEADER_HEIGHT);
 		ctx.clearRect(0, 0, containerWidth, COLUMN_HEADER_HEIGHT);
 		const t = theme;
-		const fontFamily = t?.font?.family || 'Inter, system-ui, sans-serif';
-		const headerFontSize = t?.font?.headerSizePx || 12;
 		ctx.fillStyle = t?.header?.background || '#f9fafb';
 		ctx.fillRect(0, 0, containerWidth, COLUMN_HEADER_HEIGHT);
-		const baseLeft = colLeft ? colLeft(startIndexCol) : startIndexCol * CELL_WIDTH;
-		const offsetX = baseLeft - scrollLeft;
-		ctx.save();
-		ctx.translate(offsetX, 0);
-
-		// selection highlight in header (exactly aligned)
-		const selH = getSelection();
-		if (selH) {
-			const { c1, c2 } = selH;
-			const leftCol = Math.max(c1, startIndexCol);
-			const rightCol = Math.min(c2, endIndexCol - 1);
-			if (leftCol <= rightCol) {
-				const x0 = (colLeft ? colLeft(leftCol) : leftCol * CELL_WIDTH) - baseLeft;
-				const x1 =
-					(colLeft
-						? colLeft(rightCol) + (getColWidth ? getColWidth(rightCol) : CELL_WIDTH)
-						: (rightCol + 1) * CELL_WIDTH) - baseLeft;
-				ctx.fillStyle = t?.selection?.fillHeader || 'rgba(225,29,72,0.15)';
-				ctx.fillRect(x0, 0, x1 - x0, COLUMN_HEADER_HEIGHT);
-			}
-		}
-
-		// grid lines + labels
-		ctx.font = `normal ${headerFontSize}px ${fontFamily}`;
-		ctx.textBaseline = 'middle';
-		ctx.textAlign = 'center';
-		for (let c = startIndexCol; c < endIndexCol; c++) {
-			const x = (colLeft ? colLeft(c) : c * CELL_WIDTH) - baseLeft;
-			const w = getColWidth ? getColWidth(c) : CELL_WIDTH;
-			ctx.fillStyle = t?.header?.text || '#475569';
-			const label = columns[c] ?? String(c);
-			// Sort icon left of the label when sorting UI is enabled
-			const activeSort = typeof getActiveSort === 'function' ? getActiveSort() : null;
-			const sortingOn = !!isSortingEnabled;
-			// Draw label strictly centered regardless of sort icon
-			ctx.fillText(label, x + w / 2, COLUMN_HEADER_HEIGHT / 2);
-			// Draw sort icon to the left without shifting the label
-			if (sortingOn) {
-				const iconX = x + 9;
-				// Center a consistent 8px-tall icon vertically
-				const iconY = COLUMN_HEADER_HEIGHT / 2 - 4;
-				const isActive = !!(activeSort && activeSort.col === c);
-				const dir = isActive ? activeSort.dir : 'asc';
-				drawSortIcon(ctx, iconX, iconY, theme, dir, isActive);
-			}
-
-			// Draw filter icon if filtering UI is enabled
-			if (isFiltered) {
-				const iconX = x + w - 20;
-				const iconY = COLUMN_HEADER_HEIGHT / 2 - 6;
-				const isActive = activeFilters.has(c);
-				const isOpen = openFilterCol === c;
-				drawFilterIcon(ctx, iconX, iconY, theme, isActive, isOpen);
-			}
-
-			// Highlight for column resize
-			const hoverCol = getHoverResizeCol ? getHoverResizeCol() : null;
-			if (hoverCol != null && hoverCol === c) {
-				ctx.fillStyle = t?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
-				ctx.fillRect(x, 0, w, COLUMN_HEADER_HEIGHT);
-			}
 
-			ctx.strokeStyle = t?.header?.gridLine || '#e5e7eb';
-			ctx.lineWidth = 1;
-			ctx.beginPath();
-			ctx.moveTo(x + w + 0.5, 0.5);
-			ctx.lineTo(x + w + 0.5, COLUMN_HEADER_HEIGHT + 0.5);
-			ctx.stroke();
-		}
-
-		// Hover resize indicator (subtle) on the edge under cursor
-		const hoverCol = getHoverResizeCol ? getHoverResizeCol() : null;
-		if (hoverCol != null && hoverCol >= startIndexCol && hoverCol < endIndexCol) {
-			const base = colLeft ? colLeft(startIndexCol) : startIndexCol * CELL_WIDTH;
-			const xEdge =
-				(colLeft ? colLeft(hoverCol) + getColWidth(hoverCol) : (hoverCol + 1) * CELL_WIDTH) - base;
+		// Frozen columns stay put; the other headers scroll underneath them
+		const frozenWidth =
+			frozenCols > 0 ? (colLeft ? colLeft(frozenCols) : frozenCols * CELL_WIDTH) : 0;
+		const bands = splitFrozenBands(
+			frozenCols,
+			frozenWidth,
+			startIndexCol,
+			endIndexCol,
+			scrollLeft,
+			containerWidth
+		);
+		for (const band of bands) {
 			ctx.save();
-			const yTop = 4.5;
-			const yBot = COLUMN_HEADER_HEIGHT - 4.5;
-			// soft glow behind
-			ctx.strokeStyle = t?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
-			ctx.lineWidth = 6;
 			ctx.beginPath();
-			ctx.moveTo(xEdge + 0.5, yTop);
-			ctx.lineTo(xEdge + 0.5, yBot);
-			ctx.stroke();
-			// crisp center line
-			ctx.strokeStyle = t?.selection?.hoverResizeLine || '#3b82f6';
+			ctx.rect(band.offset, 0, band.size, COLUMN_HEADER_HEIGHT);
+			ctx.clip();
+			ctx.translate(band.offset, 0);
+			drawColumnHeaderPane(ctx, {
+				...opts,
+				startIndexCol: band.start,
+				endIndexCol: band.end,
+				scrollLeft: band.scroll
+			});
+			ctx.restore();
+		}
+		if (frozenWidth > 0 && frozenWidth < containerWidth) {
+			ctx.strokeStyle = t?.grid?.frozenLine || '#9ca3af';
 			ctx.lineWidth = 1.5;
 			ctx.beginPath();
-			ctx.moveTo(xEdge + 0.5, yTop);
-			ctx.lineTo(xEdge + 0.5, yBot);
+			ctx.moveTo(frozenWidth + 0.5, 0);
+			ctx.lineTo(frozenWidth + 0.5, COLUMN_HEADER_HEIGHT);
 			ctx.stroke();
-			ctx.restore();
 		}
-		ctx.restore();
 
 		// bottom border
 		ctx.strokeStyle = t?.header?.border || '#d1d5db';
@@ -158,86 +85,41 @@ export function drawHeaders(opts) {
 		const ctx = setupCanvas2d(rowHeadCanvas, ROW_HEADER_WIDTH, containerHeight);
 		ctx.clearRect(0, 0, ROW_HEADER_WIDTH, containerHeight);
 		const t2 = theme;
-		const fontFamily2 = t2?.font?.family || 'Inter, system-ui, sans-serif';
-		const headerFontSize2 = t2?.font?.headerSizePx || 12;
 		ctx.fillStyle = t2?.header?.background || '#f9fafb';
 		ctx.fillRect(0, 0, ROW_HEADER_WIDTH, containerHeight);
 
-		const firstTop = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
-		const offsetY = firstTop - scrollTop;
-		ctx.save();
-		ctx.translate(0, offsetY);
-
-		// selection highlight in row header (exactly aligned)
-		const selR = getSelection();
-		if (selR) {
-			const { r1, r2 } = selR;
-			const topRow = Math.max(r1, startIndexRow);
-			const botRow = Math.min(r2, endIndexRow - 1);
-			if (topRow <= botRow) {
-				const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
-				const y0 = (rowTop ? rowTop(topRow) : topRow * CELL_HEIGHT) - baseY;
-				const y1 =
-					(rowTop
-						? rowTop(botRow) + (getRowHeight ? getRowHeight(botRow) : CELL_HEIGHT)
-						: (botRow + 1) * CELL_HEIGHT) - baseY;
-				ctx.fillStyle = t2?.selection?.fillHeader || 'rgba(225,29,72,0.15)';
-				ctx.fillRect(0, y0, ROW_HEADER_WIDTH, y1 - y0);
-			}
-		}
-
-		// lines + numbers
-		ctx.font = `normal ${headerFontSize2}px ${fontFamily2}`;
-		ctx.textBaseline = 'middle';
-		ctx.textAlign = 'center';
-		ctx.fillStyle = t2?.header?.text || '#475569';
-		for (let r = startIndexRow; r < endIndexRow; r++) {
-			const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
-			const y = (rowTop ? rowTop(r) : r * CELL_HEIGHT) - baseY;
-			const sheetRowIndex =
-				typeof mapVisualRowToSheetRow === 'function' ? mapVisualRowToSheetRow(r) : r;
-			ctx.fillText(
-				String((sheetRowIndex != null ? sheetRowIndex : r) + 1),
-				ROW_HEADER_WIDTH / 2,
-				y + (getRowHeight ? getRowHeight(r) : CELL_HEIGHT) / 2
-			);
-
-			ctx.strokeStyle = t2?.header?.gridLine || '#e5e7eb';
-			ctx.lineWidth = 1;
-			ctx.beginPath();
-			const rh = getRowHeight ? getRowHeight(r) : CELL_HEIGHT;
-			ctx.moveTo(0.5, y + rh + 0.5);
-			ctx.lineTo(ROW_HEADER_WIDTH + 0.5, y + rh + 0.5);
-			ctx.stroke();
-		}
-		ctx.restore();
-
-		// Hover resize indicator (subtle) on the row edge under cursor
-		const hoverRow = getHoverResizeRow ? getHoverResizeRow() : null;
-		if (hoverRow != null && hoverRow >= startIndexRow && hoverRow < endIndexRow) {
-			const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
-			const yEdge =
-				(rowTop
-					? rowTop(hoverRow) + (getRowHeight ? getRowHeight(hoverRow) : CELL_HEIGHT)
-					: (hoverRow + 1) * CELL_HEIGHT) - baseY;
+		// Frozen rows stay put; the other headers scroll underneath them
+		const frozenHeight =
+			frozenRows > 0 ? (rowTop ? rowTop(frozenRows) : frozenRows * CELL_HEIGHT) : 0;
+		const bands = splitFrozenBands(
+			frozenRows,
+			frozenHeight,
+			startIndexRow,
+			endIndexRow,
+			scrollTop,
+			containerHeight
+		);
+		for (const band of bands) {
 			ctx.save();
-			const xLeft = 4.5;
-			const xRight = ROW_HEADER_WIDTH - 4.5;
-			// soft glow
-			ctx.strokeStyle = t2?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
-			ctx.lineWidth = 6;
 			ctx.beginPath();
-			ctx.moveTo(xLeft, yEdge + 0.5);
-			ctx.lineTo(xRight, yEdge + 0.5);
-			ctx.stroke();
-			// crisp center line
-			ctx.strokeStyle = t2?.selection?.hoverResizeLine || '#3b82f6';
+			ctx.rect(0, band.offset, ROW_HEADER_WIDTH, band.size);
+			ctx.clip();
+			ctx.translate(0, band.offset);
+			drawRowHeaderPane(ctx, {
+				...opts,
+				startIndexRow: band.start,
+				endIndexRow: band.end,
+				scrollTop: band.scroll
+			});
+			ctx.restore();
+		}
+		if (frozenHeight > 0 && frozenHeight < containerHeight) {
+			ctx.strokeStyle = t2?.grid?.frozenLine || '#9ca3af';
 			ctx.lineWidth = 1.5;
 			ctx.beginPath();
-			ctx.moveTo(xLeft, yEdge + 0.5);
-			ctx.lineTo(xRight, yEdge + 0.5);
+			ctx.moveTo(0, frozenHeight + 0.5);
+			ctx.lineTo(ROW_HEADER_WIDTH, frozenHeight + 0.5);
 			ctx.stroke();
-			ctx.restore();
 		}
 
 		// right border
@@ -249,6 +131,270 @@ export function drawHeaders(opts) {
 	}
 }
 
+/**
+ * Draws the column headers of one pane (frozen or scrolling). The context is
+ * already clipped and translated to the pane.
+ */
+function drawColumnHeaderPane(ctx, opts) {
+	const {
+		COLUMN_HEADER_HEIGHT,
+		CELL_WIDTH,
+		columns,
+		scrollLeft,
+		startIndexCol,
+		endIndexCol,
+		getSelection,
+		getColWidth,
+		colLeft,
+		getHoverResizeCol,
+		theme,
+		isFiltered,
+		activeFilters,
+		openFilterCol,
+		getActiveSort,
+		isSortingEnabled,
+		peers = []
+	} = opts;
+	const t = theme;
+	const fontFamily = t?.font?.family || 'Inter, system-ui, sans-serif';
+	const headerFontSize = t?.font?.headerSizePx || 12;
+	const baseLeft = colLeft ? colLeft(startIndexCol) : startIndexCol * CELL_WIDTH;
+	const offsetX = baseLeft - scrollLeft;
+	ctx.save();
+	ctx.translate(offsetX, 0);
+
+	// selection highlight in header (exactly aligned)
+	const selH = getSelection();
+	if (selH) {
+		const { c1, c2 } = selH;
+		const leftCol = Math.max(c1, startIndexCol);
+		const rightCol = Math.min(c2, endIndexCol - 1);
+		if (leftCol <= rightCol) {
+			const x0 = (colLeft ? colLeft(leftCol) : leftCol * CELL_WIDTH) - baseLeft;
+			const x1 =
+				(colLeft
+					? colLeft(rightCol) + (getColWidth ? getColWidth(rightCol) : CELL_WIDTH)
+					: (rightCol + 1) * CELL_WIDTH) - baseLeft;
+			ctx.fillStyle = t?.selection?.fillHeader || 'rgba(225,29,72,0.15)';
+			ctx.fillRect(x0, 0, x1 - x0, COLUMN_HEADER_HEIGHT);
+		}
+	}
+
+	// collaborators' selections
+	ctx.globalAlpha = 0.15;
+	for (const peer of peers) {
+		ctx.fillStyle = peer.color;
+		for (const { c1, c2 } of peer.ranges || []) {
+			const leftCol = Math.max(c1, startIndexCol);
+			const rightCol = Math.min(c2, endIndexCol - 1);
+			if (leftCol > rightCol) continue;
+			const x0 = (colLeft ? colLeft(leftCol) : leftCol * CELL_WIDTH) - baseLeft;
+			const x1 =
+				(colLeft
+					? colLeft(rightCol) + (getColWidth ? getColWidth(rightCol) : CELL_WIDTH)
+					: (rightCol + 1) * CELL_WIDTH) - baseLeft;
+			ctx.fillRect(x0, 0, x1 - x0, COLUMN_HEADER_HEIGHT);
+		}
+	}
+	ctx.globalAlpha = 1;
+
+	// grid lines + labels
+	ctx.font = `normal ${headerFontSize}px ${fontFamily}`;
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'center';
+	for (let c = startIndexCol; c < endIndexCol; c++) {
+		const x = (colLeft ? colLeft(c) : c * CELL_WIDTH) - baseLeft;
+		const w = getColWidth ? getColWidth(c) : CELL_WIDTH;
+		ctx.fillStyle = t?.header?.text || '#475569';
+		const label = columns[c] ?? String(c);
+		// Sort icon left of the label when sorting UI is enabled
+		const sortKeys = typeof getActiveSort === 'function' ? getActiveSort() || [] : [];
+		const sortingOn = !!isSortingEnabled;
+		// Draw label strictly centered regardless of sort icon
+		ctx.fillText(label, x + w / 2, COLUMN_HEADER_HEIGHT / 2);
+		// Draw sort icon to the left without shifting the label
+		if (sortingOn) {
+			const iconX = x + 9;
+			// Center a consistent 8px-tall icon vertically
+			const iconY = COLUMN_HEADER_HEIGHT / 2 - 4;
+			const keyIndex = sortKeys.findIndex((k) => k.c === c);
+			const isActive = keyIndex !== -1;
+			const dir = isActive ? sortKeys[keyIndex].dir : 'asc';
+			// With several sort keys, each sorted column shows its priority
+			const priority = isActive && sortKeys.length > 1 ? keyIndex + 1 : null;
+			drawSortIcon(ctx, iconX, iconY, theme, dir, isActive, priority);
+		}
+
+		// Draw filter icon if filtering UI is enabled
+		if (isFiltered) {
+			const iconX = x + w - 20;
+			const iconY = COLUMN_HEADER_HEIGHT / 2 - 6;
+			const isActive = activeFilters.has(c);
+			const isOpen = openFilterCol === c;
+			drawFilterIcon(ctx, iconX, iconY, theme, isActive, isOpen);
+		}
+
+		// Highlight for column resize
+		const hoverCol = getHoverResizeCol ? getHoverResizeCol() : null;
+		if (hoverCol != null && hoverCol === c) {
+			ctx.fillStyle = t?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
+			ctx.fillRect(x, 0, w, COLUMN_HEADER_HEIGHT);
+		}
+
+		ctx.strokeStyle = t?.header?.gridLine || '#e5e7eb';
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		ctx.moveTo(x + w + 0.5, 0.5);
+		ctx.lineTo(x + w + 0.5, COLUMN_HEADER_HEIGHT + 0.5);
+		ctx.stroke();
+	}
+
+	// Hover resize indicator (subtle) on the edge under cursor
+	const hoverCol = getHoverResizeCol ? getHoverResizeCol() : null;
+	if (hoverCol != null && hoverCol >= startIndexCol && hoverCol < endIndexCol) {
+		const base = colLeft ? colLeft(startIndexCol) : startIndexCol * CELL_WIDTH;
+		const xEdge =
+			(colLeft ? colLeft(hoverCol) + getColWidth(hoverCol) : (hoverCol + 1) * CELL_WIDTH) - base;
+		ctx.save();
+		const yTop = 4.5;
+		const yBot = COLUMN_HEADER_HEIGHT - 4.5;
+		// soft glow behind
+		ctx.strokeStyle = t?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
+		ctx.lineWidth = 6;
+		ctx.beginPath();
+		ctx.moveTo(xEdge + 0.5, yTop);
+		ctx.lineTo(xEdge + 0.5, yBot);
+		ctx.stroke();
+		// crisp center line
+		ctx.strokeStyle = t?.selection?.hoverResizeLine || '#3b82f6';
+		ctx.lineWidth = 1.5;
+		ctx.beginPath();
+		ctx.moveTo(xEdge + 0.5, yTop);
+		ctx.lineTo(xEdge + 0.5, yBot);
+		ctx.stroke();
+		ctx.restore();
+	}
+	ctx.restore();
+}
+
+/**
+ * Draws the row headers of one pane (frozen or scrolling). The context is
+ * already clipped and translated to the pane.
+ */
+function drawRowHeaderPane(ctx, opts) {
+	const {
+		ROW_HEADER_WIDTH,
+		CELL_HEIGHT,
+		scrollTop,
+		startIndexRow,
+		endIndexRow,
+		getSelection,
+		getRowHeight,
+		rowTop,
+		getHoverResizeRow,
+		theme,
+		mapVisualRowToSheetRow,
+		peers = []
+	} = opts;
+	const t2 = theme;
+	const fontFamily2 = t2?.font?.family || 'Inter, system-ui, sans-serif';
+	const headerFontSize2 = t2?.font?.headerSizePx || 12;
+	const firstTop = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
+	const offsetY = firstTop - scrollTop;
+	ctx.save();
+	ctx.translate(0, offsetY);
+
+	// selection highlight in row header (exactly aligned)
+	const selR = getSelection();
+	if (selR) {
+		const { r1, r2 } = selR;
+		const topRow = Math.max(r1, startIndexRow);
+		const botRow = Math.min(r2, endIndexRow - 1);
+		if (topRow <= botRow) {
+			const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
+			const y0 = (rowTop ? rowTop(topRow) : topRow * CELL_HEIGHT) - baseY;
+			const y1 =
+				(rowTop
+					? rowTop(botRow) + (getRowHeight ? getRowHeight(botRow) : CELL_HEIGHT)
+					: (botRow + 1) * CELL_HEIGHT) - baseY;
+			ctx.fillStyle = t2?.selection?.fillHeader || 'rgba(225,29,72,0.15)';
+			ctx.fillRect(0, y0, ROW_HEADER_WIDTH, y1 - y0);
+		}
+	}
+
+	// collaborators' selections, which are in sheet rows
+	if (peers.length > 0) {
+		ctx.globalAlpha = 0.15;
+		const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
+		for (let r = startIndexRow; r < endIndexRow; r++) {
+			const sheetRow = typeof mapVisualRowToSheetRow === 'function' ? mapVisualRowToSheetRow(r) : r;
+			const y = (rowTop ? rowTop(r) : r * CELL_HEIGHT) - baseY;
+			const h = getRowHeight ? getRowHeight(r) : CELL_HEIGHT;
+			for (const peer of peers) {
+				const ranges = peer.ranges || [];
+				if (!ranges.some((range) => sheetRow >= range.r1 && sheetRow <= range.r2)) continue;
+				ctx.fillStyle = peer.color;
+				ctx.fillRect(0, y, ROW_HEADER_WIDTH, h);
+			}
+		}
+		ctx.globalAlpha = 1;
+	}
+
+	// lines + numbers
+	ctx.font = `normal ${headerFontSize2}px ${fontFamily2}`;
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'center';
+	ctx.fillStyle = t2?.header?.text || '#475569';
+	for (let r = startIndexRow; r < endIndexRow; r++) {
+		const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
+		const y = (rowTop ? rowTop(r) : r * CELL_HEIGHT) - baseY;
+		const sheetRowIndex =
+			typeof mapVisualRowToSheetRow === 'function' ? mapVisualRowToSheetRow(r) : r;
+		ctx.fillText(
+			String((sheetRowIndex != null ? sheetRowIndex : r) + 1),
+			ROW_HEADER_WIDTH / 2,
+			y + (getRowHeight ? getRowHeight(r) : CELL_HEIGHT) / 2
+		);
+
+		ctx.strokeStyle = t2?.header?.gridLine || '#e5e7eb';
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		const rh = getRowHeight ? getRowHeight(r) : CELL_HEIGHT;
+		ctx.moveTo(0.5, y + rh + 0.5);
+		ctx.lineTo(ROW_HEADER_WIDTH + 0.5, y + rh + 0.5);
+		ctx.stroke();
+	}
+	ctx.restore();
+
+	// Hover resize indicator (subtle) on the row edge under cursor
+	const hoverRow = getHoverResizeRow ? getHoverResizeRow() : null;
+	if (hoverRow != null && hoverRow >= startIndexRow && hoverRow < endIndexRow) {
+		const baseY = rowTop ? rowTop(startIndexRow) : startIndexRow * CELL_HEIGHT;
+		const yEdge =
+			(rowTop
+				? rowTop(hoverRow) + (getRowHeight ? getRowHeight(hoverRow) : CELL_HEIGHT)
+				: (hoverRow + 1) * CELL_HEIGHT) - baseY;
+		ctx.save();
+		const xLeft = 4.5;
+		const xRight = ROW_HEADER_WIDTH - 4.5;
+		// soft glow
+		ctx.strokeStyle = t2?.selection?.hoverResizeGlow || 'rgba(59,130,246,0.12)';
+		ctx.lineWidth = 6;
+		ctx.beginPath();
+		ctx.moveTo(xLeft, yEdge + 0.5);
+		ctx.lineTo(xRight, yEdge + 0.5);
+		ctx.stroke();
+		// crisp center line
+		ctx.strokeStyle = t2?.selection?.hoverResizeLine || '#3b82f6';
+		ctx.lineWidth = 1.5;
+		ctx.beginPath();
+		ctx.moveTo(xLeft, yEdge + 0.5);
+		ctx.lineTo(xRight, yEdge + 0.5);
+		ctx.stroke();
+		ctx.restore();
+	}
+}
+
 function drawFilterIcon(ctx, x, y, theme, isActive, isOpen) {
 	ctx.save();
 	// Draw a clean funnel icon
@@ -289,7 +435,7 @@ function drawFilterIcon(ctx, x, y, theme, isActive, isOpen) {
 	ctx.restore();
 }
 
-function drawSortIcon(ctx, x, y, theme, dir, isActive) {
+function drawSortIcon(ctx, x, y, theme, dir, isActive, priority = null) {
 	ctx.save();
 	const activeColor = theme?.selection?.stroke || '#3b82f6';
 	const mutedColor = theme?.icon?.muted || '#94a3b8';
@@ -316,8 +462,14 @@ function drawSortIcon(ctx, x, y, theme, dir, isActive) {
 		ctx.fill();
 	}
 
-	// Active badge dot to mirror filter active affordance
-	if (isActive) {
+	// Priority number in place of the badge dot when sorting by several columns
+	if (priority != null) {
+		ctx.font = `600 9px ${theme?.font?.family || 'Inter, system-ui, sans-serif'}`;
+		ctx.textAlign = 'left';
+		ctx.textBaseline = 'middle';
+		ctx.fillText(String(priority), x + 8, y + 2);
+	} else if (isActive) {
+		// Active badge dot to mirror filter active affordance
 		ctx.beginPath();
 		ctx.arc(x + 8.5, y + 1.5, 2, 0, Math.PI * 2);
 		ctx.fillStyle = activeColor;
@@ -0,0 +1,194 @@
+import { setupCanvas2d, splitFrozenBands } from '../canvas-utils.js';
+
+/**
+ * Draws collaborators' presence on a transparent layer over the grid: each
+ * selection tinted and outlined in its owner's color, a heavier outline on their
+ * active cell and a badge with their name above it.
+ *
+ * Presence rows are sheet rows, so under a sort or filter a selection may show as
+ * several blocks, one per run of consecutive visual rows it covers. Panes are split
+ * the same way as in `drawGrid`; badges go on top, unclipped, so one on a cell at a
+ * pane's edge is still readable.
+ */
+export function drawPresence(opts) {
+	const {
+		presenceCanvas,
+		containerWidth,
+		containerHeight,
+		CELL_WIDTH,
+		CELL_HEIGHT,
+		startIndexCol,
+		endIndexCol,
+		startIndexRow,
+		endIndexRow,
+		scrollLeft,
+		scrollTop,
+		frozenRows = 0,
+		frozenCols = 0,
+		colLeft,
+		rowTop,
+		peers = [],
+		theme
+	} = opts;
+
+	if (!presenceCanvas) return;
+	const ctx = setupCanvas2d(presenceCanvas, containerWidth, containerHeight);
+	ctx.clearRect(0, 0, containerWidth, containerHeight);
+	if (peers.length === 0) return;
+
+	const frozenWidth =
+		frozenCols > 0 ? (colLeft ? colLeft(frozenCols) : frozenCols * CELL_WIDTH) : 0;
+	const frozenHeight =
+		frozenRows > 0 ? (rowTop ? rowTop(frozenRows) : frozenRows * CELL_HEIGHT) : 0;
+	const rowBands = splitFrozenBands(
+		frozenRows,
+		frozenHeight,
+		startIndexRow,
+		endIndexRow,
+		scrollTop,
+		containerHeight
+	);
+	const colBands = splitFrozenBands(
+		frozenCols,
+		frozenWidth,
+		startIndexCol,
+		endIndexCol,
+		scrollLeft,
+		containerWidth
+	);
+	/** @type {Map<string, { x:number, y:number, h:number }>} Anchor cell per peer, in canvas space */
+	const badges = new Map();
+	for (const rows of rowBands) {
+		for (const cols of colBands) {
+			ctx.save();
+			ctx.beginPath();
+			ctx.rect(cols.offset, rows.offset, cols.size, rows.size);
+			ctx.clip();
+			ctx.translate(cols.offset, rows.offset);
+			const anchors = drawPane(ctx, {
+				...opts,
+				startIndexRow: rows.start,
+				endIndexRow: rows.end,
+				startIndexCol: cols.start,
+				endIndexCol: cols.end,
+				scrollTop: rows.scroll,
+				scrollLeft: cols.scroll
+			});
+			ctx.restore();
+			for (const [clientId, cell] of anchors) {
+				if (badges.has(clientId)) continue;
+				badges.set(clientId, { ...cell, x: cell.x + cols.offset, y: cell.y + rows.offset });
+			}
+		}
+	}
+
+	const fontFamily = theme?.font?.family || 'Inter, system-ui, sans-serif';
+	ctx.font = `600 11px ${fontFamily}`;
+	ctx.textBaseline = 'middle';
+	ctx.textAlign = 'left';
+	const badgeH = 16;
+	const padX = 5;
+	for (const peer of peers) {
+		const cell = badges.get(peer.clientId);
+		if (!cell) continue;
+		const label = peer.name || 'Anonymous';
+		const w = Math.ceil(ctx.measureText(label).width) + padX * 2;
+		const x = Math.max(0, Math.min(cell.x, containerWidth - w));
+		// Above the cell, or below it when that would leave the canvas
+		const y = cell.y - badgeH >= 0 ? cell.y - badgeH : cell.y + cell.h;
+		ctx.fillStyle = peer.color;
+		ctx.fillRect(x, y, w, badgeH);
+		ctx.fillStyle = '#ffffff';
+		ctx.fillText(label, x + padX, y + badgeH / 2);
+	}
+}
+
+/**
+ * Draws every peer's selection and active cell in one pane. The context is already
+ * clipped and translated to the pane.
+ * @returns {Map<string, { x:number, y:number, h:number }>} Where each peer's active cell is, if in this pane
+ */
+function drawPane(ctx, opts) {
+	const {
+		CELL_WIDTH,
+		CELL_HEIGHT,
+		startIndexCol,
+		endIndexCol,
+		startIndexRow,
+		endIndexRow,
+		scrollLeft,
+		scrollTop,
+		getColWidth,
+		colLeft,
+		getRowHeight,
+		rowTop,
+		getMergeAt,
+		mapVisualRowToSheetRow,
+		peers = []
+	} = opts;
+
+	const cellX = (c) => (colLeft ? colLeft(c) : c * CELL_WIDTH) - scrollLeft;
+	const cellY = (r) => (rowTop ? rowTop(r) : r * CELL_HEIGHT) - scrollTop;
+	const cellW = (c) => (getColWidth ? getColWidth(c) : CELL_WIDTH);
+	const cellH = (r) => (getRowHeight ? getRowHeight(r) : CELL_HEIGHT);
+	const toSheetRow = (vr) =>
+		typeof mapVisualRowToSheetRow === 'function' ? mapVisualRowToSheetRow(vr) : vr;
+
+	// Sheet row of each visual row in the pane, plus one on either side so a
+	// selection running past the pane's edge is not outlined there
+	const first = Math.max(0, startIndexRow - 1);
+	const sheetRows = [];
+	for (let vr = first; vr <= endIndexRow; vr++) sheetRows.push(toSheetRow(vr));
+	const sheetRowAt = (vr) => sheetRows[vr - first];
+
+	const anchors = new Map();
+	for (const peer of peers) {
+		ctx.strokeStyle = peer.color;
+		ctx.fillStyle = peer.color;
+		for (const range of peer.ranges || []) {
+			if (range.c2 < startIndexCol || range.c1 >= endIndexCol) continue;
+			const x0 = cellX(range.c1);
+			const x1 = cellX(range.c2) + cellW(range.c2);
+			const inRange = (vr) => {
+				const r = sheetRowAt(vr);
+				return r != null && r >= range.r1 && r <= range.r2;
+			};
+			let vr = startIndexRow;
+			while (vr < endIndexRow) {
+				if (!inRange(vr)) {
+					vr++;
+					continue;
+				}
+				const top = vr;
+				while (vr + 1 < endIndexRow && inRange(vr + 1)) vr++;
+				const bottom = vr++;
+				let y0 = cellY(top);
+				let y1 = cellY(bottom) + cellH(bottom);
+				if (top > 0 && top === startIndexRow && inRange(top - 1)) y0 -= cellH(top - 1);
+				if (bottom === endIndexRow - 1 && inRange(bottom + 1)) y1 += cellH(bottom + 1);
+				ctx.globalAlpha = 0.1;
+				ctx.fillRect(x0, y0, x1 - x0, y1 - y0);
+				ctx.globalAlpha = 1;
+				ctx.lineWidth = 1.5;
+				ctx.strokeRect(x0 + 0.75, y0 + 0.75, x1 - x0 - 1.5, y1 - y0 - 1.5);
+			}
+		}
+
+		const anchor = peer.anchor;
+		if (!anchor || anchor.c < startIndexCol || anchor.c >= endIndexCol) continue;
+		for (let vr = startIndexRow; vr < endIndexRow; vr++) {
+			if (sheetRowAt(vr) !== anchor.r) continue;
+			// A merged active cell is outlined as a whole
+			const m = getMergeAt ? getMergeAt(vr, anchor.c) : null;
+			const x0 = cellX(m ? m.c1 : anchor.c);
+			const x1 = cellX(m ? m.c2 : anchor.c) + cellW(m ? m.c2 : anchor.c);
+			const y0 = cellY(m ? m.r1 : vr);
+			const y1 = cellY(m ? m.r2 : vr) + cellH(m ? m.r2 : vr);
+			ctx.lineWidth = 2.5;
+			ctx.strokeRect(x0 + 1.25, y0 + 1.25, x1 - x0 - 2.5, y1 - y0 - 2.5);
+			anchors.set(peer.clientId, { x: x0, y: y0, h: y1 - y0 });
+			break;
+		}
+	}
+	return anchors;
+}
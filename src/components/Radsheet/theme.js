@@ -20,14 +20,21 @@ const light = {
 	},
 	grid: {
 		lineColor: '#e5e7eb',
-		text: '#111827'
+		text: '#111827',
+		errorText: '#dc2626', // red-600
+		frozenLine: '#9ca3af' // gray-400, edge of frozen rows/columns
 	},
 	selection: {
 		stroke: '#e11d48', // rose-600
 		fillGrid: 'rgba(225,29,72,0.12)', // rose-600 with opacity
 		fillHeader: 'rgba(225,29,72,0.15)', // rose-600 with opacity
 		hoverResizeGlow: 'rgba(225,29,72,0.12)', // rose-600 with opacity
-		hoverResizeLine: '#e11d48' // rose-600
+		hoverResizeLine: '#e11d48', // rose-600
+		fillPreview: '#6b7280' // gray-500
+	},
+	find: {
+		match: 'rgba(250,204,21,0.35)', // yellow-400 with opacity
+		activeMatch: 'rgba(249,115,22,0.45)' // orange-500 with opacity
 	},
 	border: {
 		color: '#d1d5db'
@@ -77,14 +84,21 @@ const dark = {
 	},
 	grid: {
 		lineColor: '#27272a', // zinc-600
-		text: '#f4f4f5' // zinc-200
+		text: '#f4f4f5', // zinc-200
+		errorText: '#f87171', // red-400
+		frozenLine: '#71717a' // zinc-500, edge of frozen rows/columns
 	},
 	selection: {
 		stroke: '#fb7185', // rose-400
 		fillGrid: 'rgba(251,113,133,0.20)', // rose-400 with opacity
 		fillHeader: 'rgba(251,113,133,0.25)', // rose-400 with opacity
 		hoverResizeGlow: 'rgba(251,113,133,0.25)', // rose-400 with opacity
-		hoverResizeLine: '#fb7185' // rose-400
+		hoverResizeLine: '#fb7185', // rose-400
+		fillPreview: '#9ca3af' // gray-400
+	},
+	find: {
+		match: 'rgba(234,179,8,0.30)', // yellow-500 with opacity
+		activeMatch: 'rgba(249,115,22,0.50)' // orange-500 with opacity
 	},
 
 	border: {
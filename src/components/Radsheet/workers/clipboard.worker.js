@@ -1,4 +1,6 @@
-// Shared helpers duplicated minimally to avoid module loading constraints in worker bundling
+import { parseDelimitedChunks, formatDelimitedRow } from '../../../domain/clipboard/delimited.js';
+
+// Typed values (errors, dates) are left as text; worker-client.js revives them on the main thread
 function parseCell(s) {
 	if (s == null) return null;
 	const trimmed = String(s).trim();
@@ -13,30 +15,25 @@ function parseCell(s) {
 self.addEventListener('message', (e) => {
 	const { id, type, payload } = e.data || {};
 	if (type === 'parseTSVChunked') {
-		const { tsv, chunkRows = 500 } = payload;
-		const rawLines = tsv.split(/\r?\n/);
-		const lines =
-			rawLines.length > 0 && rawLines[rawLines.length - 1] === ''
-				? rawLines.slice(0, -1)
-				: rawLines;
+		const { tsv, chunkRows = 500, delimiter = '\t' } = payload;
+		// Rows are read a chunk at a time, so the size is only known at the end
+		let totalRows = 0;
 		let totalCols = 0;
-		for (let i = 0; i < lines.length; i++) {
-			const cols = lines[i].split('\t').length;
-			if (cols > totalCols) totalCols = cols;
-		}
-		postMessage({ id, type: 'init', totalRows: lines.length, totalCols });
-		for (let rowOffset = 0; rowOffset < lines.length; rowOffset += chunkRows) {
-			const slice = lines.slice(rowOffset, rowOffset + chunkRows);
-			const values = slice.map((line) => line.split('\t').map(parseCell));
-			postMessage({ id, type: 'chunk', rowOffset, values });
+		for (const rows of parseDelimitedChunks(tsv, chunkRows, { delimiter })) {
+			for (let i = 0; i < rows.length; i++) {
+				if (rows[i].length > totalCols) totalCols = rows[i].length;
+			}
+			const values = rows.map((fields) => fields.map(parseCell));
+			postMessage({ id, type: 'chunk', rowOffset: totalRows, values });
+			totalRows += rows.length;
 		}
-		postMessage({ id, type: 'done' });
+		postMessage({ id, type: 'done', totalRows, totalCols });
 	}
 
 	// Streaming serialization: main thread sends row chunks of values[][]
 	else if (type === 'serializeInit') {
 		self.__ser = self.__ser || new Map();
-		self.__ser.set(id, { lines: [] });
+		self.__ser.set(id, { lines: [], delimiter: payload?.delimiter ?? '\t' });
 		postMessage({ id, type: 'ready' });
 	} else if (type === 'serializeAppend') {
 		if (!self.__ser || !self.__ser.has(id)) return;
@@ -52,7 +49,7 @@ self.addEventListener('message', (e) => {
 				else if (typeof v === 'boolean') cells[j] = v ? 'TRUE' : 'FALSE';
 				else cells[j] = String(v);
 			}
-			state.lines.push(cells.join('\t'));
+			state.lines.push(formatDelimitedRow(cells, state.delimiter));
 		}
 		postMessage({ id, type: 'progress', appended: values.length });
 	} else if (type === 'serializeFinish') {
@@ -1,5 +1,8 @@
 // @ts-ignore
 import ClipboardWorker from './clipboard.worker.js?worker';
+// @ts-ignore
+import XlsxWorker from './xlsx.worker.js?worker';
+import { parseCell, serializeCell } from '../../../domain/clipboard/tsv.js';
 
 let worker = null;
 function getWorker() {
@@ -7,24 +10,43 @@ function getWorker() {
 	return worker;
 }
 
+let xlsxWorker = null;
+function getXlsxWorker() {
+	if (!xlsxWorker) xlsxWorker = new XlsxWorker();
+	return xlsxWorker;
+}
+
+/**
+ * Typed values such as errors cannot cross postMessage as class instances, so the
+ * worker leaves their text as strings and they are revived here.
+ * @param {any[][]} values
+ */
+function reviveTypedValues(values) {
+	for (let i = 0; i < values.length; i++) {
+		const row = values[i];
+		for (let j = 0; j < row.length; j++) {
+			if (typeof row[j] === 'string') row[j] = parseCell(row[j]);
+		}
+	}
+	return values;
+}
+
 /**
  * @param {string} tsv
- * @param {{onInit: (totalRows: number, totalCols: number) => void, onChunk: (rowOffset: number, values: any[][]) => void, onDone: () => void}} callbacks
+ * @param {{onChunk: (rowOffset: number, values: any[][]) => void, onDone: (totalRows: number, totalCols: number) => void}} callbacks
  */
-export function parseTSVChunked(tsv, { onInit, onChunk, onDone }) {
+export function parseTSVChunked(tsv, { onChunk, onDone }) {
 	const worker = getWorker();
 	const id = Date.now() + '-' + Math.random().toString(36).slice(2);
 
 	const handler = (ev) => {
 		const msg = ev.data;
 		if (!msg || msg.id !== id) return;
-		if (msg.type === 'init') {
-			onInit(msg.totalRows, msg.totalCols);
-		} else if (msg.type === 'chunk') {
-			onChunk(msg.rowOffset, msg.values);
+		if (msg.type === 'chunk') {
+			onChunk(msg.rowOffset, reviveTypedValues(msg.values));
 		} else if (msg.type === 'done') {
 			worker.removeEventListener('message', handler);
-			onDone();
+			onDone(msg.totalRows, msg.totalCols);
 		}
 	};
 	worker.addEventListener('message', handler);
@@ -62,7 +84,11 @@ export function serializeRangeToTSVAsync(readCell, r1, c1, r2, c2) {
 			const values = [];
 			for (let r = start; r <= end; r++) {
 				const row = [];
-				for (let c = c1; c <= c2; c++) row.push(readCell(r, c));
+				for (let c = c1; c <= c2; c++) {
+					const v = readCell(r, c);
+					// Send typed values as their canonical text; class instances do not survive postMessage
+					row.push(v !== null && typeof v === 'object' ? serializeCell(v) : v);
+				}
 				values.push(row);
 			}
 			worker.postMessage({ id, type: 'serializeAppend', payload: { values } });
@@ -70,3 +96,36 @@ export function serializeRangeToTSVAsync(readCell, r1, c1, r2, c2) {
 		worker.postMessage({ id, type: 'serializeFinish' });
 	});
 }
+
+/**
+ * Parses an .xlsx file in a worker, making the visitor's calls here as the worker
+ * reports them. Has the signature of `parseXlsx`, so it can stand in for it.
+ * @param {Blob|ArrayBuffer|Uint8Array} source
+ * @param {import('../../../domain/xlsx/readXlsx.js').XlsxVisitor} visitor
+ * @returns {Promise<void>}
+ */
+export function parseXlsxInWorker(source, visitor) {
+	const worker = getXlsxWorker();
+	const id = Date.now() + '-' + Math.random().toString(36).slice(2);
+
+	return new Promise((resolve, reject) => {
+		const handler = (ev) => {
+			const msg = ev.data;
+			if (!msg || msg.id !== id) return;
+			if (msg.type === 'visit') {
+				try {
+					visitor[msg.method](...msg.args);
+				} catch (err) {
+					worker.removeEventListener('message', handler);
+					reject(err);
+				}
+			} else {
+				worker.removeEventListener('message', handler);
+				if (msg.type === 'done') resolve();
+				else reject(new Error(msg.message));
+			}
+		};
+		worker.addEventListener('message', handler);
+		worker.postMessage({ id, type: 'parseXlsx', payload: { source } });
+	});
+}
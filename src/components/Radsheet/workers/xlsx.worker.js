@@ -0,0 +1,21 @@
+import { parseXlsx } from '../../../domain/xlsx/readXlsx.js';
+
+// Every XlsxVisitor call is passed on as is; its arguments are plain data
+const VISITOR_METHODS = ['workbook', 'sheetStart', 'columns', 'cells', 'merges', 'sheetEnd'];
+
+self.addEventListener('message', async (e) => {
+	const { id, type, payload } = e.data || {};
+	if (type !== 'parseXlsx') return;
+	const visitor = Object.fromEntries(
+		VISITOR_METHODS.map((method) => [
+			method,
+			(...args) => postMessage({ id, type: 'visit', method, args })
+		])
+	);
+	try {
+		await parseXlsx(payload.source, /** @type {any} */ (visitor));
+		postMessage({ id, type: 'done' });
+	} catch (err) {
+		postMessage({ id, type: 'error', message: err instanceof Error ? err.message : String(err) });
+	}
+});
@@ -0,0 +1,165 @@
+/**
+ * @file Converts chunks to and from the plain records kept in persistent storage.
+ * Records hold only typed arrays, numbers and strings so they survive the
+ * structured clone IndexedDB applies. Dense chunks keep their string ids, which
+ * stay valid for as long as the GlobalStringTable that issued them.
+ */
+import {
+	CELL_TAG_NUMBER,
+	CELL_TAG_STRING,
+	CELL_TAG_BOOLEAN,
+	CELL_TAG_ERROR,
+	CELL_TAG_DATE
+} from './ChunkTypes.js';
+import { createSparseChunk } from './ChunkFactory.js';
+import { isFormulaError, errorCodeIndex, errorFromCodeIndex } from '../formula/errors.js';
+import { dateValue, isDateValue } from '../dates/DateValue.js';
+
+/**
+ * @typedef {import('./ChunkTypes').GenericChunk} GenericChunk
+ */
+
+/**
+ * A sparse chunk as parallel arrays, one entry per stored cell. String values are
+ * listed in `strings` in the order their entries appear.
+ * @typedef {Object} SparseChunkRecord
+ * @property {'sparse'} kind
+ * @property {number} nonEmptyCellCount
+ * @property {Uint16Array} localIndices
+ * @property {Uint8Array} tags
+ * @property {Float64Array} numbers
+ * @property {string[]} strings
+ */
+
+/**
+ * @typedef {Object} DenseChunkRecord
+ * @property {'dense'} kind
+ * @property {number} nonEmptyCellCount
+ * @property {Uint8Array} tagByLocalIndex
+ * @property {Float64Array} numberByLocalIndex
+ * @property {Uint32Array} stringIdByLocalIndex
+ */
+
+/**
+ * @typedef {SparseChunkRecord|DenseChunkRecord} ChunkRecord
+ */
+
+/**
+ * Encodes a chunk for storage. Dense chunks share their arrays with the record,
+ * so the chunk must not be modified afterwards.
+ * @param {GenericChunk} chunk
+ * @returns {ChunkRecord}
+ */
+export function encodeChunk(chunk) {
+	if (chunk.kind === 'dense') {
+		return {
+			kind: 'dense',
+			nonEmptyCellCount: chunk.nonEmptyCellCount,
+			tagByLocalIndex: chunk.tagByLocalIndex,
+			numberByLocalIndex: chunk.numberByLocalIndex,
+			stringIdByLocalIndex: chunk.stringIdByLocalIndex
+		};
+	}
+	const count = chunk.localIndexToValue.size;
+	const localIndices = new Uint16Array(count);
+	const tags = new Uint8Array(count);
+	const numbers = new Float64Array(count);
+	/** @type {string[]} */
+	const strings = [];
+	let i = 0;
+	for (const [localIndex, value] of chunk.localIndexToValue) {
+		localIndices[i] = localIndex;
+		if (typeof value === 'number') {
+			tags[i] = CELL_TAG_NUMBER;
+			numbers[i] = value;
+		} else if (typeof value === 'boolean') {
+			tags[i] = CELL_TAG_BOOLEAN;
+			numbers[i] = value ? 1 : 0;
+		} else if (isFormulaError(value)) {
+			tags[i] = CELL_TAG_ERROR;
+			numbers[i] = errorCodeIndex(value);
+		} else if (isDateValue(value)) {
+			tags[i] = CELL_TAG_DATE;
+			numbers[i] = value.serial;
+		} else {
+			tags[i] = CELL_TAG_STRING;
+			strings.push(String(value));
+		}
+		i++;
+	}
+	return { kind: 'sparse', nonEmptyCellCount: count, localIndices, tags, numbers, strings };
+}
+
+/**
+ * Rebuilds a chunk from a stored record. The chunk starts out clean.
+ * @param {ChunkRecord} record
+ * @returns {GenericChunk}
+ */
+export function decodeChunk(record) {
+	if (record.kind === 'dense') {
+		return {
+			kind: 'dense',
+			nonEmptyCellCount: record.nonEmptyCellCount,
+			isDirty: false,
+			tagByLocalIndex: record.tagByLocalIndex,
+			numberByLocalIndex: record.numberByLocalIndex,
+			stringIdByLocalIndex: record.stringIdByLocalIndex
+		};
+	}
+	const chunk = createSparseChunk();
+	let nextString = 0;
+	for (let i = 0; i < record.localIndices.length; i++) {
+		const tag = record.tags[i];
+		const number = record.numbers[i];
+		let value;
+		if (tag === CELL_TAG_NUMBER) value = number;
+		else if (tag === CELL_TAG_BOOLEAN) value = number === 1;
+		else if (tag === CELL_TAG_ERROR) value = errorFromCodeIndex(number);
+		else if (tag === CELL_TAG_DATE) value = dateValue(number);
+		else value = record.strings[nextString++];
+		chunk.localIndexToValue.set(record.localIndices[i], value);
+	}
+	chunk.nonEmptyCellCount = chunk.localIndexToValue.size;
+	chunk.isDirty = false;
+	return chunk;
+}
+
+// Approximate V8 heap sizes, in bytes
+const OBJECT_OVERHEAD_BYTES = 64;
+const MAP_ENTRY_BYTES = 32;
+const HEAP_NUMBER_BYTES = 16;
+const STRING_HEADER_BYTES = 16;
+
+/**
+ * Estimates the memory a string takes on the heap.
+ * @param {string} s
+ * @returns {number}
+ */
+export function estimateStringBytes(s) {
+	return STRING_HEADER_BYTES + 2 * s.length;
+}
+
+/**
+ * Estimates the memory a chunk takes on the heap. Strings interned in the
+ * GlobalStringTable are not included.
+ * @param {GenericChunk} chunk
+ * @returns {number}
+ */
+export function estimateChunkBytes(chunk) {
+	if (chunk.kind === 'dense') {
+		return (
+			OBJECT_OVERHEAD_BYTES +
+			chunk.tagByLocalIndex.byteLength +
+			chunk.numberByLocalIndex.byteLength +
+			chunk.stringIdByLocalIndex.byteLength
+		);
+	}
+	let total = OBJECT_OVERHEAD_BYTES;
+	for (const value of chunk.localIndexToValue.values()) {
+		total += MAP_ENTRY_BYTES;
+		if (typeof value === 'string') total += estimateStringBytes(value);
+		else if (typeof value === 'number') total += HEAP_NUMBER_BYTES;
+		// Booleans are immediates; errors and dates are shared instances
+	}
+	return total;
+}
@@ -34,3 +34,31 @@ export function computeLocalIndexWithinChunk(globalRowIndex, globalColIndex) {
 	const localCol = globalColIndex & (CHUNK_NUM_COLS - 1); // fast version of globalColIndex % CHUNK_NUM_COLS
 	return (localRow << CHUNK_COL_SHIFT_BITS) | localCol; // fast version of localRow * CHUNK_NUM_COLS + localCol
 }
+
+/**
+ * Unpacks a chunk key created by `makeChunkKey` back into its coordinates.
+ * @param {number} chunkKey
+ * @returns {[number, number]} [chunkRowIndex, chunkColIndex]
+ */
+export function splitChunkKey(chunkKey) {
+	const chunkColIndex = chunkKey % MAX_CHUNK_COLUMNS_FOR_KEY_PACKING;
+	return [(chunkKey - chunkColIndex) / MAX_CHUNK_COLUMNS_FOR_KEY_PACKING, chunkColIndex];
+}
+
+/**
+ * Where a whole chunk lands when rows or columns are inserted or deleted, as its
+ * index along that axis. Only a shift by a whole number of chunks moves a chunk as
+ * is; a chunk the shift starts inside, or that holds deleted cells, is split.
+ * @param {number} chunkIndex - The chunk's row or column index
+ * @param {number} shiftBits - `CHUNK_ROW_SHIFT_BITS` or `CHUNK_COL_SHIFT_BITS`
+ * @param {number} at - First row/column affected
+ * @param {number} delta - Number inserted (positive) or deleted (negative)
+ * @returns {number} The new index, or -1 when the chunk's cells must move one by one
+ */
+export function shiftChunkIndex(chunkIndex, shiftBits, at, delta) {
+	const size = 1 << shiftBits;
+	const start = chunkIndex << shiftBits;
+	if (start + size <= at) return chunkIndex;
+	if (delta % size !== 0 || start < at || start < at - delta) return -1;
+	return chunkIndex + delta / size;
+}
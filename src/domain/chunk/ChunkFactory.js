@@ -19,6 +19,7 @@ export function createSparseChunk() {
 	return {
 		kind: 'sparse',
 		nonEmptyCellCount: 0,
+		isDirty: true,
 		localIndexToValue: new Map()
 	};
 }
@@ -33,6 +34,7 @@ export function createDenseChunk() {
 	return {
 		kind: 'dense',
 		nonEmptyCellCount: 0,
+		isDirty: true,
 		tagByLocalIndex: new Uint8Array(CELLS_PER_CHUNK),
 		numberByLocalIndex: new Float64Array(CELLS_PER_CHUNK), // also stores booleans as 0/1
 		stringIdByLocalIndex: new Uint32Array(CELLS_PER_CHUNK)
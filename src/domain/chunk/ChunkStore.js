@@ -0,0 +1,355 @@
+/**
+ * @file This file contains the ChunkStore class, which holds a sheet's chunks. It
+ * behaves like a Map keyed by chunk key. Given a persistent backend, it keeps at
+ * most `capacity` chunks in memory (the hot cache) and spills the least recently
+ * used ones to the backend, faulting them back in when they are read again.
+ */
+import { DEFAULT_HOT_CHUNK_CAPACITY } from '../constants/PromotionPolicy.js';
+import { encodeChunk, decodeChunk } from './ChunkCodec.js';
+
+/**
+ * @typedef {import('./ChunkTypes').GenericChunk} GenericChunk
+ * @typedef {import('./ChunkCodec.js').ChunkRecord} ChunkRecord
+ */
+
+/**
+ * Where spilled chunks go, e.g. an IndexedDbChunkBackend.
+ * @typedef {Object} ChunkBackend
+ * @property {(key:number) => Promise<ChunkRecord|undefined>} get
+ * @property {(key:number, record:ChunkRecord) => Promise<void>} put
+ * @property {(key:number) => Promise<void>} delete
+ * @property {() => Promise<void>} dispose
+ */
+
+/**
+ * Chunk storage with an LRU hot cache. Without a backend nothing is ever evicted.
+ *
+ * A chunk is either hot (in memory) or spilled (its only copy is a record in the
+ * backend, or one on its way there). Reading a spilled chunk returns `undefined`
+ * and starts loading it; `onLoad` listeners hear when it arrives. Iteration only
+ * visits hot chunks.
+ */
+export class ChunkStore {
+	/**
+	 * @param {{ capacity?: number, backend?: ChunkBackend|null }} [options]
+	 */
+	constructor(options = {}) {
+		const capacity = options.capacity ?? DEFAULT_HOT_CHUNK_CAPACITY;
+		if (!Number.isInteger(capacity) || capacity < 1) {
+			throw new Error('Hot chunk capacity must be a positive integer');
+		}
+		/** @type {number} */
+		this.capacity = capacity;
+		/** @type {ChunkBackend|null} */
+		this.backend = options.backend ?? null;
+		/**
+		 * Hot chunks, least recently used first.
+		 * @type {Map<number, GenericChunk>}
+		 */
+		this._hot = new Map();
+		/** @type {number|null} */
+		this._mostRecentKey = null;
+		/** @type {Set<number>} */
+		this._spilled = new Set();
+		/**
+		 * Records of spilled chunks whose write has not finished yet. Reading one
+		 * revives the chunk synchronously.
+		 * @type {Map<number, ChunkRecord>}
+		 */
+		this._writing = new Map();
+		/** @type {Set<number>} Keys with a record in the backend */
+		this._persisted = new Set();
+		/** @type {Map<number, Promise<void>>} */
+		this._loading = new Map();
+		/** @type {number} */
+		this._evictionSuspended = 0;
+		/** @type {Set<(key:number, chunk:GenericChunk) => void>} */
+		this._loadListeners = new Set();
+		/**
+		 * The last error from a background write or load.
+		 * @type {unknown}
+		 */
+		this.lastError = null;
+	}
+
+	/** Number of chunks, hot and spilled */
+	get size() {
+		return this._hot.size + this._spilled.size;
+	}
+
+	/** Number of chunks in memory */
+	get hotSize() {
+		return this._hot.size;
+	}
+
+	/** Number of chunks only held by the backend */
+	get spilledSize() {
+		return this._spilled.size;
+	}
+
+	/**
+	 * Gets a hot chunk, marking it most recently used. A spilled chunk returns
+	 * `undefined` and starts loading.
+	 * @param {number} key
+	 * @returns {GenericChunk|undefined}
+	 */
+	get(key) {
+		const chunk = this._hot.get(key);
+		if (chunk) {
+			if (this.backend && key !== this._mostRecentKey) this._touch(key, chunk);
+			return chunk;
+		}
+		if (this._spilled.size === 0 || !this._spilled.has(key)) return undefined;
+		const record = this._writing.get(key);
+		if (record) return this._revive(key, record);
+		this.load(key).catch((err) => {
+			this.lastError = err;
+		});
+		return undefined;
+	}
+
+	/**
+	 * Whether a chunk exists, hot or spilled.
+	 * @param {number} key
+	 * @returns {boolean}
+	 */
+	has(key) {
+		return this._hot.has(key) || this._spilled.has(key);
+	}
+
+	/**
+	 * Whether a chunk exists but is not in memory.
+	 * @param {number} key
+	 * @returns {boolean}
+	 */
+	isSpilled(key) {
+		return this._spilled.has(key);
+	}
+
+	/**
+	 * Stores a chunk as the most recently used one and marks it dirty. Replaces a
+	 * spilled chunk with the same key.
+	 * @param {number} key
+	 * @param {GenericChunk} chunk
+	 * @returns {this}
+	 */
+	set(key, chunk) {
+		chunk.isDirty = true;
+		if (this._spilled.size > 0 && this._spilled.delete(key)) this._writing.delete(key);
+		this._insertHot(key, chunk);
+		return this;
+	}
+
+	/**
+	 * Removes a chunk, hot or spilled.
+	 * @param {number} key
+	 * @returns {boolean} Whether it existed
+	 */
+	delete(key) {
+		const existed = this._hot.delete(key) || this._spilled.delete(key);
+		this._writing.delete(key);
+		if (this._mostRecentKey === key) this._mostRecentKey = null;
+		if (this._persisted.delete(key)) {
+			this.backend.delete(key).catch((err) => {
+				this.lastError = err;
+			});
+		}
+		return existed;
+	}
+
+	/** Removes every chunk. */
+	clear() {
+		for (const key of Array.from(this._persisted)) this.delete(key);
+		this._hot.clear();
+		this._spilled.clear();
+		this._writing.clear();
+		this._mostRecentKey = null;
+	}
+
+	/** @returns {IterableIterator<number>} Keys of the hot chunks */
+	keys() {
+		return this._hot.keys();
+	}
+
+	/** @returns {IterableIterator<GenericChunk>} The hot chunks */
+	values() {
+		return this._hot.values();
+	}
+
+	/** @returns {IterableIterator<[number, GenericChunk]>} The hot chunks */
+	entries() {
+		return this._hot.entries();
+	}
+
+	[Symbol.iterator]() {
+		return this._hot.entries();
+	}
+
+	/**
+	 * Loads a spilled chunk into the hot cache. Resolves once it is hot, or
+	 * straight away if it is not spilled.
+	 * @param {number} key
+	 * @returns {Promise<void>}
+	 */
+	load(key) {
+		if (!this._spilled.has(key)) return Promise.resolve();
+		const record = this._writing.get(key);
+		if (record) {
+			this._revive(key, record);
+			return Promise.resolve();
+		}
+		let pending = this._loading.get(key);
+		if (!pending) {
+			pending = this.backend.get(key).then(
+				(loaded) => {
+					this._loading.delete(key);
+					// Deleted, overwritten or spilled again while the read was in flight
+					if (!this._spilled.has(key)) return;
+					if (this._writing.has(key)) return this.load(key);
+					if (!loaded) {
+						this._spilled.delete(key);
+						throw new Error(`Chunk ${key} is missing from storage`);
+					}
+					this._spilled.delete(key);
+					const chunk = decodeChunk(loaded);
+					this._insertHot(key, chunk);
+					for (const listener of this._loadListeners) listener(key, chunk);
+				},
+				(err) => {
+					this._loading.delete(key);
+					throw err;
+				}
+			);
+			this._loading.set(key, pending);
+		}
+		return pending;
+	}
+
+	/**
+	 * Loads every spilled chunk. Chunks loaded early may be evicted again by later
+	 * ones unless eviction is suspended.
+	 * @returns {Promise<void>}
+	 */
+	async loadAll() {
+		await Promise.all(Array.from(this._spilled, (key) => this.load(key)));
+	}
+
+	/**
+	 * Stops evicting until a matching `resumeEviction`, so a batch of reads and
+	 * writes can rely on every chunk it touched staying in memory.
+	 */
+	suspendEviction() {
+		this._evictionSuspended++;
+	}
+
+	/** Resumes evicting and brings the hot cache back within capacity. */
+	resumeEviction() {
+		if (this._evictionSuspended > 0) this._evictionSuspended--;
+		this._evictOverflow();
+	}
+
+	/**
+	 * Brings back every spilled chunk whose record is still in memory.
+	 * @returns {boolean} Whether every chunk is now hot
+	 */
+	reviveWritten() {
+		for (const [key, record] of Array.from(this._writing)) this._revive(key, record);
+		return this._spilled.size === 0;
+	}
+
+	/**
+	 * Subscribes to chunks arriving from the backend.
+	 * @param {(key:number, chunk:GenericChunk) => void} listener
+	 * @returns {() => void} Unsubscribe
+	 */
+	onLoad(listener) {
+		this._loadListeners.add(listener);
+		return () => this._loadListeners.delete(listener);
+	}
+
+	/**
+	 * Drops every chunk and releases the backend.
+	 * @returns {Promise<void>}
+	 */
+	async dispose() {
+		this._persisted.clear();
+		this.clear();
+		if (this.backend) await this.backend.dispose();
+	}
+
+	/**
+	 * @param {number} key
+	 * @param {GenericChunk} chunk
+	 */
+	_touch(key, chunk) {
+		this._hot.delete(key);
+		this._hot.set(key, chunk);
+		this._mostRecentKey = key;
+	}
+
+	/**
+	 * @param {number} key
+	 * @param {GenericChunk} chunk
+	 */
+	_insertHot(key, chunk) {
+		this._hot.delete(key);
+		this._hot.set(key, chunk);
+		this._mostRecentKey = key;
+		this._evictOverflow();
+	}
+
+	/**
+	 * Turns a record whose write is still in flight back into a hot chunk. It counts
+	 * as dirty since that write may yet fail.
+	 * @param {number} key
+	 * @param {ChunkRecord} record
+	 * @param {boolean} [evict] - Whether to make room for it right away
+	 * @returns {GenericChunk}
+	 */
+	_revive(key, record, evict = true) {
+		this._writing.delete(key);
+		this._spilled.delete(key);
+		const chunk = decodeChunk(record);
+		chunk.isDirty = true;
+		if (evict) {
+			this._insertHot(key, chunk);
+		} else {
+			this._hot.set(key, chunk);
+		}
+		return chunk;
+	}
+
+	_evictOverflow() {
+		if (!this.backend || this._evictionSuspended > 0) return;
+		while (this._hot.size > this.capacity) {
+			const [key, chunk] = this._hot.entries().next().value;
+			this._evict(key, chunk);
+		}
+	}
+
+	/**
+	 * Spills a chunk, writing it to the backend unless an unchanged copy is there.
+	 * @param {number} key
+	 * @param {GenericChunk} chunk
+	 */
+	_evict(key, chunk) {
+		this._hot.delete(key);
+		if (this._mostRecentKey === key) this._mostRecentKey = null;
+		this._spilled.add(key);
+		if (!chunk.isDirty && this._persisted.has(key)) return;
+
+		const record = encodeChunk(chunk);
+		this._writing.set(key, record);
+		this._persisted.add(key);
+		this.backend.put(key, record).then(
+			() => {
+				if (this._writing.get(key) === record) this._writing.delete(key);
+			},
+			(err) => {
+				this.lastError = err;
+				// Keep the data: the chunk stays in memory until the next eviction retries it
+				if (this._writing.get(key) === record) this._revive(key, record, false);
+			}
+		);
+	}
+}
@@ -30,12 +30,27 @@ export const CELL_TAG_STRING = 2;
  */
 export const CELL_TAG_BOOLEAN = 3;
 
+/**
+ * Tag indicating that a cell contains an error value such as `#N/A`. The error
+ * is stored as its index in `ERROR_CODES` in the numeric payload of dense chunks.
+ * @type {4}
+ */
+export const CELL_TAG_ERROR = 4;
+
+/**
+ * Tag indicating that a cell contains a date or datetime. The value is stored as
+ * its serial number (days since 1899-12-30, time as a fraction) in the numeric
+ * payload of dense chunks.
+ * @type {5}
+ */
+export const CELL_TAG_DATE = 5;
+
 /**
  * @typedef {import('../strings/GlobalStringTable').GlobalStringTable} GlobalStringTable
  */
 
 /**
- * @typedef {0 | 1 | 2 | 3} CellTag
+ * @typedef {0 | 1 | 2 | 3 | 4 | 5} CellTag
  * A numeric tag representing the type of data stored in a cell.
  */
 
@@ -43,7 +58,7 @@ export const CELL_TAG_BOOLEAN = 3;
  * @typedef {object} SparseChunk
  * @property {'sparse'} kind - The type discriminator for the chunk.
  * @property {number} nonEmptyCellCount - The number of cells that have a value.
- * @property {Map<number, number|string|boolean>} localIndexToValue - A map from the cell's local index within the chunk to its JavaScript value.
+ * @property {Map<number, number|string|boolean|import('../formula/errors.js').FormulaError|import('../dates/DateValue.js').DateValue>} localIndexToValue - A map from the cell's local index within the chunk to its JavaScript value.
  * @property {boolean} isDirty - A flag indicating if the chunk has been modified since it was last persisted.
  */
 
@@ -53,7 +68,7 @@ export const CELL_TAG_BOOLEAN = 3;
  * @property {number} nonEmptyCellCount - The number of cells that have a value.
  * @property {boolean} isDirty - A flag indicating if the chunk has been modified since it was last persisted.
  * @property {Uint8Array} tagByLocalIndex - A struct-of-arrays field. An array where each index corresponds to a cell's local index, and the value is its `CellTag`.
- * @property {Float64Array} numberByLocalIndex - A struct-of-arrays field. Stores numeric values for cells tagged as `CELL_TAG_NUMBER` or `CELL_TAG_BOOLEAN` (as 0 or 1).
+ * @property {Float64Array} numberByLocalIndex - A struct-of-arrays field. Stores numeric values for cells tagged as `CELL_TAG_NUMBER`, `CELL_TAG_BOOLEAN` (as 0 or 1), `CELL_TAG_ERROR` (as an error code index) or `CELL_TAG_DATE` (as a serial number).
  * @property {Uint32Array} stringIdByLocalIndex - A struct-of-arrays field. Stores string IDs for cells tagged as `CELL_TAG_STRING`. The ID maps to the `GlobalStringTable`.
  */
 
@@ -0,0 +1,135 @@
+/**
+ * @file This file contains the IndexedDbChunkBackend class, the persistent storage
+ * ChunkStore spills cold chunks to. Each backend owns one database, which only
+ * lives as long as the sheet using it: it is emptied when first opened and
+ * deleted by `dispose`.
+ */
+
+/**
+ * @typedef {import('./ChunkCodec.js').ChunkRecord} ChunkRecord
+ */
+
+const OBJECT_STORE_NAME = 'chunks';
+
+/**
+ * Chunk records in IndexedDB, keyed by chunk key.
+ */
+export class IndexedDbChunkBackend {
+	/**
+	 * @param {{ name?: string, indexedDB?: IDBFactory }} [options] - `indexedDB`
+	 *   defaults to the global one
+	 */
+	constructor(options = {}) {
+		/** @type {string} */
+		this.name =
+			options.name ?? `radsheet-chunks-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+		/** @type {IDBFactory} */
+		this._factory = options.indexedDB ?? globalThis.indexedDB;
+		if (!this._factory) throw new Error('IndexedDB is not available');
+		/** @type {Promise<IDBDatabase>|null} */
+		this._db = null;
+	}
+
+	/**
+	 * @param {number} key
+	 * @returns {Promise<ChunkRecord|undefined>}
+	 */
+	async get(key) {
+		return this._request('readonly', (store) => store.get(key));
+	}
+
+	/**
+	 * @param {number} key
+	 * @param {ChunkRecord} record
+	 * @returns {Promise<void>}
+	 */
+	async put(key, record) {
+		await this._request('readwrite', (store) => store.put(record, key));
+	}
+
+	/**
+	 * @param {number} key
+	 * @returns {Promise<void>}
+	 */
+	async delete(key) {
+		await this._request('readwrite', (store) => store.delete(key));
+	}
+
+	/**
+	 * Closes and deletes the database.
+	 * @returns {Promise<void>}
+	 */
+	async dispose() {
+		if (this._db) {
+			const db = await this._db.catch(() => null);
+			if (db) db.close();
+			this._db = null;
+		}
+		await promisify(this._factory.deleteDatabase(this.name));
+	}
+
+	/**
+	 * Opens the database on first use, dropping whatever an earlier session left.
+	 * @returns {Promise<IDBDatabase>}
+	 */
+	_open() {
+		if (!this._db) {
+			const request = this._factory.open(this.name, 1);
+			request.onupgradeneeded = () => {
+				const db = request.result;
+				if (db.objectStoreNames.contains(OBJECT_STORE_NAME)) {
+					db.deleteObjectStore(OBJECT_STORE_NAME);
+				}
+				db.createObjectStore(OBJECT_STORE_NAME);
+			};
+			this._db = promisify(request).then(async (db) => {
+				const tx = db.transaction(OBJECT_STORE_NAME, 'readwrite');
+				await promisify(tx.objectStore(OBJECT_STORE_NAME).clear());
+				return db;
+			});
+		}
+		return this._db;
+	}
+
+	/**
+	 * Runs one request in its own transaction. Read-write transactions run in the
+	 * order they were created, so a put followed by a delete of the same key lands
+	 * in that order.
+	 * @param {IDBTransactionMode} mode
+	 * @param {(store: IDBObjectStore) => IDBRequest} makeRequest
+	 * @returns {Promise<any>}
+	 */
+	async _request(mode, makeRequest) {
+		const db = await this._open();
+		const tx = db.transaction(OBJECT_STORE_NAME, mode);
+		const request = makeRequest(tx.objectStore(OBJECT_STORE_NAME));
+		const done = mode === 'readwrite' ? transactionDone(tx) : null;
+		const result = await promisify(request);
+		if (done) await done;
+		return result;
+	}
+}
+
+/**
+ * @template T
+ * @param {IDBRequest<T>|IDBOpenDBRequest} request
+ * @returns {Promise<T>}
+ */
+function promisify(request) {
+	return new Promise((resolve, reject) => {
+		request.onsuccess = () => resolve(/** @type {T} */ (request.result));
+		request.onerror = () => reject(request.error);
+	});
+}
+
+/**
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+	return new Promise((resolve, reject) => {
+		tx.oncomplete = () => resolve();
+		tx.onerror = () => reject(tx.error);
+		tx.onabort = () => reject(tx.error);
+	});
+}
@@ -0,0 +1,231 @@
+/**
+ * @file Reads and writes delimiter-separated text (CSV, TSV) as RFC 4180 describes it:
+ *   - a field holding the delimiter, a quote or a line break is wrapped in quotes,
+ *     and quotes inside it are doubled
+ *   - rows end with CRLF, LF or a lone CR; a final line break does not start a row
+ *   - a leading byte order mark is skipped
+ * Reading is lenient the way spreadsheet apps are: a quote inside an unquoted field
+ * is kept as text, text after a closing quote is appended to the field, and a quote
+ * that is never closed is read as a plain character. Fields stay strings; turning
+ * them into cell values is up to the caller (see `parseCell`).
+ */
+
+const QUOTE = 34;
+const LF = 10;
+const CR = 13;
+const BOM = '\uFEFF';
+
+/**
+ * @typedef {Object} DelimitedOptions
+ * @property {string} [delimiter] - One character, ',' by default
+ * @property {string} [newline] - Written between rows, '\r\n' by default
+ */
+
+/**
+ * Splits text into rows of fields.
+ * @param {string} text
+ * @param {DelimitedOptions} [options]
+ * @returns {string[][]}
+ */
+export function parseDelimited(text, options = {}) {
+	if (!text) return [];
+	const delimiter = checkDelimiter(options.delimiter);
+	const rows = [];
+	readRows(stripBom(text), 0, delimiter, true, rows);
+	return rows;
+}
+
+/**
+ * Splits text into rows lazily, `chunkRows` at a time, so a large paste is never
+ * held as rows all at once.
+ * @param {string} text
+ * @param {number} [chunkRows]
+ * @param {DelimitedOptions} [options]
+ * @returns {Generator<string[][]>}
+ */
+export function* parseDelimitedChunks(text, chunkRows = 500, options = {}) {
+	if (!text) return;
+	const delimiter = checkDelimiter(options.delimiter);
+	const body = stripBom(text);
+	let pos = 0;
+	while (pos < body.length) {
+		const rows = [];
+		pos = readRows(body, pos, delimiter, true, rows, chunkRows);
+		yield rows;
+	}
+}
+
+/**
+ * Parses text that arrives in pieces, e.g. from a stream. Each `push` returns the
+ * rows completed so far; a row split across pieces comes out once its end arrives.
+ * @param {DelimitedOptions} [options]
+ * @returns {{ push: (text:string) => string[][], finish: () => string[][] }}
+ */
+export function createDelimitedParser(options = {}) {
+	const delimiter = checkDelimiter(options.delimiter);
+	let pending = '';
+	let started = false;
+	return {
+		push(text) {
+			pending += text;
+			if (!started && pending.length > 0) {
+				pending = stripBom(pending);
+				started = true;
+			}
+			const rows = [];
+			pending = pending.slice(readRows(pending, 0, delimiter, false, rows));
+			return rows;
+		},
+		finish() {
+			const rows = [];
+			readRows(pending, 0, delimiter, true, rows);
+			pending = '';
+			return rows;
+		}
+	};
+}
+
+/**
+ * Quotes a field when it needs quoting to read back the same.
+ * @param {string} field
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function formatDelimitedField(field, delimiter = ',') {
+	const needsQuotes =
+		field.includes(delimiter) ||
+		field.includes('"') ||
+		field.includes('\n') ||
+		field.includes('\r');
+	return needsQuotes ? `"${field.replace(/"/g, '""')}"` : field;
+}
+
+/**
+ * Joins the fields of one row, without a line break.
+ * @param {string[]} fields
+ * @param {string} [delimiter]
+ * @returns {string}
+ */
+export function formatDelimitedRow(fields, delimiter = ',') {
+	const out = new Array(fields.length);
+	for (let i = 0; i < fields.length; i++) out[i] = formatDelimitedField(fields[i], delimiter);
+	return out.join(delimiter);
+}
+
+/**
+ * Joins rows of fields into text, without a final line break.
+ * @param {string[][]} rows
+ * @param {DelimitedOptions} [options]
+ * @returns {string}
+ */
+export function formatDelimited(rows, options = {}) {
+	const delimiter = checkDelimiter(options.delimiter);
+	const lines = new Array(rows.length);
+	for (let i = 0; i < rows.length; i++) lines[i] = formatDelimitedRow(rows[i], delimiter);
+	return lines.join(options.newline ?? '\r\n');
+}
+
+/**
+ * @param {string|undefined} delimiter
+ * @returns {string}
+ */
+function checkDelimiter(delimiter = ',') {
+	if (delimiter.length !== 1 || delimiter === '"' || delimiter === '\n' || delimiter === '\r') {
+		throw new Error(`Invalid delimiter ${JSON.stringify(delimiter)}`);
+	}
+	return delimiter;
+}
+
+/** @param {string} text */
+function stripBom(text) {
+	return text.startsWith(BOM) ? text.slice(1) : text;
+}
+
+/**
+ * Reads whole rows from `text` starting at `pos` into `rows`.
+ * @param {string} text
+ * @param {number} pos
+ * @param {string} delimiter
+ * @param {boolean} atEnd - Whether no more text follows; otherwise a row that may
+ *   continue in the next piece is left unread
+ * @param {string[][]} rows
+ * @param {number} [maxRows] - Stop once `rows` holds this many
+ * @returns {number} Where reading stopped
+ */
+function readRows(text, pos, delimiter, atEnd, rows, maxRows = Infinity) {
+	const length = text.length;
+	const delimiterCode = delimiter.charCodeAt(0);
+	while (pos < length && rows.length < maxRows) {
+		const rowStart = pos;
+		const row = [];
+		let rowDone = false;
+		while (!rowDone) {
+			let field = '';
+			let i = pos;
+			if (text.charCodeAt(i) === QUOTE) {
+				const closed = readQuoted(text, i + 1);
+				if (closed) {
+					field = closed.value;
+					i = closed.end;
+				} else if (!atEnd) {
+					return rowStart;
+				}
+				// An unclosed quote is read as text below. A closing quote at the end
+				// of a piece may be half of a doubled one, so such a row waits too.
+			}
+			const start = i;
+			while (i < length) {
+				const code = text.charCodeAt(i);
+				if (code === delimiterCode || code === LF || code === CR) break;
+				i++;
+			}
+			field += text.slice(start, i);
+			if (i >= length) {
+				if (!atEnd) return rowStart;
+				row.push(field);
+				pos = length;
+				rowDone = true;
+			} else if (text.charCodeAt(i) === delimiterCode) {
+				row.push(field);
+				pos = i + 1;
+				// A delimiter at the very end still ends a field: `a,` is two fields
+				if (pos >= length && atEnd) {
+					row.push('');
+					rowDone = true;
+				}
+			} else {
+				// A CR may be followed by an LF in the next piece
+				if (text.charCodeAt(i) === CR && i + 1 >= length && !atEnd) return rowStart;
+				row.push(field);
+				pos = text.charCodeAt(i) === CR && text.charCodeAt(i + 1) === LF ? i + 2 : i + 1;
+				rowDone = true;
+			}
+			if (!rowDone && pos >= length && !atEnd) return rowStart;
+		}
+		rows.push(row);
+	}
+	return pos;
+}
+
+/**
+ * Reads a quoted field's content.
+ * @param {string} text
+ * @param {number} start - Just after the opening quote
+ * @returns {{ value:string, end:number }|null} `end` is just after the closing
+ *   quote; null when the quote is not closed (yet)
+ */
+function readQuoted(text, start) {
+	let value = '';
+	let i = start;
+	for (;;) {
+		const quote = text.indexOf('"', i);
+		if (quote === -1) return null;
+		value += text.slice(i, quote);
+		if (text.charCodeAt(quote + 1) === QUOTE) {
+			value += '"';
+			i = quote + 2;
+			continue;
+		}
+		return { value, end: quote + 1 };
+	}
+}
@@ -0,0 +1,475 @@
+/**
+ * @file Reads and writes HTML tables, the rich clipboard format other spreadsheets
+ * and web pages exchange. Copying writes a `<table>` with inline CSS next to the
+ * plain text; pasting maps `colspan`/`rowspan` to merges, basic CSS to cell styles
+ * and numeric cells to numbers. Excel's `x:num` and Google Sheets'
+ * `data-sheets-value` attributes carry the unformatted number when present.
+ */
+import { parseCell } from './tsv.js';
+
+/**
+ * @typedef {import('../style/StyleTable.js').CellStyle} CellStyle
+ * @typedef {import('../style/StyleTable.js').Border} Border
+ * @typedef {import('../merge/MergeRegistry.js').MergeRange} MergeRange
+ */
+
+/**
+ * @typedef {Object} HtmlTableCell
+ * @property {string} text - As displayed
+ * @property {import('../sheet/sheet.js').CellValue} [value] - Numbers are also written
+ *   unformatted so spreadsheet apps read them back exactly
+ * @property {Readonly<CellStyle>} [style]
+ */
+
+/**
+ * @typedef {Object} ParsedHtmlTable
+ * @property {number} rows
+ * @property {number} cols
+ * @property {import('../sheet/sheet.js').CellValue[][]} values - `rows` x `cols`
+ * @property {CellStyle[][]} styles - `rows` x `cols`; cells inside a merge share its style
+ * @property {MergeRange[]} merges - Relative to the table's top-left
+ */
+
+/** Row and column spans beyond this are treated as typos rather than honoured */
+const MAX_SPAN = 1000;
+
+const BORDER_WIDTH_PX = { thin: 1, medium: 2, thick: 3, dashed: 1, dotted: 1 };
+
+/**
+ * Writes a block of cells as an HTML table.
+ * @param {HtmlTableCell[][]} cells - Rows of cells
+ * @param {MergeRange[]} [merges] - Relative to the block's top-left
+ * @returns {string}
+ */
+export function formatHtmlTable(cells, merges = []) {
+	const rowCount = cells.length;
+	const colCount = rowCount > 0 ? cells[0].length : 0;
+	/** @type {Map<string, MergeRange>} */
+	const mergeByAnchor = new Map();
+	/** @type {Set<string>} */
+	const covered = new Set();
+	for (const m of merges) {
+		const r1 = Math.max(0, m.r1);
+		const c1 = Math.max(0, m.c1);
+		const r2 = Math.min(rowCount - 1, m.r2);
+		const c2 = Math.min(colCount - 1, m.c2);
+		if (r1 > r2 || c1 > c2 || (r1 === r2 && c1 === c2)) continue;
+		mergeByAnchor.set(`${r1},${c1}`, { r1, c1, r2, c2 });
+		for (let r = r1; r <= r2; r++) {
+			for (let c = c1; c <= c2; c++) if (r !== r1 || c !== c1) covered.add(`${r},${c}`);
+		}
+	}
+
+	const parts = ['<table style="border-collapse:collapse"><tbody>'];
+	for (let r = 0; r < rowCount; r++) {
+		parts.push('<tr>');
+		for (let c = 0; c < colCount; c++) {
+			const key = `${r},${c}`;
+			if (covered.has(key)) continue;
+			const cell = cells[r][c];
+			let attrs = '';
+			const merge = mergeByAnchor.get(key);
+			if (merge) {
+				if (merge.r2 > merge.r1) attrs += ` rowspan="${merge.r2 - merge.r1 + 1}"`;
+				if (merge.c2 > merge.c1) attrs += ` colspan="${merge.c2 - merge.c1 + 1}"`;
+			}
+			if (typeof cell.value === 'number' && Number.isFinite(cell.value)) {
+				attrs += ` x:num="${cell.value}"`;
+			}
+			const css = cell.style ? styleToCss(cell.style) : '';
+			if (css) attrs += ` style="${escapeHtml(css)}"`;
+			parts.push(`<td${attrs}>${escapeHtml(cell.text).replace(/\r?\n/g, '<br>')}</td>`);
+		}
+		parts.push('</tr>');
+	}
+	parts.push('</tbody></table>');
+	return parts.join('');
+}
+
+/**
+ * Reads the first table of an HTML document or fragment.
+ * @param {string} html
+ * @returns {ParsedHtmlTable|null} Null when there is no table
+ */
+export function parseHtmlTable(html) {
+	if (!html || typeof DOMParser === 'undefined') return null;
+	const doc = new DOMParser().parseFromString(html, 'text/html');
+	const table = doc.querySelector('table');
+	if (!table) return null;
+	const classRules = readClassRules(doc);
+
+	const tableRows = Array.from(table.querySelectorAll('tr')).filter(
+		(tr) => tr.closest('table') === table
+	);
+	/** @type {boolean[][]} */
+	const taken = [];
+	/** @type {import('../sheet/sheet.js').CellValue[][]} */
+	const values = [];
+	/** @type {CellStyle[][]} */
+	const styles = [];
+	/** @type {MergeRange[]} */
+	const merges = [];
+	let cols = 0;
+
+	for (let r = 0; r < tableRows.length; r++) {
+		let c = 0;
+		for (const cell of Array.from(tableRows[r].children)) {
+			if (cell.tagName !== 'TD' && cell.tagName !== 'TH') continue;
+			while (taken[r]?.[c]) c++;
+			const rowSpan = Math.min(readSpan(cell, 'rowspan'), tableRows.length - r);
+			const colSpan = readSpan(cell, 'colspan');
+			const style = readCellStyle(cell, classRules);
+			for (let dr = 0; dr < rowSpan; dr++) {
+				const row = r + dr;
+				taken[row] ??= [];
+				values[row] ??= [];
+				styles[row] ??= [];
+				for (let dc = 0; dc < colSpan; dc++) {
+					taken[row][c + dc] = true;
+					values[row][c + dc] = null;
+					styles[row][c + dc] = style;
+				}
+			}
+			values[r][c] = readCellValue(cell);
+			if (rowSpan > 1 || colSpan > 1) {
+				merges.push({ r1: r, c1: c, r2: r + rowSpan - 1, c2: c + colSpan - 1 });
+			}
+			c += colSpan;
+			cols = Math.max(cols, c);
+		}
+	}
+
+	const rows = tableRows.length;
+	if (rows === 0 || cols === 0) return null;
+	for (let r = 0; r < rows; r++) {
+		values[r] ??= [];
+		styles[r] ??= [];
+		for (let c = 0; c < cols; c++) {
+			values[r][c] ??= null;
+			styles[r][c] ??= {};
+		}
+	}
+	return { rows, cols, values, styles, merges };
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+	return String(text)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {Readonly<CellStyle>} style
+ * @returns {string}
+ */
+function styleToCss(style) {
+	const decls = [];
+	if (style.bold) decls.push('font-weight:bold');
+	if (style.italic) decls.push('font-style:italic');
+	if (style.color) decls.push(`color:${style.color}`);
+	if (style.fill) decls.push(`background-color:${style.fill}`);
+	if (style.hAlign) decls.push(`text-align:${style.hAlign}`);
+	if (style.vAlign) decls.push(`vertical-align:${style.vAlign}`);
+	for (const [prop, css] of [
+		['borderTop', 'border-top'],
+		['borderRight', 'border-right'],
+		['borderBottom', 'border-bottom'],
+		['borderLeft', 'border-left']
+	]) {
+		/** @type {Border|undefined} */
+		const border = style[prop];
+		if (!border) continue;
+		const line = border.style === 'dashed' || border.style === 'dotted' ? border.style : 'solid';
+		decls.push(`${css}:${BORDER_WIDTH_PX[border.style] ?? 1}px ${line} ${border.color}`);
+	}
+	return decls.join(';');
+}
+
+/**
+ * Collects `.name { ... }` rules from the document's style sheets, which is how
+ * Excel styles the cells it copies (`<td class=xl65>`).
+ * @param {Document} doc
+ * @returns {Map<string, string>} Declarations by class name
+ */
+function readClassRules(doc) {
+	/** @type {Map<string, string>} */
+	const rules = new Map();
+	for (const el of Array.from(doc.querySelectorAll('style'))) {
+		const css = (el.textContent ?? '').replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+		for (const m of css.matchAll(/([^{}]+)\{([^}]*)\}/g)) {
+			for (const selector of m[1].split(',')) {
+				const cls = /^[a-z]*\.([\w-]+)$/i.exec(selector.trim());
+				if (cls) rules.set(cls[1], (rules.get(cls[1]) ?? '') + ';' + m[2]);
+			}
+		}
+	}
+	return rules;
+}
+
+/**
+ * @param {Element} cell
+ * @param {'rowspan'|'colspan'} name
+ * @returns {number}
+ */
+function readSpan(cell, name) {
+	const span = parseInt(cell.getAttribute(name) ?? '', 10);
+	return Number.isFinite(span) && span > 1 ? Math.min(span, MAX_SPAN) : 1;
+}
+
+/**
+ * @param {Element} cell
+ * @param {Map<string, string>} classRules
+ * @returns {CellStyle}
+ */
+function readCellStyle(cell, classRules) {
+	/** @type {CellStyle} */
+	const style = {};
+	const text = (cell.textContent ?? '').trim();
+	// Tags wrapping the whole text: `<td><b>Total</b></td>`
+	const wraps = (/** @type {string} */ selector) =>
+		text !== '' &&
+		Array.from(cell.querySelectorAll(selector)).some(
+			(el) => (el.textContent ?? '').trim() === text
+		);
+	if (cell.tagName === 'TH') {
+		style.bold = true;
+		style.hAlign = 'center';
+	}
+	if (wraps('b,strong')) style.bold = true;
+	if (wraps('i,em')) style.italic = true;
+
+	const declarations = [];
+	for (const cls of Array.from(cell.classList)) {
+		const rule = classRules.get(cls);
+		if (rule) declarations.push(rule);
+	}
+	declarations.push(cell.getAttribute('style') ?? '');
+	for (const decl of declarations.join(';').split(';')) {
+		const colon = decl.indexOf(':');
+		if (colon === -1) continue;
+		const prop = decl.slice(0, colon).trim().toLowerCase();
+		const value = decl
+			.slice(colon + 1)
+			.replace(/!important/i, '')
+			.trim();
+		applyDeclaration(style, prop, value);
+	}
+	return style;
+}
+
+/**
+ * @param {CellStyle} style
+ * @param {string} prop
+ * @param {string} value
+ */
+function applyDeclaration(style, prop, value) {
+	const lower = value.toLowerCase();
+	switch (prop) {
+		case 'font-weight':
+			style.bold = lower === 'bold' || lower === 'bolder' || parseInt(lower, 10) >= 600;
+			break;
+		case 'font-style':
+			style.italic = lower === 'italic' || lower === 'oblique';
+			break;
+		case 'color': {
+			const color = parseColor(lower);
+			if (color) style.color = color;
+			break;
+		}
+		case 'background':
+		case 'background-color': {
+			const color = parseColor(lower);
+			if (color) style.fill = color;
+			else if (lower === 'none' || lower === 'transparent') delete style.fill;
+			break;
+		}
+		case 'text-align':
+			if (lower === 'left' || lower === 'start') style.hAlign = 'left';
+			else if (lower === 'center') style.hAlign = 'center';
+			else if (lower === 'right' || lower === 'end') style.hAlign = 'right';
+			break;
+		case 'vertical-align':
+			if (lower === 'top' || lower === 'bottom') style.vAlign = lower;
+			else if (lower === 'middle') style.vAlign = 'middle';
+			break;
+		case 'border':
+			for (const side of ['borderTop', 'borderRight', 'borderBottom', 'borderLeft']) {
+				setBorder(style, side, lower);
+			}
+			break;
+		case 'border-top':
+			setBorder(style, 'borderTop', lower);
+			break;
+		case 'border-right':
+			setBorder(style, 'borderRight', lower);
+			break;
+		case 'border-bottom':
+			setBorder(style, 'borderBottom', lower);
+			break;
+		case 'border-left':
+			setBorder(style, 'borderLeft', lower);
+			break;
+	}
+}
+
+/**
+ * Reads a `border` shorthand such as `1px solid #000` or Excel's
+ * `.5pt solid windowtext`.
+ * @param {CellStyle} style
+ * @param {string} side
+ * @param {string} value
+ */
+function setBorder(style, side, value) {
+	const parts = value.replace(/\s*,\s*/g, ',').split(/\s+/);
+	const line = parts.find((p) =>
+		/^(none|hidden|solid|dashed|dotted|double|groove|ridge|inset|outset)$/.test(p)
+	);
+	if (!line || line === 'none' || line === 'hidden') {
+		delete style[side];
+		return;
+	}
+	const widthPart = parts.find(
+		(p) => /^[\d.]+(px|pt)?$/.test(p) || /^(thin|medium|thick)$/.test(p)
+	);
+	let px = 1;
+	if (widthPart === 'medium') px = 2;
+	else if (widthPart === 'thick') px = 3;
+	else if (widthPart && widthPart !== 'thin') {
+		px = parseFloat(widthPart) * (widthPart.endsWith('pt') ? 4 / 3 : 1);
+	}
+	/** @type {import('../style/StyleTable.js').BorderLineStyle} */
+	let lineStyle = 'thin';
+	if (line === 'dashed' || line === 'dotted') lineStyle = line;
+	else if (px >= 2.5 || line === 'double') lineStyle = 'thick';
+	else if (px >= 1.5) lineStyle = 'medium';
+	const color =
+		parts
+			.filter((p) => p !== line && p !== widthPart)
+			.map(parseColor)
+			.find(Boolean) ?? '#000000';
+	style[side] = { style: lineStyle, color };
+}
+
+/**
+ * Turns a CSS color into one the grid can draw. Hex and `rgb()` colors become
+ * `#rrggbb`; fully transparent and unknown values give null.
+ * @param {string} value - Lower case
+ * @returns {string|null}
+ */
+function parseColor(value) {
+	if (value === 'windowtext' || value === 'black') return '#000000';
+	if (value === 'white') return '#ffffff';
+	let m = /^#([0-9a-f]{3}|[0-9a-f]{6})$/.exec(value);
+	if (m) {
+		const hex = m[1];
+		return hex.length === 3 ? '#' + [...hex].map((d) => d + d).join('') : '#' + hex;
+	}
+	m = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)(?:[\s,/]+([\d.]+%?))?\s*\)$/.exec(value);
+	if (m) {
+		if (m[4] !== undefined && parseFloat(m[4]) === 0) return null;
+		const channel = (/** @type {string} */ s) =>
+			Math.min(255, parseInt(s, 10)).toString(16).padStart(2, '0');
+		return '#' + channel(m[1]) + channel(m[2]) + channel(m[3]);
+	}
+	return /^[a-z]+$/.test(value) &&
+		!['transparent', 'none', 'inherit', 'initial', 'auto', 'currentcolor'].includes(value)
+		? value
+		: null;
+}
+
+/**
+ * @param {Element} cell
+ * @returns {import('../sheet/sheet.js').CellValue}
+ */
+function readCellValue(cell) {
+	const text = readCellText(cell);
+	const num = cell.getAttribute('x:num');
+	if (num) {
+		const n = Number(num);
+		if (Number.isFinite(n)) return n;
+	}
+	if (cell.hasAttribute('x:str')) return text === '' ? null : text;
+	const sheetsValue = cell.getAttribute('data-sheets-value');
+	if (sheetsValue) {
+		try {
+			// Google Sheets: { "1": type, "2": text, "3": number, "4": boolean }
+			const parsed = JSON.parse(sheetsValue);
+			if (typeof parsed[3] === 'number') return parsed[3];
+			if (typeof parsed[4] === 'boolean') return parsed[4];
+		} catch {
+			// Fall back to the text
+		}
+	}
+	return parseFormattedNumber(text) ?? parseCell(text);
+}
+
+/**
+ * Reads a cell's text the way it is shown: runs of white space collapse to one
+ * space and `<br>` or block elements start a new line.
+ * @param {Element} cell
+ * @returns {string}
+ */
+function readCellText(cell) {
+	let out = '';
+	/** @param {Node} node */
+	const walk = (node) => {
+		for (const child of Array.from(node.childNodes)) {
+			if (child.nodeType === 3) {
+				out += (child.textContent ?? '').replace(/[ \t\r\n\f]+/g, ' ');
+			} else if (child.nodeType === 1) {
+				const tag = /** @type {Element} */ (child).tagName;
+				if (tag === 'BR') {
+					out += '\n';
+				} else if (tag === 'STYLE' || tag === 'SCRIPT') {
+					continue;
+				} else if (tag === 'P' || tag === 'DIV' || tag === 'LI') {
+					if (out !== '' && !out.endsWith('\n')) out += '\n';
+					walk(child);
+					if (!out.endsWith('\n')) out += '\n';
+				} else {
+					walk(child);
+				}
+			}
+		}
+	};
+	walk(cell);
+	return out
+		.split('\n')
+		.map((line) => line.replace(/^ +| +$/g, ''))
+		.join('\n')
+		.replace(/^\n+|\n+$/g, '')
+		.replace(/\u00a0/g, ' ');
+}
+
+/**
+ * Reads numbers written for display: `1,234.50`, `$5`, `12%`, `(3)`. Plain
+ * numbers are left to `parseCell`, which keeps text such as `007`.
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseFormattedNumber(text) {
+	let s = text.trim();
+	let negative = false;
+	const paren = /^\((.+)\)$/.exec(s);
+	if (paren) {
+		negative = true;
+		s = paren[1].trim();
+	}
+	const m =
+		/^([-+]?)\s*([$€£¥]?)\s*([-+]?)((?:\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?|\.\d+)\s*(%?)$/.exec(s);
+	if (!m) return null;
+	const [, sign1, currency, sign2, digits, percent] = m;
+	const formatted = paren || currency || percent || digits.includes(',');
+	if (!formatted || (sign1 && sign2)) return null;
+	let n = Number(digits.replace(/,/g, ''));
+	if (!Number.isFinite(n)) return null;
+	if (percent) n /= 100;
+	if (sign1 === '-' || sign2 === '-') n = -n;
+	return negative ? -n : n;
+}
@@ -0,0 +1,131 @@
+/**
+ * @file Paste Special: the options other spreadsheets offer on top of a plain
+ * paste. A copied block can be transposed, pasted without its styles and merges
+ * ("values only"), pasted without its blank cells so they keep the destination's
+ * value, or combined with the numbers already in the destination.
+ */
+import { isDateValue, dateValue } from '../dates/DateValue.js';
+import { formulaError } from '../formula/errors.js';
+import { parseHtmlTable } from './html.js';
+import { parseTSVTo2D } from './tsv.js';
+
+/**
+ * @typedef {import('../sheet/sheet.js').CellValue} CellValue
+ * @typedef {import('../style/StyleTable.js').CellStyle} CellStyle
+ * @typedef {import('../merge/MergeRegistry.js').MergeRange} MergeRange
+ */
+
+/**
+ * A copied block of cells.
+ * @typedef {Object} ClipboardBlock
+ * @property {number} rows
+ * @property {number} cols
+ * @property {CellValue[][]} values - `rows` x `cols`
+ * @property {CellStyle[][]|null} styles - `rows` x `cols`, or null when the source has none
+ * @property {MergeRange[]} merges - Relative to the block's top-left
+ */
+
+/**
+ * @typedef {'add'|'subtract'|'multiply'|'divide'} PasteOperation
+ */
+
+/**
+ * @typedef {Object} PasteSpecialOptions
+ * @property {boolean} [transpose] - Copied rows become columns
+ * @property {boolean} [skipBlanks] - Blank copied cells keep the destination's value and style
+ * @property {PasteOperation|null} [operation] - Combines copied numbers with the destination's
+ * @property {boolean} [valuesOnly] - Leaves the destination's styles and merges alone
+ */
+
+export const PASTE_OPERATIONS = Object.freeze(['add', 'subtract', 'multiply', 'divide']);
+
+const OPERATOR_SYMBOLS = { add: '+', subtract: '-', multiply: '*', divide: '/' };
+
+/**
+ * Reads clipboard contents into a block: the first HTML table when there is one,
+ * otherwise the tab-separated text.
+ * @param {{ text?: string, html?: string, merges?: MergeRange[] }} clipboard - `merges`
+ *   apply to the text, e.g. those recorded when the text was copied from this grid
+ * @returns {ClipboardBlock|null} Null when there is nothing to paste
+ */
+export function readClipboardBlock({ text, html, merges = [] }) {
+	const table = html ? parseHtmlTable(html) : null;
+	if (table) return table;
+	if (!text) return null;
+	const values = parseTSVTo2D(text);
+	const cols = values.reduce((max, row) => Math.max(max, row.length), 0);
+	if (values.length === 0 || cols === 0) return null;
+	for (const row of values) while (row.length < cols) row.push(null);
+	return { rows: values.length, cols, values, styles: null, merges };
+}
+
+/**
+ * Swaps a block's rows and columns, merges included.
+ * @param {ClipboardBlock} block
+ * @returns {ClipboardBlock}
+ */
+export function transposeBlock(block) {
+	const flip = (/** @type {any[][]} */ grid) =>
+		Array.from({ length: block.cols }, (_, c) =>
+			Array.from({ length: block.rows }, (_, r) => grid[r][c])
+		);
+	return {
+		rows: block.cols,
+		cols: block.rows,
+		values: flip(block.values),
+		styles: block.styles ? flip(block.styles) : null,
+		merges: block.merges.map((m) => ({ r1: m.c1, c1: m.r1, r2: m.c2, c2: m.r2 }))
+	};
+}
+
+/**
+ * Combines a copied value with the value already in the destination cell, as
+ * Paste Special's operations do:
+ *   - a copied number is applied to a destination number (a blank counts as 0);
+ *     dates stay dates when a number of days is added or subtracted
+ *   - a destination formula is wrapped, e.g. `=A1*2` plus 5 gives `=(A1*2)+5`
+ *   - a blank copied cell leaves the destination as it is
+ *   - a copied value that is not a number replaces the destination
+ *   - a destination holding text, a boolean or an error is kept
+ * @param {CellValue} target - Raw destination value; formulas as their source
+ * @param {CellValue} source - Copied value
+ * @param {PasteOperation} operation
+ * @returns {CellValue}
+ */
+export function combineValues(target, source, operation) {
+	if (source == null || source === '') return target;
+	if (typeof source !== 'number') return source;
+	if (target == null || target === '') return applyOperation(0, source, operation);
+	if (typeof target === 'number') return applyOperation(target, source, operation);
+	if (typeof target === 'string' && target.charCodeAt(0) === 61) {
+		const operand = source < 0 ? `(${source})` : String(source);
+		return `=(${target.slice(1)})${OPERATOR_SYMBOLS[operation]}${operand}`;
+	}
+	if (isDateValue(target)) {
+		const result = applyOperation(target.serial, source, operation);
+		const keepsDate = operation === 'add' || operation === 'subtract';
+		return keepsDate && typeof result === 'number' && result >= 0 ? dateValue(result) : result;
+	}
+	return target;
+}
+
+/**
+ * @param {number} a
+ * @param {number} b
+ * @param {PasteOperation} operation
+ * @returns {number|import('../formula/errors.js').FormulaError}
+ */
+function applyOperation(a, b, operation) {
+	switch (operation) {
+		case 'add':
+			return a + b;
+		case 'subtract':
+			return a - b;
+		case 'multiply':
+			return a * b;
+		case 'divide':
+			return b === 0 ? formulaError('#DIV/0!') : a / b;
+		default:
+			throw new Error(`Unknown paste operation: ${operation}`);
+	}
+}
@@ -1,4 +1,11 @@
-/** Clipboard TSV utilities shared by domain, UI, and worker. */
+/**
+ * Clipboard TSV utilities shared by domain, UI, and worker. Tabs, line breaks and
+ * quotes inside cells are quoted the way spreadsheet apps do (see delimited.js).
+ */
+import { isFormulaError, parseErrorLiteral } from '../formula/errors.js';
+import { isDateValue, formatDateValue } from '../dates/DateValue.js';
+import { parseDateText } from '../dates/parseDate.js';
+import { parseDelimited, parseDelimitedChunks, formatDelimitedRow } from './delimited.js';
 
 /**
  * @param {any} value
@@ -8,86 +15,91 @@ export function serializeCell(value) {
 	if (value == null) return '';
 	if (typeof value === 'number') return String(value);
 	if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+	if (isFormulaError(value)) return value.code;
+	if (isDateValue(value)) return formatDateValue(value);
 	return String(value);
 }
 
 /**
+ * Parses pasted text into a cell value. Text starting with `=` is returned as the
+ * trimmed formula source, which the Sheet evaluates when the value is written.
+ * Canonical error text such as `#N/A` becomes an error value, and ISO or locale
+ * date text becomes a date value.
  * @param {string} s
- * @returns {string|number|boolean|null}
+ * @returns {import('../sheet/sheet.js').CellValue}
  */
 export function parseCell(s) {
 	if (s == null) return null;
 	const trimmed = String(s).trim();
 	if (trimmed === '') return null;
+	if (trimmed.length > 1 && trimmed.charCodeAt(0) === 61) return trimmed;
 	if (trimmed === 'TRUE') return true;
 	if (trimmed === 'FALSE') return false;
+	const error = parseErrorLiteral(trimmed);
+	if (error) return error;
 	const num = Number(trimmed);
 	if (Number.isFinite(num) && String(num) === trimmed) return num;
+	const date = parseDateText(trimmed);
+	if (date) return date;
 	return s;
 }
 
 /**
  * @param {Array<Array<any>>} values2D
+ * @param {string} [delimiter] - '\t' by default; ',' gives CSV
  * @returns {string}
  */
-export function serialize2DToTSV(values2D) {
+export function serialize2DToTSV(values2D, delimiter = '\t') {
 	const lines = [];
-	for (let i = 0; i < values2D.length; i++) {
-		const row = values2D[i];
-		const cells = new Array(row.length);
-		for (let j = 0; j < row.length; j++) {
-			cells[j] = serializeCell(row[j]);
-		}
-		lines.push(cells.join('\t'));
-	}
+	appendValuesToTSVLines(lines, values2D, delimiter);
 	return lines.join('\n');
 }
 
 /**
  * @param {string} tsv
+ * @param {string} [delimiter] - '\t' by default; ',' reads CSV
  * @returns {Array<Array<any>>}
  */
-export function parseTSVTo2D(tsv) {
-	if (!tsv) return [];
-	const rawLines = tsv.split(/\r?\n/);
-	const lines =
-		rawLines.length > 0 && rawLines[rawLines.length - 1] === '' ? rawLines.slice(0, -1) : rawLines;
-	const out = new Array(lines.length);
-	for (let i = 0; i < lines.length; i++) {
-		const cols = lines[i].split('\t');
-		const row = new Array(cols.length);
-		for (let j = 0; j < cols.length; j++) row[j] = parseCell(cols[j]);
-		out[i] = row;
+export function parseTSVTo2D(tsv, delimiter = '\t') {
+	const rows = parseDelimited(tsv, { delimiter });
+	for (let i = 0; i < rows.length; i++) {
+		const row = rows[i];
+		for (let j = 0; j < row.length; j++) row[j] = parseCell(row[j]);
 	}
-	return out;
+	return rows;
 }
 
 /**
- * Generator that yields parsed chunks of TSV by rows.
+ * Generator that yields parsed chunks of TSV by rows. Rows are read as the chunks
+ * are taken, not all up front.
  * @param {string} tsv
  * @param {number} chunkRows
+ * @param {string} [delimiter] - '\t' by default; ',' reads CSV
  */
-export function* parseTSVChunks(tsv, chunkRows = 500) {
-	const rawLines = tsv.split(/\r?\n/);
-	const lines =
-		rawLines.length > 0 && rawLines[rawLines.length - 1] === '' ? rawLines.slice(0, -1) : rawLines;
-	for (let rowOffset = 0; rowOffset < lines.length; rowOffset += chunkRows) {
-		const slice = lines.slice(rowOffset, rowOffset + chunkRows);
-		const values = slice.map((line) => line.split('\t').map(parseCell));
-		yield { rowOffset, values };
+export function* parseTSVChunks(tsv, chunkRows = 500, delimiter = '\t') {
+	let rowOffset = 0;
+	for (const rows of parseDelimitedChunks(tsv, chunkRows, { delimiter })) {
+		for (let i = 0; i < rows.length; i++) {
+			const row = rows[i];
+			for (let j = 0; j < row.length; j++) row[j] = parseCell(row[j]);
+		}
+		yield { rowOffset, values: rows };
+		rowOffset += rows.length;
 	}
 }
 
 /**
- * Appends rows to an accumulating TSV lines array.
+ * Appends rows to an accumulating TSV lines array. A line may hold line breaks
+ * from quoted cells.
  * @param {string[]} lines
  * @param {Array<Array<any>>} values
+ * @param {string} [delimiter]
  */
-export function appendValuesToTSVLines(lines, values) {
+export function appendValuesToTSVLines(lines, values, delimiter = '\t') {
 	for (let i = 0; i < values.length; i++) {
 		const row = values[i];
 		const cells = new Array(row.length);
 		for (let j = 0; j < row.length; j++) cells[j] = serializeCell(row[j]);
-		lines.push(cells.join('\t'));
+		lines.push(formatDelimitedRow(cells, delimiter));
 	}
 }
@@ -0,0 +1,146 @@
+/**
+ * @file Date and datetime cell values. A date is stored as a spreadsheet serial
+ * number: whole days since 1899-12-30 plus the time of day as a fraction, which
+ * matches Excel's 1900 date system for every date from 1900-03-01 onwards.
+ * Serials are wall-clock values with no time zone.
+ */
+
+const MS_PER_DAY = 86400000;
+/** Serial number of 1970-01-01, used to convert to and from `Date.UTC` */
+const UNIX_EPOCH_SERIAL = 25569;
+
+/**
+ * A date or datetime cell value. Live instances are shared per serial (see
+ * `dateValue`), so two cells holding the same date compare equal with `===`.
+ */
+export class DateValue {
+	/** @param {number} serial */
+	constructor(serial) {
+		this.serial = serial;
+	}
+
+	/** Whether the value carries a time of day */
+	get hasTime() {
+		return this.serial !== Math.floor(this.serial);
+	}
+
+	/** Dates behave as their serial number in arithmetic and comparisons */
+	valueOf() {
+		return this.serial;
+	}
+
+	toString() {
+		return formatDateValue(this);
+	}
+}
+
+/**
+ * Weakly held, so a column of distinct timestamps does not outlive its sheet or
+ * stay in memory once its chunks are spilled.
+ * @type {Map<number, WeakRef<DateValue>>}
+ */
+const INSTANCES = new Map();
+/** Drops the entry of a collected instance, unless a new one has taken its place */
+const RELEASED = new FinalizationRegistry((/** @type {number} */ serial) => {
+	if (!INSTANCES.get(serial)?.deref()) INSTANCES.delete(serial);
+});
+
+/**
+ * Returns the shared date value for a serial number.
+ * @param {number} serial
+ * @returns {DateValue}
+ */
+export function dateValue(serial) {
+	let value = INSTANCES.get(serial)?.deref();
+	if (!value) {
+		value = new DateValue(serial);
+		INSTANCES.set(serial, new WeakRef(value));
+		RELEASED.register(value, serial);
+	}
+	return value;
+}
+
+/**
+ * @param {any} value
+ * @returns {value is DateValue}
+ */
+export function isDateValue(value) {
+	return value instanceof DateValue;
+}
+
+/**
+ * Converts calendar fields to a serial number. Fields are not validated; use
+ * `isValidDate` first when they come from user input.
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day - 1-31
+ * @param {number} [hours=0]
+ * @param {number} [minutes=0]
+ * @param {number} [seconds=0]
+ * @returns {number}
+ */
+export function dateToSerial(year, month, day, hours = 0, minutes = 0, seconds = 0) {
+	const days = Date.UTC(year, month - 1, day) / MS_PER_DAY + UNIX_EPOCH_SERIAL;
+	const time = (hours * 3600 + minutes * 60 + seconds) / 86400;
+	return days + time;
+}
+
+/**
+ * Splits a serial number into calendar fields.
+ * @param {number} serial
+ * @returns {{ year:number, month:number, day:number, hours:number, minutes:number, seconds:number }}
+ */
+export function serialToDateParts(serial) {
+	const days = Math.floor(serial);
+	// Round to whole seconds so 0.1 + 0.2 style drift does not show up as 59.999
+	let secondsOfDay = Math.round((serial - days) * 86400);
+	let dayOffset = days;
+	if (secondsOfDay >= 86400) {
+		secondsOfDay -= 86400;
+		dayOffset++;
+	}
+	const d = new Date((dayOffset - UNIX_EPOCH_SERIAL) * MS_PER_DAY);
+	return {
+		year: d.getUTCFullYear(),
+		month: d.getUTCMonth() + 1,
+		day: d.getUTCDate(),
+		hours: Math.floor(secondsOfDay / 3600),
+		minutes: Math.floor((secondsOfDay % 3600) / 60),
+		seconds: secondsOfDay % 60
+	};
+}
+
+/**
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @returns {boolean}
+ */
+export function isValidDate(year, month, day) {
+	if (month < 1 || month > 12 || day < 1) return false;
+	const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+	return day <= daysInMonth;
+}
+
+/**
+ * @param {number} n
+ * @param {number} width
+ */
+function pad(n, width) {
+	return String(n).padStart(width, '0');
+}
+
+/**
+ * Formats a date as ISO-style text: `YYYY-MM-DD`, followed by `HH:MM` or
+ * `HH:MM:SS` when the value has a time of day. This is the canonical text used
+ * for display and export, and `parseCell` reads it back unchanged.
+ * @param {DateValue} value
+ * @returns {string}
+ */
+export function formatDateValue(value) {
+	const p = serialToDateParts(value.serial);
+	const date = pad(p.year, 4) + '-' + pad(p.month, 2) + '-' + pad(p.day, 2);
+	if (!value.hasTime) return date;
+	const time = pad(p.hours, 2) + ':' + pad(p.minutes, 2);
+	return date + ' ' + (p.seconds ? time + ':' + pad(p.seconds, 2) : time);
+}
@@ -0,0 +1,172 @@
+/**
+ * @file Recognizes date and datetime text typed or pasted into cells. Supported
+ * inputs:
+ *   - ISO: `2024-03-05`, `2024-03-05T14:30`, `2024-03-05 14:30:15.250`
+ *   - Numeric with `/`, `-` or `.`: `3/5/2024`, `05.03.2024`, `2024/03/05`
+ *   - Month names: `Mar 5, 2024`, `5 March 2024`
+ * Any of the non-ISO forms may be followed by a time such as `2:30 PM`.
+ * Ambiguous numeric dates like `3/5/2024` follow the runtime locale's day/month
+ * order unless `dayFirst` is given; dotted dates are always day-first.
+ */
+import { dateToSerial, dateValue, isValidDate } from './DateValue.js';
+
+const ISO_RE =
+	/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3}))?)?Z?)?$/;
+const NUMERIC_RE = /^(\d{1,4})([/.-])(\d{1,2})\2(\d{1,4})(?:\s+(.+))?$/;
+const MONTH_FIRST_RE = /^([A-Za-z]{3,9})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})(?:,?\s+(.+))?$/;
+const DAY_FIRST_RE = /^(\d{1,2})(?:st|nd|rd|th)?\s+([A-Za-z]{3,9})\.?,?\s+(\d{4})(?:,?\s+(.+))?$/;
+const TIME_RE = /^(\d{1,2}):(\d{2})(?::(\d{2}))?\s*([AaPp][Mm])?$/;
+
+const MONTH_NAMES = [
+	'january',
+	'february',
+	'march',
+	'april',
+	'may',
+	'june',
+	'july',
+	'august',
+	'september',
+	'october',
+	'november',
+	'december'
+];
+
+/** @type {boolean|null} */
+let localeDayFirst = null;
+
+/**
+ * Whether the runtime locale writes the day before the month (e.g. en-GB, de-DE).
+ * @returns {boolean}
+ */
+export function isLocaleDayFirst() {
+	if (localeDayFirst === null) {
+		try {
+			const parts = new Intl.DateTimeFormat(undefined).formatToParts(new Date(2000, 10, 22));
+			const first = parts.find((p) => p.type === 'day' || p.type === 'month');
+			localeDayFirst = first ? first.type === 'day' : false;
+		} catch {
+			localeDayFirst = false;
+		}
+	}
+	return localeDayFirst;
+}
+
+/**
+ * @param {string} name
+ * @returns {number} 1-12, or 0 if not a month name or abbreviation
+ */
+function monthFromName(name) {
+	const lower = name.toLowerCase();
+	for (let i = 0; i < MONTH_NAMES.length; i++) {
+		const full = MONTH_NAMES[i];
+		if (lower === full || (lower.length >= 3 && full.startsWith(lower))) return i + 1;
+	}
+	return 0;
+}
+
+/**
+ * Expands two-digit years the way spreadsheets do: 00-29 -> 2000s, 30-99 -> 1900s.
+ * @param {string} text
+ * @returns {number}
+ */
+function expandYear(text) {
+	const year = Number(text);
+	if (text.length > 2) return year;
+	return year < 30 ? 2000 + year : 1900 + year;
+}
+
+/**
+ * @param {string|undefined} text
+ * @returns {{ hours:number, minutes:number, seconds:number }|null}
+ */
+function parseTime(text) {
+	if (text === undefined) return { hours: 0, minutes: 0, seconds: 0 };
+	const m = TIME_RE.exec(text.trim());
+	if (!m) return null;
+	let hours = Number(m[1]);
+	const minutes = Number(m[2]);
+	const seconds = m[3] ? Number(m[3]) : 0;
+	if (m[4]) {
+		if (hours < 1 || hours > 12) return null;
+		const pm = m[4].toLowerCase() === 'pm';
+		hours = (hours % 12) + (pm ? 12 : 0);
+	}
+	if (hours > 23 || minutes > 59 || seconds > 59) return null;
+	return { hours, minutes, seconds };
+}
+
+/**
+ * @param {number} year
+ * @param {number} month
+ * @param {number} day
+ * @param {{ hours:number, minutes:number, seconds:number }|null} time
+ */
+function build(year, month, day, time) {
+	if (!time || !isValidDate(year, month, day)) return null;
+	return dateValue(dateToSerial(year, month, day, time.hours, time.minutes, time.seconds));
+}
+
+/**
+ * Parses an ISO 8601 date or datetime (`YYYY-MM-DD[THH:MM[:SS[.sss]]][Z]`). The
+ * time is taken as wall-clock time; a trailing `Z` is accepted but not applied.
+ * @param {string} text
+ * @returns {import('./DateValue.js').DateValue|null}
+ */
+export function parseIsoDate(text) {
+	const m = ISO_RE.exec(text);
+	if (!m) return null;
+	const time =
+		m[4] === undefined
+			? { hours: 0, minutes: 0, seconds: 0 }
+			: {
+					hours: Number(m[4]),
+					minutes: Number(m[5]),
+					seconds: (m[6] ? Number(m[6]) : 0) + (m[7] ? Number(m[7].padEnd(3, '0')) / 1000 : 0)
+				};
+	if (time.hours > 23 || time.minutes > 59 || time.seconds >= 60) return null;
+	return build(Number(m[1]), Number(m[2]), Number(m[3]), time);
+}
+
+/**
+ * Parses date or datetime text in any of the supported formats.
+ * @param {string} text - Trimmed input
+ * @param {{ dayFirst?: boolean }} [options]
+ * @returns {import('./DateValue.js').DateValue|null}
+ */
+export function parseDateText(text, options = {}) {
+	// Cheap rejection: every supported form has a digit and is reasonably short
+	if (text.length < 6 || text.length > 40 || !/\d/.test(text)) return null;
+
+	const iso = parseIsoDate(text);
+	if (iso) return iso;
+
+	let m = NUMERIC_RE.exec(text);
+	if (m) {
+		const [, a, sep, b, c, timeText] = m;
+		const time = parseTime(timeText);
+		if (a.length === 4) return build(Number(a), Number(b), Number(c), time);
+		if (a.length > 2 || (c.length !== 2 && c.length !== 4)) return null;
+		let day = Number(a);
+		let month = Number(b);
+		const dayFirst = sep === '.' || (options.dayFirst ?? isLocaleDayFirst());
+		if (!dayFirst) [day, month] = [month, day];
+		// An out-of-range month means the other order was intended (e.g. 25/12/2024)
+		if (month > 12 && day <= 12) [day, month] = [month, day];
+		return build(expandYear(c), month, day, time);
+	}
+
+	m = MONTH_FIRST_RE.exec(text);
+	if (m) {
+		const month = monthFromName(m[1]);
+		return month ? build(Number(m[3]), month, Number(m[2]), parseTime(m[4])) : null;
+	}
+
+	m = DAY_FIRST_RE.exec(text);
+	if (m) {
+		const month = monthFromName(m[2]);
+		return month ? build(Number(m[3]), month, Number(m[1]), parseTime(m[4])) : null;
+	}
+
+	return null;
+}
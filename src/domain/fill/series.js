@@ -0,0 +1,249 @@
+/**
+ * @file Works out how a run of cells continues when it is dragged out with the
+ * fill handle. The run is one row or column of the selection, in fill order:
+ *   - numbers follow their linear trend (1, 2 gives 3, 4; 2, 4, 7 fits a line);
+ *     a single number is copied
+ *   - dates step by whole months when every date falls on the same day of the
+ *     month (Jan 31 clamps to Feb 29), otherwise by days; a single date steps a day
+ *   - weekday and month names cycle (Mon, Tue / Jan, Mar) and keep their case
+ *     and abbreviation; month names followed by a year (Jan 2024) roll the year
+ *   - text ending in a number counts on (Item-001 gives Item-002), keeping
+ *     leading zeros
+ * Anything else, including runs that mix these kinds, repeats as it is.
+ */
+import { dateToSerial, dateValue, isDateValue, serialToDateParts } from '../dates/DateValue.js';
+
+/**
+ * @typedef {import('../sheet/sheet.js').CellValue} CellValue
+ */
+
+/**
+ * A function giving the series value at a position counted from the first
+ * source cell. Positions past the source extend the series forwards and
+ * negative positions extend it backwards.
+ * @typedef {(index:number) => CellValue} Series
+ */
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MONTHS = [
+	'january',
+	'february',
+	'march',
+	'april',
+	'may',
+	'june',
+	'july',
+	'august',
+	'september',
+	'october',
+	'november',
+	'december'
+];
+const NAME_LISTS = [WEEKDAYS, MONTHS];
+
+const MONTH_YEAR_RE = /^([A-Za-z]{3,9})(\.?[\s/-]+)(\d{4})$/;
+const NUMBERED_TEXT_RE = /^(.*?)(\d+)(\D*)$/;
+
+/**
+ * @param {CellValue[]} values - Source cells in fill order
+ * @returns {Series}
+ */
+export function inferSeries(values) {
+	const n = values.length;
+	if (n === 0) return () => null;
+	const repeat = (/** @type {number} */ i) => values[mod(i, n)];
+
+	if (values.every((v) => typeof v === 'number')) {
+		return n === 1 ? repeat : numberSeries(/** @type {number[]} */ (values));
+	}
+	if (values.every(isDateValue)) return dateSeries(values.map((v) => v.serial)) ?? repeat;
+	if (values.every((v) => typeof v === 'string')) {
+		const texts = /** @type {string[]} */ (values);
+		return nameSeries(texts) ?? monthYearSeries(texts) ?? numberedTextSeries(texts) ?? repeat;
+	}
+	return repeat;
+}
+
+/**
+ * @param {number} a
+ * @param {number} n
+ */
+function mod(a, n) {
+	return ((a % n) + n) % n;
+}
+
+/**
+ * Rounds away binary noise such as 0.30000000000000004.
+ * @param {number} x
+ */
+function clean(x) {
+	return Number(x.toPrecision(15));
+}
+
+/**
+ * The step between evenly spaced numbers, or null when they are not.
+ * @param {number[]} xs
+ * @returns {number|null}
+ */
+function evenStep(xs) {
+	if (xs.length === 1) return 1;
+	const step = xs[1] - xs[0];
+	for (let i = 2; i < xs.length; i++) {
+		if (Math.abs(xs[i] - xs[i - 1] - step) > 1e-9 * Math.max(1, Math.abs(step))) return null;
+	}
+	return step;
+}
+
+/**
+ * Least-squares line through (i, xs[i]), which is exact for evenly spaced numbers.
+ * @param {number[]} xs
+ * @returns {(index:number) => number}
+ */
+function linearTrend(xs) {
+	const n = xs.length;
+	const meanI = (n - 1) / 2;
+	const meanX = xs.reduce((sum, x) => sum + x, 0) / n;
+	let num = 0;
+	let den = 0;
+	for (let i = 0; i < n; i++) {
+		num += (i - meanI) * (xs[i] - meanX);
+		den += (i - meanI) * (i - meanI);
+	}
+	const slope = num / den;
+	return (i) => clean(meanX + slope * (i - meanI));
+}
+
+/**
+ * @param {number[]} xs - At least two numbers
+ * @returns {Series}
+ */
+function numberSeries(xs) {
+	const step = evenStep(xs);
+	return step === null ? linearTrend(xs) : (i) => clean(xs[0] + step * i);
+}
+
+/**
+ * @param {number[]} serials
+ * @returns {Series|null}
+ */
+function dateSeries(serials) {
+	if (serials.length === 1) return (i) => dateValue(serials[0] + i);
+	const parts = serials.map(serialToDateParts);
+	const first = parts[0];
+	const time = serials[0] - Math.floor(serials[0]);
+	const sameDay = parts.every(
+		(p, k) => p.day === first.day && serials[k] - Math.floor(serials[k]) === time
+	);
+	const monthSteps = evenStep(parts.map((p) => p.year * 12 + p.month - 1));
+	if (sameDay && monthSteps) {
+		const start = first.year * 12 + first.month - 1;
+		return (i) => {
+			const total = start + monthSteps * i;
+			const year = Math.floor(total / 12);
+			const month = mod(total, 12) + 1;
+			const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+			return dateValue(dateToSerial(year, month, Math.min(first.day, lastDay)) + time);
+		};
+	}
+	const step = evenStep(serials);
+	if (step === null) return null;
+	return (i) => dateValue(clean(serials[0] + step * i));
+}
+
+/**
+ * Writes a weekday or month name the way the source wrote it.
+ * @param {string} name - Full lower-case name
+ * @param {string} like - Source text
+ */
+function styleName(name, like) {
+	const text = like.length < name.length ? name.slice(0, like.length) : name;
+	if (like === like.toUpperCase()) return text.toUpperCase();
+	if (like === like.toLowerCase()) return text;
+	return text[0].toUpperCase() + text.slice(1);
+}
+
+/**
+ * Finds a weekday or month name or its three-letter abbreviation.
+ * @param {string} text
+ * @returns {{ list: string[], index: number }|null}
+ */
+function findName(text) {
+	const lower = text.toLowerCase();
+	for (const list of NAME_LISTS) {
+		const index = list.findIndex((name) => name === lower || name.slice(0, 3) === lower);
+		if (index !== -1) return { list, index };
+	}
+	return null;
+}
+
+/**
+ * The step through a cyclic list, or null when the positions do not step evenly.
+ * @param {number[]} positions
+ * @param {number} length
+ */
+function cyclicStep(positions, length) {
+	if (positions.length === 1) return 1;
+	const step = mod(positions[1] - positions[0], length);
+	for (let i = 2; i < positions.length; i++) {
+		if (mod(positions[i] - positions[i - 1], length) !== step) return null;
+	}
+	return step;
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Series|null}
+ */
+function nameSeries(texts) {
+	const found = texts.map(findName);
+	const list = found[0]?.list;
+	if (!list || found.some((f) => f?.list !== list)) return null;
+	const positions = found.map((f) => /** @type {{ index:number }} */ (f).index);
+	const step = cyclicStep(positions, list.length);
+	if (step === null) return null;
+	return (i) => styleName(list[mod(positions[0] + step * i, list.length)], texts[0]);
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Series|null}
+ */
+function monthYearSeries(texts) {
+	const matches = texts.map((t) => MONTH_YEAR_RE.exec(t));
+	if (matches.some((m) => !m)) return null;
+	const months = [];
+	for (const m of /** @type {RegExpExecArray[]} */ (matches)) {
+		const found = findName(m[1]);
+		if (!found || found.list !== MONTHS) return null;
+		months.push(Number(m[3]) * 12 + found.index);
+	}
+	const step = evenStep(months);
+	if (step === null) return null;
+	const [, like, separator] = /** @type {RegExpExecArray} */ (matches[0]);
+	return (i) => {
+		const total = months[0] + step * i;
+		return `${styleName(MONTHS[mod(total, 12)], like)}${separator}${Math.floor(total / 12)}`;
+	};
+}
+
+/**
+ * @param {string[]} texts
+ * @returns {Series|null}
+ */
+function numberedTextSeries(texts) {
+	const matches = texts.map((t) => NUMBERED_TEXT_RE.exec(t));
+	const first = matches[0];
+	if (!first) return null;
+	const [, prefix, digits, suffix] = first;
+	if (matches.some((m) => !m || m[1] !== prefix || m[3] !== suffix)) return null;
+	const numbers = matches.map((m) => Number(/** @type {RegExpExecArray} */ (m)[2]));
+	const step = evenStep(numbers);
+	if (step === null) return null;
+	// Leading zeros set a width to keep: Item-009 goes on to Item-010
+	const width = digits.length > 1 && digits[0] === '0' ? digits.length : 0;
+	return (i) => {
+		// Counting backwards past zero goes up again, as in other spreadsheets
+		const number = Math.abs(numbers[0] + step * i);
+		return prefix + String(number).padStart(width, '0') + suffix;
+	};
+}
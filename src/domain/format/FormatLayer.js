@@ -0,0 +1,223 @@
+/**
+ * @file This file contains the FormatLayer class, which stores number formats for
+ * ranges of cells alongside the cell data. Formats change only how a value is
+ * displayed; the sheet's stored values are never touched.
+ */
+import { formatCellValue } from './numberFormat.js';
+import { shiftSpan } from '../formula/shiftReferences.js';
+import { CHUNK_ROW_SHIFT_BITS, CHUNK_COL_SHIFT_BITS } from '../constants/ChunkSizing.js';
+import { makeChunkKey } from '../chunk/ChunkCoordinates.js';
+
+// Ranges touching more chunks than this (whole columns, whole rows) are kept out
+// of the chunk index and checked on every lookup instead.
+const MAX_INDEXED_CHUNKS = 64;
+
+/**
+ * @typedef {Object} FormatRange
+ * @property {number} r1 - Top row (inclusive)
+ * @property {number} c1 - Left column (inclusive)
+ * @property {number} r2 - Bottom row (inclusive)
+ * @property {number} c2 - Right column (inclusive)
+ * @property {string|null} pattern - Number format pattern, null for General
+ */
+
+/**
+ * Range-based format storage. Assignments are kept in the order they were made
+ * and the most recent one covering a cell wins, so formatting a whole column and
+ * then a single cell inside it behaves as expected. An assignment that fully
+ * covers older ones replaces them, which keeps repeated formatting of the same
+ * selection from growing the list, and one that continues the latest range with
+ * the same pattern extends it.
+ *
+ * Lookups go through an index of the 64x64 chunks each range touches, built on
+ * the first lookup after a change.
+ */
+export class FormatLayer {
+	constructor() {
+		/** @type {FormatRange[]} */
+		this._ranges = [];
+		/** @type {{ byChunk: Map<number, number[]>, wide: number[] }|null} */
+		this._index = null;
+	}
+
+	/**
+	 * Every assignment, oldest first. Treat the list as read-only: assign a new
+	 * list to replace it.
+	 * @type {FormatRange[]}
+	 */
+	get ranges() {
+		return this._ranges;
+	}
+
+	set ranges(ranges) {
+		this._ranges = ranges;
+		this._index = null;
+	}
+
+	/**
+	 * Sets the number format of a rectangular range. Use `null` to reset to General.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @param {string|null} pattern
+	 */
+	setNumberFormat(topRow, leftCol, bottomRow, rightCol, pattern) {
+		const r1 = Math.min(topRow, bottomRow);
+		const r2 = Math.max(topRow, bottomRow);
+		const c1 = Math.min(leftCol, rightCol);
+		const c2 = Math.max(leftCol, rightCol);
+		const normalized = pattern && pattern.toLowerCase() !== 'general' ? pattern : null;
+
+		const ranges = this._ranges.filter(
+			(f) => !(f.r1 >= r1 && f.r2 <= r2 && f.c1 >= c1 && f.c2 <= c2)
+		);
+		this.ranges = ranges;
+		// Resetting to General only needs recording when it overrides an older range
+		if (normalized === null && !ranges.some((f) => intersects(f, r1, c1, r2, c2))) return;
+		const last = ranges[ranges.length - 1];
+		if (last && last.pattern === normalized && continues(last, r1, c1, r2, c2)) {
+			ranges[ranges.length - 1] = {
+				r1: Math.min(last.r1, r1),
+				c1: Math.min(last.c1, c1),
+				r2: Math.max(last.r2, r2),
+				c2: Math.max(last.c2, c2),
+				pattern: normalized
+			};
+		} else ranges.push({ r1, c1, r2, c2, pattern: normalized });
+	}
+
+	/**
+	 * Adds a range on top of the others as is, without dropping the ranges it
+	 * covers. For loaders whose ranges never overlap.
+	 * @param {FormatRange} range
+	 */
+	append(range) {
+		this._ranges.push(range);
+		this._index = null;
+	}
+
+	/**
+	 * Gets the number format pattern for a cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {string|null} The pattern, or null for General
+	 */
+	getNumberFormat(row, col) {
+		const ranges = this._ranges;
+		if (ranges.length === 0) return null;
+		const index = this._index ?? this._buildIndex();
+		const bucket = index.byChunk.get(
+			makeChunkKey(row >> CHUNK_ROW_SHIFT_BITS, col >> CHUNK_COL_SHIFT_BITS)
+		);
+		let found = lastCovering(ranges, index.wide, row, col);
+		// Indices in both lists ascend, so the first hit from the end is the latest
+		if (bucket) found = Math.max(found, lastCovering(ranges, bucket, row, col));
+		return found === -1 ? null : ranges[found].pattern;
+	}
+
+	/**
+	 * @private
+	 */
+	_buildIndex() {
+		/** @type {Map<number, number[]>} */
+		const byChunk = new Map();
+		/** @type {number[]} */
+		const wide = [];
+		this._ranges.forEach((f, i) => {
+			const cr1 = f.r1 >> CHUNK_ROW_SHIFT_BITS;
+			const cr2 = f.r2 >> CHUNK_ROW_SHIFT_BITS;
+			const cc1 = f.c1 >> CHUNK_COL_SHIFT_BITS;
+			const cc2 = f.c2 >> CHUNK_COL_SHIFT_BITS;
+			if ((cr2 - cr1 + 1) * (cc2 - cc1 + 1) > MAX_INDEXED_CHUNKS) {
+				wide.push(i);
+				return;
+			}
+			for (let cr = cr1; cr <= cr2; cr++) {
+				for (let cc = cc1; cc <= cc2; cc++) {
+					const key = makeChunkKey(cr, cc);
+					const bucket = byChunk.get(key);
+					if (bucket) bucket.push(i);
+					else byChunk.set(key, [i]);
+				}
+			}
+		});
+		this._index = { byChunk, wide };
+		return this._index;
+	}
+
+	/**
+	 * Formats a value as it would be displayed in the given cell.
+	 * @param {import('../sheet/sheet.js').CellValue} value
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {import('./numberFormat.js').FormattedValue}
+	 */
+	formatValue(value, row, col) {
+		return formatCellValue(value, this.getNumberFormat(row, col));
+	}
+
+	/** Removes every format. */
+	clear() {
+		this.ranges = [];
+	}
+
+	/**
+	 * Moves ranges for inserted or deleted rows/columns. Ranges grow or shrink with
+	 * the band; ranges lying entirely in a deleted band are dropped.
+	 * @param {'row'|'col'} axis
+	 * @param {number} at - First row/column index affected
+	 * @param {number} delta - Number inserted (positive) or deleted (negative)
+	 */
+	shift(axis, at, delta) {
+		const [lo, hi] = axis === 'row' ? ['r1', 'r2'] : ['c1', 'c2'];
+		/** @type {FormatRange[]} */
+		const next = [];
+		for (const f of this._ranges) {
+			const span = shiftSpan(f[lo], f[hi], at, delta);
+			if (span) next.push({ ...f, [lo]: span[0], [hi]: span[1] });
+		}
+		this.ranges = next;
+	}
+}
+
+/**
+ * @param {FormatRange} f
+ * @param {number} r1
+ * @param {number} c1
+ * @param {number} r2
+ * @param {number} c2
+ */
+function intersects(f, r1, c1, r2, c2) {
+	return f.r1 <= r2 && f.r2 >= r1 && f.c1 <= c2 && f.c2 >= c1;
+}
+
+/**
+ * Whether a rectangle lines up with a range so that together they form one
+ * rectangle: the same columns on adjacent or overlapping rows, or the reverse.
+ * @param {FormatRange} f
+ * @param {number} r1
+ * @param {number} c1
+ * @param {number} r2
+ * @param {number} c2
+ */
+function continues(f, r1, c1, r2, c2) {
+	if (f.c1 === c1 && f.c2 === c2) return r1 <= f.r2 + 1 && r2 >= f.r1 - 1;
+	if (f.r1 === r1 && f.r2 === r2) return c1 <= f.c2 + 1 && c2 >= f.c1 - 1;
+	return false;
+}
+
+/**
+ * @param {FormatRange[]} ranges
+ * @param {number[]} indices - Ascending indices into `ranges`
+ * @param {number} row
+ * @param {number} col
+ * @returns {number} The last index whose range covers the cell, or -1
+ */
+function lastCovering(ranges, indices, row, col) {
+	for (let k = indices.length - 1; k >= 0; k--) {
+		const f = ranges[indices[k]];
+		if (row >= f.r1 && row <= f.r2 && col >= f.c1 && col <= f.c2) return indices[k];
+	}
+	return -1;
+}
@@ -0,0 +1,672 @@
+/**
+ * @file Excel-style number formats. A pattern such as `#,##0.00;[Red]-#,##0.00`
+ * is compiled once into sections (positive; negative; zero; text) and then used
+ * to turn cell values into display text. Formatting never changes the stored
+ * value. Supported:
+ *   - digit placeholders `0`, `#`, `?`, decimal point, thousands separator and
+ *     trailing-comma scaling
+ *   - `%`, scientific notation (`E+00`, `E-00`), `General` and `@` (text)
+ *   - fractions (`# ?/?`, `# ??/??`, `# ?/8`)
+ *   - quoted literals, `\x` escapes, `_x` spacing, `[Red]`-style colors,
+ *     `[$€-407]` currency symbols and `[>100]`-style conditions
+ *   - date and time codes (`yyyy`, `m`, `mmm`, `d`, `dddd`, `h`, `mm`, `ss`, `AM/PM`)
+ */
+import { isFormulaError } from '../formula/errors.js';
+import { isDateValue, formatDateValue, serialToDateParts } from '../dates/DateValue.js';
+
+/**
+ * Named patterns for common formats, e.g. to pass to the component's
+ * `setNumberFormat`. Any other Excel-style pattern may be used too.
+ */
+export const NUMBER_FORMAT_PRESETS = Object.freeze({
+	general: 'General',
+	number: '#,##0.00',
+	integer: '#,##0',
+	currency: '$#,##0.00',
+	accounting: '$#,##0.00_);($#,##0.00)',
+	percent: '0.00%',
+	scientific: '0.00E+00',
+	fraction: '# ?/?',
+	date: 'yyyy-mm-dd',
+	datetime: 'yyyy-mm-dd hh:mm',
+	time: 'h:mm AM/PM',
+	text: '@'
+});
+
+/**
+ * @typedef {Object} FormattedValue
+ * @property {string} text - Display text
+ * @property {string|null} color - CSS color from a `[Color]` section, or null
+ */
+
+/**
+ * @typedef {{ type:'literal', text:string }
+ *   | { type:'digit', char:'0'|'#'|'?' }
+ *   | { type:'point' }
+ *   | { type:'comma' }
+ *   | { type:'percent' }
+ *   | { type:'exponent', showPlus:boolean }
+ *   | { type:'slash', denominator:number|null }
+ *   | { type:'text' }
+ *   | { type:'general' }
+ *   | { type:'date', code:string }} FormatToken
+ */
+
+/**
+ * @typedef {Object} FormatSection
+ * @property {FormatToken[]} tokens
+ * @property {string|null} color
+ * @property {{ op:string, value:number }|null} condition
+ * @property {boolean} isDate
+ * @property {boolean} hasText
+ */
+
+const COLOR_NAMES = {
+	black: '#000000',
+	blue: '#0000ff',
+	cyan: '#00ffff',
+	green: '#008000',
+	magenta: '#ff00ff',
+	red: '#ff0000',
+	white: '#ffffff',
+	yellow: '#ffff00'
+};
+
+const MONTH_NAMES = [
+	'January',
+	'February',
+	'March',
+	'April',
+	'May',
+	'June',
+	'July',
+	'August',
+	'September',
+	'October',
+	'November',
+	'December'
+];
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const DATE_CODE_CHARS = 'ymdhs';
+const CONDITION_RE = /^(<=|>=|<>|<|>|=)\s*(-?\d+(?:\.\d+)?)$/;
+
+/**
+ * Splits a pattern into sections on unquoted, unescaped semicolons.
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+function splitSections(pattern) {
+	const sections = [];
+	let start = 0;
+	let inQuote = false;
+	for (let i = 0; i < pattern.length; i++) {
+		const ch = pattern[i];
+		if (ch === '"') inQuote = !inQuote;
+		else if (!inQuote && (ch === '\\' || ch === '_' || ch === '*')) i++;
+		else if (!inQuote && ch === ';') {
+			sections.push(pattern.slice(start, i));
+			start = i + 1;
+		}
+	}
+	sections.push(pattern.slice(start));
+	return sections;
+}
+
+/**
+ * @param {string} source
+ * @returns {FormatSection}
+ */
+function parseSection(source) {
+	/** @type {FormatToken[]} */
+	const tokens = [];
+	/** @type {FormatSection} */
+	const section = { tokens, color: null, condition: null, isDate: false, hasText: false };
+	let seenPoint = false;
+	let i = 0;
+	const literal = (text) => {
+		const last = tokens[tokens.length - 1];
+		if (last && last.type === 'literal') last.text += text;
+		else tokens.push({ type: 'literal', text });
+	};
+
+	while (i < source.length) {
+		const ch = source[i];
+		const lower = ch.toLowerCase();
+
+		if (ch === '"') {
+			const end = source.indexOf('"', i + 1);
+			literal(source.slice(i + 1, end === -1 ? source.length : end));
+			i = end === -1 ? source.length : end + 1;
+		} else if (ch === '\\') {
+			literal(source[i + 1] ?? '');
+			i += 2;
+		} else if (ch === '_') {
+			// Space as wide as the next character; used to align with parentheses
+			literal(' ');
+			i += 2;
+		} else if (ch === '*') {
+			// Repeat-to-fill has no meaning in a canvas cell
+			i += 2;
+		} else if (ch === '[') {
+			const end = source.indexOf(']', i);
+			const inner = source.slice(i + 1, end === -1 ? source.length : end);
+			i = end === -1 ? source.length : end + 1;
+			const color = COLOR_NAMES[inner.toLowerCase()];
+			const condition = CONDITION_RE.exec(inner);
+			if (color) section.color = color;
+			else if (condition) section.condition = { op: condition[1], value: Number(condition[2]) };
+			else if (inner.startsWith('$')) literal(inner.slice(1).split('-')[0]);
+		} else if (ch === '0' || ch === '#' || ch === '?') {
+			tokens.push({ type: 'digit', char: ch });
+			i++;
+		} else if (ch === '.' && !seenPoint && !section.isDate) {
+			seenPoint = true;
+			tokens.push({ type: 'point' });
+			i++;
+		} else if (
+			ch === '/' &&
+			!section.isDate &&
+			tokens[tokens.length - 1]?.type === 'digit' &&
+			/[0#?1-9]/.test(source[i + 1] ?? '')
+		) {
+			// A fraction: digit placeholders for the denominator follow, or a fixed one
+			const fixed = /^[1-9]\d*/.exec(source.slice(i + 1));
+			tokens.push({ type: 'slash', denominator: fixed ? Number(fixed[0]) : null });
+			i += 1 + (fixed ? fixed[0].length : 0);
+		} else if (ch === ',') {
+			tokens.push({ type: 'comma' });
+			i++;
+		} else if (ch === '%') {
+			tokens.push({ type: 'percent' });
+			i++;
+		} else if ((ch === 'E' || ch === 'e') && (source[i + 1] === '+' || source[i + 1] === '-')) {
+			tokens.push({ type: 'exponent', showPlus: source[i + 1] === '+' });
+			i += 2;
+		} else if (ch === '@') {
+			section.hasText = true;
+			tokens.push({ type: 'text' });
+			i++;
+		} else if (source.slice(i, i + 7).toLowerCase() === 'general') {
+			tokens.push({ type: 'general' });
+			i += 7;
+		} else if (source.slice(i, i + 5).toUpperCase() === 'AM/PM') {
+			section.isDate = true;
+			tokens.push({ type: 'date', code: 'AM/PM' });
+			i += 5;
+		} else if (source.slice(i, i + 3).toUpperCase() === 'A/P') {
+			section.isDate = true;
+			tokens.push({ type: 'date', code: 'A/P' });
+			i += 3;
+		} else if (DATE_CODE_CHARS.includes(lower)) {
+			let j = i;
+			while (j < source.length && source[j].toLowerCase() === lower) j++;
+			section.isDate = true;
+			tokens.push({ type: 'date', code: lower.repeat(j - i) });
+			i = j;
+		} else {
+			literal(ch);
+			i++;
+		}
+	}
+
+	if (section.isDate) resolveMinutes(tokens);
+	return section;
+}
+
+/**
+ * `m`/`mm` mean minutes when they follow an hour code or precede a seconds code;
+ * otherwise they are months. Minutes are re-coded as `n`/`nn`.
+ * @param {FormatToken[]} tokens
+ */
+function resolveMinutes(tokens) {
+	const dateTokens = /** @type {{type:'date', code:string}[]} */ (
+		tokens.filter((t) => t.type === 'date')
+	);
+	for (let k = 0; k < dateTokens.length; k++) {
+		const t = dateTokens[k];
+		if (t.code !== 'm' && t.code !== 'mm') continue;
+		const prev = dateTokens[k - 1];
+		const next = dateTokens[k + 1];
+		if ((prev && prev.code[0] === 'h') || (next && next.code[0] === 's')) {
+			t.code = t.code === 'm' ? 'n' : 'nn';
+		}
+	}
+}
+
+/**
+ * A compiled number format.
+ */
+export class NumberFormat {
+	/** @param {string} pattern */
+	constructor(pattern) {
+		this.pattern = pattern;
+		/** @type {FormatSection[]} */
+		this.sections = splitSections(pattern).map(parseSection);
+		this.isGeneral = pattern === '' || pattern.toLowerCase() === 'general';
+	}
+
+	/**
+	 * Formats a cell value for display.
+	 * @param {import('../sheet/sheet.js').CellValue} value
+	 * @returns {FormattedValue}
+	 */
+	format(value) {
+		if (value == null || value === '') return { text: '', color: null };
+		if (isFormulaError(value)) return { text: value.code, color: null };
+		if (typeof value === 'boolean') return { text: value ? 'TRUE' : 'FALSE', color: null };
+		if (typeof value === 'string') return this._formatText(value);
+		if (this.isGeneral) {
+			return { text: isDateValue(value) ? formatDateValue(value) : String(value), color: null };
+		}
+		return this._formatNumber(isDateValue(value) ? value.serial : value);
+	}
+
+	/**
+	 * @param {string} value
+	 * @returns {FormattedValue}
+	 */
+	_formatText(value) {
+		const section =
+			this.sections.length >= 4
+				? this.sections[3]
+				: this.sections.find((s) => s.hasText && !s.isDate) || null;
+		if (!section) return { text: value, color: null };
+		let text = '';
+		for (const t of section.tokens) {
+			if (t.type === 'text') text += value;
+			else if (t.type === 'literal') text += t.text;
+		}
+		return { text, color: section.color };
+	}
+
+	/**
+	 * @param {number} value
+	 * @returns {FormattedValue}
+	 */
+	_formatNumber(value) {
+		const { section, signed } = this._pickSection(value);
+		if (section.isDate) return { text: formatDate(section, value), color: section.color };
+		const magnitude = signed ? Math.abs(value) : value;
+		let text = formatNumberSection(section, Math.abs(magnitude));
+		if (magnitude < 0 && /[1-9]/.test(text)) text = '-' + text;
+		return { text, color: section.color };
+	}
+
+	/**
+	 * Chooses the section for a number. `signed` is true when the section is meant
+	 * for negative numbers and therefore supplies its own sign (or none).
+	 * @param {number} value
+	 * @returns {{ section: FormatSection, signed: boolean }}
+	 */
+	_pickSection(value) {
+		const numeric = this.sections.slice(0, 3).filter((s) => !(s.hasText && !s.isDate));
+		const sections = numeric.length > 0 ? numeric : this.sections;
+		if (sections.some((s) => s.condition)) {
+			for (const s of sections) {
+				if (s.condition && matchesCondition(value, s.condition))
+					return { section: s, signed: false };
+			}
+			const fallback = sections.find((s) => !s.condition) || sections[sections.length - 1];
+			return { section: fallback, signed: false };
+		}
+		if (sections.length === 1 || value > 0) return { section: sections[0], signed: false };
+		if (value < 0) return { section: sections[1], signed: true };
+		return { section: sections[2] ?? sections[0], signed: false };
+	}
+}
+
+/**
+ * @param {number} value
+ * @param {{ op:string, value:number }} condition
+ */
+function matchesCondition(value, condition) {
+	switch (condition.op) {
+		case '<':
+			return value < condition.value;
+		case '<=':
+			return value <= condition.value;
+		case '>':
+			return value > condition.value;
+		case '>=':
+			return value >= condition.value;
+		case '=':
+			return value === condition.value;
+		case '<>':
+			return value !== condition.value;
+	}
+	return false;
+}
+
+/**
+ * Rounds half away from zero to a number of decimals without binary drift
+ * (1.005 -> 1.01).
+ * @param {number} value - Non-negative
+ * @param {number} decimals
+ */
+function roundTo(value, decimals) {
+	return Number(Math.round(Number(value + 'e' + decimals)) + 'e-' + decimals);
+}
+
+/**
+ * Formats a non-negative number with a numeric section.
+ * @param {FormatSection} section
+ * @param {number} value
+ * @returns {string}
+ */
+function formatNumberSection(section, value) {
+	const tokens = section.tokens;
+	const slashIndex = tokens.findIndex((t) => t.type === 'slash');
+	if (slashIndex !== -1) return formatFraction(tokens, slashIndex, value);
+	const pointIndex = tokens.findIndex((t) => t.type === 'point');
+	const expIndex = tokens.findIndex((t) => t.type === 'exponent');
+	const mantissaEnd = expIndex === -1 ? tokens.length : expIndex;
+	const intEnd = pointIndex === -1 ? mantissaEnd : pointIndex;
+
+	const intDigits = [];
+	const fracDigits = [];
+	const expDigits = [];
+	let grouping = false;
+	let scale = 0;
+	let lastDigitIndex = -1;
+	for (let k = 0; k < tokens.length; k++) {
+		const t = tokens[k];
+		if (t.type === 'digit') {
+			if (k < intEnd) intDigits.push(k);
+			else if (k < mantissaEnd) fracDigits.push(k);
+			else expDigits.push(k);
+			if (k < mantissaEnd) lastDigitIndex = k;
+		}
+	}
+	for (let k = 0; k < mantissaEnd; k++) {
+		if (tokens[k].type !== 'comma') continue;
+		if (k > lastDigitIndex) scale++;
+		else if (k < intEnd) grouping = true;
+	}
+	const percentCount = tokens.filter((t) => t.type === 'percent').length;
+
+	let v = (value * Math.pow(100, percentCount)) / Math.pow(1000, scale);
+	if (
+		tokens.some((t) => t.type === 'general') &&
+		intDigits.length === 0 &&
+		fracDigits.length === 0
+	) {
+		return tokens
+			.map((t) => (t.type === 'general' ? String(v) : t.type === 'literal' ? t.text : ''))
+			.join('');
+	}
+
+	let exponent = 0;
+	if (expIndex !== -1) {
+		const step = intDigits.length > 1 ? intDigits.length : 1;
+		if (v !== 0) {
+			exponent = Math.floor(Math.floor(Math.log10(v)) / step) * step;
+			v = roundTo(v / Math.pow(10, exponent), fracDigits.length);
+			if (v >= Math.pow(10, step)) {
+				exponent += step;
+				v = roundTo(v / Math.pow(10, step), fracDigits.length);
+			}
+		}
+	}
+
+	const rounded = roundTo(v, fracDigits.length);
+	if (!Number.isFinite(rounded) || rounded >= 1e21) return String(value);
+	const [intText, fracText = ''] = rounded.toFixed(fracDigits.length).split('.');
+
+	/** @type {Map<number, string>} token index -> output */
+	const out = new Map();
+	fillDigitsRightToLeft(tokens, intDigits, intText === '0' ? '' : intText, out);
+	if (grouping) groupThousands(intDigits, out);
+	fillFraction(tokens, fracDigits, fracText, out);
+	if (expIndex !== -1) fillDigitsRightToLeft(tokens, expDigits, String(Math.abs(exponent)), out);
+
+	let text = '';
+	for (let k = 0; k < tokens.length; k++) {
+		const t = tokens[k];
+		switch (t.type) {
+			case 'digit':
+				text += out.get(k) ?? '';
+				break;
+			case 'point':
+				text += '.';
+				break;
+			case 'percent':
+				text += '%';
+				break;
+			case 'exponent':
+				text += 'E' + (exponent < 0 ? '-' : t.showPlus ? '+' : '');
+				break;
+			case 'literal':
+				text += t.text;
+				break;
+			case 'general':
+				text += String(v);
+				break;
+		}
+	}
+	return text;
+}
+
+/**
+ * Formats a non-negative number with a fraction section. The digit placeholders
+ * right before the slash take the numerator and those after it the denominator;
+ * any placeholders before those take the whole part. Without them the whole
+ * value goes into the fraction (`?/?` shows 1.5 as 3/2).
+ * @param {FormatToken[]} tokens
+ * @param {number} slashIndex
+ * @param {number} value
+ * @returns {string}
+ */
+function formatFraction(tokens, slashIndex, value) {
+	const slash = /** @type {{ type:'slash', denominator:number|null }} */ (tokens[slashIndex]);
+	let numStart = slashIndex;
+	while (numStart > 0 && tokens[numStart - 1].type === 'digit') numStart--;
+	let denEnd = slashIndex + 1;
+	while (denEnd < tokens.length && tokens[denEnd].type === 'digit') denEnd++;
+	const wholeDigits = [];
+	for (let k = 0; k < numStart; k++) if (tokens[k].type === 'digit') wholeDigits.push(k);
+	const numDigits = [];
+	for (let k = numStart; k < slashIndex; k++) numDigits.push(k);
+	const denDigits = [];
+	for (let k = slashIndex + 1; k < denEnd; k++) denDigits.push(k);
+
+	let whole = wholeDigits.length > 0 ? Math.floor(value) : 0;
+	const [num, den] =
+		slash.denominator !== null
+			? [Math.round((value - whole) * slash.denominator), slash.denominator]
+			: closestFraction(value - whole, Math.pow(10, denDigits.length) - 1);
+	let numerator = num;
+	if (wholeDigits.length > 0 && numerator === den) {
+		whole++;
+		numerator = 0;
+	}
+
+	/** @type {Map<number, string>} token index -> output */
+	const out = new Map();
+	fillDigitsRightToLeft(tokens, wholeDigits, whole === 0 ? '' : String(whole), out);
+	fillDigitsRightToLeft(tokens, numDigits, String(numerator), out);
+	const denText = String(den);
+	denDigits.forEach((index, p) => {
+		const char = /** @type {{char:string}} */ (tokens[index]).char;
+		if (p === denDigits.length - 1) out.set(index, denText.slice(p));
+		else out.set(index, denText[p] ?? (char === '?' ? ' ' : ''));
+	});
+	// A whole number shows no fraction, but keeps its width so columns stay aligned
+	const blankFraction = wholeDigits.length > 0 && numerator === 0;
+	if (blankFraction && whole === 0) out.set(wholeDigits[wholeDigits.length - 1], '0');
+
+	let text = '';
+	for (let k = 0; k < tokens.length; k++) {
+		const t = tokens[k];
+		let part = '';
+		if (t.type === 'digit') part = out.get(k) ?? '';
+		else if (t.type === 'slash') part = '/' + (t.denominator ?? '');
+		else if (t.type === 'literal') part = t.text;
+		else if (t.type === 'percent') part = '%';
+		text += blankFraction && k >= numStart && k < denEnd ? ' '.repeat(part.length) : part;
+	}
+	return text;
+}
+
+/**
+ * The fraction closest to a number, from its continued fraction.
+ * @param {number} x - Non-negative
+ * @param {number} maxDenominator
+ * @returns {[number, number]} Numerator and denominator
+ */
+function closestFraction(x, maxDenominator) {
+	let [p0, q0, p1, q1] = [0, 1, 1, 0];
+	let v = x;
+	for (;;) {
+		const a = Math.floor(v);
+		const q2 = q0 + a * q1;
+		if (q2 > maxDenominator) break;
+		[p0, q0, p1, q1] = [p1, q1, p0 + a * p1, q2];
+		if (v - a < 1e-9) break;
+		v = 1 / (v - a);
+	}
+	// The best fraction may lie between the last two convergents
+	const k = Math.floor((maxDenominator - q0) / q1);
+	const [pk, qk] = [p0 + k * p1, q0 + k * q1];
+	return Math.abs(pk / qk - x) < Math.abs(p1 / q1 - x) ? [pk, qk] : [p1, q1];
+}
+
+/**
+ * Places digits into placeholders from the right. Missing digits become `0`,
+ * a space or nothing for `0`, `?` and `#`; extra digits go to the leftmost one.
+ * @param {FormatToken[]} tokens
+ * @param {number[]} placeholders - Token indices, left to right
+ * @param {string} digits
+ * @param {Map<number, string>} out
+ */
+function fillDigitsRightToLeft(tokens, placeholders, digits, out) {
+	let d = digits.length - 1;
+	for (let p = placeholders.length - 1; p >= 0; p--) {
+		const index = placeholders[p];
+		const char = /** @type {{char:string}} */ (tokens[index]).char;
+		let text;
+		if (p === 0 && d >= 0) text = digits.slice(0, d + 1);
+		else if (d >= 0) text = digits[d];
+		else text = char === '0' ? '0' : char === '?' ? ' ' : '';
+		d -= p === 0 ? d + 1 : 1;
+		out.set(index, text);
+	}
+}
+
+/**
+ * Inserts thousands separators across the integer placeholders' output.
+ * @param {number[]} placeholders
+ * @param {Map<number, string>} out
+ */
+function groupThousands(placeholders, out) {
+	if (placeholders.length === 0) return;
+	const digits = placeholders.map((index) => out.get(index) ?? '').join('');
+	const leading = digits.match(/^ */)[0];
+	const grouped = digits.slice(leading.length).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+	out.set(placeholders[0], leading + grouped);
+	for (let p = 1; p < placeholders.length; p++) out.set(placeholders[p], '');
+}
+
+/**
+ * Places fraction digits left to right, dropping (`#`) or blanking (`?`) trailing
+ * zeros that are not required by a `0` placeholder.
+ * @param {FormatToken[]} tokens
+ * @param {number[]} placeholders
+ * @param {string} digits
+ * @param {Map<number, string>} out
+ */
+function fillFraction(tokens, placeholders, digits, out) {
+	let trimming = true;
+	for (let p = placeholders.length - 1; p >= 0; p--) {
+		const index = placeholders[p];
+		const char = /** @type {{char:string}} */ (tokens[index]).char;
+		const digit = digits[p] ?? '0';
+		if (trimming && digit === '0' && char !== '0') {
+			out.set(index, char === '?' ? ' ' : '');
+			continue;
+		}
+		trimming = false;
+		out.set(index, digit);
+	}
+}
+
+/**
+ * @param {number} n
+ * @param {number} width
+ */
+function pad(n, width) {
+	return String(n).padStart(width, '0');
+}
+
+/**
+ * Formats a serial number with a date/time section.
+ * @param {FormatSection} section
+ * @param {number} serial
+ * @returns {string}
+ */
+function formatDate(section, serial) {
+	const p = serialToDateParts(serial);
+	const twelveHour = section.tokens.some(
+		(t) => t.type === 'date' && (t.code === 'AM/PM' || t.code === 'A/P')
+	);
+	const hours = twelveHour ? p.hours % 12 || 12 : p.hours;
+	const weekday = new Date(Date.UTC(p.year, p.month - 1, p.day)).getUTCDay();
+	let text = '';
+	for (const t of section.tokens) {
+		if (t.type === 'literal') {
+			text += t.text;
+			continue;
+		}
+		// Number punctuation has no special meaning next to date codes
+		if (t.type === 'comma') text += ',';
+		else if (t.type === 'point') text += '.';
+		else if (t.type === 'percent') text += '%';
+		if (t.type !== 'date') continue;
+		const code = t.code;
+		if (code === 'AM/PM') text += p.hours < 12 ? 'AM' : 'PM';
+		else if (code === 'A/P') text += p.hours < 12 ? 'A' : 'P';
+		else if (code[0] === 'y') text += code.length <= 2 ? pad(p.year % 100, 2) : pad(p.year, 4);
+		else if (code[0] === 'm') {
+			if (code.length === 1) text += p.month;
+			else if (code.length === 2) text += pad(p.month, 2);
+			else if (code.length === 3) text += MONTH_NAMES[p.month - 1].slice(0, 3);
+			else if (code.length === 5) text += MONTH_NAMES[p.month - 1][0];
+			else text += MONTH_NAMES[p.month - 1];
+		} else if (code[0] === 'd') {
+			if (code.length === 1) text += p.day;
+			else if (code.length === 2) text += pad(p.day, 2);
+			else if (code.length === 3) text += DAY_NAMES[weekday].slice(0, 3);
+			else text += DAY_NAMES[weekday];
+		} else if (code[0] === 'h') text += code.length === 1 ? hours : pad(hours, 2);
+		else if (code[0] === 'n') text += code.length === 1 ? p.minutes : pad(p.minutes, 2);
+		else if (code[0] === 's') text += code.length === 1 ? p.seconds : pad(p.seconds, 2);
+	}
+	return text;
+}
+
+/** @type {Map<string, NumberFormat>} */
+const COMPILED = new Map();
+
+/**
+ * Returns the compiled format for a pattern, compiling it on first use.
+ * @param {string} pattern
+ * @returns {NumberFormat}
+ */
+export function compileNumberFormat(pattern) {
+	let compiled = COMPILED.get(pattern);
+	if (!compiled) {
+		compiled = new NumberFormat(pattern);
+		COMPILED.set(pattern, compiled);
+	}
+	return compiled;
+}
+
+/**
+ * Formats a cell value with an optional pattern; no pattern means General.
+ * @param {import('../sheet/sheet.js').CellValue} value
+ * @param {string|null|undefined} pattern
+ * @returns {FormattedValue}
+ */
+export function formatCellValue(value, pattern) {
+	return compileNumberFormat(pattern || 'General').format(value);
+}
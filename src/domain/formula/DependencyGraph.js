@@ -0,0 +1,383 @@
+/**
+ * @file Tracks which formula cells read which cells so that an edit only
+ * recomputes the formulas downstream of it. Single-cell references are indexed
+ * by cell key; range references are indexed once per distinct range and shared
+ * by every formula that reads them. Those ranges are bucketed by the 64x64 chunks
+ * they touch, so finding the ranges over a cell does not scan them all.
+ */
+import { CHUNK_ROW_SHIFT_BITS, CHUNK_COL_SHIFT_BITS } from '../constants/ChunkSizing.js';
+import { makeChunkKey } from '../chunk/ChunkCoordinates.js';
+
+// Ranges touching more chunks than this (long or whole columns) are bucketed by
+// the chunk columns they span instead, and checked against every row there.
+const MAX_INDEXED_CHUNKS = 64;
+
+/**
+ * @typedef {Object} CellRange
+ * @property {number} r1
+ * @property {number} c1
+ * @property {number} r2 - May be Infinity for whole-column ranges
+ * @property {number} c2
+ */
+
+/**
+ * @typedef {Object} Precedents
+ * @property {Array<{row:number, col:number}>} cells
+ * @property {CellRange[]} ranges
+ */
+
+/**
+ * @typedef {Object} RangeEntry
+ * @property {CellRange} range
+ * @property {Set<string>} dependents - Keys of the formulas reading the range
+ */
+
+/**
+ * @typedef {Object} RecalcPlan
+ * @property {string[]} order - Affected formula keys, precedents before dependents
+ * @property {Set<string>} circular - Keys that take part in a reference cycle
+ */
+
+/**
+ * Builds the key used for a cell in the graph (and in the Sheet's formula registry).
+ * @param {number} row
+ * @param {number} col
+ * @returns {string}
+ */
+export function cellKey(row, col) {
+	return row + ',' + col;
+}
+
+/**
+ * @param {string} key
+ * @returns {{row:number, col:number}}
+ */
+export function parseCellKey(key) {
+	const comma = key.indexOf(',');
+	return { row: Number(key.slice(0, comma)), col: Number(key.slice(comma + 1)) };
+}
+
+/**
+ * Collects the cells and ranges a parsed formula reads.
+ * @param {import('./parser.js').FormulaNode} node
+ * @param {Precedents} [out]
+ * @returns {Precedents}
+ */
+export function collectPrecedents(node, out = { cells: [], ranges: [] }) {
+	switch (node.type) {
+		case 'ref':
+			out.cells.push({ row: node.row, col: node.col });
+			break;
+		case 'range':
+			out.ranges.push({ r1: node.r1, c1: node.c1, r2: node.r2, c2: node.c2 });
+			break;
+		case 'unary':
+		case 'postfix':
+			collectPrecedents(node.operand, out);
+			break;
+		case 'binary':
+			collectPrecedents(node.left, out);
+			collectPrecedents(node.right, out);
+			break;
+		case 'call':
+			for (const arg of node.args) collectPrecedents(arg, out);
+			break;
+	}
+	return out;
+}
+
+export class DependencyGraph {
+	constructor() {
+		/** @type {Map<string, { cellKeys:string[], rangeKeys:string[] }>} */
+		this._edgesByFormula = new Map();
+		/** @type {Map<string, Set<string>>} formula keys reading a given cell directly */
+		this._dependentsByCell = new Map();
+		/** @type {Map<string, RangeEntry>} */
+		this._dependentsByRange = new Map();
+		/** @type {Map<number, Set<RangeEntry>>} by chunk key */
+		this._rangesByChunk = new Map();
+		/** @type {Map<number, Set<RangeEntry>>} ranges too large for `_rangesByChunk`, by chunk column */
+		this._rangesByChunkCol = new Map();
+	}
+
+	/** Number of formulas registered in the graph */
+	get size() {
+		return this._edgesByFormula.size;
+	}
+
+	/**
+	 * @param {string} key
+	 * @returns {boolean}
+	 */
+	hasFormula(key) {
+		return this._edgesByFormula.has(key);
+	}
+
+	/**
+	 * Registers (or replaces) the precedents of a formula cell.
+	 * @param {string} key - Key of the formula cell
+	 * @param {Precedents} precedents
+	 */
+	setPrecedents(key, precedents) {
+		this.removeFormula(key);
+		const cellKeys = [];
+		for (const { row, col } of precedents.cells) {
+			const k = cellKey(row, col);
+			let dependents = this._dependentsByCell.get(k);
+			if (!dependents) {
+				dependents = new Set();
+				this._dependentsByCell.set(k, dependents);
+			}
+			dependents.add(key);
+			cellKeys.push(k);
+		}
+		const rangeKeys = [];
+		for (const range of precedents.ranges) {
+			const k = range.r1 + ',' + range.c1 + ':' + range.r2 + ',' + range.c2;
+			let entry = this._dependentsByRange.get(k);
+			if (!entry) {
+				entry = { range, dependents: new Set() };
+				this._dependentsByRange.set(k, entry);
+				this._forEachBucket(range, (buckets, bucketKey) => {
+					const bucket = buckets.get(bucketKey);
+					if (bucket) bucket.add(/** @type {RangeEntry} */ (entry));
+					else buckets.set(bucketKey, new Set([/** @type {RangeEntry} */ (entry)]));
+				});
+			}
+			entry.dependents.add(key);
+			rangeKeys.push(k);
+		}
+		this._edgesByFormula.set(key, { cellKeys, rangeKeys });
+	}
+
+	/**
+	 * Removes a formula cell and its outgoing edges. Formulas that read the cell keep
+	 * their edges to it, since the cell may receive a value again.
+	 * @param {string} key
+	 */
+	removeFormula(key) {
+		const edges = this._edgesByFormula.get(key);
+		if (!edges) return;
+		for (const k of edges.cellKeys) {
+			const dependents = this._dependentsByCell.get(k);
+			if (!dependents) continue;
+			dependents.delete(key);
+			if (dependents.size === 0) this._dependentsByCell.delete(k);
+		}
+		for (const k of edges.rangeKeys) {
+			const entry = this._dependentsByRange.get(k);
+			if (!entry) continue;
+			entry.dependents.delete(key);
+			if (entry.dependents.size > 0) continue;
+			this._dependentsByRange.delete(k);
+			this._forEachBucket(entry.range, (buckets, bucketKey) => {
+				const bucket = buckets.get(bucketKey);
+				if (!bucket) return;
+				bucket.delete(entry);
+				if (bucket.size === 0) buckets.delete(bucketKey);
+			});
+		}
+		this._edgesByFormula.delete(key);
+	}
+
+	/**
+	 * Calls `fn` with each bucket a range is filed under.
+	 * @private
+	 * @param {CellRange} range
+	 * @param {(buckets:Map<number, Set<RangeEntry>>, bucketKey:number) => void} fn
+	 */
+	_forEachBucket(range, fn) {
+		const cc1 = range.c1 >> CHUNK_COL_SHIFT_BITS;
+		const cc2 = range.c2 >> CHUNK_COL_SHIFT_BITS;
+		const chunkRows = Number.isFinite(range.r2)
+			? (range.r2 >> CHUNK_ROW_SHIFT_BITS) - (range.r1 >> CHUNK_ROW_SHIFT_BITS) + 1
+			: Infinity;
+		if (chunkRows * (cc2 - cc1 + 1) > MAX_INDEXED_CHUNKS) {
+			for (let cc = cc1; cc <= cc2; cc++) fn(this._rangesByChunkCol, cc);
+			return;
+		}
+		const cr1 = range.r1 >> CHUNK_ROW_SHIFT_BITS;
+		for (let cr = cr1; cr < cr1 + chunkRows; cr++) {
+			for (let cc = cc1; cc <= cc2; cc++) fn(this._rangesByChunk, makeChunkKey(cr, cc));
+		}
+	}
+
+	/**
+	 * Lists the ranges read by formulas that cover a cell.
+	 * @private
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {RangeEntry[]}
+	 */
+	_rangesCovering(row, col) {
+		const out = [];
+		const buckets = [
+			this._rangesByChunk.get(
+				makeChunkKey(row >> CHUNK_ROW_SHIFT_BITS, col >> CHUNK_COL_SHIFT_BITS)
+			),
+			this._rangesByChunkCol.get(col >> CHUNK_COL_SHIFT_BITS)
+		];
+		for (const bucket of buckets) {
+			if (!bucket) continue;
+			for (const entry of bucket) {
+				const { range } = entry;
+				if (row >= range.r1 && row <= range.r2 && col >= range.c1 && col <= range.c2) {
+					out.push(entry);
+				}
+			}
+		}
+		return out;
+	}
+
+	/**
+	 * Whether any formula reads the given cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {boolean}
+	 */
+	hasDependents(row, col) {
+		if (this._edgesByFormula.size === 0) return false;
+		if (this._dependentsByCell.has(cellKey(row, col))) return true;
+		return this._dependentsByRange.size > 0 && this._rangesCovering(row, col).length > 0;
+	}
+
+	/**
+	 * Returns the formula keys that read the given cell directly.
+	 * @param {string} key
+	 * @returns {string[]}
+	 */
+	getDirectDependents(key) {
+		const out = new Set(this._dependentsByCell.get(key));
+		if (this._dependentsByRange.size > 0) {
+			const { row, col } = parseCellKey(key);
+			for (const { dependents } of this._rangesCovering(row, col)) {
+				for (const d of dependents) out.add(d);
+			}
+		}
+		return Array.from(out);
+	}
+
+	/**
+	 * Plans the recalculation needed after the given cells changed: every formula
+	 * reachable from them (including changed formula cells themselves), in
+	 * topological order, with members of reference cycles reported separately.
+	 * @param {Iterable<string>} changedKeys
+	 * @returns {RecalcPlan}
+	 */
+	planRecalc(changedKeys) {
+		/** @type {Map<string, string[]>} affected formula key -> its dependents */
+		const affected = new Map();
+		const stack = [];
+		for (const key of changedKeys) {
+			if (this._edgesByFormula.has(key)) {
+				if (!affected.has(key)) {
+					affected.set(key, this.getDirectDependents(key));
+					stack.push(key);
+				}
+			} else {
+				for (const d of this.getDirectDependents(key)) {
+					if (affected.has(d)) continue;
+					affected.set(d, this.getDirectDependents(d));
+					stack.push(d);
+				}
+			}
+		}
+		while (stack.length > 0) {
+			const key = /** @type {string} */ (stack.pop());
+			for (const d of /** @type {string[]} */ (affected.get(key))) {
+				if (affected.has(d)) continue;
+				affected.set(d, this.getDirectDependents(d));
+				stack.push(d);
+			}
+		}
+		return orderStronglyConnected(affected);
+	}
+}
+
+/**
+ * Tarjan's strongly connected components, iterative so long dependency chains do
+ * not overflow the call stack. Components are found sinks-first, so reversing
+ * them yields a topological order of the condensed graph; components with more
+ * than one member, or a member that reads itself, are cycles.
+ * @param {Map<string, string[]>} successors
+ * @returns {RecalcPlan}
+ */
+function orderStronglyConnected(successors) {
+	/** @type {Map<string, number>} */
+	const indexOf = new Map();
+	/** @type {Map<string, number>} */
+	const lowLink = new Map();
+	/** @type {Set<string>} */
+	const onStack = new Set();
+	/** @type {string[]} */
+	const componentStack = [];
+	/** @type {string[][]} */
+	const components = [];
+	let nextIndex = 0;
+
+	for (const root of successors.keys()) {
+		if (indexOf.has(root)) continue;
+		indexOf.set(root, nextIndex);
+		lowLink.set(root, nextIndex);
+		nextIndex++;
+		componentStack.push(root);
+		onStack.add(root);
+		const work = [{ key: root, next: 0 }];
+
+		while (work.length > 0) {
+			const frame = work[work.length - 1];
+			const succ = /** @type {string[]} */ (successors.get(frame.key));
+			if (frame.next < succ.length) {
+				const s = succ[frame.next++];
+				if (!indexOf.has(s)) {
+					indexOf.set(s, nextIndex);
+					lowLink.set(s, nextIndex);
+					nextIndex++;
+					componentStack.push(s);
+					onStack.add(s);
+					work.push({ key: s, next: 0 });
+				} else if (onStack.has(s)) {
+					lowLink.set(
+						frame.key,
+						Math.min(
+							/** @type {number} */ (lowLink.get(frame.key)),
+							/** @type {number} */ (indexOf.get(s))
+						)
+					);
+				}
+				continue;
+			}
+
+			work.pop();
+			const low = /** @type {number} */ (lowLink.get(frame.key));
+			if (work.length > 0) {
+				const parent = work[work.length - 1].key;
+				lowLink.set(parent, Math.min(/** @type {number} */ (lowLink.get(parent)), low));
+			}
+			if (low === indexOf.get(frame.key)) {
+				const component = [];
+				let member;
+				do {
+					member = /** @type {string} */ (componentStack.pop());
+					onStack.delete(member);
+					component.push(member);
+				} while (member !== frame.key);
+				components.push(component);
+			}
+		}
+	}
+
+	const order = [];
+	const circular = new Set();
+	for (let i = components.length - 1; i >= 0; i--) {
+		const component = components[i];
+		const isCycle =
+			component.length > 1 ||
+			/** @type {string[]} */ (successors.get(component[0])).includes(component[0]);
+		for (const key of component) {
+			order.push(key);
+			if (isCycle) circular.add(key);
+		}
+	}
+	return { order, circular };
+}
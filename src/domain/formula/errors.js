@@ -0,0 +1,104 @@
+/**
+ * @file Spreadsheet error values such as `#DIV/0!`. Errors are produced by formulas
+ * and can also be stored in cells directly (e.g. pasted `#N/A`). They propagate
+ * through operators and most functions, so they are modelled as a distinct value
+ * type rather than as exceptions.
+ */
+
+export const ERROR_DIV0 = '#DIV/0!';
+export const ERROR_NA = '#N/A';
+export const ERROR_NAME = '#NAME?';
+export const ERROR_NULL = '#NULL!';
+export const ERROR_NUM = '#NUM!';
+export const ERROR_REF = '#REF!';
+export const ERROR_VALUE = '#VALUE!';
+/** Used when the formula text itself could not be parsed. */
+export const ERROR_SYNTAX = '#ERROR!';
+/** Used for cells whose formula depends, directly or indirectly, on itself. */
+export const ERROR_CIRCULAR = '#CIRCULAR!';
+
+/**
+ * Every known error code. Dense chunks store an error as its index in this list,
+ * so entries must only ever be appended.
+ * @type {readonly string[]}
+ */
+export const ERROR_CODES = Object.freeze([
+	ERROR_NULL,
+	ERROR_DIV0,
+	ERROR_VALUE,
+	ERROR_REF,
+	ERROR_NAME,
+	ERROR_NUM,
+	ERROR_NA,
+	ERROR_SYNTAX,
+	ERROR_CIRCULAR
+]);
+
+/**
+ * A spreadsheet error value such as `#DIV/0!`.
+ */
+export class FormulaError {
+	/** @param {string} code */
+	constructor(code) {
+		this.code = code;
+	}
+
+	toString() {
+		return this.code;
+	}
+}
+
+/** @type {Map<string, FormulaError>} */
+const INSTANCES = new Map();
+
+/**
+ * Returns the shared error instance for a code.
+ * @param {string} code
+ * @returns {FormulaError}
+ */
+export function formulaError(code) {
+	let err = INSTANCES.get(code);
+	if (!err) {
+		err = new FormulaError(code);
+		INSTANCES.set(code, err);
+	}
+	return err;
+}
+
+/**
+ * @param {any} value
+ * @returns {value is FormulaError}
+ */
+export function isFormulaError(value) {
+	return value instanceof FormulaError;
+}
+
+/**
+ * Returns the error value for its canonical text (e.g. "#N/A"), or null if the
+ * text is not an error code.
+ * @param {string} text
+ * @returns {FormulaError|null}
+ */
+export function parseErrorLiteral(text) {
+	if (text.length < 4 || text.charCodeAt(0) !== 35) return null;
+	const code = text.toUpperCase();
+	return ERROR_CODES.includes(code) ? formulaError(code) : null;
+}
+
+/**
+ * Index of an error in `ERROR_CODES`, used as its dense-chunk payload.
+ * @param {FormulaError} error
+ * @returns {number}
+ */
+export function errorCodeIndex(error) {
+	return ERROR_CODES.indexOf(error.code);
+}
+
+/**
+ * Inverse of `errorCodeIndex`.
+ * @param {number} index
+ * @returns {FormulaError}
+ */
+export function errorFromCodeIndex(index) {
+	return formulaError(ERROR_CODES[index] ?? ERROR_VALUE);
+}
@@ -0,0 +1,134 @@
+/**
+ * @file Evaluates formula ASTs against a cell-reading context. The evaluator is
+ * pure: it never mutates the sheet and reads cells only through the context.
+ */
+import {
+	ERROR_DIV0,
+	ERROR_NAME,
+	ERROR_NUM,
+	ERROR_VALUE,
+	formulaError,
+	isFormulaError
+} from './errors.js';
+import { RangeValue, toScalar, toNumber, toText, compareScalars } from './values.js';
+import { BUILTIN_FUNCTIONS } from './functions.js';
+
+/**
+ * @typedef {import('./parser.js').FormulaNode} FormulaNode
+ * @typedef {import('./errors.js').FormulaError} FormulaError
+ * @typedef {import('./values.js').ScalarValue} ScalarValue
+ * @typedef {import('./values.js').EvaluationContext} EvaluationContext
+ */
+
+/**
+ * @param {number} n
+ * @returns {number|FormulaError}
+ */
+function checkNumber(n) {
+	return Number.isFinite(n) ? n : formulaError(ERROR_NUM);
+}
+
+/**
+ * Evaluates a parsed formula.
+ * @param {FormulaNode} node
+ * @param {EvaluationContext} ctx
+ * @returns {ScalarValue}
+ */
+export function evaluateFormula(node, ctx) {
+	const result = toScalar(evaluateNode(node, ctx));
+	if (typeof result === 'number') return checkNumber(result);
+	return result ?? 0;
+}
+
+/**
+ * @param {FormulaNode} node
+ * @param {EvaluationContext} ctx
+ * @returns {ScalarValue|RangeValue}
+ */
+function evaluateNode(node, ctx) {
+	switch (node.type) {
+		case 'number':
+		case 'string':
+		case 'boolean':
+			return node.value;
+		case 'error':
+			return formulaError(node.code);
+		case 'ref':
+			return new RangeValue(node.row, node.col, node.row, node.col, ctx);
+		case 'range':
+			return new RangeValue(node.r1, node.c1, node.r2, node.c2, ctx);
+		case 'name':
+			return formulaError(ERROR_NAME);
+		case 'unary': {
+			const v = toNumber(toScalar(evaluateNode(node.operand, ctx)));
+			if (isFormulaError(v)) return v;
+			return node.op === '-' ? -v : v;
+		}
+		case 'postfix': {
+			const v = toNumber(toScalar(evaluateNode(node.operand, ctx)));
+			if (isFormulaError(v)) return v;
+			return v / 100;
+		}
+		case 'binary':
+			return evaluateBinary(
+				node.op,
+				toScalar(evaluateNode(node.left, ctx)),
+				toScalar(evaluateNode(node.right, ctx))
+			);
+		case 'call': {
+			const fn = BUILTIN_FUNCTIONS[node.name];
+			if (!fn) return formulaError(ERROR_NAME);
+			const args = node.args.map((arg) => evaluateNode(arg, ctx));
+			return fn(args, ctx);
+		}
+		default:
+			return formulaError(ERROR_VALUE);
+	}
+}
+
+/**
+ * @param {string} op
+ * @param {ScalarValue} left
+ * @param {ScalarValue} right
+ * @returns {ScalarValue}
+ */
+function evaluateBinary(op, left, right) {
+	if (isFormulaError(left)) return left;
+	if (isFormulaError(right)) return right;
+
+	if (op === '&') return toText(left) + toText(right);
+
+	switch (op) {
+		case '=':
+			return compareScalars(left, right) === 0;
+		case '<>':
+			return compareScalars(left, right) !== 0;
+		case '<':
+			return compareScalars(left, right) < 0;
+		case '>':
+			return compareScalars(left, right) > 0;
+		case '<=':
+			return compareScalars(left, right) <= 0;
+		case '>=':
+			return compareScalars(left, right) >= 0;
+	}
+
+	const a = toNumber(left);
+	if (isFormulaError(a)) return a;
+	const b = toNumber(right);
+	if (isFormulaError(b)) return b;
+	switch (op) {
+		case '+':
+			return a + b;
+		case '-':
+			return a - b;
+		case '*':
+			return a * b;
+		case '/':
+			return b === 0 ? formulaError(ERROR_DIV0) : a / b;
+		case '^':
+			return checkNumber(Math.pow(a, b));
+		default:
+			return formulaError(ERROR_VALUE);
+	}
+}
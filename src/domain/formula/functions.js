@@ -0,0 +1,291 @@
+/**
+ * @file Built-in spreadsheet functions. Each function receives its evaluated
+ * arguments (scalars or RangeValue instances) and returns a scalar result.
+ * Errors are returned, never thrown.
+ */
+import {
+	ERROR_DIV0,
+	ERROR_NA,
+	ERROR_NUM,
+	ERROR_VALUE,
+	formulaError,
+	isFormulaError
+} from './errors.js';
+import { RangeValue, toScalar, toNumber, toText, toBoolean } from './values.js';
+import { isDateValue } from '../dates/DateValue.js';
+
+/**
+ * @typedef {import('./values.js').ScalarValue} ScalarValue
+ * @typedef {import('./values.js').EvaluationContext} EvaluationContext
+ * @typedef {(args: Array<ScalarValue|RangeValue>, ctx: EvaluationContext) => ScalarValue} BuiltinFunction
+ */
+
+/**
+ * Collects the numbers in a list of arguments. Values read from ranges follow
+ * aggregate semantics (text, booleans and blanks are skipped, dates count as
+ * their serial number); direct scalar arguments are coerced and fail with
+ * #VALUE! when not numeric.
+ * @param {Array<ScalarValue|RangeValue>} args
+ * @returns {number[]|import('./errors.js').FormulaError}
+ */
+function collectNumbers(args) {
+	const out = [];
+	for (const arg of args) {
+		if (arg instanceof RangeValue) {
+			for (const v of arg.values()) {
+				if (isFormulaError(v)) return v;
+				if (typeof v === 'number') out.push(v);
+				else if (isDateValue(v)) out.push(v.serial);
+			}
+		} else {
+			const n = toNumber(arg);
+			if (isFormulaError(n)) return n;
+			out.push(n);
+		}
+	}
+	return out;
+}
+
+/**
+ * Applies a numeric function to a single coerced argument.
+ * @param {(n:number) => number} fn
+ * @returns {BuiltinFunction}
+ */
+function unaryNumeric(fn) {
+	return (args) => {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		const n = toNumber(toScalar(args[0]));
+		if (isFormulaError(n)) return n;
+		const result = fn(n);
+		return Number.isFinite(result) ? result : formulaError(ERROR_NUM);
+	};
+}
+
+/**
+ * Applies a text function to a single coerced argument.
+ * @param {(s:string) => ScalarValue} fn
+ * @returns {BuiltinFunction}
+ */
+function unaryText(fn) {
+	return (args) => {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		const s = toText(toScalar(args[0]));
+		if (isFormulaError(s)) return s;
+		return fn(s);
+	};
+}
+
+/**
+ * @param {number} n
+ * @param {number} digits
+ */
+function roundHalfAwayFromZero(n, digits) {
+	const factor = Math.pow(10, digits);
+	return (Math.sign(n) * Math.round(Math.abs(n) * factor + Number.EPSILON)) / factor;
+}
+
+/** @type {Record<string, BuiltinFunction>} */
+export const BUILTIN_FUNCTIONS = {
+	SUM(args) {
+		const nums = collectNumbers(args);
+		if (isFormulaError(nums)) return nums;
+		let total = 0;
+		for (const n of nums) total += n;
+		return total;
+	},
+	PRODUCT(args) {
+		const nums = collectNumbers(args);
+		if (isFormulaError(nums)) return nums;
+		if (nums.length === 0) return 0;
+		let total = 1;
+		for (const n of nums) total *= n;
+		return total;
+	},
+	AVERAGE(args) {
+		const nums = collectNumbers(args);
+		if (isFormulaError(nums)) return nums;
+		if (nums.length === 0) return formulaError(ERROR_DIV0);
+		let total = 0;
+		for (const n of nums) total += n;
+		return total / nums.length;
+	},
+	MIN(args) {
+		const nums = collectNumbers(args);
+		if (isFormulaError(nums)) return nums;
+		if (nums.length === 0) return 0;
+		let min = nums[0];
+		for (const n of nums) if (n < min) min = n;
+		return min;
+	},
+	MAX(args) {
+		const nums = collectNumbers(args);
+		if (isFormulaError(nums)) return nums;
+		if (nums.length === 0) return 0;
+		let max = nums[0];
+		for (const n of nums) if (n > max) max = n;
+		return max;
+	},
+	COUNT(args) {
+		let count = 0;
+		for (const arg of args) {
+			if (arg instanceof RangeValue) {
+				for (const v of arg.values()) if (typeof v === 'number' || isDateValue(v)) count++;
+			} else if (!isFormulaError(toNumber(arg)) && arg !== null) {
+				count++;
+			}
+		}
+		return count;
+	},
+	COUNTA(args) {
+		let count = 0;
+		for (const arg of args) {
+			if (arg instanceof RangeValue) {
+				for (const v of arg.values()) if (v != null && v !== '') count++;
+			} else if (arg != null) {
+				count++;
+			}
+		}
+		return count;
+	},
+	ABS: unaryNumeric(Math.abs),
+	INT: unaryNumeric(Math.floor),
+	SQRT: unaryNumeric((n) => (n < 0 ? NaN : Math.sqrt(n))),
+	ROUND(args) {
+		if (args.length < 1 || args.length > 2) return formulaError(ERROR_VALUE);
+		const n = toNumber(toScalar(args[0]));
+		if (isFormulaError(n)) return n;
+		const digits = args.length > 1 ? toNumber(toScalar(args[1])) : 0;
+		if (isFormulaError(digits)) return digits;
+		return roundHalfAwayFromZero(n, Math.trunc(digits));
+	},
+	MOD(args) {
+		if (args.length !== 2) return formulaError(ERROR_VALUE);
+		const n = toNumber(toScalar(args[0]));
+		if (isFormulaError(n)) return n;
+		const d = toNumber(toScalar(args[1]));
+		if (isFormulaError(d)) return d;
+		if (d === 0) return formulaError(ERROR_DIV0);
+		// Result takes the sign of the divisor
+		return n - d * Math.floor(n / d);
+	},
+	POWER(args) {
+		if (args.length !== 2) return formulaError(ERROR_VALUE);
+		const base = toNumber(toScalar(args[0]));
+		if (isFormulaError(base)) return base;
+		const exp = toNumber(toScalar(args[1]));
+		if (isFormulaError(exp)) return exp;
+		const result = Math.pow(base, exp);
+		return Number.isFinite(result) ? result : formulaError(ERROR_NUM);
+	},
+	IF(args) {
+		if (args.length < 2 || args.length > 3) return formulaError(ERROR_VALUE);
+		const cond = toBoolean(toScalar(args[0]));
+		if (isFormulaError(cond)) return cond;
+		if (cond) return toScalar(args[1]) ?? 0;
+		return args.length > 2 ? (toScalar(args[2]) ?? 0) : false;
+	},
+	IFERROR(args) {
+		if (args.length !== 2) return formulaError(ERROR_VALUE);
+		const value = toScalar(args[0]);
+		return isFormulaError(value) ? (toScalar(args[1]) ?? 0) : (value ?? 0);
+	},
+	AND(args) {
+		let result = true;
+		for (const arg of args) {
+			const values = arg instanceof RangeValue ? arg.values() : [arg];
+			for (const v of values) {
+				if (arg instanceof RangeValue && (v == null || typeof v === 'string')) continue;
+				const b = toBoolean(v);
+				if (isFormulaError(b)) return b;
+				result = result && b;
+			}
+		}
+		return result;
+	},
+	OR(args) {
+		let result = false;
+		for (const arg of args) {
+			const values = arg instanceof RangeValue ? arg.values() : [arg];
+			for (const v of values) {
+				if (arg instanceof RangeValue && (v == null || typeof v === 'string')) continue;
+				const b = toBoolean(v);
+				if (isFormulaError(b)) return b;
+				result = result || b;
+			}
+		}
+		return result;
+	},
+	NOT(args) {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		const b = toBoolean(toScalar(args[0]));
+		return isFormulaError(b) ? b : !b;
+	},
+	ISBLANK(args) {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		const v = toScalar(args[0]);
+		return v == null || v === '';
+	},
+	ISNUMBER(args) {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		const v = toScalar(args[0]);
+		return typeof v === 'number' || isDateValue(v);
+	},
+	ISTEXT(args) {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		return typeof toScalar(args[0]) === 'string';
+	},
+	ISERROR(args) {
+		if (args.length !== 1) return formulaError(ERROR_VALUE);
+		return isFormulaError(toScalar(args[0]));
+	},
+	NA() {
+		return formulaError(ERROR_NA);
+	},
+	LEN: unaryText((s) => s.length),
+	UPPER: unaryText((s) => s.toUpperCase()),
+	LOWER: unaryText((s) => s.toLowerCase()),
+	TRIM: unaryText((s) => s.trim().replace(/ {2,}/g, ' ')),
+	LEFT(args) {
+		if (args.length < 1 || args.length > 2) return formulaError(ERROR_VALUE);
+		const s = toText(toScalar(args[0]));
+		if (isFormulaError(s)) return s;
+		const n = args.length > 1 ? toNumber(toScalar(args[1])) : 1;
+		if (isFormulaError(n)) return n;
+		if (n < 0) return formulaError(ERROR_VALUE);
+		return s.slice(0, Math.trunc(n));
+	},
+	RIGHT(args) {
+		if (args.length < 1 || args.length > 2) return formulaError(ERROR_VALUE);
+		const s = toText(toScalar(args[0]));
+		if (isFormulaError(s)) return s;
+		const n = args.length > 1 ? toNumber(toScalar(args[1])) : 1;
+		if (isFormulaError(n)) return n;
+		if (n < 0) return formulaError(ERROR_VALUE);
+		return Math.trunc(n) === 0 ? '' : s.slice(-Math.trunc(n));
+	},
+	MID(args) {
+		if (args.length !== 3) return formulaError(ERROR_VALUE);
+		const s = toText(toScalar(args[0]));
+		if (isFormulaError(s)) return s;
+		const start = toNumber(toScalar(args[1]));
+		if (isFormulaError(start)) return start;
+		const len = toNumber(toScalar(args[2]));
+		if (isFormulaError(len)) return len;
+		if (start < 1 || len < 0) return formulaError(ERROR_VALUE);
+		return s.substr(Math.trunc(start) - 1, Math.trunc(len));
+	},
+	CONCAT(args) {
+		let out = '';
+		for (const arg of args) {
+			const values = arg instanceof RangeValue ? arg.values() : [arg];
+			for (const v of values) {
+				const s = toText(v);
+				if (isFormulaError(s)) return s;
+				out += s;
+			}
+		}
+		return out;
+	}
+};
+
+BUILTIN_FUNCTIONS.CONCATENATE = BUILTIN_FUNCTIONS.CONCAT;
@@ -0,0 +1,214 @@
+/**
+ * @file Recursive-descent parser that turns formula tokens into an AST.
+ *
+ * Operator precedence, lowest to highest (matching common spreadsheet apps):
+ *   comparison (= <> < > <= >=)
+ *   concatenation (&)
+ *   additive (+ -)
+ *   multiplicative (* /)
+ *   exponent (^)
+ *   unary (- +)
+ *   percent (postfix %)
+ *   range (:)
+ */
+import { tokenize, FormulaSyntaxError } from './tokenizer.js';
+import { parseA1, columnLabelToIndex } from './references.js';
+
+/**
+ * @typedef {{ type:'number', value:number }
+ *   | { type:'string', value:string }
+ *   | { type:'boolean', value:boolean }
+ *   | { type:'error', code:string }
+ *   | { type:'ref', row:number, col:number, absRow:boolean, absCol:boolean }
+ *   | { type:'range', r1:number, c1:number, r2:number, c2:number }
+ *   | { type:'unary', op:string, operand:FormulaNode }
+ *   | { type:'postfix', op:string, operand:FormulaNode }
+ *   | { type:'binary', op:string, left:FormulaNode, right:FormulaNode }
+ *   | { type:'call', name:string, args:FormulaNode[] }
+ *   | { type:'name', name:string }} FormulaNode
+ */
+
+const COMPARISON_OPS = new Set(['=', '<>', '<', '>', '<=', '>=']);
+
+/**
+ * Returns true if a raw cell input should be treated as a formula.
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isFormulaText(value) {
+	return typeof value === 'string' && value.length > 1 && value.charCodeAt(0) === 61; // '='
+}
+
+/**
+ * Parses a formula. The leading `=` is optional.
+ * @param {string} source
+ * @returns {FormulaNode}
+ * @throws {FormulaSyntaxError} When the formula is malformed.
+ */
+export function parseFormula(source) {
+	const body = source.charCodeAt(0) === 61 ? source.slice(1) : source;
+	const tokens = tokenize(body);
+	let pos = 0;
+
+	const peek = () => tokens[pos];
+	const next = () => tokens[pos++];
+	const expect = (type) => {
+		const tok = next();
+		if (tok.type !== type) {
+			throw new FormulaSyntaxError(`Expected ${type} but found '${tok.text}'`, tok.pos);
+		}
+		return tok;
+	};
+	const isOp = (text) => peek().type === 'op' && peek().text === text;
+
+	function parseComparison() {
+		let left = parseConcat();
+		while (peek().type === 'op' && COMPARISON_OPS.has(peek().text)) {
+			const op = next().text;
+			left = { type: 'binary', op, left, right: parseConcat() };
+		}
+		return left;
+	}
+
+	function parseConcat() {
+		let left = parseAdditive();
+		while (isOp('&')) {
+			next();
+			left = { type: 'binary', op: '&', left, right: parseAdditive() };
+		}
+		return left;
+	}
+
+	function parseAdditive() {
+		let left = parseMultiplicative();
+		while (isOp('+') || isOp('-')) {
+			const op = next().text;
+			left = { type: 'binary', op, left, right: parseMultiplicative() };
+		}
+		return left;
+	}
+
+	function parseMultiplicative() {
+		let left = parseExponent();
+		while (isOp('*') || isOp('/')) {
+			const op = next().text;
+			left = { type: 'binary', op, left, right: parseExponent() };
+		}
+		return left;
+	}
+
+	function parseExponent() {
+		let left = parseUnary();
+		while (isOp('^')) {
+			next();
+			left = { type: 'binary', op: '^', left, right: parseUnary() };
+		}
+		return left;
+	}
+
+	function parseUnary() {
+		if (isOp('-') || isOp('+')) {
+			const op = next().text;
+			return { type: 'unary', op, operand: parseUnary() };
+		}
+		return parsePostfix();
+	}
+
+	function parsePostfix() {
+		let operand = parsePrimary();
+		while (isOp('%')) {
+			next();
+			operand = { type: 'postfix', op: '%', operand };
+		}
+		return operand;
+	}
+
+	function parsePrimary() {
+		const tok = next();
+		switch (tok.type) {
+			case 'number':
+				return { type: 'number', value: tok.value };
+			case 'string':
+				return { type: 'string', value: tok.value };
+			case 'boolean':
+				return { type: 'boolean', value: tok.value };
+			case 'error':
+				return { type: 'error', code: tok.value };
+			case 'lparen': {
+				const inner = parseComparison();
+				expect('rparen');
+				return inner;
+			}
+			case 'ref': {
+				const start = parseA1(tok.text);
+				if (!start) throw new FormulaSyntaxError(`Invalid reference '${tok.text}'`, tok.pos);
+				if (peek().type === 'colon') {
+					next();
+					const endTok = expect('ref');
+					const end = parseA1(endTok.text);
+					if (!end) throw new FormulaSyntaxError(`Invalid reference '${endTok.text}'`, endTok.pos);
+					return makeRange(start.row, start.col, end.row, end.col);
+				}
+				return { type: 'ref', ...start };
+			}
+			case 'ident': {
+				if (peek().type === 'lparen') {
+					next();
+					/** @type {FormulaNode[]} */
+					const args = [];
+					if (peek().type !== 'rparen') {
+						for (;;) {
+							args.push(parseComparison());
+							if (peek().type !== 'comma') break;
+							next();
+						}
+					}
+					expect('rparen');
+					return { type: 'call', name: tok.text, args };
+				}
+				// Whole-column ranges such as A:C
+				if (peek().type === 'colon') {
+					const c1 = columnLabelToIndex(tok.text.replace(/\$/g, ''));
+					next();
+					const endTok = expect('ident');
+					const c2 = columnLabelToIndex(endTok.text.replace(/\$/g, ''));
+					if (c1 < 0 || c2 < 0) {
+						throw new FormulaSyntaxError(`Invalid column range '${tok.text}'`, tok.pos);
+					}
+					return makeRange(0, c1, Infinity, c2);
+				}
+				return { type: 'name', name: tok.text };
+			}
+			default:
+				throw new FormulaSyntaxError(
+					tok.type === 'eof' ? 'Unexpected end of formula' : `Unexpected '${tok.text}'`,
+					tok.pos
+				);
+		}
+	}
+
+	const ast = parseComparison();
+	if (peek().type !== 'eof') {
+		throw new FormulaSyntaxError(`Unexpected '${peek().text}'`, peek().pos);
+	}
+	return ast;
+}
+
+/**
+ * @param {number} ra
+ * @param {number} ca
+ * @param {number} rb
+ * @param {number} cb
+ * @returns {FormulaNode}
+ */
+function makeRange(ra, ca, rb, cb) {
+	return {
+		type: 'range',
+		r1: Math.min(ra, rb),
+		c1: Math.min(ca, cb),
+		r2: Math.max(ra, rb),
+		c2: Math.max(ca, cb)
+	};
+}
+
+export { FormulaSyntaxError };
@@ -0,0 +1,73 @@
+/**
+ * @file Helpers for converting between A1-style references and zero-based
+ * (row, col) coordinates. Column labels use bijective base-26 (A..Z, AA..AZ, ...),
+ * matching the labels rendered in the column headers.
+ */
+
+/**
+ * @typedef {Object} CellRef
+ * @property {number} row - Zero-based row index.
+ * @property {number} col - Zero-based column index.
+ * @property {boolean} absRow - True when the row was written with a `$` prefix.
+ * @property {boolean} absCol - True when the column was written with a `$` prefix.
+ */
+
+const A1_PATTERN = /^(\$?)([A-Za-z]{1,3})(\$?)([1-9][0-9]*)$/;
+
+/**
+ * Converts a column label such as "A", "Z" or "AB" to a zero-based index.
+ * @param {string} label
+ * @returns {number} Column index, or -1 if the label is not valid.
+ */
+export function columnLabelToIndex(label) {
+	if (!label) return -1;
+	let index = 0;
+	for (let i = 0; i < label.length; i++) {
+		const code = label.charCodeAt(i) & ~32; // fold to upper case
+		if (code < 65 || code > 90) return -1;
+		index = index * 26 + (code - 64);
+	}
+	return index - 1;
+}
+
+/**
+ * Converts a zero-based column index to its label ("A", "B", ..., "AA", ...).
+ * @param {number} index
+ * @returns {string}
+ */
+export function columnIndexToLabel(index) {
+	let n = index + 1;
+	let label = '';
+	while (n > 0) {
+		const rem = (n - 1) % 26;
+		label = String.fromCharCode(65 + rem) + label;
+		n = Math.floor((n - 1) / 26);
+	}
+	return label;
+}
+
+/**
+ * Parses an A1 reference (optionally with `$` anchors) into coordinates.
+ * @param {string} text
+ * @returns {CellRef|null} The parsed reference, or null if `text` is not a reference.
+ */
+export function parseA1(text) {
+	const m = A1_PATTERN.exec(text);
+	if (!m) return null;
+	const col = columnLabelToIndex(m[2]);
+	const row = Number(m[4]) - 1;
+	if (col < 0 || row < 0) return null;
+	return { row, col, absRow: m[3] === '$', absCol: m[1] === '$' };
+}
+
+/**
+ * Formats zero-based coordinates as an A1 reference.
+ * @param {number} row
+ * @param {number} col
+ * @param {boolean} [absRow=false]
+ * @param {boolean} [absCol=false]
+ * @returns {string}
+ */
+export function formatA1(row, col, absRow = false, absCol = false) {
+	return (absCol ? '$' : '') + columnIndexToLabel(col) + (absRow ? '$' : '') + (row + 1);
+}
@@ -0,0 +1,215 @@
+/**
+ * @file Rewrites the references in a formula's source text when rows or columns
+ * are inserted or deleted, so formulas keep pointing at the same cells:
+ *   - references at or after an insertion point move by the inserted count
+ *   - references past a deleted band move back; references into it become #REF!
+ *   - ranges grow or shrink with the band and become #REF! once fully deleted
+ * Like other spreadsheets, `$`-anchored references move too; anchors only matter
+ * when copying formulas, which `offsetFormulaReferences` handles.
+ */
+import { tokenize } from './tokenizer.js';
+import { isFormulaText } from './parser.js';
+import { parseA1, formatA1, columnLabelToIndex, columnIndexToLabel } from './references.js';
+import { ERROR_REF } from './errors.js';
+
+/**
+ * @typedef {'row'|'col'} ShiftAxis
+ */
+
+/**
+ * Maps one index through the shift, or returns -1 when it falls in a deleted band.
+ * @param {number} index
+ * @param {number} at
+ * @param {number} delta - Positive for inserts, negative for deletes
+ * @returns {number}
+ */
+export function shiftIndex(index, at, delta) {
+	if (index < at) return index;
+	if (delta >= 0) return index + delta;
+	return index >= at - delta ? index + delta : -1;
+}
+
+/**
+ * Maps an index after the shift back to where it was before, or returns -1 when it
+ * is one of the inserted rows/columns.
+ * @param {number} index
+ * @param {number} at
+ * @param {number} delta - Positive for inserts, negative for deletes
+ * @returns {number}
+ */
+export function unshiftIndex(index, at, delta) {
+	if (index < at) return index;
+	if (delta < 0) return index - delta;
+	return index >= at + delta ? index - delta : -1;
+}
+
+/**
+ * Maps an inclusive span [lo, hi] through the shift. Deleting part of a span
+ * shrinks it; the result is null when the whole span was deleted.
+ * @param {number} lo
+ * @param {number} hi - May be Infinity
+ * @param {number} at
+ * @param {number} delta
+ * @returns {[number, number]|null}
+ */
+export function shiftSpan(lo, hi, at, delta) {
+	if (delta >= 0) return [shiftIndex(lo, at, delta), shiftIndex(hi, at, delta)];
+	const end = at - delta; // first index after the deleted band
+	const newLo = lo < at ? lo : lo >= end ? lo + delta : at;
+	const newHi = hi < at ? hi : hi >= end ? hi + delta : at - 1;
+	return newHi < newLo ? null : [newLo, newHi];
+}
+
+/**
+ * Returns the formula with its references adjusted for a row or column shift.
+ * Text that is not a formula, or does not tokenize, is returned unchanged.
+ * @param {string} source - Formula text including the leading `=`
+ * @param {ShiftAxis} axis
+ * @param {number} at - First row/column index affected
+ * @param {number} delta - Number inserted (positive) or deleted (negative)
+ * @returns {string}
+ */
+export function shiftFormulaReferences(source, axis, at, delta) {
+	if (!isFormulaText(source) || delta === 0) return source;
+	return editReferences(
+		source,
+		(startText, endText, isRange) => shiftCellRange(startText, endText, isRange, axis, at, delta),
+		(startText, endText) =>
+			axis === 'col' ? shiftColumnRange(startText, endText, at, delta) : null
+	);
+}
+
+/**
+ * Returns the formula as it reads when copied `rowOffset` rows down and
+ * `colOffset` columns right, e.g. by the fill handle: relative references move
+ * with the copy and `$`-anchored parts stay. References pushed off the top or
+ * left edge become #REF!.
+ * @param {string} source - Formula text including the leading `=`
+ * @param {number} rowOffset
+ * @param {number} colOffset
+ * @returns {string}
+ */
+export function offsetFormulaReferences(source, rowOffset, colOffset) {
+	if (!isFormulaText(source) || (rowOffset === 0 && colOffset === 0)) return source;
+	return editReferences(
+		source,
+		(startText, endText, isRange) => {
+			const refs = [parseA1(startText), parseA1(endText)];
+			if (!refs[0] || !refs[1]) return null;
+			const moved = refs.map((ref) => ({
+				...ref,
+				row: ref.absRow ? ref.row : ref.row + rowOffset,
+				col: ref.absCol ? ref.col : ref.col + colOffset
+			}));
+			if (moved.some((ref) => ref.row < 0 || ref.col < 0)) return ERROR_REF;
+			const format = (ref) => formatA1(ref.row, ref.col, ref.absRow, ref.absCol);
+			return isRange ? format(moved[0]) + ':' + format(moved[1]) : format(moved[0]);
+		},
+		(startText, endText) => {
+			const move = (text) => {
+				if (text.startsWith('$')) return text;
+				const index = columnLabelToIndex(text) + colOffset;
+				return index < 0 ? null : columnIndexToLabel(index);
+			};
+			if (colOffset === 0) return null;
+			const first = move(startText);
+			const second = move(endText);
+			return first === null || second === null ? ERROR_REF : first + ':' + second;
+		}
+	);
+}
+
+/**
+ * Rewrites each cell reference or range, and each whole-column range, of a
+ * formula. Callbacks return the replacement text, or null to keep the original.
+ * @param {string} source - Formula text including the leading `=`
+ * @param {(startText:string, endText:string, isRange:boolean) => string|null} editCells
+ * @param {(startText:string, endText:string) => string|null} editColumns
+ * @returns {string}
+ */
+function editReferences(source, editCells, editColumns) {
+	const body = source.slice(1);
+	let tokens;
+	try {
+		tokens = tokenize(body);
+	} catch {
+		return source;
+	}
+
+	/** @type {{ start:number, end:number, text:string }[]} */
+	const edits = [];
+	for (let i = 0; i < tokens.length; i++) {
+		const tok = tokens[i];
+		const isRange = tokens[i + 1]?.type === 'colon' && tokens[i + 2]?.type === tok.type;
+		if (tok.type === 'ref' && tokens[i + 1]?.type !== 'lparen') {
+			const endTok = isRange ? tokens[i + 2] : tok;
+			const text = editCells(tok.text, endTok.text, isRange);
+			if (text !== null) {
+				edits.push({ start: tok.pos, end: endTok.pos + endTok.text.length, text });
+			}
+			if (isRange) i += 2;
+		} else if (tok.type === 'ident' && isRange && tokens[i + 3]?.type !== 'lparen') {
+			// Whole-column range such as A:C; only column shifts affect it
+			const endTok = tokens[i + 2];
+			const text = editColumns(tok.text, endTok.text);
+			if (text !== null) {
+				edits.push({ start: tok.pos, end: endTok.pos + endTok.text.length, text });
+			}
+			i += 2;
+		}
+	}
+	if (edits.length === 0) return source;
+
+	let out = body;
+	for (let k = edits.length - 1; k >= 0; k--) {
+		const e = edits[k];
+		out = out.slice(0, e.start) + e.text + out.slice(e.end);
+	}
+	return '=' + out;
+}
+
+/**
+ * @param {string} startText
+ * @param {string} endText - Same as `startText` for a single cell
+ * @param {boolean} isRange
+ * @param {ShiftAxis} axis
+ * @param {number} at
+ * @param {number} delta
+ * @returns {string|null} Replacement text, or null when unchanged
+ */
+function shiftCellRange(startText, endText, isRange, axis, at, delta) {
+	const a = parseA1(startText);
+	const b = parseA1(endText);
+	if (!a || !b) return null;
+	const key = axis === 'row' ? 'row' : 'col';
+	const forward = a[key] <= b[key];
+	const lo = forward ? a : b;
+	const hi = forward ? b : a;
+	const span = shiftSpan(lo[key], hi[key], at, delta);
+	if (!span) return ERROR_REF;
+	if (span[0] === lo[key] && span[1] === hi[key]) return null;
+	const newLo = { ...lo, [key]: span[0] };
+	const newHi = { ...hi, [key]: span[1] };
+	const first = forward ? newLo : newHi;
+	const second = forward ? newHi : newLo;
+	const format = (ref) => formatA1(ref.row, ref.col, ref.absRow, ref.absCol);
+	return isRange ? format(first) + ':' + format(second) : format(first);
+}
+
+/**
+ * @param {string} startText - Column label, optionally `$`-anchored
+ * @param {string} endText
+ * @param {number} at
+ * @param {number} delta
+ * @returns {string|null} Replacement text, or null when unchanged
+ */
+function shiftColumnRange(startText, endText, at, delta) {
+	const c1 = columnLabelToIndex(startText.replace(/\$/g, ''));
+	const c2 = columnLabelToIndex(endText.replace(/\$/g, ''));
+	if (c1 < 0 || c2 < 0) return null;
+	const span = shiftSpan(Math.min(c1, c2), Math.max(c1, c2), at, delta);
+	if (!span) return ERROR_REF;
+	if (span[0] === Math.min(c1, c2) && span[1] === Math.max(c1, c2)) return null;
+	const label = (text, index) => (text.startsWith('$') ? '$' : '') + columnIndexToLabel(index);
+	return label(startText, span[0]) + ':' + label(endText, span[1]);
+}
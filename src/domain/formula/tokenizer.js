@@ -0,0 +1,174 @@
+/**
+ * @file Tokenizer for spreadsheet formulas. Converts the text after the leading
+ * `=` into a flat list of tokens consumed by the parser.
+ */
+
+/**
+ * @typedef {'number'|'string'|'boolean'|'error'|'ref'|'ident'|'op'|'lparen'|'rparen'|'comma'|'colon'|'eof'} TokenType
+ */
+
+/**
+ * @typedef {Object} Token
+ * @property {TokenType} type
+ * @property {string} text - Source text of the token.
+ * @property {any} [value] - Decoded literal value for number/string/boolean/error tokens.
+ * @property {number} pos - Offset of the token in the formula body.
+ */
+
+/** Raised when a formula cannot be tokenized or parsed. */
+export class FormulaSyntaxError extends Error {
+	/**
+	 * @param {string} message
+	 * @param {number} pos
+	 */
+	constructor(message, pos) {
+		super(message);
+		this.name = 'FormulaSyntaxError';
+		this.pos = pos;
+	}
+}
+
+const ERROR_LITERALS = ['#DIV/0!', '#N/A', '#NAME?', '#NULL!', '#NUM!', '#REF!', '#VALUE!'];
+const TWO_CHAR_OPS = new Set(['<=', '>=', '<>']);
+const ONE_CHAR_OPS = new Set(['+', '-', '*', '/', '^', '&', '=', '<', '>', '%']);
+const REF_PATTERN = /^\$?[A-Za-z]{1,3}\$?[1-9][0-9]*$/;
+
+/**
+ * @param {string} ch
+ */
+function isDigit(ch) {
+	return ch >= '0' && ch <= '9';
+}
+
+/**
+ * @param {string} ch
+ */
+function isIdentChar(ch) {
+	return (
+		(ch >= 'A' && ch <= 'Z') ||
+		(ch >= 'a' && ch <= 'z') ||
+		isDigit(ch) ||
+		ch === '_' ||
+		ch === '.' ||
+		ch === '$'
+	);
+}
+
+/**
+ * Splits a formula body (without the leading `=`) into tokens.
+ * @param {string} body
+ * @returns {Token[]}
+ */
+export function tokenize(body) {
+	/** @type {Token[]} */
+	const tokens = [];
+	let i = 0;
+	const n = body.length;
+	while (i < n) {
+		const ch = body[i];
+		if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') {
+			i++;
+			continue;
+		}
+		const start = i;
+
+		// Numbers: 12, 1.5, .5, 1e3, 2.5E-4
+		if (isDigit(ch) || (ch === '.' && isDigit(body[i + 1] ?? ''))) {
+			while (i < n && isDigit(body[i])) i++;
+			if (body[i] === '.') {
+				i++;
+				while (i < n && isDigit(body[i])) i++;
+			}
+			if ((body[i] === 'e' || body[i] === 'E') && /[0-9+-]/.test(body[i + 1] ?? '')) {
+				i++;
+				if (body[i] === '+' || body[i] === '-') i++;
+				while (i < n && isDigit(body[i])) i++;
+			}
+			// A number immediately followed by letters is not a number (e.g. "1A" is invalid)
+			if (i < n && /[A-Za-z_]/.test(body[i])) {
+				throw new FormulaSyntaxError(`Unexpected character '${body[i]}'`, i);
+			}
+			const text = body.slice(start, i);
+			tokens.push({ type: 'number', text, value: Number(text), pos: start });
+			continue;
+		}
+
+		// Strings use double quotes; "" escapes a quote
+		if (ch === '"') {
+			i++;
+			let value = '';
+			for (;;) {
+				if (i >= n) throw new FormulaSyntaxError('Unterminated string literal', start);
+				if (body[i] === '"') {
+					if (body[i + 1] === '"') {
+						value += '"';
+						i += 2;
+						continue;
+					}
+					i++;
+					break;
+				}
+				value += body[i++];
+			}
+			tokens.push({ type: 'string', text: body.slice(start, i), value, pos: start });
+			continue;
+		}
+
+		// Error literals such as #N/A
+		if (ch === '#') {
+			const upper = body.slice(i).toUpperCase();
+			const match = ERROR_LITERALS.find((e) => upper.startsWith(e));
+			if (!match) throw new FormulaSyntaxError('Unknown error literal', start);
+			i += match.length;
+			tokens.push({ type: 'error', text: match, value: match, pos: start });
+			continue;
+		}
+
+		if (ch === '(') {
+			tokens.push({ type: 'lparen', text: ch, pos: i++ });
+			continue;
+		}
+		if (ch === ')') {
+			tokens.push({ type: 'rparen', text: ch, pos: i++ });
+			continue;
+		}
+		if (ch === ',' || ch === ';') {
+			tokens.push({ type: 'comma', text: ch, pos: i++ });
+			continue;
+		}
+		if (ch === ':') {
+			tokens.push({ type: 'colon', text: ch, pos: i++ });
+			continue;
+		}
+
+		const two = body.slice(i, i + 2);
+		if (TWO_CHAR_OPS.has(two)) {
+			tokens.push({ type: 'op', text: two, pos: i });
+			i += 2;
+			continue;
+		}
+		if (ONE_CHAR_OPS.has(ch)) {
+			tokens.push({ type: 'op', text: ch, pos: i++ });
+			continue;
+		}
+
+		// References, booleans and function names
+		if (isIdentChar(ch)) {
+			while (i < n && isIdentChar(body[i])) i++;
+			const text = body.slice(start, i);
+			const upper = text.toUpperCase();
+			if (REF_PATTERN.test(text)) {
+				tokens.push({ type: 'ref', text: upper, pos: start });
+			} else if ((upper === 'TRUE' || upper === 'FALSE') && body[i] !== '(') {
+				tokens.push({ type: 'boolean', text: upper, value: upper === 'TRUE', pos: start });
+			} else {
+				tokens.push({ type: 'ident', text: upper, pos: start });
+			}
+			continue;
+		}
+
+		throw new FormulaSyntaxError(`Unexpected character '${ch}'`, i);
+	}
+	tokens.push({ type: 'eof', text: '', pos: n });
+	return tokens;
+}
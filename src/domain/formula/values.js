@@ -0,0 +1,149 @@
+/**
+ * @file Value helpers shared by the formula evaluator and built-in functions:
+ * the lazy range type and the spreadsheet coercion rules.
+ */
+import { ERROR_VALUE, formulaError, isFormulaError } from './errors.js';
+import { isDateValue } from '../dates/DateValue.js';
+
+/**
+ * @typedef {import('./errors.js').FormulaError} FormulaError
+ * @typedef {import('../dates/DateValue.js').DateValue} DateValue
+ * @typedef {string|number|boolean|null|FormulaError|DateValue} ScalarValue
+ */
+
+/**
+ * @typedef {Object} EvaluationContext
+ * @property {(row:number, col:number) => any} getCellValue - Reads the computed value of a cell.
+ * @property {number} numRows - Used to clamp whole-column ranges.
+ * @property {number} numCols
+ */
+
+/**
+ * A rectangular block of cells passed to functions. Values are read lazily so
+ * large ranges do not need to be materialized.
+ */
+export class RangeValue {
+	/**
+	 * @param {number} r1
+	 * @param {number} c1
+	 * @param {number} r2
+	 * @param {number} c2
+	 * @param {EvaluationContext} ctx
+	 */
+	constructor(r1, c1, r2, c2, ctx) {
+		this.r1 = r1;
+		this.c1 = c1;
+		this.r2 = Math.min(r2, ctx.numRows - 1);
+		this.c2 = Math.min(c2, ctx.numCols - 1);
+		this.ctx = ctx;
+	}
+
+	get rowCount() {
+		return Math.max(0, this.r2 - this.r1 + 1);
+	}
+
+	get colCount() {
+		return Math.max(0, this.c2 - this.c1 + 1);
+	}
+
+	/**
+	 * Reads a cell relative to the range's top-left corner.
+	 * @param {number} dr
+	 * @param {number} dc
+	 */
+	at(dr, dc) {
+		return this.ctx.getCellValue(this.r1 + dr, this.c1 + dc);
+	}
+
+	/** Iterates cell values in row-major order. */
+	*values() {
+		for (let r = this.r1; r <= this.r2; r++) {
+			for (let c = this.c1; c <= this.c2; c++) yield this.ctx.getCellValue(r, c);
+		}
+	}
+}
+
+/**
+ * Collapses a range argument to a single value when it covers exactly one cell.
+ * @param {any} value
+ * @returns {ScalarValue}
+ */
+export function toScalar(value) {
+	if (value instanceof RangeValue) {
+		if (value.rowCount === 1 && value.colCount === 1) return value.at(0, 0) ?? null;
+		return formulaError(ERROR_VALUE);
+	}
+	return value;
+}
+
+/**
+ * Coerces a scalar to a number following spreadsheet rules. Dates become their
+ * serial number.
+ * @param {ScalarValue} value
+ * @returns {number|FormulaError}
+ */
+export function toNumber(value) {
+	if (isFormulaError(value)) return value;
+	if (value == null || value === '') return 0;
+	if (typeof value === 'number') return value;
+	if (isDateValue(value)) return value.serial;
+	if (typeof value === 'boolean') return value ? 1 : 0;
+	const trimmed = String(value).trim();
+	if (trimmed === '') return 0;
+	const num = Number(trimmed);
+	return Number.isFinite(num) ? num : formulaError(ERROR_VALUE);
+}
+
+/**
+ * Coerces a scalar to text. Like other spreadsheets, dates become their serial
+ * number since formulas have no access to the cell's display format.
+ * @param {ScalarValue} value
+ * @returns {string|FormulaError}
+ */
+export function toText(value) {
+	if (isFormulaError(value)) return value;
+	if (value == null) return '';
+	if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+	if (isDateValue(value)) return String(value.serial);
+	return String(value);
+}
+
+/**
+ * Coerces a scalar to a boolean.
+ * @param {ScalarValue} value
+ * @returns {boolean|FormulaError}
+ */
+export function toBoolean(value) {
+	if (isFormulaError(value)) return value;
+	if (value == null || value === '') return false;
+	if (typeof value === 'boolean') return value;
+	if (typeof value === 'number') return value !== 0;
+	if (isDateValue(value)) return value.serial !== 0;
+	const upper = String(value).trim().toUpperCase();
+	if (upper === 'TRUE') return true;
+	if (upper === 'FALSE') return false;
+	return formulaError(ERROR_VALUE);
+}
+
+/**
+ * Orders two scalars the way comparison operators do: numbers < text < booleans,
+ * with text compared case-insensitively and blanks treated as 0 / "" / FALSE.
+ * Dates rank and compare as numbers.
+ * @param {ScalarValue} a
+ * @param {ScalarValue} b
+ * @returns {number}
+ */
+export function compareScalars(a, b) {
+	const rank = (v) => (typeof v === 'boolean' ? 2 : typeof v === 'string' ? 1 : 0);
+	if (a == null) a = typeof b === 'string' ? '' : typeof b === 'boolean' ? false : 0;
+	if (b == null) b = typeof a === 'string' ? '' : typeof a === 'boolean' ? false : 0;
+	const ra = rank(a);
+	const rb = rank(b);
+	if (ra !== rb) return ra - rb;
+	if (ra === 1) {
+		const sa = String(a).toLowerCase();
+		const sb = String(b).toLowerCase();
+		return sa < sb ? -1 : sa > sb ? 1 : 0;
+	}
+	return Number(a) - Number(b);
+}
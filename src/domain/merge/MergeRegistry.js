@@ -0,0 +1,202 @@
+/**
+ * @file This file contains the MergeRegistry class, which records merged cell ranges.
+ * A merge shows its top-left (anchor) cell across the whole rectangle; the other
+ * cells it covers are hidden. Merges never overlap.
+ */
+import { CHUNK_ROW_SHIFT_BITS, CHUNK_COL_SHIFT_BITS } from '../constants/ChunkSizing.js';
+import { makeChunkKey } from '../chunk/ChunkCoordinates.js';
+import { shiftSpan } from '../formula/shiftReferences.js';
+
+/**
+ * @typedef {Object} MergeRange
+ * @property {number} r1 - Top row (inclusive)
+ * @property {number} c1 - Left column (inclusive)
+ * @property {number} r2 - Bottom row (inclusive)
+ * @property {number} c2 - Right column (inclusive)
+ */
+
+/**
+ * Merged ranges, indexed by the 64x64 chunks they touch so looking up the merge
+ * covering a cell stays cheap while rendering.
+ */
+export class MergeRegistry {
+	constructor() {
+		/** @type {Set<Readonly<MergeRange>>} */
+		this._merges = new Set();
+		/** @type {Map<number, Readonly<MergeRange>[]>} */
+		this._mergesByChunk = new Map();
+	}
+
+	/** Number of merged ranges */
+	get size() {
+		return this._merges.size;
+	}
+
+	/**
+	 * Lists every merged range.
+	 * @returns {Readonly<MergeRange>[]}
+	 */
+	all() {
+		return Array.from(this._merges);
+	}
+
+	/**
+	 * Adds a merge. The range must span more than one cell and must not overlap an
+	 * existing merge.
+	 * @param {MergeRange} range
+	 * @returns {Readonly<MergeRange>} The stored range
+	 */
+	add(range) {
+		const merge = Object.freeze(normalizeRange(range));
+		if (merge.r1 === merge.r2 && merge.c1 === merge.c2) {
+			throw new Error('A merge must span more than one cell');
+		}
+		if (this.findIntersecting(merge.r1, merge.c1, merge.r2, merge.c2).length > 0) {
+			throw new Error('Merged ranges cannot overlap');
+		}
+		this._merges.add(merge);
+		this._forEachChunk(merge, (key) => {
+			const bucket = this._mergesByChunk.get(key);
+			if (bucket) bucket.push(merge);
+			else this._mergesByChunk.set(key, [merge]);
+		});
+		return merge;
+	}
+
+	/**
+	 * Removes a merge previously returned by `add`, `getMergeAt` or `findIntersecting`.
+	 * @param {Readonly<MergeRange>} merge
+	 * @returns {boolean} Whether it was registered
+	 */
+	remove(merge) {
+		if (!this._merges.delete(merge)) return false;
+		this._forEachChunk(merge, (key) => {
+			const bucket = this._mergesByChunk.get(key);
+			if (!bucket) return;
+			const next = bucket.filter((m) => m !== merge);
+			if (next.length > 0) this._mergesByChunk.set(key, next);
+			else this._mergesByChunk.delete(key);
+		});
+		return true;
+	}
+
+	/**
+	 * Gets the merge covering a cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {Readonly<MergeRange>|null}
+	 */
+	getMergeAt(row, col) {
+		if (this._merges.size === 0) return null;
+		const bucket = this._mergesByChunk.get(
+			makeChunkKey(row >> CHUNK_ROW_SHIFT_BITS, col >> CHUNK_COL_SHIFT_BITS)
+		);
+		if (!bucket) return null;
+		for (const m of bucket) {
+			if (row >= m.r1 && row <= m.r2 && col >= m.c1 && col <= m.c2) return m;
+		}
+		return null;
+	}
+
+	/**
+	 * Lists the merges that overlap a range.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {Readonly<MergeRange>[]}
+	 */
+	findIntersecting(topRow, leftCol, bottomRow, rightCol) {
+		const out = [];
+		for (const m of this._merges) {
+			if (m.r1 <= bottomRow && m.r2 >= topRow && m.c1 <= rightCol && m.c2 >= leftCol) out.push(m);
+		}
+		return out;
+	}
+
+	/**
+	 * Grows a range until no merge is partly inside it, as when a selection snaps to
+	 * the merged cells it touches.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {MergeRange}
+	 */
+	expandRange(topRow, leftCol, bottomRow, rightCol) {
+		const range = normalizeRange({ r1: topRow, c1: leftCol, r2: bottomRow, c2: rightCol });
+		if (this._merges.size === 0) return range;
+		let grown = true;
+		while (grown) {
+			grown = false;
+			for (const m of this.findIntersecting(range.r1, range.c1, range.r2, range.c2)) {
+				if (m.r1 < range.r1 || m.c1 < range.c1 || m.r2 > range.r2 || m.c2 > range.c2) {
+					range.r1 = Math.min(range.r1, m.r1);
+					range.c1 = Math.min(range.c1, m.c1);
+					range.r2 = Math.max(range.r2, m.r2);
+					range.c2 = Math.max(range.c2, m.c2);
+					grown = true;
+				}
+			}
+		}
+		return range;
+	}
+
+	/**
+	 * Moves merges for inserted or deleted rows/columns. Merges grow or shrink with
+	 * the band; a merge left covering a single cell is dropped.
+	 * @param {'row'|'col'} axis
+	 * @param {number} at - First row/column index affected
+	 * @param {number} delta - Number inserted (positive) or deleted (negative)
+	 */
+	shift(axis, at, delta) {
+		if (this._merges.size === 0) return;
+		const [lo, hi] = axis === 'row' ? ['r1', 'r2'] : ['c1', 'c2'];
+		const next = [];
+		for (const m of this._merges) {
+			const span = shiftSpan(m[lo], m[hi], at, delta);
+			if (span) next.push({ ...m, [lo]: span[0], [hi]: span[1] });
+		}
+		this.replaceAll(next.filter((m) => m.r1 !== m.r2 || m.c1 !== m.c2));
+	}
+
+	/**
+	 * Replaces every merge, e.g. when restoring a snapshot.
+	 * @param {MergeRange[]} ranges
+	 */
+	replaceAll(ranges) {
+		this.clear();
+		for (const range of ranges) this.add(range);
+	}
+
+	/** Removes every merge. */
+	clear() {
+		this._merges.clear();
+		this._mergesByChunk.clear();
+	}
+
+	/**
+	 * @param {MergeRange} merge
+	 * @param {(chunkKey:number) => void} fn
+	 */
+	_forEachChunk(merge, fn) {
+		const cr2 = merge.r2 >> CHUNK_ROW_SHIFT_BITS;
+		const cc2 = merge.c2 >> CHUNK_COL_SHIFT_BITS;
+		for (let cr = merge.r1 >> CHUNK_ROW_SHIFT_BITS; cr <= cr2; cr++) {
+			for (let cc = merge.c1 >> CHUNK_COL_SHIFT_BITS; cc <= cc2; cc++) fn(makeChunkKey(cr, cc));
+		}
+	}
+}
+
+/**
+ * @param {MergeRange} range
+ * @returns {MergeRange}
+ */
+function normalizeRange(range) {
+	return {
+		r1: Math.min(range.r1, range.r2),
+		c1: Math.min(range.c1, range.c2),
+		r2: Math.max(range.r1, range.r2),
+		c2: Math.max(range.c1, range.c2)
+	};
+}
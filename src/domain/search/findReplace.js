@@ -0,0 +1,64 @@
+/**
+ * @file Find and Replace. A search looks at the text a cell is edited as: the
+ * formula source for formulas, and numbers, booleans, errors and dates written
+ * the way they are pasted (see `serializeCell`). Replacing writes the new text
+ * back through `parseCell`, so "10" replaced by "20" stays a number and text
+ * that becomes "=A1" becomes a formula.
+ */
+import { serializeCell, parseCell } from '../clipboard/tsv.js';
+
+/**
+ * @typedef {import('../sheet/sheet.js').CellValue} CellValue
+ */
+
+/**
+ * @typedef {Object} FindOptions
+ * @property {boolean} [matchCase] - Letters must match in case
+ * @property {boolean} [wholeCell] - The whole cell text must match, not just part of it
+ * @property {boolean} [regex] - The query is a regular expression
+ */
+
+/**
+ * @typedef {Object} CellMatcher
+ * @property {(value:CellValue) => boolean} test - Whether a raw cell value matches
+ * @property {(value:CellValue, replacement:string) => CellValue} replace - The raw
+ *   value with every match replaced. With `regex`, `$1` and `$&` in the
+ *   replacement refer to the match.
+ */
+
+/**
+ * Builds a matcher for a query. An invalid regular expression throws its
+ * SyntaxError so the find bar can show it.
+ * @param {string} query
+ * @param {FindOptions} [options]
+ * @returns {CellMatcher|null} Null for an empty query
+ */
+export function createCellMatcher(query, options = {}) {
+	if (!query) return null;
+	const source = options.regex ? query : escapeRegExp(query);
+	const pattern = options.wholeCell ? `^(?:${source})$` : source;
+	const flags = options.matchCase ? 'gu' : 'giu';
+	const re = new RegExp(pattern, flags);
+	return {
+		test(value) {
+			if (value == null) return false;
+			re.lastIndex = 0;
+			return re.test(serializeCell(value));
+		},
+		replace(value, replacement) {
+			const text = serializeCell(value);
+			re.lastIndex = 0;
+			const next = options.regex
+				? text.replace(re, replacement)
+				: text.replace(re, () => replacement);
+			return next === text ? value : parseCell(next);
+		}
+	};
+}
+
+/**
+ * @param {string} text
+ */
+function escapeRegExp(text) {
+	return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -6,7 +6,69 @@
  */
 
 /**
- * @typedef {string|number|boolean|null} CellValue
+ * @typedef {string|number|boolean|import('../formula/errors.js').FormulaError|import('../dates/DateValue.js').DateValue|null} CellValue
+ */
+
+/**
+ * @typedef {import('../style/StyleTable.js').CellStyle} CellStyle
+ * @typedef {import('../style/StyleTable.js').CellStylePatch} CellStylePatch
+ */
+
+/**
+ * Row or column insertion (`delta` > 0) or deletion (`delta` < 0). Holds what the
+ * operation destroyed or rewrote so undo can put it back.
+ * @typedef {Object} StructureOp
+ * @property {'structure'} kind
+ * @property {'row'|'col'} axis
+ * @property {number} at
+ * @property {number} delta
+ * @property {{ r:number, c:number, value:CellValue }[]} removedCells
+ * @property {{ r:number, c:number, styleId:number }[]} removedStyles
+ * @property {{ r:number, c:number, prev:string, next:string }[]} rewrites - Formulas whose references moved, at their new position
+ * @property {import('../format/FormatLayer.js').FormatRange[]} formatsBefore
+ * @property {import('../merge/MergeRegistry.js').MergeRange[]} mergesBefore
+ */
+
+/**
+ * Merging or unmerging: the merges taken out of the registry and those put in.
+ * @typedef {Object} MergeOp
+ * @property {'merge'} kind
+ * @property {import('../merge/MergeRegistry.js').MergeRange[]} removed
+ * @property {import('../merge/MergeRegistry.js').MergeRange[]} added
+ */
+
+/**
+ * Number format changes: the format ranges before and after.
+ * @typedef {Object} FormatOp
+ * @property {'format'} kind
+ * @property {import('../format/FormatLayer.js').FormatRange[]} prev
+ * @property {import('../format/FormatLayer.js').FormatRange[]} next
+ */
+
+/**
+ * An undo/redo entry. Value changes hold cell values; style changes hold style ids.
+ * @typedef {{ r:number, c:number, prev:CellValue, next:CellValue, kind?:undefined }
+ *   | { kind:'style', r:number, c:number, prev:number, next:number }
+ *   | StructureOp
+ *   | MergeOp
+ *   | FormatOp} HistoryOp
+ */
+
+/**
+ * One cell whose raw value (formula source for formulas) changed.
+ * @typedef {{ r:number, c:number, prev:CellValue, next:CellValue }} CellChange
+ */
+
+/**
+ * What one transaction, undo, redo or standalone edit changed. Cell coordinates are
+ * taken after the whole batch: apply `structure` in order, then `cells`.
+ * @typedef {Object} SheetChangeEvent
+ * @property {'edit'|'undo'|'redo'|'load'|'remote'} source
+ * @property {CellChange[]} cells - One entry per cell: its first prev and last next value
+ * @property {{ r:number, c:number }[]} styles - Cells whose style changed
+ * @property {{ axis:'row'|'col', at:number, delta:number }[]} structure - Rows/columns inserted or deleted
+ * @property {boolean} merges - Whether merges were added or removed
+ * @property {{ numRows:number, numCols:number }|null} dimensions - The new size, if it changed
  */
 
 /**
@@ -14,6 +76,7 @@
  * @property {'sparse'} kind
  * @property {Map<number, CellValue>} localIndexToValue
  * @property {number} nonEmptyCellCount
+ * @property {boolean} isDirty - Changed since it was last written to the chunk store's backend
  */
 
 /**
@@ -23,6 +86,7 @@
  * @property {Float64Array} numberByLocalIndex
  * @property {Uint32Array} stringIdByLocalIndex
  * @property {number} nonEmptyCellCount
+ * @property {boolean} isDirty
  */
 
 /**
@@ -31,10 +95,14 @@
 
 import { GlobalStringTable } from '../strings/GlobalStringTable.js';
 import { serialize2DToTSV, parseCell } from '../clipboard/tsv.js';
+import { parseDelimited } from '../clipboard/delimited.js';
+import { parseHtmlTable } from '../clipboard/html.js';
+import { readClipboardBlock, transposeBlock, combineValues } from '../clipboard/pasteSpecial.js';
 import {
 	CHUNK_ROW_SHIFT_BITS,
 	CHUNK_COL_SHIFT_BITS,
 	CELLS_PER_CHUNK,
+	CHUNK_NUM_ROWS,
 	CHUNK_NUM_COLS
 } from '../constants/ChunkSizing.js';
 import {
@@ -45,10 +113,48 @@ import {
 	CELL_TAG_EMPTY,
 	CELL_TAG_NUMBER,
 	CELL_TAG_STRING,
-	CELL_TAG_BOOLEAN
+	CELL_TAG_BOOLEAN,
+	CELL_TAG_ERROR,
+	CELL_TAG_DATE
 } from '../chunk/ChunkTypes.js';
 import { createSparseChunk, createDenseChunk } from '../chunk/ChunkFactory.js';
-import { makeChunkKey, computeLocalIndexWithinChunk } from '../chunk/ChunkCoordinates.js';
+import { ChunkStore } from '../chunk/ChunkStore.js';
+import { estimateChunkBytes, encodeChunk, decodeChunk } from '../chunk/ChunkCodec.js';
+import { writeSnapshot, concatBytes, SnapshotReader } from '../snapshot/SheetSnapshot.js';
+import {
+	makeChunkKey,
+	splitChunkKey,
+	computeLocalIndexWithinChunk,
+	shiftChunkIndex
+} from '../chunk/ChunkCoordinates.js';
+import { parseFormula, isFormulaText } from '../formula/parser.js';
+import { evaluateFormula } from '../formula/evaluator.js';
+import { FormatLayer } from '../format/FormatLayer.js';
+import { StyleStore } from '../style/StyleStore.js';
+import { MergeRegistry } from '../merge/MergeRegistry.js';
+import {
+	ERROR_CIRCULAR,
+	ERROR_SYNTAX,
+	formulaError,
+	isFormulaError,
+	errorCodeIndex,
+	errorFromCodeIndex
+} from '../formula/errors.js';
+import {
+	DependencyGraph,
+	cellKey,
+	parseCellKey,
+	collectPrecedents
+} from '../formula/DependencyGraph.js';
+import {
+	shiftFormulaReferences,
+	offsetFormulaReferences,
+	shiftIndex,
+	unshiftIndex
+} from '../formula/shiftReferences.js';
+import { inferSeries } from '../fill/series.js';
+import { dateValue, isDateValue } from '../dates/DateValue.js';
+import { parseIsoDate } from '../dates/parseDate.js';
 
 const columns = [
 	'A',
@@ -79,31 +185,77 @@ const columns = [
 	'Z'
 ];
 
+/**
+ * Modulo that stays non-negative, for positions counted backwards.
+ * @param {number} a
+ * @param {number} n
+ * @returns {number}
+ */
+function mod(a, n) {
+	return ((a % n) + n) % n;
+}
+
+/**
+ * Key of a value or style history op, as used by `_txnIndexByCell`.
+ * @param {{ r:number, c:number, kind?:string }} op
+ * @returns {string}
+ */
+function historyKey(op) {
+	return op.kind ? op.kind + ':' + op.r + ',' + op.c : op.r + ',' + op.c;
+}
+
+/**
+ * Re-keys cells after mapping one coordinate, dropping those mapped to -1.
+ * @param {Map<string, { r:number, c:number, kind?:'style' }>} cells
+ * @param {'row'|'col'} axis
+ * @param {(index:number) => number} map
+ * @returns {Map<string, { r:number, c:number, kind?:'style' }>}
+ */
+function mapCells(cells, axis, map) {
+	const out = new Map();
+	for (const cell of cells.values()) {
+		const index = map(axis === 'row' ? cell.r : cell.c);
+		if (index === -1) continue;
+		const moved = axis === 'row' ? { ...cell, r: index } : { ...cell, c: index };
+		out.set(historyKey(moved), moved);
+	}
+	return out;
+}
+
 /**
  * The Sheet class is the central entity for all spreadsheet operations.
  * It is the vanilla javascript memory and logic engine that powers all operations
  * for the component.
  */
 export class Sheet {
-	constructor() {
+	/**
+	 * @param {{ globalStringTable?: GlobalStringTable, chunkStore?: ChunkStore }} [options] -
+	 *   Sheets of a workbook share one string table. Pass a chunk store with a backend
+	 *   to spill cold chunks out of memory.
+	 */
+	constructor(options = {}) {
 		/** @type {number} */
 		this.numRows = 1000;
 		/** @type {number} */
 		this.numCols = 27;
 		this.columnLabels = Array.from({ length: this.numCols }, (_, i) => this._indexToColumnLabel(i));
 		/** @type {GlobalStringTable} */
-		this.globalStringTable = new GlobalStringTable();
-		/** @type {Map<string, Chunk>} */
-		this._chunks = new Map();
-		/** @type {string} */
-		this._lastAccessedChunkKey = '';
+		this.globalStringTable = options.globalStringTable ?? new GlobalStringTable();
+		/** @type {ChunkStore} */
+		this._chunks = options.chunkStore ?? new ChunkStore();
+		/** @type {number} */
+		this._lastAccessedChunkKey = -1;
+		/** @type {Set<() => void>} */
+		this._chunkLoadListeners = new Set();
+		this._chunks.onLoad((key, chunk) => this._onChunkLoaded(key, chunk));
 
 		// --- Undo/Redo state ---
-		/** @type {{ ops:{ r:number, c:number, prev:CellValue, next:CellValue }[], meta?:{anchorRow?:number, anchorCol?:number} }[]} */
+		// Ops without a kind are value changes; style ops carry `kind: 'style'` and style ids.
+		/** @type {{ ops:HistoryOp[], meta?:{anchorRow?:number, anchorCol?:number} }[]} */
 		this._undoStack = [];
-		/** @type {{ ops:{ r:number, c:number, prev:CellValue, next:CellValue }[], meta?:{anchorRow?:number, anchorCol?:number} }[]} */
+		/** @type {{ ops:HistoryOp[], meta?:{anchorRow?:number, anchorCol?:number} }[]} */
 		this._redoStack = [];
-		/** @type {{ r:number, c:number, prev:CellValue, next:CellValue }[]|null} */
+		/** @type {HistoryOp[]|null} */
 		this._currentTransaction = null;
 		/** @type {{anchorRow?:number, anchorCol?:number}|null} */
 		this._currentMeta = null;
@@ -111,7 +263,86 @@ export class Sheet {
 		this._txnIndexByCell = null;
 		/** @type {boolean} */
 		this._isApplyingHistory = false;
+		/**
+		 * Cells overwritten by the remote edits being applied, keyed like `_txnIndexByCell`.
+		 * @type {Map<string, { r:number, c:number, kind?:'style' }>|null}
+		 */
+		this._remoteTouched = null;
 		this._setDataRowCount = 0;
+		/**
+		 * Number formats by range. Display-only, so they live beside the cell data
+		 * rather than in the chunks.
+		 * @type {FormatLayer}
+		 */
+		this.formats = new FormatLayer();
+		/**
+		 * Per-cell styles (font, colors, alignment, borders), stored as interned ids.
+		 * @type {StyleStore}
+		 */
+		this.styles = new StyleStore();
+		/**
+		 * Merged cell ranges. Only the top-left cell of a merge holds a value.
+		 * @type {MergeRegistry}
+		 */
+		this.merges = new MergeRegistry();
+		/** @type {Set<(change:{ axis:'row'|'col', at:number, delta:number }) => void>} */
+		this._structureListeners = new Set();
+		/**
+		 * Custom row heights and column widths (sparse, in pixels) saved with the sheet
+		 * in snapshots. The grid keeps the live sizes while the sheet is shown.
+		 * @type {import('../snapshot/SheetSnapshot.js').SnapshotSizes}
+		 */
+		this.layout = { rowHeights: [], colWidths: [] };
+
+		// --- Change events ---
+		/** @type {Set<(event:SheetChangeEvent) => void>} */
+		this._changeListeners = new Set();
+		/**
+		 * Changes waiting for the current transaction or batch to end.
+		 * @type {{ source:SheetChangeEvent['source'], cells:Map<string, CellChange>, styles:Map<string, { r:number, c:number }>, structure:SheetChangeEvent['structure'], merges:boolean }|null}
+		 */
+		this._pendingChanges = null;
+		/** @type {number} */
+		this._changeBatchDepth = 0;
+		/** @type {SheetChangeEvent['source']} */
+		this._changeSource = 'edit';
+		/** @type {number} Nonzero while cells move for a structure op, which reports itself */
+		this._movingCells = 0;
+		/** @type {{ numRows:number, numCols:number }|null} Size as of the last event */
+		this._reportedDimensions = null;
+
+		// --- Formula state ---
+		/**
+		 * Parsed formulas keyed by "row,col". The formula source itself is stored in
+		 * the chunk like any other string so undo/redo and promotion need no special casing.
+		 * @type {Map<string, { source:string, ast:import('../formula/parser.js').FormulaNode|null }>}
+		 */
+		this._formulaByCell = new Map();
+		/** @type {DependencyGraph} */
+		this._dependencyGraph = new DependencyGraph();
+		/**
+		 * Last computed result of every formula cell, keyed like `_formulaByCell`.
+		 * @type {Map<string, CellValue>}
+		 */
+		this._computedByCell = new Map();
+		/**
+		 * Cells edited since the last recalculation that are formulas or are read by one.
+		 * Recalculation is deferred until the next read so a batch (setBlock, undo, a
+		 * transaction) recomputes each affected formula once.
+		 * @type {Set<string>}
+		 */
+		this._pendingRecalcCells = new Set();
+		const sheet = this;
+		/** @type {import('../formula/values.js').EvaluationContext} */
+		this._formulaContext = {
+			getCellValue: (r, c) => sheet._getComputedValue(r, c),
+			get numRows() {
+				return sheet.numRows;
+			},
+			get numCols() {
+				return sheet.numCols;
+			}
+		};
 	}
 
 	// given an index, return the column label A-Z, AA-AZ, etc.
@@ -130,6 +361,7 @@ export class Sheet {
 	addColumns(additionalCols = 26) {
 		this.numCols += additionalCols;
 		this.columnLabels = Array.from({ length: this.numCols }, (_, i) => this._indexToColumnLabel(i));
+		this._flushChangesIfIdle();
 	}
 
 	/**
@@ -147,10 +379,11 @@ export class Sheet {
 			fn();
 			this.commitTransaction();
 		} catch (err) {
-			// Discard on error
+			// Discard on error; the edits already made are still reported
 			this._currentTransaction = null;
 			this._txnIndexByCell = null;
 			this._currentMeta = null;
+			this._flushChangesIfIdle();
 			throw err;
 		}
 	}
@@ -175,47 +408,125 @@ export class Sheet {
 			this._undoStack.push({ ops: txOps, meta });
 			this._redoStack.length = 0; // clear
 		}
+		this._flushChangesIfIdle();
 	}
 
-	/** Undo last committed transaction */
+	/**
+	 * Undo last committed transaction. Throws, leaving the sheet and both stacks
+	 * as they were, when the transaction touches a spilled chunk; see `withHistoryLoaded`.
+	 */
 	undo() {
 		if (this._currentTransaction) this.commitTransaction();
-		const txn = this._undoStack.pop();
-		if (!txn) return false;
-		this._isApplyingHistory = true;
+		return this._applyHistory(this._undoStack, this._redoStack, true);
+	}
+
+	/** Redo last undone transaction. Throws like `undo` on spilled chunks. */
+	redo() {
+		if (this._currentTransaction) this.commitTransaction();
+		return this._applyHistory(this._redoStack, this._undoStack, false);
+	}
+
+	/**
+	 * Loads the spilled chunks the next undo or redo touches and keeps them in
+	 * memory while `fn` runs, e.g. `sheet.withHistoryLoaded('undo', () => sheet.undo())`.
+	 * @template T
+	 * @param {'undo'|'redo'} direction
+	 * @param {() => T|Promise<T>} fn
+	 * @returns {Promise<T>}
+	 */
+	async withHistoryLoaded(direction, fn) {
+		if (this._currentTransaction) this.commitTransaction();
+		const stack = direction === 'undo' ? this._undoStack : this._redoStack;
+		const txn = stack[stack.length - 1];
+		const keys = txn ? this._historyChunkKeys(txn) : new Set();
+		if (!keys) return this.withAllChunksLoaded(fn);
+		this._chunks.suspendEviction();
 		try {
-			// Apply in reverse order
-			for (let i = txn.ops.length - 1; i >= 0; i--) {
-				const { r, c, prev } = txn.ops[i];
-				if (prev === '' || prev == null) this.deleteValue(r, c);
-				else this.setValue(r, c, prev);
-			}
+			await Promise.all(Array.from(keys, (key) => this._chunks.load(key)));
+			return await fn();
 		} finally {
-			this._isApplyingHistory = false;
+			this._chunks.resumeEviction();
 		}
-		this._redoStack.push(txn);
-		return txn.meta || true;
 	}
 
-	/** Redo last undone transaction */
-	redo() {
-		if (this._currentTransaction) this.commitTransaction();
-		const txn = this._redoStack.pop();
+	/**
+	 * Applies the transaction on top of `from` and moves it to `to`. The chunks it
+	 * touches are checked before anything changes, and a transaction that fails to
+	 * apply stays on `from`.
+	 * @private
+	 * @param {{ ops:HistoryOp[], meta?:object }[]} from
+	 * @param {{ ops:HistoryOp[], meta?:object }[]} to
+	 * @param {boolean} isUndo
+	 * @returns {object|boolean} The transaction's meta, or false when `from` is empty
+	 */
+	_applyHistory(from, to, isUndo) {
+		const txn = from[from.length - 1];
 		if (!txn) return false;
+		this._chunks.suspendEviction();
 		this._isApplyingHistory = true;
 		try {
-			for (let i = 0; i < txn.ops.length; i++) {
-				const { r, c, next } = txn.ops[i];
-				if (next === '' || next == null) this.deleteValue(r, c);
-				else this.setValue(r, c, next);
-			}
+			this._assertHistoryLoaded(txn, isUndo);
+			this.batchChanges(
+				() => {
+					if (isUndo) {
+						// Apply in reverse order
+						for (let i = txn.ops.length - 1; i >= 0; i--) this._applyHistoryOp(txn.ops[i], true);
+					} else {
+						for (let i = 0; i < txn.ops.length; i++) this._applyHistoryOp(txn.ops[i], false);
+					}
+				},
+				isUndo ? 'undo' : 'redo'
+			);
 		} finally {
 			this._isApplyingHistory = false;
+			this._chunks.resumeEviction();
 		}
-		this._undoStack.push(txn);
+		from.pop();
+		to.push(txn);
 		return txn.meta || true;
 	}
 
+	/**
+	 * The chunks a transaction's value ops write to. Styles, merges and number
+	 * formats live outside the chunks.
+	 * @private
+	 * @param {{ ops:HistoryOp[], meta?:object }} txn
+	 * @returns {Set<number>|null} Null when a structure op needs every chunk
+	 */
+	_historyChunkKeys(txn) {
+		const keys = new Set();
+		for (const op of txn.ops) {
+			if (op.kind === 'structure') return null;
+			if (op.kind === undefined) keys.add(this._getChunkKey(op.r, op.c));
+		}
+		return keys;
+	}
+
+	/**
+	 * Starts loading the spilled chunks a transaction touches and throws if any
+	 * is not back yet.
+	 * @private
+	 * @param {{ ops:HistoryOp[], meta?:object }} txn
+	 * @param {boolean} isUndo
+	 */
+	_assertHistoryLoaded(txn, isUndo) {
+		if (this._chunks.spilledSize === 0) return;
+		const keys = this._historyChunkKeys(txn);
+		if (!keys) {
+			this._assertAllChunksLoaded();
+			return;
+		}
+		for (const key of keys) {
+			if (!this._chunks.isSpilled(key)) continue;
+			this._chunks.get(key);
+			if (this._chunks.isSpilled(key)) {
+				throw new Error(
+					`Cannot ${isUndo ? 'undo' : 'redo'} into a chunk that is still in storage; use withHistoryLoaded() first`
+				);
+			}
+		}
+	}
+
 	/**
 	 * Deletes all values in a rectangular block (inclusive coordinates).
 	 * Operation is recorded as a single transaction for undo/redo.
@@ -227,13 +538,14 @@ export class Sheet {
 	 */
 	deleteBlock(topRow, leftCol, bottomRow, rightCol) {
 		if (topRow > bottomRow || leftCol > rightCol) return 0;
+		// A spilled cell reads as empty, so it would be skipped rather than deleted
+		this._assertRangeLoaded(topRow, leftCol, bottomRow, rightCol);
 		const startedHere = !this._currentTransaction;
 		if (startedHere) this.beginTransaction();
 		let deleteCount = 0;
 		for (let r = topRow; r <= bottomRow; r++) {
 			for (let c = leftCol; c <= rightCol; c++) {
-				const prev = this.getValue(r, c);
-				if (prev !== null) {
+				if (this.hasValue(r, c)) {
 					this.deleteValue(r, c);
 					deleteCount++;
 				}
@@ -256,12 +568,54 @@ export class Sheet {
 		return this._redoStack.length > 0;
 	}
 
-	/** @private */
-	_recordChange(r, c, prev, next) {
+	/**
+	 * Reverts (undo) or re-applies (redo) one recorded op.
+	 * @private
+	 * @param {HistoryOp} op
+	 * @param {boolean} isUndo
+	 */
+	_applyHistoryOp(op, isUndo) {
+		if (op.kind === 'structure') {
+			if (isUndo) this._revertStructureOp(op);
+			else this._performStructureOp(op);
+			return;
+		}
+		if (op.kind === 'merge') {
+			const [remove, add] = isUndo ? [op.added, op.removed] : [op.removed, op.added];
+			for (const m of remove) this.merges.remove(this.merges.getMergeAt(m.r1, m.c1));
+			for (const m of add) this.merges.add(m);
+			this._collectMergeChange();
+			return;
+		}
+		if (op.kind === 'format') {
+			this.formats.ranges = (isUndo ? op.prev : op.next).slice();
+			return;
+		}
+		const value = isUndo ? op.prev : op.next;
+		if (op.kind === 'style') {
+			this.styles.setStyleId(op.r, op.c, value);
+			this._collectChange(op.r, op.c, isUndo ? op.next : op.prev, value, 'style');
+		} else if (value === '' || value == null) this.deleteValue(op.r, op.c);
+		else this.setValue(op.r, op.c, value);
+	}
+
+	/**
+	 * @private
+	 * @param {number} r
+	 * @param {number} c
+	 * @param {any} prev
+	 * @param {any} next
+	 * @param {'style'} [kind] - Omitted for value changes
+	 */
+	_recordChange(r, c, prev, next, kind) {
+		this._collectChange(r, c, prev, next, kind);
+		const key = kind ? kind + ':' + r + ',' + c : r + ',' + c;
+		if (this._remoteTouched && this._movingCells === 0 && prev !== next) {
+			this._remoteTouched.set(key, { r, c, kind });
+		}
 		if (this._isApplyingHistory) return; // do not record during undo/redo
 		if (!this._currentTransaction) return; // only record inside transactions
 		if (prev === next) return; // no-op
-		const key = r + ',' + c;
 		const map = this._txnIndexByCell;
 		if (map && map.has(key)) {
 			const idx = map.get(key);
@@ -270,7 +624,7 @@ export class Sheet {
 			entry.next = next;
 			return;
 		}
-		const entry = { r, c, prev, next };
+		const entry = kind ? { kind, r, c, prev, next } : { r, c, prev, next };
 		this._currentTransaction.push(entry);
 		if (map) map.set(key, this._currentTransaction.length - 1);
 	}
@@ -293,6 +647,54 @@ export class Sheet {
 		return serialize2DToTSV(values);
 	}
 
+	/**
+	 * Finds the last row and column holding a value, so `getBlock(0, 0, r2, c2)`
+	 * reads everything. Every chunk must be in memory; see `withAllChunksLoaded`.
+	 * @returns {{ r2:number, c2:number }|null} null when the sheet is empty
+	 */
+	getUsedRange() {
+		let r2 = -1;
+		let c2 = -1;
+		this._forEachStoredCell((r, c) => {
+			if (r > r2) r2 = r;
+			if (c > c2) c2 = c;
+		});
+		return r2 === -1 ? null : { r2, c2 };
+	}
+
+	/**
+	 * Finds the stored cells whose raw value (formula source for formulas) passes
+	 * `test`, top to bottom and left to right. Only chunks holding values are
+	 * visited, and with a `range` only those overlapping it. Every chunk must be
+	 * in memory; see `withAllChunksLoaded`.
+	 * @param {(value:CellValue) => boolean} test
+	 * @param {{ r1:number, c1:number, r2:number, c2:number }} [range]
+	 * @returns {{ row:number, col:number }[]}
+	 */
+	findCells(test, range) {
+		/** @type {{ row:number, col:number }[]} */
+		const found = [];
+		const inRange = (r, c) =>
+			!range || (r >= range.r1 && r <= range.r2 && c >= range.c1 && c <= range.c2);
+		this._forEachStoredCell(
+			(r, c, value) => {
+				if (inRange(r, c) && test(value)) found.push({ row: r, col: c });
+			},
+			range &&
+				((chunkRow, chunkCol) => {
+					const top = chunkRow << CHUNK_ROW_SHIFT_BITS;
+					const left = chunkCol << CHUNK_COL_SHIFT_BITS;
+					return (
+						top > range.r2 ||
+						top + CHUNK_NUM_ROWS <= range.r1 ||
+						left > range.c2 ||
+						left + CHUNK_NUM_COLS <= range.c1
+					);
+				})
+		);
+		return found.sort((a, b) => a.row - b.row || a.col - b.col);
+	}
+
 	/**
 	 * Reads a rectangular block of values into a 2D array
 	 * @param {number} topRow
@@ -313,28 +715,43 @@ export class Sheet {
 		return rows;
 	}
 
+	/**
+	 * Reads a rectangular block of raw values (formula sources rather than results)
+	 * into a 2D array. Use this when moving or copying cells within the sheet.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {CellValue[][]}
+	 */
+	getRawBlock(topRow, leftCol, bottomRow, rightCol) {
+		const rows = [];
+		for (let r = topRow; r <= bottomRow; r++) {
+			const row = [];
+			for (let c = leftCol; c <= rightCol; c++) {
+				row.push(this.getRawValue(r, c));
+			}
+			rows.push(row);
+		}
+		return rows;
+	}
+
 	/**
 	 * Deserializes TSV text and writes it into the sheet starting at a position.
 	 * @param {number} topRow - Inclusive top row index to paste into
 	 * @param {number} leftCol - Inclusive left column index to paste into
-	 * @param {string} tsv - Text to paste (tab/newline separated)
+	 * @param {string} tsv - Text to paste (tab/newline separated, cells may be quoted)
+	 * @param {string} [delimiter] - '\t' by default; ',' reads CSV
 	 * @returns {{rows:number, cols:number, writeCount:number}} Size written and number of cells set
 	 */
-	deserializeTSV(topRow, leftCol, tsv) {
+	deserializeTSV(topRow, leftCol, tsv, delimiter = '\t') {
 		if (!tsv) return { rows: 0, cols: 0, writeCount: 0 };
 		// Entire paste is one transaction for efficient undo
 		const startedHere = !this._currentTransaction;
 		if (startedHere) this.beginTransaction();
-		const rawLines = tsv.split(/\r?\n/);
-		// Drop final empty line if input ends with newline
-		const lines =
-			rawLines.length > 0 && rawLines[rawLines.length - 1] === ''
-				? rawLines.slice(0, -1)
-				: rawLines;
 		let maxCols = 0;
 		const values2D = [];
-		for (const line of lines) {
-			const cells = line.split('\t');
+		for (const cells of parseDelimited(tsv, { delimiter })) {
 			maxCols = Math.max(maxCols, cells.length);
 			const parsedRow = cells.map((s) => this._parseTSVCell(s));
 			values2D.push(parsedRow);
@@ -344,6 +761,160 @@ export class Sheet {
 		return { rows: values2D.length, cols: maxCols, writeCount };
 	}
 
+	/**
+	 * Writes the first table of pasted HTML into the sheet starting at a position:
+	 * values, cell styles and the merges its `rowspan`/`colspan` describe. Cells the
+	 * table covers take its styles, so unstyled source cells clear the target's.
+	 * Everything is one transaction.
+	 * @param {number} topRow - Inclusive top row index to paste into
+	 * @param {number} leftCol - Inclusive left column index to paste into
+	 * @param {string} html - Clipboard `text/html`
+	 * @returns {{rows:number, cols:number, writeCount:number}} Size written (0 x 0 when
+	 *   there is no table) and number of cells set
+	 */
+	deserializeHTML(topRow, leftCol, html) {
+		const table = parseHtmlTable(html);
+		if (!table) return { rows: 0, cols: 0, writeCount: 0 };
+		return this.pasteBlock(topRow, leftCol, table);
+	}
+
+	/**
+	 * Pastes clipboard contents with Paste Special options (see `pasteBlock`). An
+	 * HTML table is used when there is one, otherwise the tab-separated text.
+	 * @param {number} topRow - Inclusive top row index to paste into
+	 * @param {number} leftCol - Inclusive left column index to paste into
+	 * @param {{ text?: string, html?: string, merges?: import('../merge/MergeRegistry.js').MergeRange[] }} clipboard
+	 * @param {import('../clipboard/pasteSpecial.js').PasteSpecialOptions} [options]
+	 * @returns {{rows:number, cols:number, writeCount:number}} Size written and number of cells set
+	 */
+	pasteSpecial(topRow, leftCol, clipboard, options = {}) {
+		const block = readClipboardBlock(clipboard);
+		if (!block) return { rows: 0, cols: 0, writeCount: 0 };
+		return this.pasteBlock(topRow, leftCol, block, options);
+	}
+
+	/**
+	 * Writes a copied block into the sheet as one transaction. By default values,
+	 * styles and merges all replace the destination's; the options narrow that
+	 * down the way Paste Special does.
+	 * @param {number} topRow - Inclusive top row index to paste into
+	 * @param {number} leftCol - Inclusive left column index to paste into
+	 * @param {import('../clipboard/pasteSpecial.js').ClipboardBlock} block
+	 * @param {import('../clipboard/pasteSpecial.js').PasteSpecialOptions} [options]
+	 * @returns {{rows:number, cols:number, writeCount:number}} Size written and number of cells set
+	 */
+	pasteBlock(topRow, leftCol, block, options = {}) {
+		const source = options.transpose ? transposeBlock(block) : block;
+		const operation = options.operation ?? null;
+		const withStyles = !options.valuesOnly && source.styles;
+		let writeCount = 0;
+		this.transact(() => {
+			for (let r = 0; r < source.rows; r++) {
+				for (let c = 0; c < source.cols; c++) {
+					const row = topRow + r;
+					const col = leftCol + c;
+					const copied = source.values[r][c];
+					if (options.skipBlanks && (copied == null || copied === '')) continue;
+					if (withStyles) this.setCellStyle(row, col, source.styles[r][c]);
+					const current = operation ? this.getRawValue(row, col) : undefined;
+					const value = operation ? combineValues(current, copied, operation) : copied;
+					if (operation && value === current) continue;
+					if (value == null || value === '') {
+						this.deleteValue(row, col);
+					} else {
+						this.setValue(row, col, value);
+						writeCount++;
+					}
+				}
+			}
+			if (!options.valuesOnly) {
+				this.pasteMerges(topRow, leftCol, source.rows, source.cols, source.merges);
+			}
+		});
+		return { rows: source.rows, cols: source.cols, writeCount };
+	}
+
+	/**
+	 * Fills a range from the source cells it starts or ends with, as dragging the
+	 * fill handle does. Each row or column of the source continues as a series (see
+	 * `inferSeries`); with `series: false` it repeats instead, as Ctrl+D does.
+	 * Formulas are copied with their relative references moved, and styles and
+	 * number formats repeat with the values. One undoable transaction.
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} source
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} target - The source
+	 *   extended down, up, right or left
+	 * @param {{ series?: boolean, rowAt?: (row:number) => number }} [options] - `rowAt`
+	 *   maps the ranges' rows to sheet rows, e.g. a view's visual rows; rows mapped
+	 *   to -1 are skipped
+	 * @returns {number} Number of cells set
+	 */
+	fillRange(source, target, options = {}) {
+		const vertical = target.r1 !== source.r1 || target.r2 !== source.r2;
+		if (vertical && (target.c1 !== source.c1 || target.c2 !== source.c2)) {
+			throw new Error('A fill extends the source in one direction only');
+		}
+		const rowAt = options.rowAt ?? ((row) => row);
+		// Lines run in the fill direction: columns for a vertical fill, rows otherwise
+		const [lineStart, lineEnd] = vertical ? [source.c1, source.c2] : [source.r1, source.r2];
+		const [srcStart, srcEnd] = vertical ? [source.r1, source.r2] : [source.c1, source.c2];
+		const [tgtStart, tgtEnd] = vertical ? [target.r1, target.r2] : [target.c1, target.c2];
+		const length = srcEnd - srcStart + 1;
+		const cellAt = (line, pos) => (vertical ? [rowAt(pos), line] : [rowAt(line), pos]);
+		let writeCount = 0;
+		// Number formats are set in runs so a long fill adds one format range, not one per cell
+		/** @type {{ r1:number, c1:number, r2:number, c2:number, pattern:string|null }|null} */
+		let run = null;
+		const flushRun = () => {
+			if (run) this.setNumberFormat(run.r1, run.c1, run.r2, run.c2, run.pattern);
+			run = null;
+		};
+		this.transact(() => {
+			for (let line = lineStart; line <= lineEnd; line++) {
+				const sourceCells = [];
+				for (let pos = srcStart; pos <= srcEnd; pos++) sourceCells.push(cellAt(line, pos));
+				if (sourceCells.some(([row]) => row === -1)) continue;
+				const raw = sourceCells.map(([row, col]) => this.getRawValue(row, col));
+				const hasFormula = raw.some((v) => typeof v === 'string' && isFormulaText(v));
+				const series = options.series !== false && !hasFormula ? inferSeries(raw) : null;
+				for (let pos = tgtStart; pos <= tgtEnd; pos++) {
+					if (pos >= srcStart && pos <= srcEnd) continue;
+					const [row, col] = cellAt(line, pos);
+					if (row === -1) continue;
+					const index = pos - srcStart;
+					const k = mod(index, length);
+					const [fromRow, fromCol] = sourceCells[k];
+					let value = series ? series(index) : raw[k];
+					if (typeof value === 'string' && isFormulaText(value)) {
+						value = offsetFormulaReferences(value, row - fromRow, col - fromCol);
+					}
+					if (value == null || value === '') {
+						this.deleteValue(row, col);
+					} else {
+						this.setValue(row, col, value);
+						writeCount++;
+					}
+					this.setCellStyle(row, col, this.getStyle(fromRow, fromCol));
+					const pattern = this.formats.getNumberFormat(fromRow, fromCol);
+					if (pattern === this.formats.getNumberFormat(row, col)) continue;
+					const extendsRun =
+						run?.pattern === pattern &&
+						(vertical
+							? run.c1 === col && run.r2 + 1 === row
+							: run.r1 === row && run.c2 + 1 === col);
+					if (extendsRun) {
+						run.r2 = row;
+						run.c2 = col;
+					} else {
+						flushRun();
+						run = { r1: row, c1: col, r2: row, c2: col, pattern };
+					}
+				}
+				flushRun();
+			}
+		});
+		return writeCount;
+	}
+
 	/**
 	 * @private
 	 * @param {string} s
@@ -359,107 +930,1292 @@ export class Sheet {
 	 */
 	addRows(additionalRows = 1000) {
 		this.numRows += additionalRows;
+		this._flushChangesIfIdle();
 	}
 
 	/**
-	 * Gets the value at the specified cell coordinates
-	 * @param {number} globalRowIndex - The row index (0-based)
-	 * @param {number} globalColIndex - The column index (0-based)
-	 * @returns {CellValue} The cell value, or null if empty
+	 * Inserts empty rows, moving the rows at and below `at` down. Values, formulas,
+	 * styles and formats move with their cells and formula references are adjusted.
+	 * Recorded as a single undoable operation.
+	 * @param {number} at - Index the first inserted row will have (0..numRows)
+	 * @param {number} [count=1]
 	 */
-	getValue(globalRowIndex, globalColIndex) {
-		const chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ false);
-		if (!chunk) return null;
-		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
-
-		if (chunk.kind === 'sparse') {
-			return chunk.localIndexToValue.get(localIndex) ?? null;
-		} else {
-			const tag = chunk.tagByLocalIndex[localIndex];
-			if (tag === CELL_TAG_EMPTY) return null;
-			if (tag === CELL_TAG_NUMBER) return chunk.numberByLocalIndex[localIndex];
-			if (tag === CELL_TAG_BOOLEAN) return chunk.numberByLocalIndex[localIndex] === 1;
-			return this.globalStringTable.getStringById(chunk.stringIdByLocalIndex[localIndex]);
-		}
+	insertRows(at, count = 1) {
+		this._changeStructure('row', at, count);
 	}
 
 	/**
-	 * Checks if a cell has a value (not empty)
-	 * @param {number} globalRowIndex - The row index (0-based)
-	 * @param {number} globalColIndex - The column index (0-based)
-	 * @returns {boolean} True if the cell has a value, false otherwise
+	 * Deletes rows, moving the rows below them up. References to deleted cells
+	 * become #REF!. Recorded as a single undoable operation.
+	 * @param {number} at - First row to delete
+	 * @param {number} [count=1]
 	 */
-	hasValue(globalRowIndex, globalColIndex) {
-		const chunk = this._getChunk(globalRowIndex, globalColIndex, false);
-		if (!chunk) return false;
-		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
-		return chunk.kind === 'sparse'
-			? chunk.localIndexToValue.has(localIndex)
-			: chunk.tagByLocalIndex[localIndex] !== CELL_TAG_EMPTY;
+	deleteRows(at, count = 1) {
+		this._changeStructure('row', at, -count);
 	}
 
 	/**
-	 * Sets a value at the specified cell coordinates
-	 * @param {number} globalRowIndex - The row index (0-based)
-	 * @param {number} globalColIndex - The column index (0-based)
-	 * @param {CellValue} value - The value to set (string, number, boolean, or null)
+	 * Inserts empty columns, moving the columns at and right of `at` right.
+	 * @see insertRows
+	 * @param {number} at - Index the first inserted column will have (0..numCols)
+	 * @param {number} [count=1]
 	 */
-	setValue(globalRowIndex, globalColIndex, value) {
-		if (value === '' || value == null) {
-			// Treat as delete
-			const prev = this.getValue(globalRowIndex, globalColIndex);
-			this.deleteValue(globalRowIndex, globalColIndex);
-			this._recordChange(globalRowIndex, globalColIndex, prev, null);
-			return;
-		}
-
-		const prev = this.getValue(globalRowIndex, globalColIndex);
-
-		let chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ true);
-		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
+	insertColumns(at, count = 1) {
+		this._changeStructure('col', at, count);
+	}
 
-		if (chunk.kind === 'sparse') {
-			if (!chunk.localIndexToValue.has(localIndex)) chunk.nonEmptyCellCount++;
-			chunk.localIndexToValue.set(localIndex, value);
+	/**
+	 * Deletes columns, moving the columns right of them left.
+	 * @see deleteRows
+	 * @param {number} at - First column to delete
+	 * @param {number} [count=1]
+	 */
+	deleteColumns(at, count = 1) {
+		this._changeStructure('col', at, -count);
+	}
 
-			if (chunk.nonEmptyCellCount / CELLS_PER_CHUNK >= PROMOTE_TO_DENSE_FILL_RATIO) {
-				const dense = createDenseChunk();
-				dense.nonEmptyCellCount = chunk.nonEmptyCellCount;
+	/**
+	 * Subscribes to row/column insertions and deletions, including those replayed by
+	 * undo/redo, so row heights, column widths and views can follow.
+	 * @param {(change:{ axis:'row'|'col', at:number, delta:number }) => void} listener
+	 * @returns {() => void} Unsubscribe function
+	 */
+	onStructureChange(listener) {
+		this._structureListeners.add(listener);
+		return () => this._structureListeners.delete(listener);
+	}
 
-				// Compute the chunk's column index from the current cell; all cells share the same chunkColIndex
-				const chunkColIndex = globalColIndex >> CHUNK_COL_SHIFT_BITS;
+	/**
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 */
+	_changeStructure(axis, at, delta) {
+		const limit = axis === 'row' ? this.numRows : this.numCols;
+		if (!Number.isInteger(at) || !Number.isInteger(delta) || delta === 0) return;
+		if (at < 0 || at > limit || (delta < 0 && at >= limit)) return;
+		if (delta < 0) delta = -Math.min(-delta, limit - at);
+		this._assertAllChunksLoaded();
 
-				for (const [i, cellValue] of chunk.localIndexToValue) {
-					const localCol = i & (CHUNK_NUM_COLS - 1);
-					const globalColForI = (chunkColIndex << CHUNK_COL_SHIFT_BITS) | localCol;
-					this._assignValueToDenseChunk(dense, i, cellValue, globalColForI);
-				}
-				this._chunks.set(this._lastAccessedChunkKey, dense);
-			}
-		} else {
-			if (chunk.tagByLocalIndex[localIndex] === CELL_TAG_EMPTY) {
-				chunk.nonEmptyCellCount++;
-			}
-			this._assignValueToDenseChunk(chunk, localIndex, value, globalColIndex);
+		/** @type {StructureOp} */
+		const op = {
+			kind: 'structure',
+			axis,
+			at,
+			delta,
+			removedCells: [],
+			removedStyles: [],
+			rewrites: [],
+			formatsBefore: this.formats.ranges.slice(),
+			mergesBefore: this.merges.all()
+		};
+		const startedHere = !this._currentTransaction;
+		if (startedHere) this.beginTransaction();
+		this._performStructureOp(op);
+		if (this._currentTransaction && !this._isApplyingHistory) {
+			this._currentTransaction.push(op);
+			// Cell coordinates recorded before this op no longer name the same cells
+			if (this._txnIndexByCell) this._txnIndexByCell.clear();
 		}
-
-		this._recordChange(globalRowIndex, globalColIndex, prev, value);
+		if (startedHere) this.commitTransaction();
 	}
 
 	/**
-	 * Deletes the value at the specified cell coordinates
-	 * @param {number} globalRowIndex - The row index (0-based)
-	 * @param {number} globalColIndex - The column index (0-based)
+	 * Applies a structure op: moves cells, then adjusts formula references. Fills
+	 * in what was removed or rewritten so the op can be reverted.
+	 * @private
+	 * @param {StructureOp} op
 	 */
-	deleteValue(globalRowIndex, globalColIndex) {
-		const chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ false);
-		if (!chunk) return;
+	_performStructureOp(op) {
+		this._withoutRecording(() => {
+			const removed = this._moveCells(op.axis, op.at, op.delta);
+			op.removedCells = removed.cells;
+			op.removedStyles = removed.styles;
+			op.rewrites = [];
+			for (const [key, formula] of Array.from(this._formulaByCell)) {
+				const next = shiftFormulaReferences(formula.source, op.axis, op.at, op.delta);
+				if (next === formula.source) continue;
+				const { row, col } = parseCellKey(key);
+				op.rewrites.push({ r: row, c: col, prev: formula.source, next });
+			}
+			for (const w of op.rewrites) this.setValue(w.r, w.c, w.next);
+		});
+		this._emitStructureChange(op.axis, op.at, op.delta);
+	}
 
-		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
-		const prevValue = this.getValue(globalRowIndex, globalColIndex);
+	/**
+	 * Reverts a structure op: restores rewritten formulas, moves cells back and puts
+	 * removed cells, styles and formats back in place.
+	 * @private
+	 * @param {StructureOp} op
+	 */
+	_revertStructureOp(op) {
+		this._withoutRecording(() => {
+			for (const w of op.rewrites) this.setValue(w.r, w.c, w.prev);
+			this._moveCells(op.axis, op.at, -op.delta);
+			for (const cell of op.removedCells) this.setValue(cell.r, cell.c, cell.value);
+			for (const s of op.removedStyles) this.styles.setStyleId(s.r, s.c, s.styleId);
+			this.formats.ranges = op.formatsBefore.slice();
+			this.merges.replaceAll(op.mergesBefore);
+		});
+		this._emitStructureChange(op.axis, op.at, -op.delta);
+	}
 
-		if (chunk.kind === 'sparse') {
-			if (chunk.localIndexToValue.delete(localIndex)) {
+	/**
+	 * Moves every value and style at or after `at` along an axis and resizes the
+	 * sheet. With a negative delta, cells in the deleted band are removed and returned.
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 * @returns {{ cells:{ r:number, c:number, value:CellValue }[], styles:{ r:number, c:number, styleId:number }[] }}
+	 */
+	_moveCells(axis, at, delta) {
+		// Cells are read out and written back; keep every chunk involved in memory
+		this._chunks.suspendEviction();
+		try {
+			return this._moveCellsInMemory(axis, at, delta);
+		} finally {
+			this._chunks.resumeEviction();
+		}
+	}
+
+	/**
+	 * Chunks that move by a whole number of chunks are re-keyed as they are. The
+	 * others (the chunk the shift starts inside, chunks with deleted cells, or all
+	 * of them for a shift that is not a multiple of the chunk size) are rebuilt from
+	 * their cells, without the bookkeeping `setValue` does for each edit.
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 * @returns {{ cells:{ r:number, c:number, value:CellValue }[], styles:{ r:number, c:number, styleId:number }[] }}
+	 */
+	_moveCellsInMemory(axis, at, delta) {
+		const isRow = axis === 'row';
+		const shiftBits = isRow ? CHUNK_ROW_SHIFT_BITS : CHUNK_COL_SHIFT_BITS;
+		this._assertAllChunksLoaded();
+		/** @type {[number, Chunk][]} */
+		const split = [];
+		/** @type {[number, Chunk][]} */
+		const moved = [];
+		for (const [key, chunk] of Array.from(this._chunks)) {
+			const [chunkRow, chunkCol] = splitChunkKey(key);
+			const index = isRow ? chunkRow : chunkCol;
+			const target = shiftChunkIndex(index, shiftBits, at, delta);
+			if (target === index) continue;
+			this._chunks.delete(key);
+			if (target === -1) split.push([key, chunk]);
+			else
+				moved.push([
+					isRow ? makeChunkKey(target, chunkCol) : makeChunkKey(chunkRow, target),
+					chunk
+				]);
+		}
+		for (const [key, chunk] of moved) this._chunks.set(key, chunk);
+
+		/** @type {{ r:number, c:number, value:CellValue }[]} */
+		const removedCells = [];
+		// Cells of the split chunks by destination chunk, none of which a moved chunk took
+		/** @type {Map<number, Map<number, CellValue>>} */
+		const rebuilt = new Map();
+		for (const [key, chunk] of split) {
+			this._forEachCellInChunk(key, chunk, (r, c, value) => {
+				const index = shiftIndex(isRow ? r : c, at, delta);
+				if (index === -1) {
+					removedCells.push({ r, c, value });
+					return;
+				}
+				const [row, col] = isRow ? [index, c] : [r, index];
+				const target = this._getChunkKey(row, col);
+				let cells = rebuilt.get(target);
+				if (!cells) {
+					cells = new Map();
+					rebuilt.set(target, cells);
+				}
+				cells.set(computeLocalIndexWithinChunk(row, col), value);
+			});
+		}
+		for (const [key, cells] of rebuilt) this._chunks.set(key, this._chunkFromCells(key, cells));
+
+		this._moveFormulas(axis, at, delta);
+		for (const { r, c } of removedCells) {
+			if (this._dependencyGraph.hasDependents(r, c)) this._pendingRecalcCells.add(cellKey(r, c));
+		}
+		const removedStyles = this.styles.shift(axis, at, delta);
+		this.formats.shift(axis, at, delta);
+		this.merges.shift(axis, at, delta);
+
+		if (isRow) {
+			this.numRows = Math.max(1, this.numRows + delta);
+		} else {
+			this.numCols = Math.max(1, this.numCols + delta);
+			this.columnLabels = Array.from({ length: this.numCols }, (_, i) =>
+				this._indexToColumnLabel(i)
+			);
+		}
+		return { cells: removedCells, styles: removedStyles };
+	}
+
+	/**
+	 * Re-keys the formula registry, cached results and dependency graph after cells
+	 * moved. Deleted formulas are dropped; references are rewritten afterwards.
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 */
+	_moveFormulas(axis, at, delta) {
+		const isRow = axis === 'row';
+		const moved = [];
+		for (const [key, formula] of this._formulaByCell) {
+			const { row, col } = parseCellKey(key);
+			if ((isRow ? row : col) < at) continue;
+			moved.push({ key, row, col, formula, computed: this._computedByCell.get(key) });
+		}
+		// Take every moving formula out first so none lands on one that has yet to move
+		for (const { key } of moved) {
+			this._formulaByCell.delete(key);
+			this._computedByCell.delete(key);
+			this._dependencyGraph.removeFormula(key);
+		}
+		for (const { row, col, formula, computed } of moved) {
+			const index = shiftIndex(isRow ? row : col, at, delta);
+			if (index === -1) continue;
+			const key = isRow ? cellKey(index, col) : cellKey(row, index);
+			this._formulaByCell.set(key, formula);
+			if (computed !== undefined) this._computedByCell.set(key, computed);
+			this._dependencyGraph.setPrecedents(
+				key,
+				formula.ast ? collectPrecedents(formula.ast) : { cells: [], ranges: [] }
+			);
+		}
+		const pending = Array.from(this._pendingRecalcCells);
+		this._pendingRecalcCells = new Set();
+		for (const key of pending) {
+			const { row, col } = parseCellKey(key);
+			const index = shiftIndex(isRow ? row : col, at, delta);
+			if (index !== -1)
+				this._pendingRecalcCells.add(isRow ? cellKey(index, col) : cellKey(row, index));
+		}
+	}
+
+	/**
+	 * Builds a chunk holding the given cells, dense when they fill enough of it.
+	 * @private
+	 * @param {number} key
+	 * @param {Map<number, CellValue>} cells - By local index
+	 * @returns {Chunk}
+	 */
+	_chunkFromCells(key, cells) {
+		if (cells.size / CELLS_PER_CHUNK < PROMOTE_TO_DENSE_FILL_RATIO) {
+			const sparse = createSparseChunk();
+			sparse.localIndexToValue = cells;
+			sparse.nonEmptyCellCount = cells.size;
+			return sparse;
+		}
+		const dense = createDenseChunk();
+		dense.nonEmptyCellCount = cells.size;
+		const colBase = splitChunkKey(key)[1] << CHUNK_COL_SHIFT_BITS;
+		for (const [i, value] of cells) {
+			this._assignValueToDenseChunk(dense, i, value, colBase | (i & (CHUNK_NUM_COLS - 1)));
+		}
+		return dense;
+	}
+
+	/**
+	 * Calls `fn` with every stored value (formula cells give their source text).
+	 * Every chunk must be in memory; see `withAllChunksLoaded`.
+	 * @private
+	 * @param {(r:number, c:number, value:CellValue) => void} fn
+	 * @param {(chunkRow:number, chunkCol:number) => boolean} [skipChunk]
+	 */
+	_forEachStoredCell(fn, skipChunk) {
+		this._chunks.suspendEviction();
+		try {
+			this._assertAllChunksLoaded();
+			for (const [key, chunk] of Array.from(this._chunks)) {
+				const [chunkRow, chunkCol] = splitChunkKey(key);
+				if (skipChunk && skipChunk(chunkRow, chunkCol)) continue;
+				this._forEachCellInChunk(key, chunk, fn);
+			}
+		} finally {
+			this._chunks.resumeEviction();
+		}
+	}
+
+	/**
+	 * Stored cells row by row, top to bottom and left to right, with raw values
+	 * (formula sources rather than results). Chunks are gathered one band of rows at
+	 * a time, so writing a sheet out in order never sorts all of its cells at once.
+	 * Every chunk must be in memory (see `withAllChunksLoaded`), and the sheet must
+	 * not change until the generator is done.
+	 * @returns {Generator<{ row:number, cols:number[], values:CellValue[] }>}
+	 */
+	*storedRows() {
+		/** @type {Map<number, [number, Chunk][]>} */
+		const chunksByBand = new Map();
+		this._chunks.suspendEviction();
+		try {
+			this._assertAllChunksLoaded();
+			for (const [key, chunk] of this._chunks) {
+				const [chunkRow] = splitChunkKey(key);
+				const band = chunksByBand.get(chunkRow);
+				if (band) band.push([key, chunk]);
+				else chunksByBand.set(chunkRow, [[key, chunk]]);
+			}
+		} finally {
+			this._chunks.resumeEviction();
+		}
+		for (const chunkRow of Array.from(chunksByBand.keys()).sort((a, b) => a - b)) {
+			/** @type {Map<number, [number, CellValue][]>} */
+			const cellsByRow = new Map();
+			for (const [key, chunk] of chunksByBand.get(chunkRow) ?? []) {
+				this._forEachCellInChunk(key, chunk, (r, c, value) => {
+					const cells = cellsByRow.get(r);
+					if (cells) cells.push([c, value]);
+					else cellsByRow.set(r, [[c, value]]);
+				});
+			}
+			for (const row of Array.from(cellsByRow.keys()).sort((a, b) => a - b)) {
+				const cells = /** @type {[number, CellValue][]} */ (cellsByRow.get(row));
+				cells.sort((a, b) => a[0] - b[0]);
+				yield { row, cols: cells.map((cell) => cell[0]), values: cells.map((cell) => cell[1]) };
+			}
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} key
+	 * @param {Chunk} chunk
+	 * @param {(r:number, c:number, value:CellValue) => void} fn
+	 */
+	_forEachCellInChunk(key, chunk, fn) {
+		const [chunkRow, chunkCol] = splitChunkKey(key);
+		const rowBase = chunkRow << CHUNK_ROW_SHIFT_BITS;
+		const colBase = chunkCol << CHUNK_COL_SHIFT_BITS;
+		const visit = (localIndex, value) =>
+			fn(
+				rowBase | (localIndex >> CHUNK_COL_SHIFT_BITS),
+				colBase | (localIndex & (CHUNK_NUM_COLS - 1)),
+				value
+			);
+		if (chunk.kind === 'sparse') {
+			for (const [localIndex, value] of chunk.localIndexToValue) visit(localIndex, value);
+		} else {
+			for (let i = 0; i < CELLS_PER_CHUNK; i++) {
+				if (chunk.tagByLocalIndex[i] !== CELL_TAG_EMPTY) {
+					visit(i, this._getValueFromDenseChunk(chunk, i));
+				}
+			}
+		}
+	}
+
+	/**
+	 * Creates a copy of this sheet's cells, styles, number formats and merges.
+	 * Undo history is not copied.
+	 * @param {{ globalStringTable?: GlobalStringTable, chunkStore?: ChunkStore }} [options] -
+	 *   Defaults to this sheet's string table and an in-memory chunk store
+	 * @returns {Sheet}
+	 */
+	clone(options = {}) {
+		const copy = new Sheet({
+			globalStringTable: options.globalStringTable ?? this.globalStringTable,
+			chunkStore: options.chunkStore
+		});
+		copy.numRows = this.numRows;
+		copy.numCols = this.numCols;
+		copy.columnLabels = this.columnLabels.slice();
+		this._forEachStoredCell((r, c, value) => copy.setValue(r, c, value));
+		for (const s of this.styles.entries()) {
+			const styleId = copy.styles.table.intern(this.styles.table.getStyle(s.styleId));
+			copy.styles.setStyleId(s.row, s.col, styleId);
+		}
+		copy.formats.ranges = this.formats.ranges.slice();
+		copy.merges.replaceAll(this.merges.all());
+		copy.layout = {
+			rowHeights: this.layout.rowHeights.slice(),
+			colWidths: this.layout.colWidths.slice()
+		};
+		return copy;
+	}
+
+	/**
+	 * Saves the sheet in the binary snapshot format (see SheetSnapshot.js): values,
+	 * formulas, styles, number formats, merges, `layout` and the string table. Undo
+	 * history is not saved. Spilled chunks must be loaded first; see `withAllChunksLoaded`.
+	 * @returns {Uint8Array}
+	 */
+	toSnapshot() {
+		return concatBytes(this.snapshotParts());
+	}
+
+	/**
+	 * Saves the sheet as `toSnapshot` does, a section at a time, for streaming it
+	 * without building it whole. The sheet must not change until the generator is done.
+	 * @returns {Generator<Uint8Array>}
+	 */
+	snapshotParts() {
+		this._chunks.suspendEviction();
+		let entries;
+		try {
+			this._assertAllChunksLoaded();
+			entries = Array.from(this._chunks);
+		} finally {
+			this._chunks.resumeEviction();
+		}
+		const { shards, columnShardIds } = this.globalStringTable.exportShards();
+		const table = this.styles.table;
+		return writeSnapshot({
+			meta: {
+				numRows: this.numRows,
+				numCols: this.numCols,
+				columnShardIds,
+				formats: this.formats.ranges,
+				merges: this.merges.all(),
+				styles: Array.from({ length: table.size }, (_, id) => table.getStyle(id))
+			},
+			shards,
+			formulas: Array.from(this._formulaByCell, ([key, formula]) => {
+				const { row, col } = parseCellKey(key);
+				return { r: row, c: col, source: formula.source };
+			}),
+			chunks: (function* () {
+				for (const [key, chunk] of entries) {
+					const [chunkRow, chunkCol] = splitChunkKey(key);
+					yield { chunkRow, chunkCol, record: encodeChunk(chunk) };
+				}
+			})(),
+			styledCells: this.styles.entries(),
+			sizes: this.layout
+		});
+	}
+
+	/**
+	 * Loads a sheet saved by `toSnapshot`.
+	 * @param {Uint8Array|ArrayBuffer} bytes
+	 * @param {{ globalStringTable?: GlobalStringTable, chunkStore?: ChunkStore }} [options] -
+	 *   Given a string table (such as a workbook's), the snapshot's strings are
+	 *   interned into it; otherwise the sheet gets the table that was saved
+	 * @returns {Sheet}
+	 */
+	static fromSnapshot(bytes, options = {}) {
+		const { sheet, reader } = Sheet._snapshotReader(options);
+		reader.push(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes));
+		reader.finish();
+		return sheet;
+	}
+
+	/**
+	 * Loads a sheet from a stream of snapshot bytes, such as a fetch response body or
+	 * a file stream, building it as sections arrive.
+	 * @param {ReadableStream<Uint8Array>|AsyncIterable<Uint8Array>} stream
+	 * @param {{ globalStringTable?: GlobalStringTable, chunkStore?: ChunkStore }} [options] -
+	 *   As for `fromSnapshot`
+	 * @returns {Promise<Sheet>}
+	 */
+	static async fromSnapshotStream(stream, options = {}) {
+		const { sheet, reader } = Sheet._snapshotReader(options);
+		if ('getReader' in stream) {
+			const streamReader = stream.getReader();
+			for (;;) {
+				const { done, value } = await streamReader.read();
+				if (done) break;
+				reader.push(value);
+			}
+		} else {
+			for await (const part of stream) reader.push(part);
+		}
+		reader.finish();
+		return sheet;
+	}
+
+	/**
+	 * @private
+	 * @param {{ globalStringTable?: GlobalStringTable, chunkStore?: ChunkStore }} options
+	 * @returns {{ sheet: Sheet, reader: SnapshotReader }}
+	 */
+	static _snapshotReader(options) {
+		const sheet = new Sheet(options);
+		// A fresh table takes the saved strings with their ids; a shared one re-interns them
+		const savedStrings = options.globalStringTable
+			? new GlobalStringTable()
+			: sheet.globalStringTable;
+		/** @type {{ shardId:number, strings:string[] }[]} */
+		const shards = [];
+		/** @type {[number, number[]][]} */
+		let columnShardIds = [];
+		let stringsLoaded = false;
+		const loadStrings = () => {
+			if (stringsLoaded) return;
+			savedStrings.loadShards(shards, columnShardIds);
+			stringsLoaded = true;
+		};
+		/** @type {number[]} */
+		let styleIds = [];
+
+		const reader = new SnapshotReader({
+			meta(meta) {
+				sheet.numRows = meta.numRows;
+				sheet.numCols = meta.numCols;
+				sheet.columnLabels = Array.from({ length: meta.numCols }, (_, i) =>
+					sheet._indexToColumnLabel(i)
+				);
+				sheet.formats.ranges = meta.formats;
+				sheet.merges.replaceAll(meta.merges);
+				styleIds = meta.styles.map((style) => sheet.styles.table.intern(style));
+				columnShardIds = meta.columnShardIds;
+			},
+			stringShard(shardId, strings) {
+				shards.push({ shardId, strings });
+			},
+			formulas(formulas) {
+				for (const f of formulas) sheet._syncFormula(f.r, f.c, f.source);
+			},
+			chunk(chunkRow, chunkCol, record) {
+				loadStrings();
+				const chunk = decodeChunk(record);
+				if (chunk.kind === 'dense' && savedStrings !== sheet.globalStringTable) {
+					sheet._reinternStrings(chunk, chunkCol, savedStrings);
+				}
+				sheet._chunks.set(makeChunkKey(chunkRow, chunkCol), chunk);
+			},
+			styledCells(cells) {
+				for (let i = 0; i < cells.length; i += 3) {
+					sheet.styles.setStyleId(cells[i], cells[i + 1], styleIds[cells[i + 2]] ?? 0);
+				}
+			},
+			sizes(sizes) {
+				sheet.layout = sizes;
+			}
+		});
+		return { sheet, reader };
+	}
+
+	/**
+	 * Points a dense chunk's string ids, issued by another table, at this sheet's table.
+	 * @private
+	 * @param {DenseChunk} chunk
+	 * @param {number} chunkCol
+	 * @param {GlobalStringTable} from
+	 */
+	_reinternStrings(chunk, chunkCol, from) {
+		const colBase = chunkCol << CHUNK_COL_SHIFT_BITS;
+		for (let i = 0; i < CELLS_PER_CHUNK; i++) {
+			if (chunk.tagByLocalIndex[i] !== CELL_TAG_STRING) continue;
+			const text = from.getStringById(chunk.stringIdByLocalIndex[i]);
+			chunk.stringIdByLocalIndex[i] = this.globalStringTable.getIdForString(
+				text,
+				colBase | (i & (CHUNK_NUM_COLS - 1))
+			);
+		}
+	}
+
+	/**
+	 * Runs internal edits that must not be recorded as separate undo ops.
+	 * @private
+	 * @param {() => void} fn
+	 */
+	_withoutRecording(fn) {
+		const previous = this._isApplyingHistory;
+		this._isApplyingHistory = true;
+		this._movingCells++;
+		try {
+			fn();
+		} finally {
+			this._isApplyingHistory = previous;
+			this._movingCells--;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 */
+	_emitStructureChange(axis, at, delta) {
+		if (this._remoteTouched) this._rebaseHistoryOnRemoteStructure(axis, at, delta);
+		this._collectStructureChange(axis, at, delta);
+		for (const listener of this._structureListeners) listener({ axis, at, delta });
+	}
+
+	/**
+	 * Applies edits made by someone else, e.g. a collaborator's operations from a sync
+	 * server. Listeners hear them with source 'remote'. They are not undoable, and
+	 * the local history is adjusted so undo only reverts this user's own edits:
+	 *   - entries for cells the remote edits overwrote are dropped; the later edit wins
+	 *   - entries follow remote row/column insertions and deletions, except those
+	 *     older than a local insertion, deletion or merge, which are dropped since
+	 *     they no longer map onto the sheet
+	 * An open transaction is committed first.
+	 * @param {() => void} fn
+	 */
+	applyRemote(fn) {
+		if (this._currentTransaction) this.commitTransaction();
+		const previous = this._isApplyingHistory;
+		this._isApplyingHistory = true;
+		this._remoteTouched = new Map();
+		try {
+			this.batchChanges(fn, 'remote');
+		} finally {
+			this._isApplyingHistory = previous;
+			this._dropOverwrittenHistory();
+			this._remoteTouched = null;
+		}
+	}
+
+	/**
+	 * Removes undo and redo entries for the cells in `_remoteTouched`, then clears it.
+	 * Walking away from the current state, the cells are mapped through each
+	 * structure op so older entries are matched at their own coordinates.
+	 * @private
+	 */
+	_dropOverwrittenHistory() {
+		const touched = this._remoteTouched;
+		if (!touched || touched.size === 0) return;
+		this._undoStack = this._dropFromHistory(this._undoStack, touched, true);
+		this._redoStack = this._dropFromHistory(this._redoStack, touched, false);
+		touched.clear();
+	}
+
+	/**
+	 * @private
+	 * @param {{ ops:HistoryOp[], meta?:object }[]} stack - Next to apply last
+	 * @param {Map<string, { r:number, c:number, kind?:'style' }>} touched
+	 * @param {boolean} isUndo
+	 * @returns {{ ops:HistoryOp[], meta?:object }[]}
+	 */
+	_dropFromHistory(stack, touched, isUndo) {
+		let cells = touched;
+		for (let t = stack.length - 1; t >= 0 && cells.size > 0; t--) {
+			const ops = stack[t].ops;
+			const kept = [];
+			for (let n = 0; n < ops.length; n++) {
+				// Undo replays a transaction's ops last to first, redo first to last
+				const op = ops[isUndo ? ops.length - 1 - n : n];
+				if (op.kind === 'structure') {
+					if (isUndo) op.rewrites = op.rewrites.filter((w) => !cells.has(w.r + ',' + w.c));
+					const map = isUndo ? unshiftIndex : shiftIndex;
+					cells = mapCells(cells, op.axis, (i) => map(i, op.at, op.delta));
+					kept.push(op);
+				} else if (op.kind === 'merge' || !cells.has(historyKey(op))) {
+					kept.push(op);
+				}
+			}
+			if (isUndo) kept.reverse();
+			stack[t].ops = kept;
+		}
+		return stack.filter((txn) => txn.ops.length > 0);
+	}
+
+	/**
+	 * Moves the local history along with a remote insertion or deletion. Entries at
+	 * or before the newest local structure or merge entry are dropped.
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 */
+	_rebaseHistoryOnRemoteStructure(axis, at, delta) {
+		this._dropOverwrittenHistory();
+		const rebase = (stack) => {
+			const barrier = stack.findLastIndex((txn) =>
+				txn.ops.some((op) => op.kind === 'structure' || op.kind === 'merge')
+			);
+			const out = [];
+			for (const txn of stack.slice(barrier + 1)) {
+				const ops = [];
+				for (const op of txn.ops) {
+					const index = shiftIndex(axis === 'row' ? op.r : op.c, at, delta);
+					if (index === -1) continue;
+					ops.push(axis === 'row' ? { ...op, r: index } : { ...op, c: index });
+				}
+				if (ops.length > 0) out.push({ ...txn, ops });
+			}
+			return out;
+		};
+		this._undoStack = rebase(this._undoStack);
+		this._redoStack = rebase(this._redoStack);
+	}
+
+	/**
+	 * Subscribes to change events. Edits are reported once their transaction commits,
+	 * or their batch ends; an edit made outside both is reported straight away.
+	 * Undo and redo each report one event. An error a listener throws does not reach
+	 * the edit; it is rethrown in a microtask.
+	 * @param {(event:SheetChangeEvent) => void} listener
+	 * @returns {() => void} Unsubscribe function
+	 */
+	onChange(listener) {
+		if (this._changeListeners.size === 0) {
+			this._reportedDimensions = { numRows: this.numRows, numCols: this.numCols };
+		}
+		this._changeListeners.add(listener);
+		return () => this._changeListeners.delete(listener);
+	}
+
+	/**
+	 * Runs edits and reports them as one change event, without making them an undo
+	 * transaction. Inside a transaction the event waits for its commit.
+	 * @template T
+	 * @param {() => T} fn
+	 * @param {SheetChangeEvent['source']} [source] - Tells listeners where the edits came from
+	 * @returns {T}
+	 */
+	batchChanges(fn, source = 'edit') {
+		const previousSource = this._changeSource;
+		this._changeBatchDepth++;
+		this._changeSource = source;
+		try {
+			return fn();
+		} finally {
+			this._changeBatchDepth--;
+			this._changeSource = previousSource;
+			this._flushChangesIfIdle();
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {NonNullable<Sheet['_pendingChanges']>}
+	 */
+	_changeBatch() {
+		if (!this._pendingChanges) {
+			this._pendingChanges = {
+				source: this._changeSource,
+				cells: new Map(),
+				styles: new Map(),
+				structure: [],
+				merges: false
+			};
+		}
+		return this._pendingChanges;
+	}
+
+	/**
+	 * Adds a value or style change to the pending event, keeping each cell's first
+	 * prev value.
+	 * @private
+	 * @param {number} r
+	 * @param {number} c
+	 * @param {any} prev
+	 * @param {any} next
+	 * @param {'style'} [kind]
+	 */
+	_collectChange(r, c, prev, next, kind) {
+		if (this._changeListeners.size === 0 || this._movingCells > 0 || prev === next) return;
+		const batch = this._changeBatch();
+		const key = r + ',' + c;
+		if (kind === 'style') {
+			if (!batch.styles.has(key)) batch.styles.set(key, { r, c });
+			return;
+		}
+		const entry = batch.cells.get(key);
+		if (entry) entry.next = next;
+		else batch.cells.set(key, { r, c, prev, next });
+	}
+
+	/** @private */
+	_collectMergeChange() {
+		if (this._changeListeners.size === 0) return;
+		this._changeBatch().merges = true;
+	}
+
+	/**
+	 * Records a structure change and moves the cells collected so far along with it;
+	 * those in deleted rows or columns are dropped.
+	 * @private
+	 * @param {'row'|'col'} axis
+	 * @param {number} at
+	 * @param {number} delta
+	 */
+	_collectStructureChange(axis, at, delta) {
+		if (this._changeListeners.size === 0) return;
+		const batch = this._changeBatch();
+		batch.structure.push({ axis, at, delta });
+		/** @param {Map<string, { r:number, c:number }>} entries */
+		const shift = (entries) => {
+			const shifted = new Map();
+			for (const entry of entries.values()) {
+				const index = shiftIndex(axis === 'row' ? entry.r : entry.c, at, delta);
+				if (index === -1) continue;
+				if (axis === 'row') entry.r = index;
+				else entry.c = index;
+				shifted.set(entry.r + ',' + entry.c, entry);
+			}
+			return shifted;
+		};
+		batch.cells = shift(batch.cells);
+		batch.styles = shift(batch.styles);
+	}
+
+	/**
+	 * Reports the pending changes unless a transaction or batch is still open.
+	 * @private
+	 */
+	_flushChangesIfIdle() {
+		if (this._currentTransaction || this._changeBatchDepth > 0) return;
+		if (this._changeListeners.size === 0) {
+			this._pendingChanges = null;
+			return;
+		}
+		const batch = this._pendingChanges;
+		const reported = this._reportedDimensions;
+		const resized = reported.numRows !== this.numRows || reported.numCols !== this.numCols;
+		if (!batch && !resized) return;
+		this._pendingChanges = null;
+		if (resized) this._reportedDimensions = { numRows: this.numRows, numCols: this.numCols };
+		/** @type {SheetChangeEvent} */
+		const event = {
+			source: batch ? batch.source : this._changeSource,
+			cells: batch ? Array.from(batch.cells.values()).filter((e) => e.prev !== e.next) : [],
+			styles: batch ? Array.from(batch.styles.values()) : [],
+			structure: batch ? batch.structure : [],
+			merges: batch ? batch.merges : false,
+			dimensions: resized ? { ...this._reportedDimensions } : null
+		};
+		const empty =
+			event.cells.length === 0 &&
+			event.styles.length === 0 &&
+			event.structure.length === 0 &&
+			!event.merges &&
+			!resized;
+		if (empty) return;
+		for (const listener of this._changeListeners) {
+			// A failing listener must not keep the event from the others, nor fail the
+			// edit that is already made; its error is rethrown outside the edit
+			try {
+				listener(event);
+			} catch (err) {
+				queueMicrotask(() => {
+					throw err;
+				});
+			}
+		}
+	}
+
+	/**
+	 * Gets the value at the specified cell coordinates. Formula cells return their
+	 * computed result, which may be an error value; use `getRawValue` to read the
+	 * formula source.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {CellValue} The cell value, or null if empty
+	 */
+	getValue(globalRowIndex, globalColIndex) {
+		if (this._pendingRecalcCells.size > 0) this.recalculate();
+		return this._getComputedValue(globalRowIndex, globalColIndex);
+	}
+
+	/**
+	 * Gets the value as entered by the user: the formula source (e.g. "=A1+B1") for
+	 * formula cells, otherwise the stored value. This is what the editor shows.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {CellValue} The raw cell value, or null if empty
+	 */
+	getRawValue(globalRowIndex, globalColIndex) {
+		const chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ false);
+		if (!chunk) return null;
+		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
+
+		if (chunk.kind === 'sparse') {
+			return chunk.localIndexToValue.get(localIndex) ?? null;
+		} else {
+			const tag = chunk.tagByLocalIndex[localIndex];
+			if (tag === CELL_TAG_EMPTY) return null;
+			if (tag === CELL_TAG_NUMBER) return chunk.numberByLocalIndex[localIndex];
+			if (tag === CELL_TAG_BOOLEAN) return chunk.numberByLocalIndex[localIndex] === 1;
+			if (tag === CELL_TAG_ERROR) return errorFromCodeIndex(chunk.numberByLocalIndex[localIndex]);
+			if (tag === CELL_TAG_DATE) return dateValue(chunk.numberByLocalIndex[localIndex]);
+			return this.globalStringTable.getStringById(chunk.stringIdByLocalIndex[localIndex]);
+		}
+	}
+
+	/**
+	 * Gets the cell's value as displayed, with its number format applied.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {import('../format/numberFormat.js').FormattedValue}
+	 */
+	getFormattedValue(globalRowIndex, globalColIndex) {
+		const value = this.getValue(globalRowIndex, globalColIndex);
+		return this.formats.formatValue(value, globalRowIndex, globalColIndex);
+	}
+
+	/**
+	 * Gets the style of a cell. Unstyled cells return an empty object.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {Readonly<CellStyle>}
+	 */
+	getStyle(globalRowIndex, globalColIndex) {
+		return this.styles.getStyle(globalRowIndex, globalColIndex);
+	}
+
+	/**
+	 * Applies a style patch to one cell, e.g. `{ bold: true, fill: null }`. Recorded
+	 * for undo when called inside a transaction.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @param {CellStylePatch} patch - Properties to set; null removes a property
+	 */
+	patchCellStyle(globalRowIndex, globalColIndex, patch) {
+		const prev = this.styles.getStyleId(globalRowIndex, globalColIndex);
+		const next = this.styles.table.applyPatch(prev, patch);
+		if (prev === next) return;
+		this.styles.setStyleId(globalRowIndex, globalColIndex, next);
+		this._recordChange(globalRowIndex, globalColIndex, prev, next, 'style');
+		this._flushChangesIfIdle();
+	}
+
+	/**
+	 * Replaces the whole style of one cell. Recorded for undo when called inside a
+	 * transaction.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @param {CellStyle} style - An empty object removes the style
+	 */
+	setCellStyle(globalRowIndex, globalColIndex, style) {
+		const prev = this.styles.getStyleId(globalRowIndex, globalColIndex);
+		const next = this.styles.table.intern(style);
+		if (prev === next) return;
+		this.styles.setStyleId(globalRowIndex, globalColIndex, next);
+		this._recordChange(globalRowIndex, globalColIndex, prev, next, 'style');
+		this._flushChangesIfIdle();
+	}
+
+	/**
+	 * Applies a style patch to every cell of a rectangular block (inclusive) as a
+	 * single undoable transaction.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @param {CellStylePatch} patch
+	 */
+	applyStyle(topRow, leftCol, bottomRow, rightCol, patch) {
+		this.transact(() => {
+			for (let r = topRow; r <= bottomRow; r++) {
+				for (let c = leftCol; c <= rightCol; c++) this.patchCellStyle(r, c, patch);
+			}
+		});
+	}
+
+	/**
+	 * Merges a rectangular block (inclusive) into one cell as a single undoable
+	 * transaction. The block first grows to take in merges it partly covers; those
+	 * merges are replaced. As in other spreadsheets only the top-left value is kept.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {import('../merge/MergeRegistry.js').MergeRange|null} The merge, or null for a single cell
+	 */
+	mergeRange(topRow, leftCol, bottomRow, rightCol) {
+		const range = this.merges.expandRange(topRow, leftCol, bottomRow, rightCol);
+		if (range.r1 === range.r2 && range.c1 === range.c2) return null;
+		let merge = null;
+		this.transact(() => {
+			const removed = this._removeMerges(range.r1, range.c1, range.r2, range.c2);
+			for (let r = range.r1; r <= range.r2; r++) {
+				for (let c = range.c1; c <= range.c2; c++) {
+					if ((r !== range.r1 || c !== range.c1) && this.hasValue(r, c)) this.deleteValue(r, c);
+				}
+			}
+			merge = this.merges.add(range);
+			this._recordMergeChange(removed, [merge]);
+		});
+		return merge;
+	}
+
+	/**
+	 * Removes every merge that overlaps a rectangular block (inclusive) as a single
+	 * undoable transaction.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {number} Number of merges removed
+	 */
+	unmergeRange(topRow, leftCol, bottomRow, rightCol) {
+		let count = 0;
+		this.transact(() => {
+			const removed = this._removeMerges(topRow, leftCol, bottomRow, rightCol);
+			this._recordMergeChange(removed, []);
+			count = removed.length;
+		});
+		return count;
+	}
+
+	/**
+	 * Gets the merge covering a cell.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {Readonly<import('../merge/MergeRegistry.js').MergeRange>|null}
+	 */
+	getMergeAt(globalRowIndex, globalColIndex) {
+		return this.merges.getMergeAt(globalRowIndex, globalColIndex);
+	}
+
+	/**
+	 * Re-creates copied merges over a pasted block. Merges the block overlaps are
+	 * removed first so the pasted cells show as they were copied. Pasting a single
+	 * cell keeps the merges it lands in.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} rowCount
+	 * @param {number} colCount
+	 * @param {import('../merge/MergeRegistry.js').MergeRange[]} [merges] - Relative to the block's top-left
+	 */
+	pasteMerges(topRow, leftCol, rowCount, colCount, merges = []) {
+		if (rowCount * colCount <= 1) return;
+		this.transact(() => {
+			const bottomRow = topRow + rowCount - 1;
+			const rightCol = leftCol + colCount - 1;
+			const removed = this._removeMerges(topRow, leftCol, bottomRow, rightCol);
+			const added = [];
+			for (const m of merges) {
+				const range = {
+					r1: topRow + m.r1,
+					c1: leftCol + m.c1,
+					r2: topRow + m.r2,
+					c2: leftCol + m.c2
+				};
+				// Merges reaching past the block would overlap cells outside it
+				if (range.r2 > bottomRow || range.c2 > rightCol) continue;
+				if (this.merges.findIntersecting(range.r1, range.c1, range.r2, range.c2).length > 0) {
+					continue;
+				}
+				added.push(this.merges.add(range));
+			}
+			this._recordMergeChange(removed, added);
+		});
+	}
+
+	/**
+	 * @private
+	 * @returns {import('../merge/MergeRegistry.js').MergeRange[]} The removed merges
+	 */
+	_removeMerges(topRow, leftCol, bottomRow, rightCol) {
+		const removed = this.merges.findIntersecting(topRow, leftCol, bottomRow, rightCol);
+		for (const m of removed) this.merges.remove(m);
+		return removed;
+	}
+
+	/**
+	 * Sets the number format of a range (see `FormatLayer#setNumberFormat`). Inside
+	 * a transaction the change is undoable with it.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @param {string|null} pattern - Excel-style pattern, or null for General
+	 */
+	setNumberFormat(topRow, leftCol, bottomRow, rightCol, pattern) {
+		const prev = this.formats.ranges.slice();
+		this.formats.setNumberFormat(topRow, leftCol, bottomRow, rightCol, pattern);
+		if (this._isApplyingHistory || !this._currentTransaction) return;
+		const next = this.formats.ranges.slice();
+		// One op per transaction keeps the earliest ranges, as value changes keep their first prev
+		const index = this._txnIndexByCell?.get('format');
+		if (index !== undefined) {
+			/** @type {FormatOp} */ (this._currentTransaction[index]).next = next;
+			return;
+		}
+		this._currentTransaction.push({ kind: 'format', prev, next });
+		this._txnIndexByCell?.set('format', this._currentTransaction.length - 1);
+	}
+
+	/**
+	 * @private
+	 * @param {import('../merge/MergeRegistry.js').MergeRange[]} removed
+	 * @param {import('../merge/MergeRegistry.js').MergeRange[]} added
+	 */
+	_recordMergeChange(removed, added) {
+		if (removed.length === 0 && added.length === 0) return;
+		this._collectMergeChange();
+		if (this._isApplyingHistory || !this._currentTransaction) return;
+		this._currentTransaction.push({ kind: 'merge', removed, added });
+	}
+
+	/**
+	 * Returns the formula source of a cell, or null if the cell does not hold a formula.
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {string|null}
+	 */
+	getFormula(globalRowIndex, globalColIndex) {
+		if (this._formulaByCell.size === 0) return null;
+		const formula = this._formulaByCell.get(globalRowIndex + ',' + globalColIndex);
+		return formula ? formula.source : null;
+	}
+
+	/**
+	 * Reads a cell, substituting the cached result for formula cells.
+	 * @private
+	 * @param {number} globalRowIndex
+	 * @param {number} globalColIndex
+	 * @returns {CellValue}
+	 */
+	_getComputedValue(globalRowIndex, globalColIndex) {
+		const raw = this.getRawValue(globalRowIndex, globalColIndex);
+		if (typeof raw !== 'string' || this._formulaByCell.size === 0 || raw.charCodeAt(0) !== 61) {
+			return raw;
+		}
+		const key = cellKey(globalRowIndex, globalColIndex);
+		if (!this._formulaByCell.has(key)) return raw;
+		return this._computedByCell.get(key) ?? null;
+	}
+
+	/**
+	 * Recomputes the formulas affected by edits since the last recalculation, in
+	 * dependency order. Formulas caught in a reference cycle evaluate to #CIRCULAR!.
+	 * Called automatically by `getValue`; exposed for callers that want to pay the
+	 * cost up front.
+	 * @returns {number} Number of formula cells recomputed
+	 */
+	recalculate() {
+		if (this._pendingRecalcCells.size === 0) return 0;
+		const changed = this._pendingRecalcCells;
+		this._pendingRecalcCells = new Set();
+		const { order, circular } = this._dependencyGraph.planRecalc(changed);
+		for (const key of order) {
+			const formula = this._formulaByCell.get(key);
+			if (!formula) continue;
+			let value;
+			if (circular.has(key)) value = formulaError(ERROR_CIRCULAR);
+			else if (!formula.ast) value = formulaError(ERROR_SYNTAX);
+			else value = evaluateFormula(formula.ast, this._formulaContext);
+			this._computedByCell.set(key, value);
+		}
+		return order.length;
+	}
+
+	/**
+	 * Keeps the parsed-formula registry and dependency graph in sync with a cell's
+	 * new raw value, and queues the cell for recalculation if anything reads it.
+	 * @private
+	 * @param {number} globalRowIndex
+	 * @param {number} globalColIndex
+	 * @param {CellValue} value
+	 */
+	_syncFormula(globalRowIndex, globalColIndex, value) {
+		const key = cellKey(globalRowIndex, globalColIndex);
+		if (!isFormulaText(value)) {
+			if (this._formulaByCell.size > 0 && this._formulaByCell.delete(key)) {
+				this._dependencyGraph.removeFormula(key);
+				this._computedByCell.delete(key);
+			}
+			if (this._dependencyGraph.hasDependents(globalRowIndex, globalColIndex)) {
+				this._pendingRecalcCells.add(key);
+			}
+			return;
+		}
+		const source = /** @type {string} */ (value);
+		const existing = this._formulaByCell.get(key);
+		if (existing && existing.source === source) return;
+		let ast = null;
+		try {
+			ast = parseFormula(source);
+		} catch {
+			// Keep the source so the user can fix it in the editor; evaluates to #ERROR!
+		}
+		this._formulaByCell.set(key, { source, ast });
+		this._dependencyGraph.setPrecedents(
+			key,
+			ast ? collectPrecedents(ast) : { cells: [], ranges: [] }
+		);
+		this._pendingRecalcCells.add(key);
+	}
+
+	/**
+	 * Checks if a cell has a value (not empty)
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @returns {boolean} True if the cell has a value, false otherwise
+	 */
+	hasValue(globalRowIndex, globalColIndex) {
+		const chunk = this._getChunk(globalRowIndex, globalColIndex, false);
+		if (!chunk) return false;
+		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
+		return chunk.kind === 'sparse'
+			? chunk.localIndexToValue.has(localIndex)
+			: chunk.tagByLocalIndex[localIndex] !== CELL_TAG_EMPTY;
+	}
+
+	/**
+	 * Sets a value at the specified cell coordinates
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 * @param {CellValue} value - The value to set (string, number, boolean, or null)
+	 */
+	setValue(globalRowIndex, globalColIndex, value) {
+		if (value === '' || value == null) {
+			// Treat as delete
+			// deleteValue records and reports the change
+			this.deleteValue(globalRowIndex, globalColIndex);
+			return;
+		}
+
+		const prev = this.getRawValue(globalRowIndex, globalColIndex);
+
+		let chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ true);
+		chunk.isDirty = true;
+		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
+
+		if (chunk.kind === 'sparse') {
+			if (!chunk.localIndexToValue.has(localIndex)) chunk.nonEmptyCellCount++;
+			chunk.localIndexToValue.set(localIndex, value);
+
+			if (chunk.nonEmptyCellCount / CELLS_PER_CHUNK >= PROMOTE_TO_DENSE_FILL_RATIO) {
+				const dense = createDenseChunk();
+				dense.nonEmptyCellCount = chunk.nonEmptyCellCount;
+
+				// Compute the chunk's column index from the current cell; all cells share the same chunkColIndex
+				const chunkColIndex = globalColIndex >> CHUNK_COL_SHIFT_BITS;
+
+				for (const [i, cellValue] of chunk.localIndexToValue) {
+					const localCol = i & (CHUNK_NUM_COLS - 1);
+					const globalColForI = (chunkColIndex << CHUNK_COL_SHIFT_BITS) | localCol;
+					this._assignValueToDenseChunk(dense, i, cellValue, globalColForI);
+				}
+				this._chunks.set(this._lastAccessedChunkKey, dense);
+			}
+		} else {
+			if (chunk.tagByLocalIndex[localIndex] === CELL_TAG_EMPTY) {
+				chunk.nonEmptyCellCount++;
+			}
+			this._assignValueToDenseChunk(chunk, localIndex, value, globalColIndex);
+		}
+
+		this._syncFormula(globalRowIndex, globalColIndex, value);
+		this._recordChange(globalRowIndex, globalColIndex, prev, value);
+		this._flushChangesIfIdle();
+	}
+
+	/**
+	 * Deletes the value at the specified cell coordinates
+	 * @param {number} globalRowIndex - The row index (0-based)
+	 * @param {number} globalColIndex - The column index (0-based)
+	 */
+	deleteValue(globalRowIndex, globalColIndex) {
+		const chunk = this._getChunk(globalRowIndex, globalColIndex, /*createIfMissing=*/ false);
+		if (!chunk) {
+			this._assertChunkLoaded(this._lastAccessedChunkKey);
+			return;
+		}
+		chunk.isDirty = true;
+
+		const localIndex = computeLocalIndexWithinChunk(globalRowIndex, globalColIndex);
+		const prevValue = this.getRawValue(globalRowIndex, globalColIndex);
+		this._syncFormula(globalRowIndex, globalColIndex, null);
+
+		if (chunk.kind === 'sparse') {
+			if (chunk.localIndexToValue.delete(localIndex)) {
 				chunk.nonEmptyCellCount--;
 				if (chunk.nonEmptyCellCount === 0) {
 					const chunkKey = this._getChunkKey(globalRowIndex, globalColIndex);
@@ -496,6 +2252,7 @@ export class Sheet {
 		}
 
 		this._recordChange(globalRowIndex, globalColIndex, prevValue, null);
+		this._flushChangesIfIdle();
 	}
 
 	/**
@@ -506,59 +2263,217 @@ export class Sheet {
 	 * @returns {number} The number of cells that were written to
 	 */
 	setBlock(topRow, leftCol, values2D) {
-		let writeCount = 0;
-		for (let r = 0; r < values2D.length; r++) {
-			const globalRowIndex = topRow + r;
-			const rowValues = values2D[r];
-			for (let c = 0; c < rowValues.length; c++) {
-				const globalColIndex = leftCol + c;
-				const cellValue = rowValues[c];
-
-				if (cellValue === '' || cellValue == null) {
-					const prev = this.getValue(globalRowIndex, globalColIndex);
-					this.deleteValue(globalRowIndex, globalColIndex);
-					// deleteValue will record change
-					continue;
-				}
+		return this.batchChanges(() => {
+			let writeCount = 0;
+			for (let r = 0; r < values2D.length; r++) {
+				const globalRowIndex = topRow + r;
+				const rowValues = values2D[r];
+				for (let c = 0; c < rowValues.length; c++) {
+					const globalColIndex = leftCol + c;
+					const cellValue = rowValues[c];
 
-				this.setValue(globalRowIndex, globalColIndex, cellValue);
-				writeCount++;
+					if (cellValue === '' || cellValue == null) {
+						this.deleteValue(globalRowIndex, globalColIndex);
+						// deleteValue will record change
+						continue;
+					}
+
+					this.setValue(globalRowIndex, globalColIndex, cellValue);
+					writeCount++;
+				}
 			}
-		}
-		return writeCount;
+			return writeCount;
+		});
 	}
 
 	/**
-	 * Estimates the memory usage of data currently in the hot cache
+	 * Estimates the memory usage of data currently in the hot cache. Spilled chunks
+	 * are not counted. The string table may be shared with other sheets.
 	 * @returns {number} Estimated bytes used by cached chunks and strings
 	 */
 	estimatedBytesInHotCache() {
 		let total = 0;
-		for (const chunk of this._chunks.values()) {
-			if (chunk.kind === 'sparse') {
-				total += chunk.nonEmptyCellCount * 24; // Rough estimate for a map entry
-			} else {
-				total +=
-					chunk.tagByLocalIndex.byteLength +
-					chunk.numberByLocalIndex.byteLength +
-					chunk.stringIdByLocalIndex.byteLength;
+		for (const chunk of this._chunks.values()) total += estimateChunkBytes(chunk);
+		return total + this.globalStringTable.estimatedBytes();
+	}
+
+	/**
+	 * Whether some chunks have been spilled out of memory to the chunk store's backend.
+	 * @returns {boolean}
+	 */
+	hasSpilledChunks() {
+		return this._chunks.spilledSize > 0;
+	}
+
+	/**
+	 * Loads the spilled chunks overlapping a range. Reading a spilled cell loads its
+	 * chunk too, but reads as empty until it arrives; await this first to read a range
+	 * in one go. With a small hot cache, early chunks may be evicted by later ones.
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @returns {Promise<void>}
+	 */
+	async loadRange(topRow, leftCol, bottomRow, rightCol) {
+		if (this._chunks.spilledSize === 0) return;
+		const loads = [];
+		const cr2 = Math.max(topRow, bottomRow) >> CHUNK_ROW_SHIFT_BITS;
+		const cc2 = Math.max(leftCol, rightCol) >> CHUNK_COL_SHIFT_BITS;
+		for (let cr = Math.min(topRow, bottomRow) >> CHUNK_ROW_SHIFT_BITS; cr <= cr2; cr++) {
+			for (let cc = Math.min(leftCol, rightCol) >> CHUNK_COL_SHIFT_BITS; cc <= cc2; cc++) {
+				loads.push(this._chunks.load(makeChunkKey(cr, cc)));
 			}
 		}
-		for (const s of this.globalStringTable.stringById) {
-			total += 2 * s.length; // Rough estimate for string bytes
+		await Promise.all(loads);
+	}
+
+	/**
+	 * Loads every spilled chunk and keeps all chunks in memory while `fn` runs.
+	 * Operations that visit every cell, such as inserting rows or cloning, need this
+	 * once chunks have been spilled.
+	 * @template T
+	 * @param {() => T|Promise<T>} fn - May be async; chunks stay in memory until it settles
+	 * @returns {Promise<T>}
+	 */
+	async withAllChunksLoaded(fn) {
+		this._chunks.suspendEviction();
+		try {
+			await this._chunks.loadAll();
+			return await fn();
+		} finally {
+			this._chunks.resumeEviction();
+		}
+	}
+
+	/**
+	 * Loads the spilled chunks overlapping a range and keeps them in memory while
+	 * `fn` runs, for edits that read or write the whole range.
+	 * @template T
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 * @param {() => T|Promise<T>} fn - May be async; chunks stay in memory until it settles
+	 * @returns {Promise<T>}
+	 */
+	async withRangeLoaded(topRow, leftCol, bottomRow, rightCol, fn) {
+		this._chunks.suspendEviction();
+		try {
+			await this.loadRange(topRow, leftCol, bottomRow, rightCol);
+			return await fn();
+		} finally {
+			this._chunks.resumeEviction();
+		}
+	}
+
+	/**
+	 * Subscribes to spilled chunks arriving back in memory, after which cells in them
+	 * read their real values; a cue to redraw.
+	 * @param {() => void} listener
+	 * @returns {() => void} Unsubscribe
+	 */
+	onChunksLoaded(listener) {
+		this._chunkLoadListeners.add(listener);
+		return () => this._chunkLoadListeners.delete(listener);
+	}
+
+	/**
+	 * Releases the chunk store's backend. The sheet must not be used afterwards.
+	 * @returns {Promise<void>}
+	 */
+	dispose() {
+		return this._chunks.dispose();
+	}
+
+	/**
+	 * Formulas that read a spilled cell saw it as empty; recompute them now that
+	 * its chunk is back.
+	 * @private
+	 * @param {number} key
+	 * @param {Chunk} chunk
+	 */
+	_onChunkLoaded(key, chunk) {
+		if (this._formulaByCell.size > 0) {
+			this._forEachCellInChunk(key, chunk, (r, c) => {
+				if (this._dependencyGraph.hasDependents(r, c)) this._pendingRecalcCells.add(cellKey(r, c));
+			});
+		}
+		for (const listener of this._chunkLoadListeners) listener();
+	}
+
+	/**
+	 * Operations that visit every cell cannot wait for spilled chunks to load.
+	 * @private
+	 */
+	_assertAllChunksLoaded() {
+		if (this._chunks.spilledSize === 0) return;
+		this._chunks.suspendEviction();
+		try {
+			if (!this._chunks.reviveWritten()) {
+				throw new Error('Some chunks are still in storage; use withAllChunksLoaded()');
+			}
+		} finally {
+			this._chunks.resumeEviction();
+		}
+	}
+
+	/**
+	 * Writes cannot wait for a spilled chunk to load, so they refuse to touch one.
+	 * @private
+	 * @param {number} chunkKey - A key `_getChunk` just looked up
+	 */
+	_assertChunkLoaded(chunkKey) {
+		if (this._chunks.isSpilled(chunkKey)) {
+			throw new Error('Cannot write to a chunk that is still in storage; use loadRange() first');
+		}
+	}
+
+	/**
+	 * Writes across a range refuse up front when part of it is still in storage,
+	 * instead of failing part way.
+	 * @private
+	 * @param {number} topRow
+	 * @param {number} leftCol
+	 * @param {number} bottomRow
+	 * @param {number} rightCol
+	 */
+	_assertRangeLoaded(topRow, leftCol, bottomRow, rightCol) {
+		if (this._chunks.spilledSize === 0) return;
+		const cr2 = bottomRow >> CHUNK_ROW_SHIFT_BITS;
+		const cc2 = rightCol >> CHUNK_COL_SHIFT_BITS;
+		for (let cr = topRow >> CHUNK_ROW_SHIFT_BITS; cr <= cr2; cr++) {
+			for (let cc = leftCol >> CHUNK_COL_SHIFT_BITS; cc <= cc2; cc++) {
+				const key = makeChunkKey(cr, cc);
+				// Revives a chunk whose write is still in flight
+				if (this._chunks.isSpilled(key)) this._chunks.get(key);
+				this._assertChunkLoaded(key);
+			}
 		}
-		return total;
 	}
 
 	setDataFromObjects(objects, startingRow = 0, startingCol = 0) {
 		if (!objects || objects.length === 0) return;
+		this.batchChanges(() => this._setDataFromObjects(objects, startingRow, startingCol), 'load');
+	}
+
+	/**
+	 * @private
+	 * @param {object[]} objects
+	 * @param {number} startingRow
+	 * @param {number} startingCol
+	 */
+	_setDataFromObjects(objects, startingRow, startingCol) {
 		const stableKeys = Object.keys(objects[0]);
 		for (let i = 0; i < objects.length; i++) {
 			const obj = objects[i];
 			this._setDataRowCount++;
 			for (let j = 0; j < stableKeys.length; j++) {
 				const key = stableKeys[j];
-				this.setValue(startingRow + i, startingCol + j, obj[key]);
+				const value = obj[key];
+				// JSON has no date type; ISO date strings become date cells so they sort as dates
+				const date = typeof value === 'string' ? parseIsoDate(value) : null;
+				this.setValue(startingRow + i, startingCol + j, date ?? value);
 			}
 		}
 		if (stableKeys.length > this.numCols) {
@@ -577,7 +2492,7 @@ export class Sheet {
 	 * @private
 	 * @param {number} globalRowIndex - The global row index
 	 * @param {number} globalColIndex - The global column index
-	 * @returns {string} The chunk key
+	 * @returns {number} The chunk key
 	 */
 	_getChunkKey(globalRowIndex, globalColIndex) {
 		const chunkRowIndex = globalRowIndex >> CHUNK_ROW_SHIFT_BITS;
@@ -597,6 +2512,7 @@ export class Sheet {
 		const chunkKey = this._getChunkKey(globalRowIndex, globalColIndex);
 		let chunk = this._chunks.get(chunkKey);
 		if (!chunk && createIfMissing) {
+			this._assertChunkLoaded(chunkKey);
 			chunk = createSparseChunk();
 			this._chunks.set(chunkKey, chunk);
 		}
@@ -618,6 +2534,12 @@ export class Sheet {
 		} else if (typeof value === 'boolean') {
 			denseChunk.tagByLocalIndex[localIndex] = CELL_TAG_BOOLEAN;
 			denseChunk.numberByLocalIndex[localIndex] = value ? 1 : 0;
+		} else if (isFormulaError(value)) {
+			denseChunk.tagByLocalIndex[localIndex] = CELL_TAG_ERROR;
+			denseChunk.numberByLocalIndex[localIndex] = errorCodeIndex(value);
+		} else if (isDateValue(value)) {
+			denseChunk.tagByLocalIndex[localIndex] = CELL_TAG_DATE;
+			denseChunk.numberByLocalIndex[localIndex] = value.serial;
 		} else {
 			denseChunk.tagByLocalIndex[localIndex] = CELL_TAG_STRING;
 			// Use column index as shard key for interning
@@ -639,6 +2561,9 @@ export class Sheet {
 		const tag = denseChunk.tagByLocalIndex[localIndex];
 		if (tag === CELL_TAG_NUMBER) return denseChunk.numberByLocalIndex[localIndex];
 		if (tag === CELL_TAG_BOOLEAN) return denseChunk.numberByLocalIndex[localIndex] === 1;
+		const payload = denseChunk.numberByLocalIndex[localIndex];
+		if (tag === CELL_TAG_ERROR) return errorFromCodeIndex(payload);
+		if (tag === CELL_TAG_DATE) return dateValue(payload);
 		if (tag === CELL_TAG_STRING) {
 			return this.globalStringTable.getStringById(denseChunk.stringIdByLocalIndex[localIndex]);
 		}
@@ -0,0 +1,520 @@
+/**
+ * @file Reads and writes the binary snapshot format a Sheet is saved in.
+ *
+ * A snapshot is an 8-byte header (the magic "RSNP", a u16 format version and u16
+ * reserved) followed by sections. Each section is a u8 type, 3 reserved bytes and
+ * a u32 payload length, then the payload padded to a multiple of 8 bytes so typed
+ * arrays inside it stay aligned. All numbers are little-endian. Sections are
+ * self-contained, so a snapshot can be written and read a section at a time:
+ *
+ * - META: JSON with the dimensions, number formats, merges, style table and
+ *   which string shards each column uses
+ * - STRING_SHARD: one GlobalStringTable shard, so dense chunks keep their string ids
+ * - FORMULAS: the source of every formula cell
+ * - DENSE_CHUNK: a dense chunk's typed arrays, written as they are
+ * - SPARSE_CHUNK: a sparse chunk as parallel arrays of local index, tag and payload
+ * - STYLED_CELLS: (row, col, style id) triples
+ * - SIZES: custom row heights and column widths
+ * - END: marks a complete snapshot
+ *
+ * Readers skip section types they do not know, so later versions can add sections
+ * without breaking older readers.
+ */
+import { CELLS_PER_CHUNK } from '../constants/ChunkSizing.js';
+
+/**
+ * @typedef {import('../chunk/ChunkCodec.js').ChunkRecord} ChunkRecord
+ * @typedef {import('../chunk/ChunkCodec.js').SparseChunkRecord} SparseChunkRecord
+ * @typedef {import('../chunk/ChunkCodec.js').DenseChunkRecord} DenseChunkRecord
+ */
+
+/**
+ * @typedef {Object} SnapshotMeta
+ * @property {number} numRows
+ * @property {number} numCols
+ * @property {[number, number[]][]} columnShardIds - String shards used by each column
+ * @property {import('../format/FormatLayer.js').FormatRange[]} formats
+ * @property {import('../merge/MergeRegistry.js').MergeRange[]} merges
+ * @property {import('../style/StyleTable.js').CellStyle[]} styles - Style table, by id
+ */
+
+/**
+ * @typedef {Object} SnapshotSizes
+ * @property {number[]} rowHeights - Sparse; missing entries use the default height
+ * @property {number[]} colWidths - Sparse; missing entries use the default width
+ */
+
+/**
+ * Everything a snapshot holds. Chunks and shards are iterated once, in order.
+ * @typedef {Object} SnapshotContent
+ * @property {SnapshotMeta} meta
+ * @property {Iterable<{ shardId:number, strings:string[] }>} shards
+ * @property {Iterable<{ r:number, c:number, source:string }>} formulas
+ * @property {Iterable<{ chunkRow:number, chunkCol:number, record:ChunkRecord }>} chunks
+ * @property {{ row:number, col:number, styleId:number }[]} styledCells
+ * @property {SnapshotSizes} sizes
+ */
+
+/**
+ * Callbacks a SnapshotReader makes as sections arrive, in file order.
+ * @typedef {Object} SnapshotHandlers
+ * @property {(meta:SnapshotMeta) => void} meta
+ * @property {(shardId:number, strings:string[]) => void} stringShard
+ * @property {(formulas:{ r:number, c:number, source:string }[]) => void} formulas
+ * @property {(chunkRow:number, chunkCol:number, record:ChunkRecord) => void} chunk
+ * @property {(cells:Uint32Array) => void} styledCells - Flat (row, col, style id) triples
+ * @property {(sizes:SnapshotSizes) => void} sizes
+ */
+
+/** Current format version; readers reject newer ones */
+export const SNAPSHOT_VERSION = 1;
+
+const MAGIC = [0x52, 0x53, 0x4e, 0x50]; // "RSNP"
+const HEADER_BYTES = 8;
+const SECTION_HEADER_BYTES = 8;
+
+const SECTION_META = 1;
+const SECTION_STRING_SHARD = 2;
+const SECTION_FORMULAS = 3;
+const SECTION_DENSE_CHUNK = 4;
+const SECTION_SPARSE_CHUNK = 5;
+const SECTION_STYLED_CELLS = 6;
+const SECTION_SIZES = 7;
+const SECTION_END = 255;
+
+/** Rough number of formulas per FORMULAS section, to keep sections small */
+const FORMULAS_PER_SECTION = 65536;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Writes a snapshot as a sequence of byte arrays, one per section, so callers can
+ * stream it (to a file, a Blob or a network request) without holding it whole.
+ * @param {SnapshotContent} content
+ * @returns {Generator<Uint8Array>}
+ */
+export function* writeSnapshot(content) {
+	const header = new Uint8Array(HEADER_BYTES);
+	header.set(MAGIC);
+	new DataView(header.buffer).setUint16(4, SNAPSHOT_VERSION, true);
+	yield header;
+
+	yield section(SECTION_META, textEncoder.encode(JSON.stringify(content.meta)));
+	for (const shard of content.shards) yield stringShardSection(shard.shardId, shard.strings);
+
+	let batch = [];
+	for (const formula of content.formulas) {
+		batch.push(formula);
+		if (batch.length === FORMULAS_PER_SECTION) {
+			yield formulasSection(batch);
+			batch = [];
+		}
+	}
+	if (batch.length > 0) yield formulasSection(batch);
+
+	for (const { chunkRow, chunkCol, record } of content.chunks) {
+		yield record.kind === 'dense'
+			? denseChunkSection(chunkRow, chunkCol, record)
+			: sparseChunkSection(chunkRow, chunkCol, record);
+	}
+
+	if (content.styledCells.length > 0) {
+		const triples = new Uint32Array(content.styledCells.length * 3);
+		content.styledCells.forEach((s, i) => {
+			triples[i * 3] = s.row;
+			triples[i * 3 + 1] = s.col;
+			triples[i * 3 + 2] = s.styleId;
+		});
+		yield section(SECTION_STYLED_CELLS, new Uint8Array(triples.buffer));
+	}
+	yield sizesSection(content.sizes);
+	yield section(SECTION_END, new Uint8Array(0));
+}
+
+/**
+ * Joins byte arrays into one.
+ * @param {Iterable<Uint8Array>} parts
+ * @returns {Uint8Array}
+ */
+export function concatBytes(parts) {
+	const list = Array.from(parts);
+	let length = 0;
+	for (const part of list) length += part.byteLength;
+	const out = new Uint8Array(length);
+	let offset = 0;
+	for (const part of list) {
+		out.set(part, offset);
+		offset += part.byteLength;
+	}
+	return out;
+}
+
+/**
+ * Parses a snapshot incrementally: feed it bytes as they arrive with `push`, in
+ * pieces of any size, and call `finish` at the end. Handlers run as soon as each
+ * section is complete.
+ */
+export class SnapshotReader {
+	/**
+	 * @param {SnapshotHandlers} handlers
+	 */
+	constructor(handlers) {
+		/** @type {SnapshotHandlers} */
+		this._handlers = handlers;
+		/** @type {Uint8Array} */
+		this._buffer = new Uint8Array(0);
+		/** Unread bytes start here in `_buffer` */
+		this._start = 0;
+		/** Bytes in `_buffer` end here */
+		this._end = 0;
+		this._ownsBuffer = true;
+		this._readHeader = false;
+		this._done = false;
+	}
+
+	/**
+	 * Adds the next bytes of the snapshot and handles every section they complete.
+	 * The reader may hold on to `bytes` until the next push, so they must not be
+	 * reused in the meantime.
+	 * @param {Uint8Array} bytes
+	 */
+	push(bytes) {
+		if (this._done) {
+			if (bytes.byteLength > 0) throw new Error('Unexpected data after the end of the snapshot');
+			return;
+		}
+		this._append(bytes);
+		this._parse();
+	}
+
+	/**
+	 * Checks that the whole snapshot has been read.
+	 * @throws {Error} When the snapshot is truncated
+	 */
+	finish() {
+		if (!this._done) throw new Error('Snapshot is incomplete');
+		if (this._end > this._start) throw new Error('Unexpected data after the end of the snapshot');
+	}
+
+	/** @param {Uint8Array} bytes */
+	_append(bytes) {
+		if (this._start === this._end) {
+			// Nothing pending: read straight from the caller's bytes
+			this._buffer = bytes;
+			this._start = 0;
+			this._end = bytes.byteLength;
+			this._ownsBuffer = false;
+			return;
+		}
+		const pending = this._end - this._start;
+		const needed = pending + bytes.byteLength;
+		if (!this._ownsBuffer || this._end + bytes.byteLength > this._buffer.byteLength) {
+			if (this._ownsBuffer && needed <= this._buffer.byteLength) {
+				this._buffer.copyWithin(0, this._start, this._end);
+			} else {
+				const next = new Uint8Array(Math.max(needed, pending * 2, 1 << 16));
+				next.set(this._buffer.subarray(this._start, this._end));
+				this._buffer = next;
+				this._ownsBuffer = true;
+			}
+			this._end = pending;
+			this._start = 0;
+		}
+		this._buffer.set(bytes, this._end);
+		this._end += bytes.byteLength;
+	}
+
+	_parse() {
+		if (!this._readHeader) {
+			if (this._end - this._start < HEADER_BYTES) return;
+			const header = this._buffer.subarray(this._start, this._start + HEADER_BYTES);
+			if (MAGIC.some((b, i) => header[i] !== b)) throw new Error('Not a sheet snapshot');
+			const version = new DataView(header.buffer, header.byteOffset).getUint16(4, true);
+			if (version > SNAPSHOT_VERSION) {
+				throw new Error(`Snapshot version ${version} is newer than this reader`);
+			}
+			this._start += HEADER_BYTES;
+			this._readHeader = true;
+		}
+		while (!this._done && this._end - this._start >= SECTION_HEADER_BYTES) {
+			const view = new DataView(this._buffer.buffer, this._buffer.byteOffset + this._start);
+			const type = view.getUint8(0);
+			const length = view.getUint32(4, true);
+			const total = SECTION_HEADER_BYTES + padded(length);
+			if (this._end - this._start < total) return;
+			const payloadStart = this._start + SECTION_HEADER_BYTES;
+			this._handleSection(type, this._buffer.subarray(payloadStart, payloadStart + length));
+			this._start += total;
+		}
+	}
+
+	/**
+	 * @param {number} type
+	 * @param {Uint8Array} payload - Only valid during this call
+	 */
+	_handleSection(type, payload) {
+		const h = this._handlers;
+		const read = new PayloadReader(payload);
+		if (type === SECTION_META) {
+			h.meta(JSON.parse(textDecoder.decode(payload)));
+		} else if (type === SECTION_STRING_SHARD) {
+			const shardId = read.u32();
+			const count = read.u32();
+			const byteLength = read.u32();
+			read.u32();
+			const lengths = read.uint32Array(count);
+			h.stringShard(shardId, decodeStrings(lengths, read.bytes(byteLength)));
+		} else if (type === SECTION_FORMULAS) {
+			const count = read.u32();
+			const byteLength = read.u32();
+			const cells = read.uint32Array(count * 2);
+			const lengths = read.uint32Array(count);
+			const sources = decodeStrings(lengths, read.bytes(byteLength));
+			h.formulas(sources.map((source, i) => ({ r: cells[i * 2], c: cells[i * 2 + 1], source })));
+		} else if (type === SECTION_DENSE_CHUNK) {
+			const chunkRow = read.u32();
+			const chunkCol = read.u32();
+			const nonEmptyCellCount = read.u32();
+			read.u32();
+			h.chunk(chunkRow, chunkCol, {
+				kind: 'dense',
+				nonEmptyCellCount,
+				numberByLocalIndex: read.float64Array(CELLS_PER_CHUNK),
+				stringIdByLocalIndex: read.uint32Array(CELLS_PER_CHUNK),
+				tagByLocalIndex: read.uint8Array(CELLS_PER_CHUNK)
+			});
+		} else if (type === SECTION_SPARSE_CHUNK) {
+			const chunkRow = read.u32();
+			const chunkCol = read.u32();
+			const count = read.u32();
+			const stringCount = read.u32();
+			const stringBytes = read.u32();
+			read.u32();
+			const numbers = read.float64Array(count);
+			const stringLengths = read.uint32Array(stringCount);
+			const localIndices = read.uint16Array(count);
+			const tags = read.uint8Array(count);
+			h.chunk(chunkRow, chunkCol, {
+				kind: 'sparse',
+				nonEmptyCellCount: count,
+				localIndices,
+				tags,
+				numbers,
+				strings: decodeStrings(stringLengths, read.bytes(stringBytes))
+			});
+		} else if (type === SECTION_STYLED_CELLS) {
+			h.styledCells(read.uint32Array(payload.byteLength / 4));
+		} else if (type === SECTION_SIZES) {
+			const rowCount = read.u32();
+			const colCount = read.u32();
+			const heights = read.float64Array(rowCount);
+			const widths = read.float64Array(colCount);
+			const rows = read.uint32Array(rowCount);
+			const cols = read.uint32Array(colCount);
+			/** @type {SnapshotSizes} */
+			const sizes = { rowHeights: [], colWidths: [] };
+			rows.forEach((r, i) => (sizes.rowHeights[r] = heights[i]));
+			cols.forEach((c, i) => (sizes.colWidths[c] = widths[i]));
+			h.sizes(sizes);
+		} else if (type === SECTION_END) {
+			this._done = true;
+		}
+	}
+}
+
+/**
+ * Reads typed arrays out of a section payload in order, copying each so it is
+ * aligned and outlives the reader's buffer.
+ */
+class PayloadReader {
+	/** @param {Uint8Array} payload */
+	constructor(payload) {
+		this._payload = payload;
+		this._view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+		this._offset = 0;
+	}
+
+	u32() {
+		const value = this._view.getUint32(this._offset, true);
+		this._offset += 4;
+		return value;
+	}
+
+	/** @param {number} length */
+	bytes(length) {
+		const out = this._payload.slice(this._offset, this._offset + length);
+		this._offset += length;
+		return out;
+	}
+
+	/** @param {number} count */
+	float64Array(count) {
+		return new Float64Array(this.bytes(count * 8).buffer);
+	}
+
+	/** @param {number} count */
+	uint32Array(count) {
+		return new Uint32Array(this.bytes(count * 4).buffer);
+	}
+
+	/** @param {number} count */
+	uint16Array(count) {
+		return new Uint16Array(this.bytes(count * 2).buffer);
+	}
+
+	/** @param {number} count */
+	uint8Array(count) {
+		return this.bytes(count);
+	}
+}
+
+/**
+ * Builds a section from parts laid out back to back. Parts must keep their own
+ * alignment: 8-byte arrays first, then 4-, 2- and 1-byte ones.
+ * @param {number} type
+ * @param {...ArrayBufferView} parts
+ * @returns {Uint8Array}
+ */
+function section(type, ...parts) {
+	let length = 0;
+	for (const part of parts) length += part.byteLength;
+	const out = new Uint8Array(SECTION_HEADER_BYTES + padded(length));
+	const view = new DataView(out.buffer);
+	view.setUint8(0, type);
+	view.setUint32(4, length, true);
+	let offset = SECTION_HEADER_BYTES;
+	for (const part of parts) {
+		out.set(new Uint8Array(part.buffer, part.byteOffset, part.byteLength), offset);
+		offset += part.byteLength;
+	}
+	return out;
+}
+
+/**
+ * @param {...number} values
+ * @returns {Uint32Array}
+ */
+function u32s(...values) {
+	return Uint32Array.from(values);
+}
+
+/**
+ * @param {number} shardId
+ * @param {string[]} strings
+ */
+function stringShardSection(shardId, strings) {
+	const { lengths, bytes } = encodeStrings(strings);
+	return section(
+		SECTION_STRING_SHARD,
+		u32s(shardId, strings.length, bytes.byteLength, 0),
+		lengths,
+		bytes
+	);
+}
+
+/** @param {{ r:number, c:number, source:string }[]} formulas */
+function formulasSection(formulas) {
+	const cells = new Uint32Array(formulas.length * 2);
+	formulas.forEach((f, i) => {
+		cells[i * 2] = f.r;
+		cells[i * 2 + 1] = f.c;
+	});
+	const { lengths, bytes } = encodeStrings(formulas.map((f) => f.source));
+	return section(SECTION_FORMULAS, u32s(formulas.length, bytes.byteLength), cells, lengths, bytes);
+}
+
+/**
+ * @param {number} chunkRow
+ * @param {number} chunkCol
+ * @param {DenseChunkRecord} record
+ */
+function denseChunkSection(chunkRow, chunkCol, record) {
+	return section(
+		SECTION_DENSE_CHUNK,
+		u32s(chunkRow, chunkCol, record.nonEmptyCellCount, 0),
+		record.numberByLocalIndex,
+		record.stringIdByLocalIndex,
+		record.tagByLocalIndex
+	);
+}
+
+/**
+ * @param {number} chunkRow
+ * @param {number} chunkCol
+ * @param {SparseChunkRecord} record
+ */
+function sparseChunkSection(chunkRow, chunkCol, record) {
+	const { lengths, bytes } = encodeStrings(record.strings);
+	return section(
+		SECTION_SPARSE_CHUNK,
+		u32s(
+			chunkRow,
+			chunkCol,
+			record.localIndices.length,
+			record.strings.length,
+			bytes.byteLength,
+			0
+		),
+		record.numbers,
+		lengths,
+		record.localIndices,
+		record.tags,
+		bytes
+	);
+}
+
+/** @param {SnapshotSizes} sizes */
+function sizesSection(sizes) {
+	const rows = [];
+	const cols = [];
+	sizes.rowHeights.forEach((h, r) => {
+		if (h != null) rows.push([r, h]);
+	});
+	sizes.colWidths.forEach((w, c) => {
+		if (w != null) cols.push([c, w]);
+	});
+	return section(
+		SECTION_SIZES,
+		u32s(rows.length, cols.length),
+		Float64Array.from(rows, (e) => e[1]),
+		Float64Array.from(cols, (e) => e[1]),
+		Uint32Array.from(rows, (e) => e[0]),
+		Uint32Array.from(cols, (e) => e[0])
+	);
+}
+
+/**
+ * Encodes strings as one UTF-8 blob plus each string's UTF-16 length, which is
+ * far faster than encoding them one by one. Lone surrogates become U+FFFD so the
+ * lengths still line up after decoding.
+ * @param {string[]} strings
+ * @returns {{ lengths: Uint32Array, bytes: Uint8Array }}
+ */
+function encodeStrings(strings) {
+	const lengths = Uint32Array.from(strings, (s) => s.length);
+	let joined = strings.join('');
+	if (!joined.isWellFormed()) joined = joined.toWellFormed();
+	return { lengths, bytes: textEncoder.encode(joined) };
+}
+
+/**
+ * @param {Uint32Array} lengths
+ * @param {Uint8Array} bytes
+ * @returns {string[]}
+ */
+function decodeStrings(lengths, bytes) {
+	const joined = textDecoder.decode(bytes);
+	const out = new Array(lengths.length);
+	let offset = 0;
+	for (let i = 0; i < lengths.length; i++) {
+		out[i] = joined.slice(offset, offset + lengths[i]);
+		offset += lengths[i];
+	}
+	return out;
+}
+
+/** @param {number} length */
+function padded(length) {
+	return (length + 7) & ~7;
+}
@@ -9,6 +9,10 @@
  * - Additional shards are allocated per column on demand to avoid a single giant Map.
  * - IDs are 32-bit unsigned integers composed as: [8-bit shardId | 24-bit localId].
  */
+import { estimateStringBytes } from '../chunk/ChunkCodec.js';
+
+// An array slot plus a Map entry per interned string, in bytes
+const INTERNED_ENTRY_BYTES = 40;
 
 /**
  * Manages a mapping between strings and unique integer IDs.
@@ -150,6 +154,20 @@ export class GlobalStringTable {
 		return shard.stringById[localId];
 	}
 
+	/**
+	 * Estimates the memory the interned strings take, including both lookup
+	 * directions (string to id and id to string).
+	 * @returns {number}
+	 */
+	estimatedBytes() {
+		let total = 0;
+		for (const shard of this._shards) {
+			if (!shard) continue;
+			for (const s of shard.stringById) total += estimateStringBytes(s) + INTERNED_ENTRY_BYTES;
+		}
+		return total;
+	}
+
 	/**
 	 * Loads the string table from a pre-existing list of strings. This is used
 	 * when initializing the sheet from a persistent store.
@@ -165,6 +183,42 @@ export class GlobalStringTable {
 		this.stringById = shard.stringById;
 	}
 
+	/**
+	 * Lists every shard's strings, in id order, and the shards each column uses.
+	 * Loading both into another table with `loadShards` reproduces every id.
+	 * @returns {{ shards: { shardId:number, strings:string[] }[], columnShardIds: [number, number[]][] }}
+	 */
+	exportShards() {
+		const shards = [];
+		this._shards.forEach((shard, shardId) => {
+			if (shard && shard.stringById.length > 0) shards.push({ shardId, strings: shard.stringById });
+		});
+		return { shards, columnShardIds: Array.from(this._columnShardIds, ([c, ids]) => [c, ids]) };
+	}
+
+	/**
+	 * Replaces the table's contents with shards listed by `exportShards`.
+	 * @param {{ shardId:number, strings:string[] }[]} shards
+	 * @param {[number, number[]][]} columnShardIds
+	 */
+	loadShards(shards, columnShardIds) {
+		this._shards = [];
+		for (const { shardId, strings } of shards) {
+			const shard = this._ensureShard(shardId);
+			shard.stringById = strings;
+			shard.idByString = new Map(strings.map((s, i) => [s, i]));
+		}
+		this._columnShardIds = new Map(columnShardIds.map(([c, ids]) => [c, ids.slice()]));
+		let maxShardId = 0;
+		for (const { shardId } of shards) maxShardId = Math.max(maxShardId, shardId);
+		for (const [, ids] of columnShardIds) maxShardId = Math.max(maxShardId, ...ids);
+		this._nextAllocShardId = maxShardId + 1;
+		// Refresh back-compat aliases
+		const shard0 = this._ensureShard(0);
+		this.idByString = shard0.idByString;
+		this.stringById = shard0.stringById;
+	}
+
 	/**
 	 * Encodes (shardId, localId) into a 32-bit unsigned integer.
 	 * @param {number} shardId
@@ -0,0 +1,128 @@
+/**
+ * @file String collation for sorting. Comparing through `Intl.Collator` puts
+ * accented letters next to their base letter and, with natural ordering, reads
+ * digit runs as numbers so "Item 2" comes before "Item 10".
+ *
+ * A collator comparison costs far more than comparing two numbers, so a sort
+ * ranks each distinct string once and then orders rows by rank. Equal ranks
+ * mean the collator sees the strings as equal (e.g. "abc" and "ABC" when case
+ * is ignored).
+ */
+
+/**
+ * @typedef {Object} Collation
+ * @property {string} [locale] - BCP 47 tag; the runtime's locale when omitted
+ * @property {boolean} [caseSensitive] - Tell "a" and "A" apart instead of treating them as equal
+ * @property {boolean} [numeric] - Natural order: compare digit runs by their value
+ */
+
+/**
+ * @typedef {Object} StringRanks
+ * @property {string[]} sorted - Distinct strings in collation order
+ * @property {Map<string, number>} ranks - Each string's rank; strings the
+ *   collator sees as equal share the rank of the first of them
+ */
+
+/**
+ * Fills in the defaults: the runtime locale, case ignored, natural order.
+ * @param {Collation} [collation]
+ * @returns {{ locale: string|undefined, caseSensitive: boolean, numeric: boolean }}
+ */
+export function normalizeCollation(collation = {}) {
+	return {
+		locale: collation.locale || undefined,
+		caseSensitive: !!collation.caseSensitive,
+		numeric: collation.numeric !== false
+	};
+}
+
+/**
+ * A string naming a collation, for caching work done under it.
+ * @param {Collation} [collation]
+ */
+export function collationKey(collation) {
+	const { locale, caseSensitive, numeric } = normalizeCollation(collation);
+	return `${locale ?? ''}|${caseSensitive ? 'case' : ''}|${numeric ? 'numeric' : ''}`;
+}
+
+/**
+ * @param {Collation} [collation]
+ * @returns {(a:string, b:string) => number}
+ */
+export function createCollator(collation) {
+	const { locale, caseSensitive, numeric } = normalizeCollation(collation);
+	let collator;
+	try {
+		collator = new Intl.Collator(locale, {
+			sensitivity: caseSensitive ? 'variant' : 'accent',
+			numeric
+		});
+	} catch {
+		// An unknown locale tag falls back to the runtime's locale
+		collator = new Intl.Collator(undefined, {
+			sensitivity: caseSensitive ? 'variant' : 'accent',
+			numeric
+		});
+	}
+	return collator.compare;
+}
+
+/**
+ * Sorts distinct strings once and ranks them.
+ * @param {Iterable<string>} strings - May contain repeats
+ * @param {(a:string, b:string) => number} compare
+ * @returns {StringRanks}
+ */
+export function rankStrings(strings, compare) {
+	const sorted = Array.from(new Set(strings)).sort(compare);
+	/** @type {Map<string, number>} */
+	const ranks = new Map();
+	for (let i = 0; i < sorted.length; i++) {
+		const tied = i > 0 && compare(sorted[i - 1], sorted[i]) === 0;
+		ranks.set(sorted[i], tied ? /** @type {number} */ (ranks.get(sorted[i - 1])) : i);
+	}
+	return { sorted, ranks };
+}
+
+/**
+ * Ranks strings missing from `base` so they order correctly against it: a
+ * string equal to one in `base` takes its rank, and the others get fractional
+ * ranks between their neighbours.
+ * @param {StringRanks} base
+ * @param {Iterable<string>} extras - Strings not in `base.ranks`
+ * @param {(a:string, b:string) => number} compare
+ * @returns {Map<string, number>}
+ */
+export function rankAgainst(base, extras, compare) {
+	const { sorted, ranks } = base;
+	const own = rankStrings(extras, compare).sorted;
+	/** @type {Map<string, number>} */
+	const out = new Map();
+	let gapAt = -1;
+	let inGap = 0;
+	for (let i = 0; i < own.length; i++) {
+		const text = own[i];
+		// First base string not before `text`
+		let lo = 0;
+		let hi = sorted.length;
+		while (lo < hi) {
+			const mid = (lo + hi) >>> 1;
+			if (compare(sorted[mid], text) < 0) lo = mid + 1;
+			else hi = mid;
+		}
+		if (lo < sorted.length && compare(sorted[lo], text) === 0) {
+			out.set(text, /** @type {number} */ (ranks.get(sorted[lo])));
+			continue;
+		}
+		if (i > 0 && compare(own[i - 1], text) === 0) {
+			out.set(text, /** @type {number} */ (out.get(own[i - 1])));
+			continue;
+		}
+		// Strings falling between the same two base strings climb towards the next rank
+		inGap = lo === gapAt ? inGap + 1 : 1;
+		gapAt = lo;
+		const below = lo > 0 ? /** @type {number} */ (ranks.get(sorted[lo - 1])) : -1;
+		out.set(text, below + inGap / (inGap + 1));
+	}
+	return out;
+}
@@ -0,0 +1,163 @@
+/**
+ * @file This file contains the StyleStore class, which keeps the style id of every
+ * styled cell. Ids are stored per 64x64 chunk in a Uint32Array, mirroring the value
+ * chunks, but independently of them: a cell can be styled while empty, and clearing
+ * a value keeps its style.
+ */
+import { StyleTable } from './StyleTable.js';
+import {
+	CHUNK_ROW_SHIFT_BITS,
+	CHUNK_COL_SHIFT_BITS,
+	CELLS_PER_CHUNK
+} from '../constants/ChunkSizing.js';
+import {
+	makeChunkKey,
+	splitChunkKey,
+	computeLocalIndexWithinChunk,
+	shiftChunkIndex
+} from '../chunk/ChunkCoordinates.js';
+import { shiftIndex } from '../formula/shiftReferences.js';
+
+/**
+ * @typedef {Object} StyleChunk
+ * @property {Uint32Array} styleIdByLocalIndex
+ * @property {number} styledCellCount - Cells with a non-default style; the chunk is dropped at 0
+ */
+
+/**
+ * Chunked storage of per-cell style ids backed by a shared StyleTable.
+ */
+export class StyleStore {
+	constructor() {
+		/** @type {StyleTable} */
+		this.table = new StyleTable();
+		/** @type {Map<number, StyleChunk>} */
+		this._chunks = new Map();
+	}
+
+	/**
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {number}
+	 */
+	_chunkKey(row, col) {
+		return makeChunkKey(row >> CHUNK_ROW_SHIFT_BITS, col >> CHUNK_COL_SHIFT_BITS);
+	}
+
+	/**
+	 * Gets the style id of a cell (0 when unstyled).
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {number}
+	 */
+	getStyleId(row, col) {
+		if (this._chunks.size === 0) return 0;
+		const chunk = this._chunks.get(this._chunkKey(row, col));
+		return chunk ? chunk.styleIdByLocalIndex[computeLocalIndexWithinChunk(row, col)] : 0;
+	}
+
+	/**
+	 * Sets the style id of a cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @param {number} styleId
+	 */
+	setStyleId(row, col, styleId) {
+		const key = this._chunkKey(row, col);
+		let chunk = this._chunks.get(key);
+		if (!chunk) {
+			if (styleId === 0) return;
+			chunk = { styleIdByLocalIndex: new Uint32Array(CELLS_PER_CHUNK), styledCellCount: 0 };
+			this._chunks.set(key, chunk);
+		}
+		const localIndex = computeLocalIndexWithinChunk(row, col);
+		const prev = chunk.styleIdByLocalIndex[localIndex];
+		if (prev === styleId) return;
+		chunk.styleIdByLocalIndex[localIndex] = styleId;
+		if (prev === 0) chunk.styledCellCount++;
+		else if (styleId === 0) chunk.styledCellCount--;
+		if (chunk.styledCellCount === 0) this._chunks.delete(key);
+	}
+
+	/**
+	 * Gets the resolved style of a cell.
+	 * @param {number} row
+	 * @param {number} col
+	 * @returns {Readonly<import('./StyleTable.js').CellStyle>}
+	 */
+	getStyle(row, col) {
+		return this.table.getStyle(this.getStyleId(row, col));
+	}
+
+	/**
+	 * Lists every styled cell.
+	 * @returns {{ row:number, col:number, styleId:number }[]}
+	 */
+	entries() {
+		const out = [];
+		for (const [key, chunk] of this._chunks) {
+			const [chunkRow, chunkCol] = splitChunkKey(key);
+			const ids = chunk.styleIdByLocalIndex;
+			for (let i = 0; i < ids.length; i++) {
+				if (ids[i] === 0) continue;
+				out.push({
+					row: (chunkRow << CHUNK_ROW_SHIFT_BITS) | (i >> CHUNK_COL_SHIFT_BITS),
+					col: (chunkCol << CHUNK_COL_SHIFT_BITS) | (i & ((1 << CHUNK_COL_SHIFT_BITS) - 1)),
+					styleId: ids[i]
+				});
+			}
+		}
+		return out;
+	}
+
+	/**
+	 * Moves styles for inserted or deleted rows/columns. Chunks that move by a
+	 * whole number of chunks are re-keyed; only the others are copied cell by cell.
+	 * @param {'row'|'col'} axis
+	 * @param {number} at - First row/column index affected
+	 * @param {number} delta - Number inserted (positive) or deleted (negative)
+	 * @returns {{ r:number, c:number, styleId:number }[]} The deleted cells' styles
+	 */
+	shift(axis, at, delta) {
+		const isRow = axis === 'row';
+		const shiftBits = isRow ? CHUNK_ROW_SHIFT_BITS : CHUNK_COL_SHIFT_BITS;
+		/** @type {[number, StyleChunk][]} */
+		const split = [];
+		/** @type {[number, StyleChunk][]} */
+		const moved = [];
+		for (const [key, chunk] of Array.from(this._chunks)) {
+			const [chunkRow, chunkCol] = splitChunkKey(key);
+			const index = isRow ? chunkRow : chunkCol;
+			const target = shiftChunkIndex(index, shiftBits, at, delta);
+			if (target === index) continue;
+			this._chunks.delete(key);
+			if (target === -1) split.push([key, chunk]);
+			else
+				moved.push([
+					isRow ? makeChunkKey(target, chunkCol) : makeChunkKey(chunkRow, target),
+					chunk
+				]);
+		}
+		for (const [key, chunk] of moved) this._chunks.set(key, chunk);
+		const removed = [];
+		for (const [key, chunk] of split) {
+			const [chunkRow, chunkCol] = splitChunkKey(key);
+			const ids = chunk.styleIdByLocalIndex;
+			for (let i = 0; i < ids.length; i++) {
+				if (ids[i] === 0) continue;
+				const r = (chunkRow << CHUNK_ROW_SHIFT_BITS) | (i >> CHUNK_COL_SHIFT_BITS);
+				const c = (chunkCol << CHUNK_COL_SHIFT_BITS) | (i & ((1 << CHUNK_COL_SHIFT_BITS) - 1));
+				const index = shiftIndex(isRow ? r : c, at, delta);
+				if (index === -1) removed.push({ r, c, styleId: ids[i] });
+				else if (isRow) this.setStyleId(index, c, ids[i]);
+				else this.setStyleId(r, index, ids[i]);
+			}
+		}
+		return removed;
+	}
+
+	/** Whether any cell has a style; lets renderers skip style lookups entirely */
+	get isEmpty() {
+		return this._chunks.size === 0;
+	}
+}
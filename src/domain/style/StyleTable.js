@@ -0,0 +1,157 @@
+/**
+ * @file Implements the style table that interns cell styles. Like the global string
+ * table, each distinct style is stored once and cells refer to it by a numeric id,
+ * so a styled cell costs one Uint32 slot no matter how many properties it sets.
+ * Id 0 is always the default (unstyled) style. Ids are never reused, which keeps
+ * the ids recorded in undo history valid.
+ */
+
+/**
+ * @typedef {'thin'|'medium'|'thick'|'dashed'|'dotted'} BorderLineStyle
+ */
+
+/**
+ * @typedef {Object} Border
+ * @property {BorderLineStyle} style
+ * @property {string} color - CSS color
+ */
+
+/**
+ * @typedef {Object} CellStyle
+ * @property {boolean} [bold]
+ * @property {boolean} [italic]
+ * @property {string} [color] - Text color (CSS)
+ * @property {string} [fill] - Background color (CSS)
+ * @property {'left'|'center'|'right'} [hAlign]
+ * @property {'top'|'middle'|'bottom'} [vAlign]
+ * @property {Border} [borderTop]
+ * @property {Border} [borderRight]
+ * @property {Border} [borderBottom]
+ * @property {Border} [borderLeft]
+ */
+
+/**
+ * A partial style to apply on top of a cell's current style. A property set to
+ * null removes it; properties that are left out are kept.
+ * @typedef {{ [K in keyof CellStyle]?: CellStyle[K] | null }} CellStylePatch
+ */
+
+/** Property order used for canonical keys, so equal styles intern to one id. */
+export const STYLE_PROPERTIES = Object.freeze([
+	'bold',
+	'italic',
+	'color',
+	'fill',
+	'hAlign',
+	'vAlign',
+	'borderTop',
+	'borderRight',
+	'borderBottom',
+	'borderLeft'
+]);
+
+export const BORDER_SIDES = Object.freeze([
+	'borderTop',
+	'borderRight',
+	'borderBottom',
+	'borderLeft'
+]);
+
+/** @type {Readonly<CellStyle>} */
+export const DEFAULT_STYLE = Object.freeze({});
+
+/**
+ * Drops unset and default-valued properties and orders the rest.
+ * @param {CellStyle} style
+ * @returns {CellStyle}
+ */
+function normalizeStyle(style) {
+	/** @type {Record<string, any>} */
+	const out = {};
+	for (const prop of STYLE_PROPERTIES) {
+		const value = style[prop];
+		if (value == null || value === false || value === '') continue;
+		out[prop] = BORDER_SIDES.includes(prop)
+			? Object.freeze({ style: value.style || 'thin', color: value.color || '#000000' })
+			: value;
+	}
+	return out;
+}
+
+/**
+ * Interns cell styles and hands out stable numeric ids.
+ */
+export class StyleTable {
+	constructor() {
+		/** @type {Readonly<CellStyle>[]} */
+		this._styleById = [DEFAULT_STYLE];
+		/** @type {Map<string, number>} */
+		this._idByKey = new Map([['{}', 0]]);
+	}
+
+	/** Number of distinct styles, including the default */
+	get size() {
+		return this._styleById.length;
+	}
+
+	/**
+	 * Returns the id for a style, adding it to the table if new.
+	 * @param {CellStyle} style
+	 * @returns {number}
+	 */
+	intern(style) {
+		const normalized = normalizeStyle(style);
+		const key = JSON.stringify(normalized);
+		let id = this._idByKey.get(key);
+		if (id === undefined) {
+			id = this._styleById.length;
+			this._styleById.push(Object.freeze(normalized));
+			this._idByKey.set(key, id);
+		}
+		return id;
+	}
+
+	/**
+	 * @param {number} id
+	 * @returns {Readonly<CellStyle>}
+	 */
+	getStyle(id) {
+		return this._styleById[id] ?? DEFAULT_STYLE;
+	}
+
+	/**
+	 * Returns the id of the style produced by applying a patch to an existing style.
+	 * @param {number} id
+	 * @param {CellStylePatch} patch
+	 * @returns {number}
+	 */
+	applyPatch(id, patch) {
+		return this.intern({ ...this.getStyle(id), ...patch });
+	}
+}
+
+/**
+ * Builds the border patch for one cell of a bordered range.
+ *   - `all`: every side of every cell
+ *   - `outline`: only the sides that lie on the range's edge
+ *   - `none`: removes all four sides
+ * @param {'all'|'outline'|'none'} mode
+ * @param {Border|null} border
+ * @param {{ top:boolean, right:boolean, bottom:boolean, left:boolean }} edges - Range edges the cell touches
+ * @returns {CellStylePatch}
+ */
+export function borderPatchForCell(mode, border, edges) {
+	if (mode === 'none' || !border) {
+		return { borderTop: null, borderRight: null, borderBottom: null, borderLeft: null };
+	}
+	if (mode === 'all') {
+		return { borderTop: border, borderRight: border, borderBottom: border, borderLeft: border };
+	}
+	/** @type {CellStylePatch} */
+	const patch = {};
+	if (edges.top) patch.borderTop = border;
+	if (edges.right) patch.borderRight = border;
+	if (edges.bottom) patch.borderBottom = border;
+	if (edges.left) patch.borderLeft = border;
+	return patch;
+}
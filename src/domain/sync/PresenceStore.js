@@ -0,0 +1,227 @@
+/**
+ * @file This file contains the PresenceStore class, which shares where each
+ * collaborator is working: the sheet they look at, their active cell and their
+ * selection. It sends the local user's presence over any transport that carries
+ * JSON messages (the same ones SyncClient uses) and keeps the presence of the others.
+ *
+ * Presence is not part of the sheet's history, so it skips the relay's ordering:
+ *   - updates are throttled, and only the newest one matters
+ *   - a client answers a newcomer with its own presence, and repeats it now and then
+ *     so a lost message does not make it vanish
+ *   - a collaborator not heard from for `ttlMs` is dropped, as is one that says goodbye
+ * Rows are sheet rows, not the rows of a sorted or filtered view.
+ */
+
+/**
+ * @typedef {{ r1:number, c1:number, r2:number, c2:number }} PresenceRange
+ */
+
+/**
+ * What a client tells the others about itself. `left` says it is going away.
+ * @typedef {Object} PresenceMessage
+ * @property {'presence'} type
+ * @property {string} clientId
+ * @property {string} name
+ * @property {string} color - A CSS color
+ * @property {number|null} sheetId - The sheet they look at, see `Workbook`
+ * @property {{ r:number, c:number }|null} anchor - The active cell
+ * @property {PresenceRange[]} ranges - The selection
+ * @property {boolean} [left]
+ */
+
+/**
+ * A collaborator, as last heard from.
+ * @typedef {Omit<PresenceMessage, 'type'|'left'> & { seenAt:number }} Peer
+ */
+
+/**
+ * @typedef {Object} PresenceTransport
+ * @property {(message:PresenceMessage) => void} send
+ * @property {(handler:(message:any) => void) => () => void} onMessage - Returns an unsubscribe function
+ */
+
+/** Outline colors handed out to collaborators that do not pick one */
+export const PRESENCE_COLORS = [
+	'#e11d48',
+	'#7c3aed',
+	'#0891b2',
+	'#16a34a',
+	'#ea580c',
+	'#db2777',
+	'#2563eb',
+	'#ca8a04'
+];
+
+/**
+ * Picks a color for a client, the same on every client.
+ * @param {string} clientId
+ * @returns {string}
+ */
+export function presenceColor(clientId) {
+	let hash = 0;
+	for (let i = 0; i < clientId.length; i++) hash = (hash * 31 + clientId.charCodeAt(i)) | 0;
+	return PRESENCE_COLORS[Math.abs(hash) % PRESENCE_COLORS.length];
+}
+
+/**
+ * Shares the local user's presence and tracks everyone else's.
+ */
+export class PresenceStore {
+	/**
+	 * @param {PresenceTransport} transport
+	 * @param {{ clientId?:string, name?:string, color?:string, throttleMs?:number, ttlMs?:number }} [options]
+	 *   `clientId` defaults to a random one, `throttleMs` (the least time between
+	 *   updates) to 100 and `ttlMs` (how long a silent collaborator is kept) to 30s
+	 */
+	constructor(transport, options = {}) {
+		this.transport = transport;
+		/** @type {string} */
+		this.clientId = options.clientId ?? Math.random().toString(36).slice(2, 12);
+		this.throttleMs = options.throttleMs ?? 100;
+		this.ttlMs = options.ttlMs ?? 30000;
+		/** @type {PresenceMessage} */
+		this._local = {
+			type: 'presence',
+			clientId: this.clientId,
+			name: options.name ?? 'Anonymous',
+			color: options.color ?? presenceColor(this.clientId),
+			sheetId: null,
+			anchor: null,
+			ranges: []
+		};
+		/** @type {Map<string, Peer>} */
+		this._peers = new Map();
+		/** @type {Set<(peers:Peer[]) => void>} */
+		this._listeners = new Set();
+		this._lastSentAt = -Infinity;
+		/** @type {ReturnType<typeof setTimeout>|null} Pending trailing update */
+		this._sendTimer = null;
+		/** @type {ReturnType<typeof setInterval>|null} */
+		this._heartbeat = null;
+		/** @type {(() => void)|null} */
+		this._unsubscribe = null;
+	}
+
+	/** The collaborators currently present, in the order they arrived */
+	get peers() {
+		return [...this._peers.values()];
+	}
+
+	/**
+	 * Starts listening to the transport and announces the local user.
+	 */
+	start() {
+		if (this._unsubscribe) return;
+		this._unsubscribe = this.transport.onMessage((message) => this.receive(message));
+		// Repeating presence a few times per ttl keeps it alive across a lost message
+		this._heartbeat = setInterval(() => {
+			this.expire();
+			this._send();
+		}, this.ttlMs / 3);
+		this._send();
+	}
+
+	/**
+	 * Says goodbye and stops listening. Collaborators are forgotten.
+	 */
+	stop() {
+		if (!this._unsubscribe) return;
+		this._unsubscribe();
+		this._unsubscribe = null;
+		if (this._heartbeat) clearInterval(this._heartbeat);
+		this._heartbeat = null;
+		if (this._sendTimer) clearTimeout(this._sendTimer);
+		this._sendTimer = null;
+		this.transport.send({ ...this._local, left: true });
+		if (this._peers.size > 0) {
+			this._peers.clear();
+			this._notify();
+		}
+	}
+
+	/**
+	 * Updates where the local user is. Sent right away unless an update went out in
+	 * the last `throttleMs`; then the newest one is sent when that time is up.
+	 * @param {{ sheetId?:number|null, anchor?:{ r:number, c:number }|null, ranges?:PresenceRange[] }} state
+	 */
+	update(state) {
+		this._local = { ...this._local, ...state };
+		this._sendThrottled();
+	}
+
+	/** @private */
+	_sendThrottled() {
+		if (!this._unsubscribe || this._sendTimer) return;
+		const wait = this._lastSentAt + this.throttleMs - Date.now();
+		if (wait <= 0) this._send();
+		else {
+			this._sendTimer = setTimeout(() => {
+				this._sendTimer = null;
+				this._send();
+			}, wait);
+		}
+	}
+
+	/**
+	 * Takes a message from the transport. Anything but another client's presence is
+	 * ignored, so the transport may be shared with a SyncClient.
+	 * @param {any} message
+	 */
+	receive(message) {
+		if (message?.type !== 'presence' || message.clientId === this.clientId) return;
+		if (message.left) {
+			if (this._peers.delete(message.clientId)) this._notify();
+			return;
+		}
+		const { clientId, name, color, sheetId, anchor, ranges } = message;
+		const isNew = !this._peers.has(clientId);
+		this._peers.set(clientId, {
+			clientId,
+			name,
+			color,
+			sheetId,
+			anchor,
+			ranges,
+			seenAt: Date.now()
+		});
+		this._notify();
+		if (isNew) this._sendThrottled();
+	}
+
+	/**
+	 * Drops collaborators not heard from for `ttlMs`. Runs by itself while started.
+	 * @param {number} [now]
+	 */
+	expire(now = Date.now()) {
+		let changed = false;
+		for (const [clientId, peer] of this._peers) {
+			if (now - peer.seenAt >= this.ttlMs) {
+				this._peers.delete(clientId);
+				changed = true;
+			}
+		}
+		if (changed) this._notify();
+	}
+
+	/**
+	 * Subscribes to changes in the collaborators' presence.
+	 * @param {(peers:Peer[]) => void} listener
+	 * @returns {() => void} Unsubscribe function
+	 */
+	onChange(listener) {
+		this._listeners.add(listener);
+		return () => this._listeners.delete(listener);
+	}
+
+	/** @private */
+	_send() {
+		this._lastSentAt = Date.now();
+		this.transport.send(this._local);
+	}
+
+	/** @private */
+	_notify() {
+		const peers = this.peers;
+		for (const listener of this._listeners) listener(peers);
+	}
+}
@@ -0,0 +1,307 @@
+/**
+ * @file This file contains the SyncClient class, the client half of collaborative
+ * editing. It sends the local edits of a sheet to a SyncRelay as batches of
+ * operations and applies the batches of other clients.
+ *
+ * One batch is in flight at a time; edits made meanwhile wait in a buffer and go out
+ * together once the server acknowledges it. A remote batch is rebased over the
+ * in-flight and buffered operations before it is applied, and they over it, which
+ * matches what the server does when it orders them after the remote batch. So every
+ * client ends up with the same sheet.
+ *
+ * When a send fails the in-flight batch is sent again after a while, and on every
+ * start. The relay knows a batch it already ordered by its id and does not order it
+ * twice.
+ *
+ * Remote batches are applied one at a time in order. When the sheet has spilled
+ * chunks, the ones a batch touches are loaded first, and later batches wait. `seq`
+ * only moves past a batch once it is applied, so a batch that fails is asked for
+ * again.
+ */
+import { operationsFromChange, applyOperations, transformOperations } from './syncOperations.js';
+
+/**
+ * @typedef {import('./syncOperations.js').SyncOperation} SyncOperation
+ * @typedef {import('./SyncRelay.js').ClientMessage} ClientMessage
+ * @typedef {import('./SyncRelay.js').ServerMessage} ServerMessage
+ */
+
+/**
+ * Carries messages between a client and the relay, in order.
+ * @typedef {Object} SyncTransport
+ * @property {(message:ClientMessage) => void} send
+ * @property {(handler:(message:ServerMessage) => void) => () => void} onMessage - Returns an unsubscribe function
+ * @property {(handler:(error:Error) => void) => () => void} [onError] - Reports a message
+ *   that may not have reached the relay; returns an unsubscribe function
+ * @property {() => void} [close]
+ */
+
+/**
+ * Keeps one sheet in sync with a relay.
+ */
+export class SyncClient {
+	/**
+	 * @param {import('../sheet/sheet.js').Sheet} sheet
+	 * @param {SyncTransport} transport
+	 * @param {{ clientId?: string, retryMs?: number, onError?: (error:Error) => void }} [options]
+	 *   `clientId` defaults to a random one and `retryMs` (how long to wait before
+	 *   sending a batch again after a failed send) to 2s; `onError` hears failed sends
+	 */
+	constructor(sheet, transport, options = {}) {
+		this.sheet = sheet;
+		this.transport = transport;
+		/** @type {string} */
+		this.clientId = options.clientId ?? Math.random().toString(36).slice(2, 12);
+		this.retryMs = options.retryMs ?? 2000;
+		/** @type {((error:Error) => void)|null} */
+		this.onError = options.onError ?? null;
+		/** @type {number} Seq of the last batch applied */
+		this.seq = 0;
+		/** @type {{ batchId:number, ops:SyncOperation[] }|null} */
+		this._inflight = null;
+		/** @type {SyncOperation[]} Local operations made after the in-flight batch */
+		this._buffer = [];
+		/** @type {number} */
+		this._nextBatchId = 1;
+		/** @type {(() => void)[]} */
+		this._unsubscribers = [];
+		/** @type {ReturnType<typeof setTimeout>|null} Pending resend of the in-flight batch */
+		this._retryTimer = null;
+		/** @type {ServerMessage[]} Remote batches received but not applied yet, in order */
+		this._incoming = [];
+		/** @type {boolean} Whether the first incoming batch waits for its chunks to load */
+		this._loading = false;
+	}
+
+	/** Whether some local edits have not been acknowledged yet */
+	get hasPendingChanges() {
+		return this._inflight !== null || this._buffer.length > 0;
+	}
+
+	/**
+	 * Starts listening to the sheet and the transport, and asks for missed batches.
+	 * The sheet must hold what every client started from, usually nothing.
+	 */
+	start() {
+		if (this._unsubscribers.length > 0) return;
+		this._unsubscribers.push(
+			this.sheet.onChange((event) => this._onLocalChange(event)),
+			this.transport.onMessage((message) => this._onMessage(message))
+		);
+		if (this.transport.onError) {
+			this._unsubscribers.push(this.transport.onError((error) => this._onSendError(error)));
+		}
+		this.transport.send({ type: 'join', clientId: this.clientId, since: this.seq });
+		// Sent before a stop, it may never have arrived
+		if (this._inflight) this._sendInflight();
+	}
+
+	/** Stops syncing. Unacknowledged edits are kept and sent if started again. */
+	stop() {
+		for (const unsubscribe of this._unsubscribers) unsubscribe();
+		this._unsubscribers = [];
+		if (this._retryTimer) clearTimeout(this._retryTimer);
+		this._retryTimer = null;
+	}
+
+	/**
+	 * @private
+	 * @param {import('../sheet/sheet.js').SheetChangeEvent} event
+	 */
+	_onLocalChange(event) {
+		// Loaded data is assumed to be the same everywhere; remote edits came from the relay
+		if (event.source === 'remote' || event.source === 'load') return;
+		const ops = operationsFromChange(this.sheet, event);
+		if (ops.length === 0) return;
+		for (const op of ops) this._buffer.push(op);
+		this._sendBuffer();
+	}
+
+	/** @private */
+	_sendBuffer() {
+		if (this._inflight || this._buffer.length === 0) return;
+		this._inflight = { batchId: this._nextBatchId++, ops: this._buffer };
+		this._buffer = [];
+		this._sendInflight();
+	}
+
+	/**
+	 * Sends the in-flight batch, rebased over every batch applied so far.
+	 * @private
+	 */
+	_sendInflight() {
+		if (!this._inflight) return;
+		this.transport.send({
+			type: 'ops',
+			clientId: this.clientId,
+			batchId: this._inflight.batchId,
+			baseSeq: this.seq,
+			ops: this._inflight.ops
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {Error} error
+	 */
+	_onSendError(error) {
+		this.onError?.(error);
+		if (!this._inflight || this._retryTimer) return;
+		this._retryTimer = setTimeout(() => {
+			this._retryTimer = null;
+			this._sendInflight();
+		}, this.retryMs);
+	}
+
+	/**
+	 * @private
+	 * @param {ServerMessage} message
+	 */
+	_onMessage(message) {
+		if (message.type !== 'ops') return;
+		this._incoming.push(message);
+		this._applyIncoming();
+	}
+
+	/**
+	 * Applies the queued remote batches in order, stopping at one whose chunks have
+	 * to be loaded first; it carries on once they are.
+	 * @private
+	 */
+	_applyIncoming() {
+		while (!this._loading && this._incoming.length > 0) {
+			const message = this._incoming[0];
+			if (message.seq <= this.seq) {
+				this._incoming.shift();
+				continue;
+			}
+			const rebased = this._rebase(message);
+			if (rebased && rebased.ops.length > 0 && this.sheet.hasSpilledChunks()) {
+				this._loading = true;
+				this._loadAndApply(message, rangeOfOperations(rebased.ops)).then(() => {
+					this._loading = false;
+					this._applyIncoming();
+				});
+				return;
+			}
+			this._incoming.shift();
+			try {
+				this._commit(message, rebased);
+			} catch (error) {
+				this._onApplyError(/** @type {Error} */ (error));
+			}
+		}
+	}
+
+	/**
+	 * Loads the chunks a batch touches, all of them for structure changes, and
+	 * applies it while they stay in memory.
+	 * @private
+	 * @param {ServerMessage} message
+	 * @param {{ r1:number, c1:number, r2:number, c2:number }|null} range
+	 * @returns {Promise<void>}
+	 */
+	async _loadAndApply(message, range) {
+		const apply = () => {
+			if (this._incoming[0] !== message) return;
+			// Local edits made while loading may have moved the batch out of the range
+			const rebased = this._rebase(message);
+			if (range && rebased && !rangeContains(range, rangeOfOperations(rebased.ops))) return;
+			this._incoming.shift();
+			this._commit(message, rebased);
+		};
+		try {
+			if (range) await this.sheet.withRangeLoaded(range.r1, range.c1, range.r2, range.c2, apply);
+			else await this.sheet.withAllChunksLoaded(apply);
+		} catch (error) {
+			this._onApplyError(/** @type {Error} */ (error));
+		}
+	}
+
+	/**
+	 * Rebases a remote batch over the local operations, without keeping the result.
+	 * @private
+	 * @param {ServerMessage} message
+	 * @returns {{ ops:SyncOperation[], inflight:SyncOperation[], buffer:SyncOperation[] }|null}
+	 *   Null when the batch is the acknowledgement of the in-flight one
+	 */
+	_rebase(message) {
+		const inflight = this._inflight;
+		if (message.clientId === this.clientId && inflight?.batchId === message.batchId) return null;
+		// Everything local is ordered after this batch, so this batch goes first
+		let ops = message.ops;
+		let inflightOps = [];
+		if (inflight) [ops, inflightOps] = transformOperations(ops, inflight.ops, true);
+		const [applied, buffer] = transformOperations(ops, this._buffer, true);
+		return { ops: applied, inflight: inflightOps, buffer };
+	}
+
+	/**
+	 * Applies a rebased remote batch, or takes the acknowledgement, and moves `seq`
+	 * past it.
+	 * @private
+	 * @param {ServerMessage} message
+	 * @param {ReturnType<SyncClient['_rebase']>} rebased
+	 */
+	_commit(message, rebased) {
+		if (!rebased) {
+			this.seq = message.seq;
+			this._inflight = null;
+			this._sendBuffer();
+			return;
+		}
+		if (rebased.ops.length > 0) applyOperations(this.sheet, rebased.ops);
+		this.seq = message.seq;
+		if (this._inflight) this._inflight.ops = rebased.inflight;
+		this._buffer = rebased.buffer;
+	}
+
+	/**
+	 * Drops the batches not applied yet and asks for them again from `seq`.
+	 * @private
+	 * @param {Error} error
+	 */
+	_onApplyError(error) {
+		this._incoming = [];
+		this.onError?.(error);
+		if (this._unsubscribers.length > 0) {
+			this.transport.send({ type: 'join', clientId: this.clientId, since: this.seq });
+		}
+	}
+}
+
+/**
+ * The cells a batch of value and style operations touches.
+ * @param {SyncOperation[]} ops
+ * @returns {{ r1:number, c1:number, r2:number, c2:number }|null} Null when some operation
+ *   inserts or deletes rows or columns, which touches every chunk
+ */
+function rangeOfOperations(ops) {
+	let r1 = Infinity;
+	let c1 = Infinity;
+	let r2 = -1;
+	let c2 = -1;
+	for (const op of ops) {
+		if (op.type === 'structure') return null;
+		r1 = Math.min(r1, op.r);
+		c1 = Math.min(c1, op.c);
+		r2 = Math.max(r2, op.r);
+		c2 = Math.max(c2, op.c);
+	}
+	return r2 < 0 ? { r1: 0, c1: 0, r2: 0, c2: 0 } : { r1, c1, r2, c2 };
+}
+
+/**
+ * @param {{ r1:number, c1:number, r2:number, c2:number }} outer
+ * @param {{ r1:number, c1:number, r2:number, c2:number }|null} inner
+ * @returns {boolean}
+ */
+function rangeContains(outer, inner) {
+	return (
+		inner !== null &&
+		inner.r1 >= outer.r1 &&
+		inner.c1 >= outer.c1 &&
+		inner.r2 <= outer.r2 &&
+		inner.c2 <= outer.c2
+	);
+}
@@ -0,0 +1,84 @@
+/**
+ * @file This file contains the SyncRelay class, the server half of collaborative
+ * editing. It puts the batches of operations clients send in one global order,
+ * rebasing each over the batches other clients got in first, and keeps the log so
+ * clients that join late or reconnect can catch up. It does no I/O; a server (see
+ * `src/routes/api/sync`) delivers its messages.
+ */
+import { transformOperations } from './syncOperations.js';
+
+/**
+ * @typedef {import('./syncOperations.js').SyncOperation} SyncOperation
+ */
+
+/**
+ * A batch a client sends, made on top of every batch up to `baseSeq`.
+ * @typedef {{ type:'ops', clientId:string, batchId:number, baseSeq:number, ops:SyncOperation[] }} ClientBatchMessage
+ */
+
+/**
+ * A client asking for the batches after `since`.
+ * @typedef {{ type:'join', clientId:string, since:number }} ClientJoinMessage
+ */
+
+/**
+ * @typedef {ClientBatchMessage|ClientJoinMessage} ClientMessage
+ */
+
+/**
+ * A batch in the global order, sent to every client including its author, who
+ * takes it as the acknowledgement of `batchId`.
+ * @typedef {{ type:'ops', seq:number, clientId:string, batchId:number, ops:SyncOperation[] }} ServerMessage
+ */
+
+/**
+ * The ordered log of one shared sheet.
+ */
+export class SyncRelay {
+	constructor() {
+		/** @type {ServerMessage[]} Entry `i` has seq `i + 1` */
+		this._log = [];
+		/** @type {Map<string, ServerMessage>} Each client's newest batch */
+		this._lastByClient = new Map();
+	}
+
+	/** Sequence number of the newest batch, 0 when there is none */
+	get seq() {
+		return this._log.length;
+	}
+
+	/**
+	 * Lists the batches a client has not seen yet.
+	 * @param {number} since - The last seq the client has
+	 * @returns {ServerMessage[]}
+	 */
+	since(since) {
+		return this._log.slice(Math.max(0, since));
+	}
+
+	/**
+	 * Orders a client's batch after everything received so far. A client resends a
+	 * batch it got no acknowledgement for, so a batch already ordered is not ordered
+	 * again.
+	 * @param {ClientBatchMessage} message
+	 * @returns {ServerMessage} The batch to send to every client, or the entry already
+	 *   sent for a resent batch (its seq is not above the previous `seq`)
+	 */
+	receive(message) {
+		const { clientId, batchId, baseSeq } = message;
+		const last = this._lastByClient.get(clientId);
+		if (last && last.batchId === batchId) return last;
+		if (!Number.isInteger(baseSeq) || baseSeq < 0 || baseSeq > this.seq) {
+			throw new Error(`Unknown base sequence number ${baseSeq}`);
+		}
+		let ops = message.ops;
+		for (const entry of this._log.slice(baseSeq)) {
+			if (entry.clientId !== clientId) [ops] = transformOperations(ops, entry.ops, false);
+		}
+		/** @type {ServerMessage} */
+		const entry = { type: 'ops', seq: this.seq + 1, clientId, batchId, ops };
+		this._log.push(entry);
+		this._lastByClient.set(clientId, entry);
+		return entry;
+	}
+}
@@ -0,0 +1,211 @@
+/**
+ * @file Operations exchanged by collaborators editing the same sheet, and the
+ * transforms that let concurrent operations be applied in any order. A sync server
+ * puts every batch of operations in one global order; when two batches were made
+ * concurrently, the later one is rebased over the earlier one:
+ *   - cell edits follow rows/columns inserted or deleted before them, and formulas
+ *     in them have their references moved the same way
+ *   - a cell edit inside a deleted band is dropped
+ *   - of two edits to the same cell, the one the server ordered last wins
+ *   - rows inserted at the same place keep the server's order
+ */
+import { formulaError, isFormulaError } from '../formula/errors.js';
+import { dateValue, isDateValue } from '../dates/DateValue.js';
+import { shiftFormulaReferences, shiftIndex } from '../formula/shiftReferences.js';
+
+/**
+ * A cell value in JSON form: errors and dates become tagged objects.
+ * @typedef {string|number|boolean|null|{ error:string }|{ date:number }} EncodedValue
+ */
+
+/**
+ * @typedef {{ type:'set', r:number, c:number, value:EncodedValue }} SetOperation
+ * @typedef {{ type:'style', r:number, c:number, style:import('../style/StyleTable.js').CellStyle }} StyleOperation
+ * @typedef {{ type:'structure', axis:'row'|'col', at:number, delta:number }} StructureOperation
+ * @typedef {SetOperation|StyleOperation|StructureOperation} SyncOperation
+ */
+
+/**
+ * @param {import('../sheet/sheet.js').CellValue} value
+ * @returns {EncodedValue}
+ */
+export function encodeValue(value) {
+	if (value == null) return null;
+	if (isFormulaError(value)) return { error: value.code };
+	if (isDateValue(value)) return { date: value.serial };
+	return value;
+}
+
+/**
+ * @param {EncodedValue} value
+ * @returns {import('../sheet/sheet.js').CellValue}
+ */
+export function decodeValue(value) {
+	if (value == null || typeof value !== 'object') return value;
+	if ('error' in value) return formulaError(value.error);
+	if ('date' in value) return dateValue(value.date);
+	throw new Error('Unknown encoded cell value');
+}
+
+/**
+ * Turns a sheet change event into operations: structure changes first, in order,
+ * then the final value and style of every changed cell.
+ * @param {import('../sheet/sheet.js').Sheet} sheet
+ * @param {import('../sheet/sheet.js').SheetChangeEvent} event
+ * @returns {SyncOperation[]}
+ */
+export function operationsFromChange(sheet, event) {
+	/** @type {SyncOperation[]} */
+	const ops = event.structure.map(({ axis, at, delta }) => ({
+		type: 'structure',
+		axis,
+		at,
+		delta
+	}));
+	for (const { r, c, next } of event.cells) {
+		ops.push({ type: 'set', r, c, value: encodeValue(next) });
+	}
+	for (const { r, c } of event.styles) {
+		ops.push({ type: 'style', r, c, style: { ...sheet.getStyle(r, c) } });
+	}
+	return ops;
+}
+
+/**
+ * Applies a collaborator's operations as one remote change (see `Sheet.applyRemote`),
+ * growing the sheet when they reach past its end.
+ * @param {import('../sheet/sheet.js').Sheet} sheet
+ * @param {SyncOperation[]} ops
+ */
+export function applyOperations(sheet, ops) {
+	const ensureSize = (rows, cols) => {
+		if (rows > sheet.numRows) sheet.addRows(rows - sheet.numRows);
+		if (cols > sheet.numCols) sheet.addColumns(cols - sheet.numCols);
+	};
+	sheet.applyRemote(() => {
+		for (const op of ops) {
+			if (op.type === 'structure') {
+				const end = op.delta > 0 ? op.at : op.at - op.delta;
+				if (op.axis === 'row') {
+					ensureSize(end, 0);
+					if (op.delta > 0) sheet.insertRows(op.at, op.delta);
+					else sheet.deleteRows(op.at, -op.delta);
+				} else {
+					ensureSize(0, end);
+					if (op.delta > 0) sheet.insertColumns(op.at, op.delta);
+					else sheet.deleteColumns(op.at, -op.delta);
+				}
+				continue;
+			}
+			ensureSize(op.r + 1, op.c + 1);
+			if (op.type === 'set') sheet.setValue(op.r, op.c, decodeValue(op.value));
+			else sheet.setCellStyle(op.r, op.c, op.style);
+		}
+	});
+}
+
+/**
+ * Rebases `a` so it can be applied after `b`, where both were made on the same state.
+ * @param {SyncOperation} a
+ * @param {SyncOperation} b
+ * @param {boolean} aFirst - Whether the server orders `a` before `b`
+ * @returns {SyncOperation[]} Zero, one or two operations
+ */
+export function transformOperation(a, b, aFirst) {
+	if (b.type === 'structure') {
+		if (a.type === 'structure') return transformStructure(a, b, aFirst);
+		const index = shiftIndex(b.axis === 'row' ? a.r : a.c, b.at, b.delta);
+		if (index === -1) return [];
+		const moved = b.axis === 'row' ? { ...a, r: index } : { ...a, c: index };
+		if (moved.type === 'set' && typeof moved.value === 'string') {
+			moved.value = shiftFormulaReferences(moved.value, b.axis, b.at, b.delta);
+		}
+		return [moved];
+	}
+	if (a.type === 'structure') return [a];
+	// `b` already overwrote the cell and comes later, so `a` must not undo it
+	if (aFirst && a.type === b.type && a.r === b.r && a.c === b.c) return [];
+	return [a];
+}
+
+/**
+ * Rebases two lists of operations made on the same state over each other.
+ * @param {SyncOperation[]} a
+ * @param {SyncOperation[]} b
+ * @param {boolean} aFirst - Whether the server orders `a` before `b`
+ * @returns {[SyncOperation[], SyncOperation[]]} `a` to apply after `b`, and `b` to apply after `a`
+ */
+export function transformOperations(a, b, aFirst) {
+	const aAfter = [];
+	let bAfter = b;
+	for (const opA of a) {
+		let pieces = [opA];
+		const bNext = [];
+		for (const opB of bAfter) {
+			const [piecesAfter, opBAfter] = transformPieces(pieces, [opB], aFirst);
+			pieces = piecesAfter;
+			for (const op of opBAfter) bNext.push(op);
+		}
+		for (const op of pieces) aAfter.push(op);
+		bAfter = bNext;
+	}
+	return [aAfter, bAfter];
+}
+
+/**
+ * `transformOperations` for the few operations one operation turns into; recursion
+ * keeps it short but is too deep for long lists.
+ * @param {SyncOperation[]} a
+ * @param {SyncOperation[]} b
+ * @param {boolean} aFirst
+ * @returns {[SyncOperation[], SyncOperation[]]}
+ */
+function transformPieces(a, b, aFirst) {
+	if (a.length === 0 || b.length === 0) return [a, b];
+	if (a.length === 1 && b.length === 1) {
+		return [transformOperation(a[0], b[0], aFirst), transformOperation(b[0], a[0], !aFirst)];
+	}
+	if (a.length > 1) {
+		const [head, bAfterHead] = transformPieces(a.slice(0, 1), b, aFirst);
+		const [rest, bAfterAll] = transformPieces(a.slice(1), bAfterHead, aFirst);
+		return [head.concat(rest), bAfterAll];
+	}
+	const [bHead, aAfterHead] = transformPieces(b.slice(0, 1), a, !aFirst);
+	const [bRest, aAfterAll] = transformPieces(b.slice(1), aAfterHead, !aFirst);
+	return [aAfterAll, bHead.concat(bRest)];
+}
+
+/**
+ * @param {StructureOperation} a
+ * @param {StructureOperation} b
+ * @param {boolean} aFirst
+ * @returns {StructureOperation[]}
+ */
+function transformStructure(a, b, aFirst) {
+	if (a.axis !== b.axis) return [a];
+	if (b.delta > 0) {
+		if (a.delta > 0) {
+			const before = a.at < b.at || (a.at === b.at && aFirst);
+			return [before ? a : { ...a, at: a.at + b.delta }];
+		}
+		const end = a.at - a.delta;
+		if (b.at <= a.at) return [{ ...a, at: a.at + b.delta }];
+		if (b.at >= end) return [a];
+		// Rows inserted inside the deleted band survive: delete around them
+		return [
+			{ ...a, at: b.at + b.delta, delta: -(end - b.at) },
+			{ ...a, delta: -(b.at - a.at) }
+		];
+	}
+	const bEnd = b.at - b.delta;
+	if (a.delta > 0) {
+		if (a.at <= b.at) return [a];
+		return [{ ...a, at: a.at >= bEnd ? a.at + b.delta : b.at }];
+	}
+	const end = a.at - a.delta;
+	const overlap = Math.max(0, Math.min(end, bEnd) - Math.max(a.at, b.at));
+	const count = end - a.at - overlap;
+	if (count === 0) return [];
+	const at = a.at < b.at ? a.at : a.at >= bEnd ? a.at + b.delta : b.at;
+	return [{ ...a, at, delta: -count }];
+}
@@ -0,0 +1,115 @@
+/**
+ * @file Transports for SyncClient:
+ *   - a WebSocket to a server that relays JSON messages
+ *   - the reference relay route (`/api/sync`): batches are POSTed and the ordered
+ *     batches stream back as Server-Sent Events
+ */
+
+/**
+ * @typedef {import('./SyncClient.js').SyncTransport} SyncTransport
+ * @typedef {import('./SyncRelay.js').ServerMessage} ServerMessage
+ */
+
+/**
+ * Wraps a WebSocket carrying one JSON message per frame. Messages sent before it
+ * opens are queued. A socket error is reported to `onError` handlers.
+ * @param {WebSocket|string} socketOrUrl
+ * @returns {SyncTransport}
+ */
+export function createWebSocketTransport(socketOrUrl) {
+	const socket = typeof socketOrUrl === 'string' ? new WebSocket(socketOrUrl) : socketOrUrl;
+	/** @type {string[]} */
+	const queue = [];
+	/** @type {Set<(error:Error) => void>} */
+	const errorHandlers = new Set();
+	socket.addEventListener('open', () => {
+		for (const text of queue.splice(0)) socket.send(text);
+	});
+	socket.addEventListener('error', () => {
+		const error = new Error('Sync WebSocket failed');
+		for (const handler of errorHandlers) handler(error);
+	});
+	return {
+		send(message) {
+			const text = JSON.stringify(message);
+			if (socket.readyState === WebSocket.OPEN) socket.send(text);
+			else queue.push(text);
+		},
+		onMessage(handler) {
+			/** @param {MessageEvent} event */
+			const listener = (event) => handler(JSON.parse(event.data));
+			socket.addEventListener('message', listener);
+			return () => socket.removeEventListener('message', listener);
+		},
+		onError(handler) {
+			errorHandlers.add(handler);
+			return () => errorHandlers.delete(handler);
+		},
+		close() {
+			socket.close();
+		}
+	};
+}
+
+/**
+ * Talks to the reference relay route. The event stream opens on `join` and resumes
+ * from the last seq by itself after a dropped connection. A PresenceStore hears
+ * others through it once a SyncClient on the same transport has joined. A POST that
+ * fails or that the relay refuses is reported to `onError` handlers.
+ * @param {string} url - e.g. '/api/sync'
+ * @param {string} [room] - Clients in the same room share a sheet
+ * @returns {SyncTransport}
+ */
+export function createHttpRelayTransport(url, room = 'default') {
+	/** @type {Set<(message:ServerMessage) => void>} */
+	const handlers = new Set();
+	/** @type {Set<(error:Error) => void>} */
+	const errorHandlers = new Set();
+	/** @type {EventSource|null} */
+	let events = null;
+	/** @type {Promise<void>} Keeps POSTs in order */
+	let sending = Promise.resolve();
+	const roomUrl = (params) => `${url}?${new URLSearchParams({ room, ...params })}`;
+
+	return {
+		send(message) {
+			if (message.type === 'join') {
+				events?.close();
+				events = new EventSource(roomUrl({ since: String(message.since) }));
+				events.onmessage = (event) => {
+					const parsed = JSON.parse(event.data);
+					for (const handler of handlers) handler(parsed);
+				};
+				return;
+			}
+			sending = sending.then(async () => {
+				try {
+					const response = await fetch(roomUrl({}), {
+						method: 'POST',
+						headers: { 'content-type': 'application/json' },
+						body: JSON.stringify(message)
+					});
+					if (!response.ok) {
+						const body = await response.json().catch(() => null);
+						throw new Error(body?.error ?? `Sync relay answered ${response.status}`);
+					}
+				} catch (err) {
+					const error = err instanceof Error ? err : new Error(String(err));
+					for (const handler of errorHandlers) handler(error);
+				}
+			});
+		},
+		onMessage(handler) {
+			handlers.add(handler);
+			return () => handlers.delete(handler);
+		},
+		onError(handler) {
+			errorHandlers.add(handler);
+			return () => errorHandlers.delete(handler);
+		},
+		close() {
+			events?.close();
+			events = null;
+		}
+	};
+}
@@ -3,7 +3,72 @@
  * view over a core Sheet object without mutating the underlying data.
  */
 import { FenwickTree } from '../ds/FenwickTree.js';
-import { serialize2DToTSV } from '../clipboard/tsv.js';
+import { serialize2DToTSV, serializeCell } from '../clipboard/tsv.js';
+import { formatHtmlTable } from '../clipboard/html.js';
+import { isDateValue } from '../dates/DateValue.js';
+import { borderPatchForCell } from '../style/StyleTable.js';
+import { shiftIndex } from '../formula/shiftReferences.js';
+import { collationKey, createCollator, rankAgainst, rankStrings } from '../strings/collation.js';
+import { compileConditionFilter, normalizeConditionFilter } from './filterConditions.js';
+
+// Sorts over this many rows keep their text ranking for the next sort, so a
+// re-sort only ranks the text the last one did not see
+const LARGE_SORT_ROWS = 4096;
+
+const KEY_EMPTY = 0;
+const KEY_NUMBER = 1;
+const KEY_TEXT = 2;
+
+/**
+ * Sort keys of one column for the rows being sorted: a kind per row, and the
+ * number it sorts by (the value for numbers, the collation rank for text).
+ * @typedef {{ kinds: Uint8Array, values: Float64Array }} ColumnSortKeys
+ */
+
+/**
+ * Reads a cell as a sort key. Numbers, dates (by serial) and text that reads as
+ * a number sort by value, before text; booleans and errors sort as their text.
+ * @param {import('../sheet/sheet.js').CellValue} value
+ * @returns {number|string|null}
+ */
+function toSortKey(value) {
+	if (value == null || value === '') return null;
+	if (typeof value === 'number') return value;
+	if (isDateValue(value)) return value.serial;
+	if (typeof value === 'string') {
+		const n = value.trim() !== '' ? Number(value) : NaN;
+		return Number.isNaN(n) ? value : n;
+	}
+	return serializeCell(value);
+}
+
+/**
+ * Builds a comparator over row positions for a multi-key sort. Each key breaks
+ * ties left by the ones before it. Empty cells come first ascending and last
+ * descending; a stable sort keeps tied rows in their original order.
+ * @param {{ dir:'asc'|'desc' }[]} sortKeys - In priority order
+ * @param {ColumnSortKeys[]} keysByCol - Row position i's key for sortKeys[k] is entry i of keysByCol[k]
+ * @param {boolean} stable
+ * @returns {(a:number, b:number) => number}
+ */
+function createRowComparator(sortKeys, keysByCol, stable) {
+	return (a, b) => {
+		for (let k = 0; k < sortKeys.length; k++) {
+			const desc = sortKeys[k].dir === 'desc';
+			const { kinds, values } = keysByCol[k];
+			const ka = kinds[a];
+			const kb = kinds[b];
+			if (ka === KEY_EMPTY && kb === KEY_EMPTY) continue;
+			if (ka === KEY_EMPTY || kb === KEY_EMPTY) {
+				const aEmpty = ka === KEY_EMPTY;
+				return desc ? (aEmpty ? 1 : -1) : aEmpty ? -1 : 1;
+			}
+			const base = ka !== kb ? ka - kb : values[a] - values[b];
+			if (base !== 0) return desc ? -base : base;
+		}
+		return stable ? a - b : 0;
+	};
+}
 
 /**
  * A view on a Sheet that can be filtered and sorted without mutating the underlying data.
@@ -17,7 +82,9 @@ export class SheetView {
 
 		/** @type {any[]} */
 		this.filters = []; // Array<FilterSpec>
-		this.sortSpec = null; // { cols: [{c, dir:'asc'|'desc'}], stable: true }
+		/** @type {{ key:string, ranks:import('../strings/collation.js').StringRanks } | null} last large sort's text ranking */
+		this._sortTextRanks = null;
+		this.sortSpec = null; // { cols: [{c, dir:'asc'|'desc'}], stable: true, collation?: {...} }
 
 		/** @type {number[] | null} */
 		this.sortedRows = null; // Array of sheet row indices in visual order (after filter + sort)
@@ -25,6 +92,13 @@ export class SheetView {
 		/** @type {Uint8Array | null} */
 		this.rowMask = null; // 1 if visible, 0 otherwise
 
+		/** @type {{ col:number, evaluator: (v:any, row:number)=>boolean }[]} */
+		this._compiledFilters = [];
+		/** @type {Map<number, { last:number, own:boolean }>} filter column -> its data range's last row */
+		this._filterLastRows = new Map();
+		/** @type {(() => void) | null} */
+		this._unsubscribeCellChanges = null;
+
 		/** @type {FenwickTree | null} */
 		this.fenwickTree = null;
 
@@ -36,25 +110,191 @@ export class SheetView {
 
 		/** @type {number} */
 		this.lastDataRow = 0; // legacy global; may be superseded by per-column logic
+
+		// Keep filter/sort columns and the row mapping in step with inserted/deleted rows and columns
+		sheet.onStructureChange((change) => this._onStructureChange(change));
+	}
+
+	/**
+	 * Inserts rows before a visual row. Under a filter or sort the rows go before the
+	 * sheet row shown there.
+	 * @param {number} visualRow - May equal visualRowCount() to append
+	 * @param {number} [count=1]
+	 */
+	insertRows(visualRow, count = 1) {
+		const at =
+			visualRow >= this.visualRowCount() ? this.sheet.numRows : this.rowIdAtForWrite(visualRow);
+		this.sheet.insertRows(at === -1 ? visualRow : at, count);
 	}
+
+	/**
+	 * Deletes the sheet rows shown in a visual range as one undoable transaction.
+	 * Rows hidden by a filter in between are kept.
+	 * @param {number} topVisualRow
+	 * @param {number} bottomVisualRow
+	 */
+	deleteRows(topVisualRow, bottomVisualRow) {
+		const rows = [];
+		for (let vr = topVisualRow; vr <= bottomVisualRow; vr++) {
+			const r = this._sheetRowForRead(vr);
+			if (r !== -1) rows.push(r);
+		}
+		// Delete contiguous runs from the bottom up so earlier indices stay valid
+		rows.sort((a, b) => b - a);
+		this.sheet.transact(() => {
+			let i = 0;
+			while (i < rows.length) {
+				let j = i;
+				while (j + 1 < rows.length && rows[j + 1] === rows[j] - 1) j++;
+				this.sheet.deleteRows(rows[j], j - i + 1);
+				i = j + 1;
+			}
+		});
+	}
+
+	/**
+	 * Lists the sheet rows shown in a visual range as ascending runs of consecutive
+	 * rows. Without a filter or sort that is the range itself.
+	 *
+	 * With `maxRuns`, a range that would need more runs comes back as one run
+	 * spanning them all, found without visiting every row: under a filter the
+	 * runs are found by binary search, and under a sort a range longer than
+	 * `maxRuns` rows spans the whole sheet.
+	 * @param {number} topVisualRow
+	 * @param {number} bottomVisualRow
+	 * @param {number} [maxRuns]
+	 * @returns {{ r1:number, r2:number }[]}
+	 */
+	sheetRowRuns(topVisualRow, bottomVisualRow, maxRuns = Infinity) {
+		if (!this.rowMask && !this.sortedRows) return [{ r1: topVisualRow, r2: bottomVisualRow }];
+		const bottom = Math.min(bottomVisualRow, this.visualRowCount() - 1);
+		if (this.zeroMatch || bottom < topVisualRow) return [];
+		if (!Array.isArray(this.sortedRows) || this.sortedRows.length === 0) {
+			return this._filteredRowRuns(topVisualRow, bottom, maxRuns);
+		}
+		if (bottom - topVisualRow + 1 > maxRuns) {
+			return [{ r1: 0, r2: Math.max(0, this.sheet.numRows - 1) }];
+		}
+		const rows = this.sortedRows.slice(topVisualRow, bottom + 1).sort((a, b) => a - b);
+		const runs = [];
+		for (const r of rows) {
+			const last = runs[runs.length - 1];
+			if (last && r === last.r2 + 1) last.r2 = r;
+			else runs.push({ r1: r, r2: r });
+		}
+		return runs.length > maxRuns ? [{ r1: runs[0].r1, r2: runs[runs.length - 1].r2 }] : runs;
+	}
+
+	/**
+	 * `sheetRowRuns` under a filter alone, where visual rows keep the sheet's
+	 * order: each run ends at the last visual row whose sheet row is as far past
+	 * the run's first sheet row as the visual row is past the first visual row.
+	 * @private
+	 * @param {number} top
+	 * @param {number} bottom - Visible
+	 * @param {number} maxRuns
+	 * @returns {{ r1:number, r2:number }[]}
+	 */
+	_filteredRowRuns(top, bottom, maxRuns) {
+		const runs = [];
+		let vr = top;
+		while (vr <= bottom) {
+			const r = this._sheetRowForRead(vr);
+			let lo = vr;
+			let hi = bottom;
+			while (lo < hi) {
+				const mid = (lo + hi + 1) >>> 1;
+				if (this._sheetRowForRead(mid) === r + (mid - vr)) lo = mid;
+				else hi = mid - 1;
+			}
+			if (runs.length === maxRuns) {
+				return [{ r1: runs[0].r1, r2: this._sheetRowForRead(bottom) }];
+			}
+			runs.push({ r1: r, r2: r + (lo - vr) });
+			vr = lo + 1;
+		}
+		return runs;
+	}
+
+	/**
+	 * @param {{ axis:'row'|'col', at:number, delta:number }} change
+	 */
+	_onStructureChange({ axis, at, delta }) {
+		if (axis === 'col') {
+			this.filters = this.filters
+				.map((f) => (f ? { ...f, col: shiftIndex(f.col, at, delta) } : f))
+				.filter((f) => f && f.col !== -1);
+			if (this.sortSpec && Array.isArray(this.sortSpec.cols)) {
+				const cols = this.sortSpec.cols
+					.map((s) => ({ ...s, c: shiftIndex(s.c, at, delta) }))
+					.filter((s) => s.c !== -1);
+				this.sortSpec = cols.length > 0 ? { ...this.sortSpec, cols } : null;
+			}
+		}
+		if (this.filters.length === 0 && !this.sortSpec && !this.rowMask && !this.sortedRows) return;
+		this._rebuildFilter();
+		this._rebuildSort();
+		this.version++;
+	}
+
 	/**
 	 * Serializes a rectangular visual range to TSV using the current view ordering.
+	 * With `formatted`, cells are written as displayed (number formats applied).
 	 * @param {number} topVisualRow
 	 * @param {number} leftCol
 	 * @param {number} bottomVisualRow
 	 * @param {number} rightCol
+	 * @param {{ formatted?: boolean }} [options]
 	 * @returns {string}
 	 */
-	serializeRangeToTSV(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+	serializeRangeToTSV(topVisualRow, leftCol, bottomVisualRow, rightCol, options = {}) {
 		const values = [];
 		for (let vr = topVisualRow; vr <= bottomVisualRow; vr++) {
 			const row = [];
-			for (let c = leftCol; c <= rightCol; c++) row.push(this.getValue(vr, c));
+			for (let c = leftCol; c <= rightCol; c++) {
+				row.push(options.formatted ? this.getFormattedValue(vr, c).text : this.getValue(vr, c));
+			}
 			values.push(row);
 		}
 		return serialize2DToTSV(values);
 	}
 
+	/**
+	 * Serializes a visual range as an HTML table for the rich clipboard: cells as
+	 * displayed, with their styles and the merges inside the range. Colors from
+	 * number formats such as `[Red]` become the text color.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @returns {string}
+	 */
+	serializeRangeToHTML(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+		const cells = [];
+		for (let vr = topVisualRow; vr <= bottomVisualRow; vr++) {
+			const row = [];
+			for (let c = leftCol; c <= rightCol; c++) {
+				const { text, color } = this.getFormattedValue(vr, c);
+				const style = this.getStyle(vr, c);
+				row.push({
+					text,
+					value: this.getValue(vr, c),
+					style: color && !style.color ? { ...style, color } : style
+				});
+			}
+			cells.push(row);
+		}
+		const merges = this.getMergesInRange(topVisualRow, leftCol, bottomVisualRow, rightCol).map(
+			(m) => ({
+				r1: m.r1 - topVisualRow,
+				c1: m.c1 - leftCol,
+				r2: m.r2 - topVisualRow,
+				c2: m.c2 - leftCol
+			})
+		);
+		return formatHtmlTable(cells, merges);
+	}
+
 	/**
 	 * Returns the last row index with data for a column, using immediate adjacency fallback
 	 * to the left or right if the column itself has no values.
@@ -102,14 +342,30 @@ export class SheetView {
 		return -1;
 	}
 
+	/**
+	 * Filters the view. A row stays visible when it passes every column's filter.
+	 * A column filter either lists the values to keep, or holds conditions joined
+	 * by AND or OR (see filterConditions.js); `{ col, condition }` with a single
+	 * condition is still accepted. Invalid condition terms throw and leave the
+	 * current filters in place.
+	 * @param {({ col:number, values:import('../sheet/sheet.js').CellValue[] }
+	 *   | { col:number, conditions:import('./filterConditions.js').FilterCondition[], join?:'and'|'or' }
+	 *   | { col:number, condition:import('./filterConditions.js').FilterCondition })[]} filters
+	 */
 	setFilters(filters) {
-		this.filters = filters || [];
-		this._rebuildFilter();
+		this._rebuildFilter(filters || []);
 		// Keep sort mapping consistent with new filter results
 		this._rebuildSort();
 		this.version++;
 	}
 
+	/**
+	 * Sorts the view by one or more columns. The first key orders the rows and
+	 * each later key orders rows the earlier ones tie on. Text compares under
+	 * `collation`: the runtime locale, ignoring case, in natural order by default.
+	 * @param {{ cols: { c:number, dir:'asc'|'desc' }[], stable?: boolean,
+	 *   collation?: import('../strings/collation.js').Collation }|null} sortSpec
+	 */
 	setSort(sortSpec) {
 		this.sortSpec = sortSpec;
 		// Build/refresh view-level sort mapping instead of mutating underlying data
@@ -173,17 +429,290 @@ export class SheetView {
 	 * @returns {import('../sheet/sheet.js').CellValue}
 	 */
 	getValue(visualRow, col) {
-		if (this.zeroMatch) return null;
+		const r = this._sheetRowForRead(visualRow);
+		return r === -1 ? null : this.sheet.getValue(r, col);
+	}
+
+	/**
+	 * Gets the raw value (formula source for formula cells) using visual row coordinates.
+	 * This is what the editor shows.
+	 * @param {number} visualRow
+	 * @param {number} col
+	 * @returns {import('../sheet/sheet.js').CellValue}
+	 */
+	getRawValue(visualRow, col) {
+		const r = this._sheetRowForRead(visualRow);
+		return r === -1 ? null : this.sheet.getRawValue(r, col);
+	}
+
+	/**
+	 * Gets the display text and color of a cell using visual row coordinates.
+	 * @param {number} visualRow
+	 * @param {number} col
+	 * @returns {import('../format/numberFormat.js').FormattedValue}
+	 */
+	getFormattedValue(visualRow, col) {
+		const r = this._sheetRowForRead(visualRow);
+		return r === -1 ? { text: '', color: null } : this.sheet.getFormattedValue(r, col);
+	}
+
+	/**
+	 * Gets the number format pattern of a cell using visual row coordinates.
+	 * @param {number} visualRow
+	 * @param {number} col
+	 * @returns {string|null} The pattern, or null for General
+	 */
+	getNumberFormat(visualRow, col) {
+		const r = this._sheetRowForRead(visualRow);
+		return r === -1 ? null : this.sheet.formats.getNumberFormat(r, col);
+	}
+
+	/**
+	 * Sets the number format of a visual range. Formats belong to sheet rows, so
+	 * under a filter or sort the visible rows are formatted in runs (see
+	 * `sheetRowRuns`).
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @param {string|null} pattern - Excel-style pattern, or null for General
+	 */
+	setNumberFormat(topVisualRow, leftCol, bottomVisualRow, rightCol, pattern) {
+		for (const { r1, r2 } of this.sheetRowRuns(topVisualRow, bottomVisualRow)) {
+			this.sheet.setNumberFormat(r1, leftCol, r2, rightCol, pattern);
+		}
+	}
+
+	/**
+	 * Gets the style of a cell using visual row coordinates.
+	 * @param {number} visualRow
+	 * @param {number} col
+	 * @returns {Readonly<import('../style/StyleTable.js').CellStyle>}
+	 */
+	getStyle(visualRow, col) {
+		const r = this._sheetRowForRead(visualRow);
+		return r === -1 ? this.sheet.styles.table.getStyle(0) : this.sheet.getStyle(r, col);
+	}
+
+	/**
+	 * Applies a style patch to a visual range as one undoable transaction.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @param {import('../style/StyleTable.js').CellStylePatch} patch
+	 */
+	applyStyle(topVisualRow, leftCol, bottomVisualRow, rightCol, patch) {
+		if (!this.rowMask && !this.sortedRows) {
+			this.sheet.applyStyle(topVisualRow, leftCol, bottomVisualRow, rightCol, patch);
+			return;
+		}
+		this.sheet.transact(() => {
+			for (let vr = topVisualRow; vr <= bottomVisualRow; vr++) {
+				const r = this._sheetRowForRead(vr);
+				if (r !== -1) this.sheet.applyStyle(r, leftCol, r, rightCol, patch);
+			}
+		});
+	}
+
+	/**
+	 * Fills a visual range from its source cells as the fill handle does (see
+	 * `Sheet.fillRange`). Under a filter or sort a series runs down the rows as
+	 * they are shown.
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} source - Visual coordinates
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} target - Visual coordinates
+	 * @param {{ series?: boolean }} [options]
+	 * @returns {number} Number of cells set
+	 */
+	fillRange(source, target, options = {}) {
+		return this.sheet.fillRange(source, target, {
+			...options,
+			rowAt: (visualRow) => this._sheetRowForRead(visualRow)
+		});
+	}
+
+	/**
+	 * Finds the visible cells matching a Find query, in visual order: top to
+	 * bottom, then left to right. Rows hidden by a filter are skipped. Every chunk
+	 * must be in memory; see `Sheet.withAllChunksLoaded`.
+	 * @param {import('../search/findReplace.js').CellMatcher} matcher
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} [range] - Visual
+	 *   coordinates; the whole sheet when omitted
+	 * @returns {{ row:number, col:number }[]} Visual coordinates
+	 */
+	findCells(matcher, range) {
+		const mapsRows = !!(this.rowMask || this.sortedRows || this.zeroMatch);
+		// Visual rows are not sheet rows under a filter or sort, so only the columns narrow the scan
+		const sheetRange =
+			range && mapsRows ? { r1: 0, c1: range.c1, r2: Infinity, c2: range.c2 } : range;
+		const toVisual = this._visualRowLookup();
+		const found = [];
+		for (const cell of this.sheet.findCells((value) => matcher.test(value), sheetRange)) {
+			const row = toVisual(cell.row);
+			if (row === -1 || (range && (row < range.r1 || row > range.r2))) continue;
+			found.push({ row, col: cell.col });
+		}
+		if (mapsRows) found.sort((a, b) => a.row - b.row || a.col - b.col);
+		return found;
+	}
+
+	/**
+	 * Replaces every match of a Find query in the visible cells as one undoable
+	 * transaction.
+	 * @param {import('../search/findReplace.js').CellMatcher} matcher
+	 * @param {string} replacement
+	 * @param {import('../merge/MergeRegistry.js').MergeRange} [range] - Visual coordinates
+	 * @returns {number} Number of cells changed
+	 */
+	replaceAll(matcher, replacement, range) {
+		const cells = this.findCells(matcher, range);
+		let count = 0;
+		this.sheet.transact(() => {
+			for (const { row, col } of cells) {
+				const r = this._sheetRowForRead(row);
+				const prev = this.sheet.getRawValue(r, col);
+				const next = matcher.replace(prev, replacement);
+				if (next === prev) continue;
+				this.sheet.setValue(r, col, next);
+				count++;
+			}
+		});
+		return count;
+	}
+
+	/**
+	 * Sets or clears borders on a visual range as one undoable transaction. The
+	 * outline follows the visual range, so under a sort it frames what is on screen.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @param {'all'|'outline'|'none'} mode
+	 * @param {import('../style/StyleTable.js').Border|null} [border]
+	 */
+	setBorders(topVisualRow, leftCol, bottomVisualRow, rightCol, mode, border = null) {
+		this.sheet.transact(() => {
+			for (let vr = topVisualRow; vr <= bottomVisualRow; vr++) {
+				const r = this._sheetRowForRead(vr);
+				if (r === -1) continue;
+				for (let c = leftCol; c <= rightCol; c++) {
+					const edges = {
+						top: vr === topVisualRow,
+						right: c === rightCol,
+						bottom: vr === bottomVisualRow,
+						left: c === leftCol
+					};
+					this.sheet.patchCellStyle(r, c, borderPatchForCell(mode, border, edges));
+				}
+			}
+		});
+	}
+
+	/**
+	 * Merges only make sense while visual rows are sheet rows. A filter or sort
+	 * would tear them apart, so the view shows none until it is cleared.
+	 * @returns {boolean}
+	 */
+	_showsMerges() {
+		return !this.rowMask && !this.sortedRows && !this.zeroMatch;
+	}
+
+	/**
+	 * Gets the merge covering a visual cell.
+	 * @param {number} visualRow
+	 * @param {number} col
+	 * @returns {Readonly<import('../merge/MergeRegistry.js').MergeRange>|null}
+	 */
+	getMergeAt(visualRow, col) {
+		return this._showsMerges() ? this.sheet.getMergeAt(visualRow, col) : null;
+	}
+
+	/**
+	 * Lists the merges overlapping a visual range, e.g. the viewport.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @returns {Readonly<import('../merge/MergeRegistry.js').MergeRange>[]}
+	 */
+	getMergesInRange(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+		if (!this._showsMerges()) return [];
+		return this.sheet.merges.findIntersecting(topVisualRow, leftCol, bottomVisualRow, rightCol);
+	}
+
+	/**
+	 * Grows a visual range to fully contain the merges it touches.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @returns {import('../merge/MergeRegistry.js').MergeRange}
+	 */
+	expandRangeToMerges(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+		if (!this._showsMerges()) {
+			return { r1: topVisualRow, c1: leftCol, r2: bottomVisualRow, c2: rightCol };
+		}
+		return this.sheet.merges.expandRange(topVisualRow, leftCol, bottomVisualRow, rightCol);
+	}
+
+	/**
+	 * Merges a visual range. Does nothing while a filter or sort is active.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @returns {import('../merge/MergeRegistry.js').MergeRange|null}
+	 */
+	mergeRange(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+		if (!this._showsMerges()) return null;
+		return this.sheet.mergeRange(topVisualRow, leftCol, bottomVisualRow, rightCol);
+	}
+
+	/**
+	 * Unmerges every merge overlapping a visual range.
+	 * @param {number} topVisualRow
+	 * @param {number} leftCol
+	 * @param {number} bottomVisualRow
+	 * @param {number} rightCol
+	 * @returns {number} Number of merges removed
+	 */
+	unmergeRange(topVisualRow, leftCol, bottomVisualRow, rightCol) {
+		if (!this._showsMerges()) return 0;
+		return this.sheet.unmergeRange(topVisualRow, leftCol, bottomVisualRow, rightCol);
+	}
+
+	/**
+	 * Maps a visual row to the sheet row to read from, or -1 when nothing should be shown.
+	 * @param {number} visualRow
+	 * @returns {number}
+	 */
+	_sheetRowForRead(visualRow) {
+		if (this.zeroMatch) return -1;
 		if (Array.isArray(this.sortedRows) && this.sortedRows.length > 0) {
 			const rSorted = this.sortedRows[visualRow];
-			if (rSorted == null || rSorted === -1) return null;
-			return this.sheet.getValue(rSorted, col);
-		}
-		if (!this.rowMask || !this.fenwickTree) {
-			return this.sheet.getValue(visualRow, col);
+			return rSorted == null ? -1 : rSorted;
 		}
+		if (!this.rowMask || !this.fenwickTree) return visualRow;
 		const r = this.fenwickTree.findKth(visualRow + 1);
-		return r === -1 ? this.sheet.getValue(visualRow, col) : this.sheet.getValue(r, col);
+		return r === -1 ? visualRow : r;
+	}
+
+	/**
+	 * Maps sheet rows back to visual rows, for looking up many rows at once.
+	 * @returns {(sheetRow:number) => number} -1 for rows the view hides
+	 */
+	_visualRowLookup() {
+		if (this.zeroMatch) return () => -1;
+		if (Array.isArray(this.sortedRows) && this.sortedRows.length > 0) {
+			/** @type {Map<number, number>} */
+			const visualBySheetRow = new Map();
+			this.sortedRows.forEach((r, visualRow) => visualBySheetRow.set(r, visualRow));
+			return (r) => visualBySheetRow.get(r) ?? -1;
+		}
+		const mask = this.rowMask;
+		const tree = this.fenwickTree;
+		if (!mask || !tree) return (r) => r;
+		return (r) => (mask[r] ? tree.sum(r + 1) - 1 : -1);
 	}
 
 	/**
@@ -198,63 +727,22 @@ export class SheetView {
 		this.sheet.setValue(r, col, v);
 	}
 
-	_rebuildFilter() {
-		if (!this.filters || this.filters.length === 0) {
-			this.rowMask = null;
-			this.fenwickTree = null;
-			this.visibleCount = this.sheet.numRows;
-			this.sortedRows = null; // reset; unsorted natural order
-			this.zeroMatch = false; // ensure values render when no filters
-			return;
-		}
-
-		this.rowMask = new Uint8Array(this.sheet.numRows);
-		// initialize to visible, we'll compute precisely below
-		this.rowMask.fill(1);
-		this.fenwickTree = null;
-
-		// Build per-column last active row, with adjacency fallback
-		/** @type {Map<number, number>} */
-		const lastRowByCol = new Map();
-		const getLastRowForCol = (col) => {
-			if (lastRowByCol.has(col)) return lastRowByCol.get(col);
-			let last = -1;
-			for (let r = this.sheet.numRows - 1; r >= 0; r--) {
-				if (this.sheet.hasValue(r, col)) {
-					last = r;
-					break;
-				}
-			}
-			// If column has no values, fallback to immediate adjacent columns
-			if (last === -1) {
-				let left = -1;
-				if (col - 1 >= 0) {
-					for (let r = this.sheet.numRows - 1; r >= 0; r--) {
-						if (this.sheet.hasValue(r, col - 1)) {
-							left = r;
-							break;
-						}
-					}
-				}
-				let right = -1;
-				if (col + 1 < this.sheet.numCols) {
-					for (let r = this.sheet.numRows - 1; r >= 0; r--) {
-						if (this.sheet.hasValue(r, col + 1)) {
-							right = r;
-							break;
-						}
-					}
-				}
-				last = Math.max(left, right);
-			}
-			lastRowByCol.set(col, last);
-			return last;
-		};
+	/**
+	 * Compiles filters to row tests. Nothing on the view changes here, so a filter
+	 * whose terms do not compile leaves the view as it was.
+	 * @param {any[]} filters
+	 * @returns {{ compiled: { col:number, evaluator: (v:any, row:number)=>boolean }[],
+	 *   lastRows: Map<number, { last:number, own:boolean }> }}
+	 */
+	_compileFilters(filters) {
+		/** @type {Map<number, { last:number, own:boolean }>} */
+		const lastRows = new Map();
+		const getLastRowForCol = (/** @type {number} */ col) => this._filterLastRow(col, lastRows);
 
-		// Normalize filters to evaluators per column
+		// Normalize filters to evaluators per column; kept for re-checking edited rows
 		/** @type {{ col:number, evaluator: (v:any, row:number)=>boolean }[]} */
 		const compiled = [];
-		for (const f of this.filters) {
+		for (const f of filters) {
 			if (!f) continue;
 			const col = f.col;
 			if (Array.isArray(f.values)) {
@@ -268,42 +756,56 @@ export class SheetView {
 						return set.has(v);
 					}
 				});
-			} else if (f.condition && f.condition.op) {
-				const op = String(f.condition.op);
-				const termRaw = f.condition.term == null ? '' : String(f.condition.term);
-				const term = termRaw.toLowerCase();
-				const evalCond = (v, row) => {
-					const activeLast = getLastRowForCol(col);
-					// Only blank conditions are range-limited; others do not match out-of-range.
-					if (activeLast === -1 || row > activeLast) {
-						if (op === 'isBlank') return false; // out-of-range rows are not considered blank matches
-						if (op === 'isNotBlank') return true; // keep tail rows when filtering not-blank
-						return false; // other conditions don't match out-of-range
-					}
-					if (op === 'isBlank') return v == null || v === '';
-					if (op === 'isNotBlank') return !(v == null || v === '');
-					const s = String(v ?? '').toLowerCase();
-					if (op === 'contains') return s.includes(term);
-					if (op === 'equals') return s === term;
-					if (op === 'startsWith') return s.startsWith(term);
-					if (op === 'endsWith') return s.endsWith(term);
-					return true;
+			} else {
+				const conditionFilter = normalizeConditionFilter(f);
+				if (!conditionFilter) continue;
+				// Top N and average conditions compare against the column's data range
+				const getColumnValues = () => {
+					const values = [];
+					const last = getLastRowForCol(col);
+					for (let r = 0; r <= last; r++) values.push(this.sheet.getValue(r, col));
+					return values;
 				};
-				compiled.push({ col, evaluator: evalCond });
+				const test = compileConditionFilter(conditionFilter, getColumnValues);
+				compiled.push({
+					col,
+					evaluator: (v, row) => {
+						const activeLast = getLastRowForCol(col);
+						return test(v, activeLast !== -1 && row <= activeLast);
+					}
+				});
 			}
 		}
+		return { compiled, lastRows };
+	}
+
+	/**
+	 * Applies filters to every row. They are compiled before any state is
+	 * replaced: if one throws, the view keeps its previous filters and mapping.
+	 * @param {any[]} [filters] - Defaults to the current filters
+	 */
+	_rebuildFilter(filters = this.filters) {
+		const { compiled, lastRows } = this._compileFilters(filters || []);
+		this.filters = filters || [];
+		this._compiledFilters = compiled;
+		this._filterLastRows = lastRows;
+		this._watchCellChanges(this.filters.length > 0);
+		if (this.filters.length === 0) {
+			this.rowMask = null;
+			this.fenwickTree = null;
+			this.visibleCount = this.sheet.numRows;
+			this.sortedRows = null; // reset; unsorted natural order
+			this.zeroMatch = false; // ensure values render when no filters
+			return;
+		}
+
+		this.rowMask = new Uint8Array(this.sheet.numRows);
+		// initialize to visible, we'll compute precisely below
+		this.rowMask.fill(1);
+		this.fenwickTree = null;
 
 		for (let r = 0; r < this.sheet.numRows; r++) {
-			let isVisible = true;
-			for (let i = 0; i < compiled.length; i++) {
-				const spec = compiled[i];
-				const cellValue = this.sheet.getValue(r, spec.col);
-				if (!spec.evaluator(cellValue, r)) {
-					isVisible = false;
-					break;
-				}
-			}
-			this.rowMask[r] = isVisible ? 1 : 0;
+			this.rowMask[r] = this._rowPassesFilters(r) ? 1 : 0;
 		}
 
 		let visibleCount = 0;
@@ -323,105 +825,233 @@ export class SheetView {
 		this.visibleCount = visibleCount;
 	}
 
-	_rebuildSort() {
-		// If no sort specified, clear mapping
-		if (!this.sortSpec || !this.sortSpec.cols || this.sortSpec.cols.length === 0) {
-			this.sortedRows = null;
-			return;
+	/**
+	 * The last row of a filter column's data range: its last row with a value or,
+	 * for an empty column, the last of either neighbour's. Cached until the filters
+	 * are applied again; edits can only extend it.
+	 * @param {number} col
+	 * @param {Map<number, { last:number, own:boolean }>} [cache]
+	 * @returns {number} -1 when neither the column nor its neighbours hold data
+	 */
+	_filterLastRow(col, cache = this._filterLastRows) {
+		const cached = cache.get(col);
+		if (cached) return cached.last;
+		const lastWithValue = (/** @type {number} */ c) => {
+			if (c < 0 || c >= this.sheet.numCols) return -1;
+			for (let r = this.sheet.numRows - 1; r >= 0; r--) {
+				if (this.sheet.hasValue(r, c)) return r;
+			}
+			return -1;
+		};
+		const own = lastWithValue(col);
+		const entry =
+			own !== -1
+				? { last: own, own: true }
+				: { last: Math.max(lastWithValue(col - 1), lastWithValue(col + 1)), own: false };
+		cache.set(col, entry);
+		return entry.last;
+	}
+
+	/**
+	 * @param {number} row - Sheet row
+	 * @returns {boolean}
+	 */
+	_rowPassesFilters(row) {
+		for (const spec of this._compiledFilters) {
+			if (!spec.evaluator(this.sheet.getValue(row, spec.col), row)) return false;
 		}
-		// If filters yielded zero visible rows, skip building mapping
-		if (this.zeroMatch) {
-			this.sortedRows = null;
+		return true;
+	}
+
+	/**
+	 * Subscribes to cell edits while a filter is active, and drops the subscription
+	 * otherwise so unfiltered sheets do not pay for collecting change events.
+	 * @param {boolean} active
+	 */
+	_watchCellChanges(active) {
+		if (active && !this._unsubscribeCellChanges) {
+			this._unsubscribeCellChanges = this.sheet.onChange((event) => this._onCellsChanged(event));
+		} else if (!active && this._unsubscribeCellChanges) {
+			this._unsubscribeCellChanges();
+			this._unsubscribeCellChanges = null;
+		}
+	}
+
+	/**
+	 * Keeps an active filter in step with edits without rescanning the sheet. Only
+	 * the edited rows are checked, and an edit never hides a row: a visible row
+	 * that no longer matches stays visible, as in Excel, until the filters are
+	 * applied again (`reapplyFilters` or `setFilters`). A hidden row that now
+	 * matches, say after an undo or a remote edit, is shown.
+	 * @param {import('../sheet/sheet.js').SheetChangeEvent} event
+	 */
+	_onCellsChanged(event) {
+		// Structure changes have already rebuilt the filter
+		if (event.structure.length > 0 || event.cells.length === 0) return;
+		const mask = this.rowMask;
+		const tree = this.fenwickTree;
+		if (!mask || !tree || this.zeroMatch) return;
+		if (this.sheet.numRows !== mask.length) {
+			this._rebuildFilter();
+			this._rebuildSort();
+			this.version++;
 			return;
 		}
-		const primary = this.sortSpec.cols[0];
-		if (!primary || typeof primary.c !== 'number') {
+
+		// New values past a data range extend it, so rows typed below a table are checked too
+		for (const { r, c, next } of event.cells) {
+			if (next == null || next === '') continue;
+			for (const [col, entry] of this._filterLastRows) {
+				const affects = col === c || (!entry.own && Math.abs(col - c) === 1);
+				if (affects && r > entry.last) {
+					entry.last = r;
+					if (col === c) entry.own = true;
+				}
+			}
+		}
+
+		/** @type {number[]} */
+		const shown = [];
+		for (const { r } of event.cells) {
+			if (mask[r] || !this._rowPassesFilters(r)) continue;
+			mask[r] = 1;
+			tree.add(r + 1, 1);
+			shown.push(r);
+		}
+		if (shown.length === 0) return;
+		this.visibleCount += shown.length;
+		// Under a sort, rows shown by an edit go last rather than re-sorting the rest.
+		// A large edit shows too many rows to spread into one push
+		if (this.sortedRows) {
+			shown.sort((a, b) => a - b);
+			for (const r of shown) this.sortedRows.push(r);
+		}
+		this.version++;
+	}
+
+	/**
+	 * Applies the current filters and sort again, hiding rows that edits have
+	 * stopped matching and re-sorting edited rows.
+	 */
+	reapplyFilters() {
+		this._rebuildFilter();
+		this._rebuildSort();
+		this.version++;
+	}
+
+	_rebuildSort() {
+		// If filters yielded zero visible rows, skip building mapping
+		const order = this.zeroMatch ? null : this._sortActiveRows();
+		if (!order) {
 			this.sortedRows = null;
 			return;
 		}
-		const colIndex = primary.c;
-		const dir = primary.dir === 'desc' ? 'desc' : 'asc';
-		const stable = this.sortSpec.stable !== false; // default to stable
-		const useMask = !!this.rowMask;
+		// Sorted portion is always the in-range set; append visible tail unchanged
+		this.sortedRows = order.sorted.concat(order.tail);
+		this.visibleCount = this.sortedRows.length;
+	}
+
+	/**
+	 * The sort keys of `sortSpec` that name a column, in priority order.
+	 * @returns {{ c:number, dir:'asc'|'desc' }[]}
+	 */
+	_sortKeys() {
+		const cols = this.sortSpec && Array.isArray(this.sortSpec.cols) ? this.sortSpec.cols : [];
+		return cols
+			.filter((s) => s && typeof s.c === 'number')
+			.map((s) => ({ c: s.c, dir: s.dir === 'desc' ? 'desc' : 'asc' }));
+	}
 
-		// If a filter is active, sort ONLY visible rows across the entire sheet,
-		// and keep filtered-out rows out of the view mapping entirely.
-		// If no filter is active, limit to the active data range and append tail rows unchanged
-		// so empty trailing rows remain intact.
-		const activeLast = this._getActiveLastRowForCol(colIndex);
-		const maxRowNoFilter = activeLast >= 0 ? activeLast : this.sheet.numRows - 1;
+	/**
+	 * Sorts the rows `sortSpec` applies to. Rows hidden by a filter stay out. Only
+	 * rows up to the last one with data in a sort column (or beside it) are sorted,
+	 * so empty trailing rows are not pulled to the top; visible rows past them are
+	 * returned as `tail`, in sheet order.
+	 * @returns {{ rows:number[], sorted:number[], tail:number[] }|null} `rows` are the
+	 *   sorted rows in sheet order; null when there is nothing to sort by
+	 */
+	_sortActiveRows() {
+		const sortKeys = this._sortKeys();
+		if (sortKeys.length === 0) return null;
+		const stable = this.sortSpec.stable !== false; // default to stable
+		const mask = this.rowMask;
+		const maxRow = Math.max(...sortKeys.map((s) => this._getActiveLastRowForCol(s.c)));
+		const lastRow = maxRow >= 0 ? maxRow : this.sheet.numRows - 1;
 
-		// Build compact arrays: rows (row indices) and keys (sort keys)
 		/** @type {number[]} */
 		const rows = [];
-		/** @type {any[]} */
-		const keys = [];
 		/** @type {number[]} */
-		const tailVisible = [];
-		if (useMask && this.rowMask) {
-			// Only include visible rows within active range in the sortable set
-			for (let r = 0; r <= maxRowNoFilter; r++) {
-				if (!this.rowMask[r]) continue;
-				rows.push(r);
-				keys.push(this.sheet.getValue(r, colIndex));
-			}
-			// Preserve visible rows beyond the active range as tail
-			for (let r = maxRowNoFilter + 1; r < this.sheet.numRows; r++) {
-				if (!this.rowMask[r]) continue;
-				tailVisible.push(r);
-			}
-		} else {
-			for (let r = 0; r <= maxRowNoFilter; r++) {
-				rows.push(r);
-				keys.push(this.sheet.getValue(r, colIndex));
+		const tail = [];
+		for (let r = 0; r < this.sheet.numRows; r++) {
+			if (mask && !mask[r]) continue;
+			if (r <= lastRow) rows.push(r);
+			else tail.push(r);
+		}
+		// Keys are read once per row and column; the sort moves indices into them
+		const raw = sortKeys.map(({ c }) => rows.map((r) => toSortKey(this.sheet.getValue(r, c))));
+		const rankOf = this._rankSortText(raw, rows.length);
+		const keysByCol = raw.map((keys) => {
+			const kinds = new Uint8Array(keys.length);
+			const values = new Float64Array(keys.length);
+			for (let i = 0; i < keys.length; i++) {
+				const key = keys[i];
+				if (key === null) continue;
+				kinds[i] = typeof key === 'number' ? KEY_NUMBER : KEY_TEXT;
+				values[i] = typeof key === 'number' ? key : /** @type {number} */ (rankOf.get(key));
 			}
-			for (let r = maxRowNoFilter + 1; r < this.sheet.numRows; r++) tailVisible.push(r);
+			return { kinds, values };
+		});
+		const idx = rows.map((_, i) => i);
+		idx.sort(createRowComparator(sortKeys, keysByCol, stable));
+		return { rows, sorted: idx.map((i) => rows[i]), tail };
+	}
+
+	/**
+	 * Ranks the distinct text among sort keys under the sort's collation. Large
+	 * sorts reuse the ranking the view kept from its last large sort and rank only
+	 * the new text against it, starting over once that ranking has drifted far
+	 * from the sorted columns.
+	 * @param {(number|string|null)[][]} keys
+	 * @param {number} rowCount
+	 * @returns {Map<string, number>}
+	 */
+	_rankSortText(keys, rowCount) {
+		const compare = createCollator(this.sortSpec?.collation);
+		/** @type {Set<string>} */
+		const texts = new Set();
+		for (const column of keys) {
+			for (const key of column) if (typeof key === 'string') texts.add(key);
 		}
-		const n = rows.length;
-		if (n === 1) {
-			this.sortedRows = rows;
-			this.visibleCount = rows.length;
-			return;
+		if (rowCount < LARGE_SORT_ROWS) return rankStrings(texts, compare).ranks;
+		const key = collationKey(this.sortSpec?.collation);
+		const cached = this._sortTextRanks;
+		if (cached?.key !== key || cached.ranks.sorted.length > texts.size * 2) {
+			return this._keepSortTextRanks(key, texts, compare);
 		}
+		const base = cached.ranks;
+		const extras = [];
+		const out = new Map();
+		for (const text of texts) {
+			const rank = base.ranks.get(text);
+			if (rank === undefined) extras.push(text);
+			else out.set(text, rank);
+		}
+		if (extras.length * 4 > texts.size) return this._keepSortTextRanks(key, texts, compare);
+		for (const [text, rank] of rankAgainst(base, extras, compare)) out.set(text, rank);
+		return out;
+	}
 
-		// Indices into rows/keys arrays for sorting to avoid moving large values repeatedly
-		/** @type {number[]} */
-		const idx = new Array(n);
-		for (let i = 0; i < n; i++) idx[i] = i;
-
-		const cmpIdx = (ia, ib) => {
-			const va = keys[ia];
-			const vb = keys[ib];
-			const aEmpty = va == null || va === '';
-			const bEmpty = vb == null || vb === '';
-			// Empties: first in asc, last in desc
-			if (aEmpty && bEmpty) return stable ? rows[ia] - rows[ib] : 0;
-			if (aEmpty !== bEmpty) return dir === 'desc' ? (aEmpty ? 1 : -1) : aEmpty ? -1 : 1;
-
-			let base = 0;
-			if (typeof va === 'number' && typeof vb === 'number') base = va - vb;
-			else {
-				const na = typeof va === 'string' && va.trim() !== '' ? Number(va) : NaN;
-				const nb = typeof vb === 'string' && vb.trim() !== '' ? Number(vb) : NaN;
-				if (!Number.isNaN(na) && !Number.isNaN(nb)) base = na - nb;
-				else {
-					const sa = String(va).toLowerCase();
-					const sb = String(vb).toLowerCase();
-					if (sa < sb) base = -1;
-					else if (sa > sb) base = 1;
-					else base = 0;
-				}
-			}
-			if (base === 0) return stable ? rows[ia] - rows[ib] : 0;
-			return dir === 'desc' ? -base : base;
-		};
-		idx.sort(cmpIdx);
-
-		// Sorted portion is always the in-range set; append visible tail unchanged
-		const sortedInRange = new Array(n);
-		for (let i = 0; i < n; i++) sortedInRange[i] = rows[idx[i]];
-		this.sortedRows = n > 0 ? sortedInRange.concat(tailVisible) : tailVisible;
-		this.visibleCount = this.sortedRows.length;
+	/**
+	 * Ranks the text from scratch and keeps the ranking for the next large sort.
+	 * @param {string} key the collation's key
+	 * @param {Set<string>} texts
+	 * @param {(a: string, b: string) => number} compare
+	 * @returns {Map<string, number>}
+	 */
+	_keepSortTextRanks(key, texts, compare) {
+		const ranks = rankStrings(texts, compare);
+		this._sortTextRanks = { key, ranks };
+		return ranks.ranks;
 	}
 
 	/**
@@ -430,65 +1060,14 @@ export class SheetView {
 	 * This operation is executed as a single transaction for undo/redo.
 	 */
 	_applySortAndReassignRows() {
-		if (!this.sortSpec || !this.sortSpec.cols || this.sortSpec.cols.length === 0) {
-			return;
-		}
-		// Compile comparator using the same logic as _rebuildSort
-		const primary = this.sortSpec.cols[0];
-		if (!primary || typeof primary.c !== 'number') return;
-		const colIndex = primary.c;
-		const dir = primary.dir === 'desc' ? 'desc' : 'asc';
-		const stable = this.sortSpec.stable !== false; // default to stable
-		/** @type {{row:number, key:any, tie:number}[]} */
-		const visibleRows = [];
-		const useMask = !!this.rowMask;
 		if (this.zeroMatch) return;
-		// Limit to active range for in-place rewrite so we don't affect tail empty rows
-		const activeLast = this._getActiveLastRowForCol(colIndex);
-		const maxRow = activeLast >= 0 ? activeLast : this.sheet.numRows - 1;
-		for (let r = 0; r <= maxRow; r++) {
-			if (useMask && !this.rowMask[r]) continue;
-			const v = this.sheet.getValue(r, colIndex);
-			visibleRows.push({ row: r, key: v, tie: r });
-		}
-		if (visibleRows.length <= 1) return;
-		const cmp = (a, b) => {
-			const va = a.key;
-			const vb = b.key;
-			const aEmpty = va == null || va === '';
-			const bEmpty = vb == null || vb === '';
-			// Empties: first in asc, last in desc
-			if (aEmpty && bEmpty) return stable ? a.tie - b.tie : 0;
-			if (aEmpty !== bEmpty) return dir === 'desc' ? (aEmpty ? 1 : -1) : aEmpty ? -1 : 1;
-
-			let base = 0;
-			if (typeof va === 'number' && typeof vb === 'number') base = va - vb;
-			else {
-				const na = typeof va === 'string' && va.trim() !== '' ? Number(va) : NaN;
-				const nb = typeof vb === 'string' && vb.trim() !== '' ? Number(vb) : NaN;
-				if (!Number.isNaN(na) && !Number.isNaN(nb)) base = na - nb;
-				else {
-					const sa = String(va).toLowerCase();
-					const sb = String(vb).toLowerCase();
-					if (sa < sb) base = -1;
-					else if (sa > sb) base = 1;
-					else base = 0;
-				}
-			}
-			if (base === 0) return stable ? a.tie - b.tie : 0;
-			return dir === 'desc' ? -base : base;
-		};
-		visibleRows.sort(cmp);
-		// Targets are the original visible row indices in ascending order
-		/** @type {number[]} */
-		const targetRows = [];
-		for (let r = 0; r <= maxRow; r++) {
-			if (useMask && !this.rowMask[r]) continue;
-			targetRows.push(r);
-		}
+		const order = this._sortActiveRows();
+		if (!order || order.rows.length <= 1) return;
+		// Sorted rows are written back over the same rows, in ascending order
+		const targetRows = order.rows;
 		// Snapshot all source rows after sort
 		const cols = this.sheet.numCols;
-		const snapshots = visibleRows.map(({ row }) => this.sheet.getBlock(row, 0, row, cols - 1)[0]);
+		const snapshots = order.sorted.map((row) => this.sheet.getRawBlock(row, 0, row, cols - 1)[0]);
 		// Apply in a single transaction
 		this.sheet.transact(() => {
 			// Clear destination in the active range only
@@ -0,0 +1,266 @@
+/**
+ * @file Condition filters: the rules a column filter can test cells against,
+ * besides picking values from a list. A column holds one or more conditions
+ * joined by AND or OR.
+ *
+ * Terms are the text typed into the filter popover. They are read when the
+ * filter is compiled, so a term that does not fit its operator (a number
+ * filter on "abc", an invalid regular expression) throws there with a message
+ * for the popover to show.
+ */
+import { isDateValue, dateToSerial } from '../dates/DateValue.js';
+import { parseDateText } from '../dates/parseDate.js';
+
+/**
+ * @typedef {import('../sheet/sheet.js').CellValue} CellValue
+ */
+
+/**
+ * @typedef {Object} FilterCondition
+ * @property {string} op - One of the `FILTER_OPERATORS` values
+ * @property {string} [term] - The operand, as typed
+ * @property {string} [term2] - The upper bound for `between`
+ */
+
+/**
+ * @typedef {Object} ConditionFilter
+ * @property {FilterCondition[]} conditions
+ * @property {'and'|'or'} join - Whether a row must meet every condition or any of them
+ */
+
+/**
+ * Operators in the order the popover lists them. `terms` is how many operands
+ * the operator takes.
+ * @type {{ value:string, label:string, terms:0|1|2 }[]}
+ */
+export const FILTER_OPERATORS = [
+	{ value: 'contains', label: 'Text contains', terms: 1 },
+	{ value: 'equals', label: 'Text equals', terms: 1 },
+	{ value: 'startsWith', label: 'Text starts with', terms: 1 },
+	{ value: 'endsWith', label: 'Text ends with', terms: 1 },
+	{ value: 'regex', label: 'Text matches regex', terms: 1 },
+	{ value: 'isBlank', label: 'Is blank', terms: 0 },
+	{ value: 'isNotBlank', label: 'Is not blank', terms: 0 },
+	{ value: 'gt', label: 'Greater than', terms: 1 },
+	{ value: 'gte', label: 'Greater than or equal to', terms: 1 },
+	{ value: 'lt', label: 'Less than', terms: 1 },
+	{ value: 'lte', label: 'Less than or equal to', terms: 1 },
+	{ value: 'between', label: 'Between', terms: 2 },
+	{ value: 'topN', label: 'Top N', terms: 1 },
+	{ value: 'bottomN', label: 'Bottom N', terms: 1 },
+	{ value: 'aboveAverage', label: 'Above average', terms: 0 },
+	{ value: 'belowAverage', label: 'Below average', terms: 0 },
+	{ value: 'before', label: 'Date is before', terms: 1 },
+	{ value: 'after', label: 'Date is after', terms: 1 },
+	{ value: 'inLastDays', label: 'Date is in the last N days', terms: 1 }
+];
+
+const TERM_COUNT = new Map(FILTER_OPERATORS.map((o) => [o.value, o.terms]));
+
+/**
+ * How many operands an operator takes.
+ * @param {string} op
+ * @returns {number}
+ */
+export function filterOperatorTerms(op) {
+	return TERM_COUNT.get(op) ?? 1;
+}
+
+/**
+ * Reads a column filter's conditions, accepting the single `condition` form
+ * older callers pass.
+ * @param {{ condition?: FilterCondition, conditions?: FilterCondition[], join?: string }} filter
+ * @returns {ConditionFilter|null} Null when the filter has no conditions
+ */
+export function normalizeConditionFilter(filter) {
+	const conditions = Array.isArray(filter.conditions)
+		? filter.conditions.filter((c) => c && c.op)
+		: filter.condition && filter.condition.op
+			? [filter.condition]
+			: [];
+	if (conditions.length === 0) return null;
+	return { conditions, join: filter.join === 'or' ? 'or' : 'and' };
+}
+
+/**
+ * @param {CellValue} v
+ */
+function isBlank(v) {
+	return v == null || v === '';
+}
+
+/**
+ * The number a cell holds for number filters: numbers, and text that reads as one.
+ * @param {CellValue} v
+ * @returns {number|null}
+ */
+function numberOf(v) {
+	if (typeof v === 'number') return v;
+	if (typeof v === 'string' && v.trim() !== '') {
+		const n = Number(v);
+		if (!Number.isNaN(n)) return n;
+	}
+	return null;
+}
+
+/**
+ * @param {string|undefined} term
+ */
+function numberTerm(term) {
+	const n = numberOf(term ?? '');
+	if (n === null) throw new Error(`"${term ?? ''}" is not a number`);
+	return n;
+}
+
+/**
+ * @param {string|undefined} term
+ */
+function countTerm(term) {
+	const n = numberTerm(term);
+	if (!Number.isInteger(n) || n < 1) throw new Error(`"${term}" is not a whole number above 0`);
+	return n;
+}
+
+/**
+ * @param {string|undefined} term
+ * @returns {number} The serial number of the day the term names, at midnight
+ */
+function dayTerm(term) {
+	const date = parseDateText(String(term ?? '').trim());
+	if (!date) throw new Error(`"${term ?? ''}" is not a date`);
+	return Math.floor(date.serial);
+}
+
+/**
+ * Compiles one condition to a test on cell values.
+ * @param {FilterCondition} condition
+ * @param {() => CellValue[]} getColumnValues - The column's values in the data
+ *   range, read only by operators that compare against the whole column
+ * @param {{ now?: Date }} [options] - `now` sets "today" for `inLastDays`
+ * @returns {(v:CellValue) => boolean}
+ */
+export function compileFilterCondition(condition, getColumnValues, options = {}) {
+	const { op, term, term2 } = condition;
+	const text = String(term ?? '').toLowerCase();
+	const lower = (/** @type {CellValue} */ v) => String(v ?? '').toLowerCase();
+	const numeric = (/** @type {(n:number) => boolean} */ test) => (/** @type {CellValue} */ v) => {
+		const n = numberOf(v);
+		return n !== null && test(n);
+	};
+	const dated = (/** @type {(serial:number) => boolean} */ test) => (/** @type {CellValue} */ v) =>
+		isDateValue(v) && test(v.serial);
+
+	switch (op) {
+		case 'isBlank':
+			return isBlank;
+		case 'isNotBlank':
+			return (v) => !isBlank(v);
+		case 'contains':
+			return (v) => lower(v).includes(text);
+		case 'equals':
+			return (v) => lower(v) === text;
+		case 'startsWith':
+			return (v) => lower(v).startsWith(text);
+		case 'endsWith':
+			return (v) => lower(v).endsWith(text);
+		case 'regex': {
+			const re = new RegExp(String(term ?? ''), 'i');
+			return (v) => !isBlank(v) && re.test(String(v));
+		}
+		case 'gt': {
+			const x = numberTerm(term);
+			return numeric((n) => n > x);
+		}
+		case 'gte': {
+			const x = numberTerm(term);
+			return numeric((n) => n >= x);
+		}
+		case 'lt': {
+			const x = numberTerm(term);
+			return numeric((n) => n < x);
+		}
+		case 'lte': {
+			const x = numberTerm(term);
+			return numeric((n) => n <= x);
+		}
+		case 'between': {
+			const a = numberTerm(term);
+			const b = numberTerm(term2);
+			const lo = Math.min(a, b);
+			const hi = Math.max(a, b);
+			return numeric((n) => n >= lo && n <= hi);
+		}
+		case 'topN':
+		case 'bottomN': {
+			const count = countTerm(term);
+			const numbers = columnNumbers(getColumnValues());
+			numbers.sort((a, b) => (op === 'topN' ? b - a : a - b));
+			if (numbers.length === 0) return () => false;
+			// Ties with the last number in the top N are kept too
+			const cutoff = numbers[Math.min(count, numbers.length) - 1];
+			return numeric((n) => (op === 'topN' ? n >= cutoff : n <= cutoff));
+		}
+		case 'aboveAverage':
+		case 'belowAverage': {
+			const numbers = columnNumbers(getColumnValues());
+			if (numbers.length === 0) return () => false;
+			const mean = numbers.reduce((sum, n) => sum + n, 0) / numbers.length;
+			return numeric((n) => (op === 'aboveAverage' ? n > mean : n < mean));
+		}
+		case 'before': {
+			const day = dayTerm(term);
+			return dated((s) => s < day);
+		}
+		case 'after': {
+			const day = dayTerm(term);
+			return dated((s) => s >= day + 1);
+		}
+		case 'inLastDays': {
+			const days = countTerm(term);
+			const now = options.now ?? new Date();
+			const today = dateToSerial(now.getFullYear(), now.getMonth() + 1, now.getDate());
+			// Today counts as the last of the N days
+			return dated((s) => s >= today - (days - 1) && s < today + 1);
+		}
+		default:
+			// Conditions this version does not know leave the column unfiltered
+			return () => true;
+	}
+}
+
+/**
+ * @param {CellValue[]} values
+ * @returns {number[]}
+ */
+function columnNumbers(values) {
+	const out = [];
+	for (const v of values) {
+		const n = numberOf(v);
+		if (n !== null) out.push(n);
+	}
+	return out;
+}
+
+/**
+ * Compiles a column's conditions into one row test. Rows past the column's
+ * data are tested with `inRange` false: only "is not blank" keeps them, so a
+ * filter does not pull in the empty rows below a table.
+ * @param {ConditionFilter} filter
+ * @param {() => CellValue[]} getColumnValues
+ * @param {{ now?: Date }} [options]
+ * @returns {(v:CellValue, inRange:boolean) => boolean}
+ */
+export function compileConditionFilter(filter, getColumnValues, options) {
+	const tests = filter.conditions.map((c) => ({
+		test: compileFilterCondition(c, getColumnValues, options),
+		outside: c.op === 'isNotBlank'
+	}));
+	const meets = (
+		/** @type {{ test:(v:CellValue) => boolean, outside:boolean }} */ t,
+		/** @type {CellValue} */ v,
+		/** @type {boolean} */ inRange
+	) => (inRange ? t.test(v) : t.outside);
+	return filter.join === 'or'
+		? (v, inRange) => tests.some((t) => meets(t, v, inRange))
+		: (v, inRange) => tests.every((t) => meets(t, v, inRange));
+}
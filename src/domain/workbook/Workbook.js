@@ -0,0 +1,251 @@
+/**
+ * @file This file contains the Workbook class, which owns the sheets shown as tabs.
+ * All sheets intern their strings in one shared GlobalStringTable, so text repeated
+ * across sheets is stored once. Each sheet keeps its own undo history.
+ */
+import { Sheet } from '../sheet/sheet.js';
+import { GlobalStringTable } from '../strings/GlobalStringTable.js';
+import { XlsxSheetBuilder, parseXlsx } from '../xlsx/readXlsx.js';
+
+/** Longest sheet name other spreadsheet apps accept */
+export const MAX_SHEET_NAME_LENGTH = 31;
+
+const INVALID_SHEET_NAME_CHARS = /[:\\/?*[\]]/;
+
+/**
+ * @typedef {Object} WorkbookSheet
+ * @property {number} id - Stable across renames and moves
+ * @property {string} name
+ * @property {Sheet} sheet
+ */
+
+/**
+ * An ordered collection of named sheets.
+ */
+export class Workbook {
+	/**
+	 * @param {{ createChunkStore?: () => import('../chunk/ChunkStore.js').ChunkStore }} [options] -
+	 *   `createChunkStore` gives each new sheet its chunk store, e.g. one that spills
+	 *   to IndexedDB; sheets keep every chunk in memory by default
+	 */
+	constructor(options = {}) {
+		/** @type {GlobalStringTable} */
+		this.globalStringTable = new GlobalStringTable();
+		this._createChunkStore = options.createChunkStore ?? null;
+		/** @type {WorkbookSheet[]} */
+		this._entries = [];
+		/** @type {number} */
+		this._nextId = 1;
+	}
+
+	/**
+	 * The sheets in tab order.
+	 * @returns {WorkbookSheet[]}
+	 */
+	get sheets() {
+		return this._entries.slice();
+	}
+
+	/** Number of sheets */
+	get size() {
+		return this._entries.length;
+	}
+
+	/**
+	 * @param {number} id
+	 * @returns {WorkbookSheet|null}
+	 */
+	getSheet(id) {
+		return this._entries.find((e) => e.id === id) ?? null;
+	}
+
+	/**
+	 * Finds a sheet by name, ignoring case as sheet names do.
+	 * @param {string} name
+	 * @returns {WorkbookSheet|null}
+	 */
+	findSheetByName(name) {
+		const key = String(name).trim().toLowerCase();
+		return this._entries.find((e) => e.name.toLowerCase() === key) ?? null;
+	}
+
+	/**
+	 * Adds an empty sheet.
+	 * @param {string} [name] - Defaults to the first free "SheetN"
+	 * @param {number} [index] - Tab position; defaults to the end
+	 * @returns {WorkbookSheet}
+	 */
+	addSheet(name, index = this._entries.length) {
+		const sheet = new Sheet({
+			globalStringTable: this.globalStringTable,
+			chunkStore: this._createChunkStore?.()
+		});
+		return this._insert(name ?? this._nextDefaultName(), sheet, index);
+	}
+
+	/**
+	 * Adds a sheet loaded from a snapshot made by `Sheet.toSnapshot`.
+	 * @param {Uint8Array|ArrayBuffer} bytes
+	 * @param {string} [name] - Defaults to the first free "SheetN"
+	 * @param {number} [index] - Tab position; defaults to the end
+	 * @returns {WorkbookSheet}
+	 */
+	addSheetFromSnapshot(bytes, name, index = this._entries.length) {
+		const sheetName = this._validateName(name ?? this._nextDefaultName(), null);
+		const sheet = Sheet.fromSnapshot(bytes, {
+			globalStringTable: this.globalStringTable,
+			chunkStore: this._createChunkStore?.()
+		});
+		return this._insert(sheetName, sheet, index);
+	}
+
+	/**
+	 * Adds every worksheet of an .xlsx file, in the file's tab order. A name already
+	 * taken here gets a " (2)"-style suffix.
+	 * @param {import('../xlsx/zip.js').ZipSource} source
+	 * @param {{ index?: number, parse?: typeof parseXlsx }} [options] - Tab position of
+	 *   the first sheet (defaults to the end), and what parses the file, e.g. a
+	 *   function handing it to a worker (defaults to `parseXlsx` in this thread)
+	 * @returns {Promise<WorkbookSheet[]>}
+	 */
+	async addSheetsFromXlsx(source, options = {}) {
+		const { index = this._entries.length, parse = parseXlsx } = options;
+		const builder = new XlsxSheetBuilder({
+			globalStringTable: this.globalStringTable,
+			createChunkStore: this._createChunkStore ?? undefined
+		});
+		await parse(source, builder);
+		return builder.sheets.map(({ name, sheet }, i) =>
+			this._insert(this.findSheetByName(name) ? this._copyName(name) : name, sheet, index + i)
+		);
+	}
+
+	/**
+	 * Renames a sheet.
+	 * @param {number} id
+	 * @param {string} name
+	 * @throws {Error} When the name is invalid or taken by another sheet
+	 */
+	renameSheet(id, name) {
+		const entry = this._require(id);
+		entry.name = this._validateName(name, entry);
+	}
+
+	/**
+	 * Moves a sheet to another tab position.
+	 * @param {number} id
+	 * @param {number} toIndex
+	 */
+	moveSheet(id, toIndex) {
+		const entry = this._require(id);
+		const from = this._entries.indexOf(entry);
+		const to = Math.max(0, Math.min(this._entries.length - 1, toIndex));
+		if (from === to) return;
+		this._entries.splice(from, 1);
+		this._entries.splice(to, 0, entry);
+	}
+
+	/**
+	 * Copies a sheet's contents into a new sheet placed right after it. A sheet with
+	 * spilled chunks must be copied inside its `withAllChunksLoaded`.
+	 * @param {number} id
+	 * @param {string} [name] - Defaults to "<name> (2)", "<name> (3)", ...
+	 * @returns {WorkbookSheet}
+	 */
+	duplicateSheet(id, name) {
+		const source = this._require(id);
+		const sheet = source.sheet.clone({
+			globalStringTable: this.globalStringTable,
+			chunkStore: this._createChunkStore?.()
+		});
+		const index = this._entries.indexOf(source) + 1;
+		return this._insert(name ?? this._copyName(source.name), sheet, index);
+	}
+
+	/**
+	 * Deletes a sheet. The last remaining sheet cannot be deleted.
+	 * @param {number} id
+	 * @returns {boolean} Whether a sheet was deleted
+	 */
+	deleteSheet(id) {
+		const index = this._entries.findIndex((e) => e.id === id);
+		if (index === -1 || this._entries.length === 1) return false;
+		const [entry] = this._entries.splice(index, 1);
+		// A sheet whose storage cannot be released is still gone from the workbook
+		entry.sheet.dispose().catch(() => {});
+		return true;
+	}
+
+	/**
+	 * Releases the storage behind every sheet. The workbook must not be used afterwards.
+	 * @returns {Promise<void>}
+	 */
+	async dispose() {
+		await Promise.all(this._entries.map((e) => e.sheet.dispose()));
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {Sheet} sheet
+	 * @param {number} index
+	 * @returns {WorkbookSheet}
+	 */
+	_insert(name, sheet, index) {
+		/** @type {WorkbookSheet} */
+		const entry = { id: this._nextId++, name: this._validateName(name, null), sheet };
+		const at = Math.max(0, Math.min(this._entries.length, index));
+		this._entries.splice(at, 0, entry);
+		return entry;
+	}
+
+	/**
+	 * @param {number} id
+	 * @returns {WorkbookSheet}
+	 */
+	_require(id) {
+		const entry = this.getSheet(id);
+		if (!entry) throw new Error(`No sheet with id ${id}`);
+		return entry;
+	}
+
+	/**
+	 * Checks a sheet name and returns it trimmed.
+	 * @param {string} name
+	 * @param {WorkbookSheet|null} self - The sheet being renamed, which may keep its name
+	 * @returns {string}
+	 */
+	_validateName(name, self) {
+		const trimmed = String(name ?? '').trim();
+		if (trimmed === '') throw new Error('Sheet name cannot be empty');
+		if (trimmed.length > MAX_SHEET_NAME_LENGTH) {
+			throw new Error(`Sheet name cannot be longer than ${MAX_SHEET_NAME_LENGTH} characters`);
+		}
+		if (INVALID_SHEET_NAME_CHARS.test(trimmed)) {
+			throw new Error('Sheet name cannot contain : \\ / ? * [ or ]');
+		}
+		const existing = this.findSheetByName(trimmed);
+		if (existing && existing !== self) throw new Error(`A sheet named "${trimmed}" already exists`);
+		return trimmed;
+	}
+
+	_nextDefaultName() {
+		let n = this._entries.length + 1;
+		while (this.findSheetByName('Sheet' + n)) n++;
+		return 'Sheet' + n;
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {string}
+	 */
+	_copyName(name) {
+		const base = name.replace(/ \(\d+\)$/, '');
+		let n = 2;
+		let candidate;
+		do {
+			const suffix = ` (${n++})`;
+			candidate = base.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+		} while (this.findSheetByName(candidate));
+		return candidate;
+	}
+}
@@ -0,0 +1,121 @@
+/**
+ * @file What reading and writing .xlsx files share: namespaces, Excel's built-in
+ * number formats, size units and the `_xHHHH_` escapes for characters XML cannot hold.
+ */
+
+export const NS_MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+export const NS_RELATIONSHIPS =
+	'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+export const NS_PACKAGE_RELATIONSHIPS =
+	'http://schemas.openxmlformats.org/package/2006/relationships';
+export const REL_OFFICE_DOCUMENT = `${NS_RELATIONSHIPS}/officeDocument`;
+export const REL_WORKSHEET = `${NS_RELATIONSHIPS}/worksheet`;
+export const REL_SHARED_STRINGS = `${NS_RELATIONSHIPS}/sharedStrings`;
+export const REL_STYLES = `${NS_RELATIONSHIPS}/styles`;
+
+/** Days between the 1904 date system's epoch and the 1900 system's */
+export const DATE_1904_OFFSET = 1462;
+
+/** First id free for custom number formats; lower ids are built in */
+export const FIRST_CUSTOM_NUMBER_FORMAT_ID = 164;
+
+/**
+ * Excel's built-in number formats by id. Ids missing here are locale-specific;
+ * the ones `BUILTIN_DATE_FORMAT_IDS` lists are dates.
+ * @type {Readonly<Record<number, string>>}
+ */
+export const BUILTIN_NUMBER_FORMATS = Object.freeze({
+	0: 'General',
+	1: '0',
+	2: '0.00',
+	3: '#,##0',
+	4: '#,##0.00',
+	9: '0%',
+	10: '0.00%',
+	11: '0.00E+00',
+	12: '# ?/?',
+	13: '# ??/??',
+	14: 'm/d/yyyy',
+	15: 'd-mmm-yy',
+	16: 'd-mmm',
+	17: 'mmm-yy',
+	18: 'h:mm AM/PM',
+	19: 'h:mm:ss AM/PM',
+	20: 'h:mm',
+	21: 'h:mm:ss',
+	22: 'm/d/yyyy h:mm',
+	37: '#,##0 ;(#,##0)',
+	38: '#,##0 ;[Red](#,##0)',
+	39: '#,##0.00;(#,##0.00)',
+	40: '#,##0.00;[Red](#,##0.00)',
+	45: 'mm:ss',
+	46: '[h]:mm:ss',
+	47: 'mmss.0',
+	48: '##0.0E+0',
+	49: '@'
+});
+
+/** @type {ReadonlySet<number>} */
+export const BUILTIN_DATE_FORMAT_IDS = new Set([
+	14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36, 45, 46, 47, 50, 51,
+	52, 53, 54, 55, 56, 57, 58
+]);
+
+/**
+ * Converts an Excel column width, in characters of the default font, to pixels.
+ * The default font's digits are taken to be 7px wide, as Calibri 11's are.
+ * @param {number} width
+ * @returns {number}
+ */
+export function columnWidthToPixels(width) {
+	return Math.round(width * 7 + 5);
+}
+
+/**
+ * Inverse of `columnWidthToPixels`, to 1/256 of a character.
+ * @param {number} pixels
+ * @returns {number}
+ */
+export function pixelsToColumnWidth(pixels) {
+	return Math.round(((Math.max(pixels, 5) - 5) / 7) * 256) / 256;
+}
+
+/**
+ * Converts a row height in points to pixels at 96 dpi.
+ * @param {number} points
+ * @returns {number}
+ */
+export function pointsToPixels(points) {
+	return Math.round((points * 4) / 3);
+}
+
+/**
+ * @param {number} pixels
+ * @returns {number}
+ */
+export function pixelsToPoints(pixels) {
+	return (pixels * 3) / 4;
+}
+
+/**
+ * Decodes the `_xHHHH_` escapes Excel writes for control characters in strings.
+ * @param {string} text
+ * @returns {string}
+ */
+export function decodeOoxmlEscapes(text) {
+	if (!text.includes('_x')) return text;
+	return text.replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * Escapes the characters XML 1.0 cannot hold (control characters other than tab
+ * and line breaks) as `_xHHHH_`, along with text that would read back as such an
+ * escape.
+ * @param {string} text
+ * @returns {string}
+ */
+export function encodeOoxmlEscapes(text) {
+	return text.replace(/[^\t\n\r\u0020-\uFFFD]|_(?=x[0-9A-Fa-f]{4}_)/g, (ch) =>
+		ch === '_' ? '_x005F_' : `_x${ch.charCodeAt(0).toString(16).toUpperCase().padStart(4, '0')}_`
+	);
+}
@@ -0,0 +1,652 @@
+/**
+ * @file Reads .xlsx workbooks. Reading is split in two so the heavy half can run in
+ * a worker:
+ *   - `parseXlsx` unzips the file and parses its parts, telling an XlsxVisitor what
+ *     it finds as plain, postMessage-safe data: sheet names, batches of cells,
+ *     column widths, merges
+ *   - `XlsxSheetBuilder` is the visitor that turns those calls into Sheets
+ * `readXlsx` runs both in the calling thread. Worksheets are streamed and inflated
+ * a piece at a time, so the thread is given back between pieces.
+ *
+ * What is read: values (shared and inline strings, numbers, booleans, errors and
+ * dates), formulas, number formats, column widths, custom row heights and merged
+ * cells. A formula Radsheet cannot compute (other sheets, defined names, functions
+ * it lacks) comes in as its cached result. Fonts, fills, borders and anything that
+ * is not a worksheet (charts, pivot tables) are not read.
+ */
+import { Sheet } from '../sheet/sheet.js';
+import { dateValue } from '../dates/DateValue.js';
+import { parseIsoDate } from '../dates/parseDate.js';
+import { parseErrorLiteral } from '../formula/errors.js';
+import { parseA1 } from '../formula/references.js';
+import { parseFormula, isFormulaText } from '../formula/parser.js';
+import { offsetFormulaReferences } from '../formula/shiftReferences.js';
+import { BUILTIN_FUNCTIONS } from '../formula/functions.js';
+import { compileNumberFormat } from '../format/numberFormat.js';
+import { ZipReader } from './zip.js';
+import { createXmlParser, parseXmlStream } from './xmlReader.js';
+import {
+	BUILTIN_DATE_FORMAT_IDS,
+	BUILTIN_NUMBER_FORMATS,
+	DATE_1904_OFFSET,
+	REL_OFFICE_DOCUMENT,
+	REL_SHARED_STRINGS,
+	REL_STYLES,
+	REL_WORKSHEET,
+	columnWidthToPixels,
+	decodeOoxmlEscapes,
+	pointsToPixels
+} from './ooxml.js';
+
+/** Cells per `XlsxVisitor.cells` call */
+const CELL_BATCH_SIZE = 4096;
+
+/**
+ * A cell value as `parseXlsx` reports it. Numbers are dates when their number
+ * format is one; `{ date }` holds the serial of a cell stored as an ISO date.
+ * @typedef {number|string|boolean|{ error:string }|{ date:number }|null} XlsxValue
+ */
+
+/**
+ * @typedef {Object} XlsxNumberFormat
+ * @property {string|null} pattern - null for General
+ * @property {boolean} isDate
+ */
+
+/**
+ * @typedef {Object} XlsxWorkbookInfo
+ * @property {string[]} sheetNames - Worksheets in tab order
+ * @property {boolean} date1904 - Whether date serials count from 1904
+ * @property {XlsxNumberFormat[]} numberFormats - By cell format (`s` attribute) index
+ */
+
+/**
+ * Cells in parallel arrays, in the order the worksheet lists them. Cells that hold
+ * only a format have a null value.
+ * @typedef {Object} XlsxCellBatch
+ * @property {number[]} rows
+ * @property {number[]} cols
+ * @property {XlsxValue[]} values - Cached results for formula cells
+ * @property {(string|null)[]} formulas - Formula text without the leading `=`, with
+ *   shared formulas moved to each cell; null for cells without one
+ * @property {number[]} formats - Index into `XlsxWorkbookInfo.numberFormats`
+ * @property {number[]} rowHeights - Pairs of row and custom height in pixels
+ */
+
+/**
+ * @typedef {Object} XlsxVisitor
+ * @property {(info:XlsxWorkbookInfo) => void} workbook - Called first
+ * @property {(index:number, name:string) => void} sheetStart
+ * @property {(columns:{ c1:number, c2:number, width:number }[]) => void} columns - Custom
+ *   widths in pixels
+ * @property {(batch:XlsxCellBatch) => void} cells
+ * @property {(merges:{ r1:number, c1:number, r2:number, c2:number }[]) => void} merges
+ * @property {() => void} sheetEnd
+ */
+
+/**
+ * @typedef {Object} XlsxReadOptions
+ * @property {import('../strings/GlobalStringTable.js').GlobalStringTable} [globalStringTable] -
+ *   Shared by every sheet read; a workbook passes its own
+ * @property {() => import('../chunk/ChunkStore.js').ChunkStore} [createChunkStore]
+ */
+
+/**
+ * Reads every worksheet of an .xlsx file into a Sheet.
+ * @param {import('./zip.js').ZipSource} source
+ * @param {XlsxReadOptions} [options]
+ * @returns {Promise<{ name:string, sheet:Sheet }[]>} In tab order
+ */
+export async function readXlsx(source, options = {}) {
+	const builder = new XlsxSheetBuilder(options);
+	await parseXlsx(source, builder);
+	return builder.sheets;
+}
+
+/**
+ * Parses an .xlsx file, reporting its contents to a visitor.
+ * @param {import('./zip.js').ZipSource} source
+ * @param {XlsxVisitor} visitor
+ * @returns {Promise<void>}
+ * @throws {Error} When the source is not an .xlsx file
+ */
+export async function parseXlsx(source, visitor) {
+	const zip = await ZipReader.open(source);
+	const rootRels = await readRelationships(zip, '_rels/.rels');
+	const workbookPath =
+		rootRels.find((rel) => rel.type === REL_OFFICE_DOCUMENT)?.target ?? 'xl/workbook.xml';
+	if (!zip.has(workbookPath)) throw new Error('Not an .xlsx file: no workbook part');
+	const rels = await readRelationships(zip, relsPathFor(workbookPath));
+	const relById = new Map(rels.map((rel) => [rel.id, rel]));
+
+	/** @type {{ name:string, path:string }[]} */
+	const sheets = [];
+	let date1904 = false;
+	parseXmlText(await zip.text(workbookPath), {
+		open(name, attrs) {
+			if (name === 'workbookPr') {
+				date1904 = attrs.date1904 === '1' || attrs.date1904 === 'true';
+			} else if (name === 'sheet') {
+				const rel = relById.get(attrs.id);
+				if (rel?.type === REL_WORKSHEET) sheets.push({ name: attrs.name, path: rel.target });
+			}
+		}
+	});
+
+	const sharedStringsPath = rels.find((rel) => rel.type === REL_SHARED_STRINGS)?.target;
+	const sharedStrings =
+		sharedStringsPath && zip.has(sharedStringsPath)
+			? await readSharedStrings(zip, sharedStringsPath)
+			: [];
+	const stylesPath = rels.find((rel) => rel.type === REL_STYLES)?.target;
+	const numberFormats =
+		stylesPath && zip.has(stylesPath) ? await readNumberFormats(zip, stylesPath) : [];
+
+	visitor.workbook({ sheetNames: sheets.map((s) => s.name), date1904, numberFormats });
+	for (let i = 0; i < sheets.length; i++) {
+		visitor.sheetStart(i, sheets[i].name);
+		await readWorksheet(zip, sheets[i].path, sharedStrings, visitor);
+		visitor.sheetEnd();
+	}
+}
+
+/**
+ * Builds Sheets from what `parseXlsx` reports. Strings are interned into the
+ * sheets' GlobalStringTable as dense chunks take them in; dates become DateValues
+ * and number formats become FormatLayer ranges, one per run of equally formatted
+ * cells down a column.
+ * @implements {XlsxVisitor}
+ */
+export class XlsxSheetBuilder {
+	/** @param {XlsxReadOptions} [options] */
+	constructor(options = {}) {
+		this._options = options;
+		/** @type {{ name:string, sheet:Sheet }[]} */
+		this.sheets = [];
+		/** @type {XlsxNumberFormat[]} */
+		this._numberFormats = [];
+		this._dateOffset = 0;
+		/** @type {Sheet|null} */
+		this._sheet = null;
+		this._maxRow = -1;
+		this._maxCol = -1;
+		/** @type {{ c1:number, c2:number, width:number }[]} */
+		this._columns = [];
+		/** @type {Map<number, { r1:number, r2:number, pattern:string }>} Open format run per column */
+		this._formatRuns = new Map();
+	}
+
+	/** @param {XlsxWorkbookInfo} info */
+	workbook(info) {
+		this._numberFormats = info.numberFormats;
+		this._dateOffset = info.date1904 ? DATE_1904_OFFSET : 0;
+	}
+
+	/**
+	 * @param {number} index
+	 * @param {string} name
+	 */
+	sheetStart(index, name) {
+		this._sheet = new Sheet({
+			globalStringTable: this._options.globalStringTable,
+			chunkStore: this._options.createChunkStore?.()
+		});
+		this.sheets.push({ name, sheet: this._sheet });
+		this._maxRow = -1;
+		this._maxCol = -1;
+		this._columns = [];
+		this._formatRuns.clear();
+	}
+
+	/** @param {{ c1:number, c2:number, width:number }[]} columns */
+	columns(columns) {
+		this._columns.push(...columns);
+	}
+
+	/** @param {XlsxCellBatch} batch */
+	cells(batch) {
+		const sheet = /** @type {Sheet} */ (this._sheet);
+		const { rows, cols, values, formulas, formats, rowHeights } = batch;
+		for (let i = 0; i < rows.length; i++) {
+			const r = rows[i];
+			const c = cols[i];
+			const format = this._numberFormats[formats[i]];
+			if (format?.pattern) this._addFormat(r, c, format.pattern);
+			const formula = formulas[i] === null ? null : '=' + formulas[i];
+			const computed = formula !== null && isComputableFormula(formula);
+			const value = values[i];
+			if (!computed && (value === null || value === '')) continue;
+			if (r > this._maxRow) this._maxRow = r;
+			if (c > this._maxCol) this._maxCol = c;
+			if (computed) {
+				sheet.setValue(r, c, /** @type {string} */ (formula));
+			} else if (typeof value === 'string') {
+				sheet.setValue(r, c, textValue(value));
+			} else if (typeof value !== 'object') {
+				sheet.setValue(
+					r,
+					c,
+					typeof value === 'number' && format?.isDate ? dateValue(value + this._dateOffset) : value
+				);
+			} else if ('error' in value) {
+				sheet.setValue(r, c, parseErrorLiteral(value.error) ?? value.error);
+			} else {
+				sheet.setValue(r, c, dateValue(value.date));
+			}
+		}
+		for (let i = 0; i < rowHeights.length; i += 2) {
+			sheet.layout.rowHeights[rowHeights[i]] = rowHeights[i + 1];
+		}
+	}
+
+	/** @param {{ r1:number, c1:number, r2:number, c2:number }[]} merges */
+	merges(merges) {
+		const sheet = /** @type {Sheet} */ (this._sheet);
+		sheet.merges.replaceAll(merges);
+		for (const m of merges) {
+			if (m.r2 > this._maxRow) this._maxRow = m.r2;
+			if (m.c2 > this._maxCol) this._maxCol = m.c2;
+		}
+	}
+
+	sheetEnd() {
+		const sheet = /** @type {Sheet} */ (this._sheet);
+		for (const [c, run] of this._formatRuns) this._flushFormatRun(c, run);
+		this._formatRuns.clear();
+		sheet.numRows = Math.max(sheet.numRows, this._maxRow + 1);
+		if (this._maxCol + 1 > sheet.numCols) {
+			sheet.numCols = this._maxCol + 1;
+			sheet.columnLabels = Array.from({ length: sheet.numCols }, (_, i) =>
+				sheet._indexToColumnLabel(i)
+			);
+		}
+		// Column ranges often run to the last column Excel has; only the sheet's own count
+		for (const { c1, c2, width } of this._columns) {
+			for (let c = c1; c <= Math.min(c2, sheet.numCols - 1); c++) sheet.layout.colWidths[c] = width;
+		}
+		this._sheet = null;
+	}
+
+	/**
+	 * @private
+	 * @param {number} r
+	 * @param {number} c
+	 * @param {string} pattern
+	 */
+	_addFormat(r, c, pattern) {
+		const run = this._formatRuns.get(c);
+		if (run && run.pattern === pattern && run.r2 === r - 1) {
+			run.r2 = r;
+			return;
+		}
+		if (run) this._flushFormatRun(c, run);
+		this._formatRuns.set(c, { r1: r, r2: r, pattern });
+	}
+
+	/**
+	 * @private
+	 * @param {number} c
+	 * @param {{ r1:number, r2:number, pattern:string }} run
+	 */
+	_flushFormatRun(c, run) {
+		/** @type {Sheet} */ (this._sheet).formats.append({
+			r1: run.r1,
+			c1: c,
+			r2: run.r2,
+			c2: c,
+			pattern: run.pattern
+		});
+	}
+}
+
+/**
+ * @param {string} text
+ * @param {import('./xmlReader.js').XmlHandlers} handlers
+ */
+function parseXmlText(text, handlers) {
+	const parser = createXmlParser(handlers);
+	parser.write(text);
+	parser.end();
+}
+
+/**
+ * Path of the relationships part belonging to a part.
+ * @param {string} path
+ */
+function relsPathFor(path) {
+	const slash = path.lastIndexOf('/');
+	return `${path.slice(0, slash + 1)}_rels/${path.slice(slash + 1)}.rels`;
+}
+
+/**
+ * Reads a relationships part, resolving targets to archive paths.
+ * @param {ZipReader} zip
+ * @param {string} path
+ * @returns {Promise<{ id:string, type:string, target:string }[]>}
+ */
+async function readRelationships(zip, path) {
+	if (!zip.has(path)) return [];
+	const base = path.slice(0, path.lastIndexOf('_rels/'));
+	/** @type {{ id:string, type:string, target:string }[]} */
+	const rels = [];
+	parseXmlText(await zip.text(path), {
+		open(name, attrs) {
+			if (name !== 'Relationship' || attrs.TargetMode === 'External') return;
+			rels.push({ id: attrs.Id, type: attrs.Type, target: resolvePath(base, attrs.Target) });
+		}
+	});
+	return rels;
+}
+
+/**
+ * @param {string} base - Directory, ending in '/' unless it is the root
+ * @param {string} target
+ */
+function resolvePath(base, target) {
+	const parts = target.startsWith('/') ? [] : base.split('/').filter(Boolean);
+	for (const part of target.split('/')) {
+		if (part === '..') parts.pop();
+		else if (part && part !== '.') parts.push(part);
+	}
+	return parts.join('/');
+}
+
+/**
+ * Reads the shared string table. Rich text runs are joined; phonetic hints
+ * (`rPh`) are left out.
+ * @param {ZipReader} zip
+ * @param {string} path
+ * @returns {Promise<string[]>}
+ */
+async function readSharedStrings(zip, path) {
+	/** @type {string[]} */
+	const strings = [];
+	let text = '';
+	let inText = false;
+	let phoneticDepth = 0;
+	await parseXmlStream(await zip.stream(path), {
+		open(name) {
+			if (name === 'si') text = '';
+			else if (name === 'rPh') phoneticDepth++;
+			else if (name === 't' && phoneticDepth === 0) inText = true;
+		},
+		close(name) {
+			if (name === 'si') strings.push(decodeOoxmlEscapes(text));
+			else if (name === 'rPh') phoneticDepth--;
+			else if (name === 't') inText = false;
+		},
+		text(chunk) {
+			if (inText) text += chunk;
+		}
+	});
+	return strings;
+}
+
+/**
+ * Reads the number format of every cell format (`cellXfs`).
+ * @param {ZipReader} zip
+ * @param {string} path
+ * @returns {Promise<XlsxNumberFormat[]>}
+ */
+async function readNumberFormats(zip, path) {
+	/** @type {Map<number, string>} */
+	const customFormats = new Map();
+	/** @type {number[]} */
+	const formatIds = [];
+	let inCellXfs = false;
+	parseXmlText(await zip.text(path), {
+		open(name, attrs) {
+			if (name === 'numFmt') customFormats.set(Number(attrs.numFmtId), attrs.formatCode);
+			else if (name === 'cellXfs') inCellXfs = true;
+			else if (name === 'xf' && inCellXfs) formatIds.push(Number(attrs.numFmtId) || 0);
+		},
+		close(name) {
+			if (name === 'cellXfs') inCellXfs = false;
+		}
+	});
+	return formatIds.map((id) => {
+		const code = customFormats.get(id) ?? BUILTIN_NUMBER_FORMATS[id];
+		if (code === undefined || code.toLowerCase() === 'general') {
+			return { pattern: null, isDate: BUILTIN_DATE_FORMAT_IDS.has(id) };
+		}
+		return {
+			pattern: code,
+			isDate:
+				BUILTIN_DATE_FORMAT_IDS.has(id) ||
+				compileNumberFormat(code).sections.some((section) => section.isDate)
+		};
+	});
+}
+
+/**
+ * Streams one worksheet to the visitor.
+ * @param {ZipReader} zip
+ * @param {string} path
+ * @param {string[]} sharedStrings
+ * @param {XlsxVisitor} visitor
+ * @returns {Promise<void>}
+ */
+async function readWorksheet(zip, path, sharedStrings, visitor) {
+	/** @type {{ c1:number, c2:number, width:number }[]} */
+	const columns = [];
+	/** @type {{ r1:number, c1:number, r2:number, c2:number }[]} */
+	const merges = [];
+	/** @type {XlsxCellBatch} */
+	let batch = { rows: [], cols: [], values: [], formulas: [], formats: [], rowHeights: [] };
+	const flush = () => {
+		if (batch.rows.length === 0 && batch.rowHeights.length === 0) return;
+		visitor.cells(batch);
+		batch = { rows: [], cols: [], values: [], formulas: [], formats: [], rowHeights: [] };
+	};
+	/** @type {Map<string, { row:number, col:number, text:string }>} Shared formulas by `si` */
+	const sharedFormulas = new Map();
+
+	let row = -1;
+	let col = -1;
+	/** @type {string|undefined} */
+	let cellType;
+	let cellFormat = 0;
+	let text = '';
+	let hasValue = false;
+	/** @type {Record<string, string>|null} The cell's `f` attributes, if it has one */
+	let formulaAttrs = null;
+	let formulaText = '';
+	let inFormula = false;
+	/** Which text is being collected: a value (`v`), or inline string text (`t` in `is`) */
+	let collecting = false;
+	let inInlineString = false;
+	let phoneticDepth = 0;
+
+	await parseXmlStream(await zip.stream(path), {
+		open(name, attrs) {
+			switch (name) {
+				case 'row':
+					row = attrs.r ? Number(attrs.r) - 1 : row + 1;
+					col = -1;
+					if (attrs.ht && (attrs.customHeight === '1' || attrs.customHeight === 'true')) {
+						batch.rowHeights.push(row, pointsToPixels(Number(attrs.ht)));
+					}
+					break;
+				case 'c': {
+					const ref = attrs.r ? parseA1(attrs.r) : null;
+					if (ref) {
+						row = ref.row;
+						col = ref.col;
+					} else {
+						col++;
+					}
+					cellType = attrs.t;
+					cellFormat = Number(attrs.s) || 0;
+					text = '';
+					hasValue = false;
+					formulaAttrs = null;
+					formulaText = '';
+					break;
+				}
+				case 'f':
+					formulaAttrs = attrs;
+					inFormula = true;
+					break;
+				case 'v':
+					collecting = true;
+					hasValue = true;
+					break;
+				case 'is':
+					inInlineString = true;
+					hasValue = true;
+					break;
+				case 'rPh':
+					phoneticDepth++;
+					break;
+				case 't':
+					if (inInlineString && phoneticDepth === 0) collecting = true;
+					break;
+				case 'col':
+					if (attrs.width && attrs.hidden !== '1' && attrs.hidden !== 'true') {
+						columns.push({
+							c1: Number(attrs.min) - 1,
+							c2: Number(attrs.max) - 1,
+							width: columnWidthToPixels(Number(attrs.width))
+						});
+					}
+					break;
+				case 'mergeCell': {
+					const [from, to = from] = (attrs.ref || '').split(':');
+					const a = parseA1(from);
+					const b = parseA1(to);
+					// A one-cell "merge" is no merge at all
+					if (a && b && (a.row !== b.row || a.col !== b.col)) {
+						merges.push({ r1: a.row, c1: a.col, r2: b.row, c2: b.col });
+					}
+					break;
+				}
+			}
+		},
+		close(name) {
+			switch (name) {
+				case 'v':
+				case 't':
+					collecting = false;
+					break;
+				case 'is':
+					inInlineString = false;
+					break;
+				case 'f':
+					inFormula = false;
+					break;
+				case 'rPh':
+					phoneticDepth--;
+					break;
+				case 'c':
+					batch.rows.push(row);
+					batch.cols.push(col);
+					batch.values.push(hasValue ? cellValue(cellType, text, sharedStrings) : null);
+					batch.formulas.push(
+						formulaAttrs ? cellFormula(formulaAttrs, formulaText, row, col, sharedFormulas) : null
+					);
+					batch.formats.push(cellFormat);
+					if (batch.rows.length >= CELL_BATCH_SIZE) flush();
+					break;
+				case 'cols':
+					visitor.columns(columns);
+					break;
+			}
+		},
+		text(chunk) {
+			if (collecting) text += chunk;
+			else if (inFormula) formulaText += chunk;
+		}
+	});
+	flush();
+	if (merges.length > 0) visitor.merges(merges);
+}
+
+/**
+ * Reads a cell's formula. The first cell of a shared formula holds its text and the
+ * others refer to it by `si`, taking it with relative references moved along.
+ * @param {Record<string, string>} attrs - The `f` element's attributes
+ * @param {string} text - Its text
+ * @param {number} row
+ * @param {number} col
+ * @param {Map<string, { row:number, col:number, text:string }>} shared
+ * @returns {string|null} Without the leading `=`; null for data tables
+ */
+function cellFormula(attrs, text, row, col, shared) {
+	if (attrs.t === 'dataTable') return null;
+	if (attrs.t === 'shared' && attrs.si != null) {
+		if (text) shared.set(attrs.si, { row, col, text });
+		else {
+			const first = shared.get(attrs.si);
+			if (!first) return null;
+			try {
+				return offsetFormulaReferences('=' + first.text, row - first.row, col - first.col).slice(1);
+			} catch {
+				return null;
+			}
+		}
+	}
+	return text || null;
+}
+
+/**
+ * Whether Radsheet can compute a formula. One it cannot would only show an error,
+ * so the cell keeps the result the file cached instead.
+ * @param {string} source
+ * @returns {boolean}
+ */
+function isComputableFormula(source) {
+	let ast;
+	try {
+		ast = parseFormula(source);
+	} catch {
+		return false;
+	}
+	/** @param {any} node */
+	const computable = (node) => {
+		if (!node || typeof node !== 'object') return true;
+		if (Array.isArray(node)) return node.every(computable);
+		if (node.type === 'name') return false;
+		if (node.type === 'call' && !Object.hasOwn(BUILTIN_FUNCTIONS, node.name)) return false;
+		return Object.values(node).every(computable);
+	};
+	return computable(ast);
+}
+
+/**
+ * Sheets read text starting with `=` as a formula, so such text is kept as a
+ * formula that gives the text back.
+ * @param {string} text
+ * @returns {string}
+ */
+function textValue(text) {
+	return isFormulaText(text) ? `="${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {string|undefined} type - The cell's `t` attribute
+ * @param {string} text - Its `v` text, or inline string text
+ * @param {string[]} sharedStrings
+ * @returns {XlsxValue}
+ */
+function cellValue(type, text, sharedStrings) {
+	switch (type) {
+		case 's':
+			return sharedStrings[Number(text)] ?? null;
+		case 'str':
+		case 'inlineStr':
+			return decodeOoxmlEscapes(text);
+		case 'b':
+			return text === '1' || text === 'true';
+		case 'e':
+			return { error: text };
+		case 'd': {
+			const date = parseIsoDate(text.trim());
+			return date ? { date: date.serial } : text;
+		}
+		default: {
+			if (text === '') return null;
+			const number = Number(text);
+			return Number.isFinite(number) ? number : text;
+		}
+	}
+}
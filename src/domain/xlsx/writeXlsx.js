@@ -0,0 +1,337 @@
+/**
+ * @file Writes Sheets as an .xlsx workbook: values, formulas along with their
+ * current results, number formats, column widths, custom row heights and merged
+ * cells. Strings go to the shared string table, and dates without a date format
+ * get one so Excel shows them as dates. Each worksheet is generated a block of rows
+ * at a time and deflated as it goes, so only the compressed file is held whole.
+ * Fonts, fills and borders are not written.
+ */
+import { isDateValue } from '../dates/DateValue.js';
+import { isFormulaError } from '../formula/errors.js';
+import { formatA1 } from '../formula/references.js';
+import { NUMBER_FORMAT_PRESETS } from '../format/numberFormat.js';
+import { ZipWriter } from './zip.js';
+import { escapeXml } from './xmlReader.js';
+import {
+	BUILTIN_NUMBER_FORMATS,
+	FIRST_CUSTOM_NUMBER_FORMAT_ID,
+	NS_MAIN,
+	NS_PACKAGE_RELATIONSHIPS,
+	NS_RELATIONSHIPS,
+	REL_OFFICE_DOCUMENT,
+	REL_SHARED_STRINGS,
+	REL_STYLES,
+	REL_WORKSHEET,
+	encodeOoxmlEscapes,
+	pixelsToColumnWidth,
+	pixelsToPoints
+} from './ooxml.js';
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const CONTENT_TYPE_PREFIX = 'application/vnd.openxmlformats-officedocument.spreadsheetml';
+/** Rows per piece of worksheet XML handed to the compressor */
+const ROWS_PER_PIECE = 256;
+
+/**
+ * @typedef {Object} XlsxWriteOptions
+ * @property {number} [defaultColWidth] - Width in pixels of columns without a custom one
+ * @property {number} [defaultRowHeight] - Height in pixels of rows without a custom one
+ */
+
+/**
+ * Writes sheets as an .xlsx file, one worksheet per sheet in the given order.
+ * Spilled chunks must be loaded first; see `Sheet.withAllChunksLoaded`.
+ * @param {{ name:string, sheet:import('../sheet/sheet.js').Sheet }[]} sheets
+ * @param {XlsxWriteOptions} [options]
+ * @returns {Promise<Uint8Array>}
+ */
+export async function writeXlsx(sheets, options = {}) {
+	const zip = new ZipWriter();
+	const sharedStrings = new SharedStrings();
+	const cellFormats = new CellFormats();
+
+	for (let i = 0; i < sheets.length; i++) {
+		await zip.add(
+			`xl/worksheets/sheet${i + 1}.xml`,
+			worksheetXml(sheets[i].sheet, sharedStrings, cellFormats, options)
+		);
+	}
+	await zip.add('xl/sharedStrings.xml', sharedStrings.xml());
+	await zip.add('xl/styles.xml', cellFormats.xml());
+	await zip.add('xl/workbook.xml', workbookXml(sheets.map((s) => s.name)));
+	await zip.add('xl/_rels/workbook.xml.rels', workbookRelsXml(sheets.length));
+	await zip.add(
+		'_rels/.rels',
+		relationshipsXml([{ type: REL_OFFICE_DOCUMENT, target: 'xl/workbook.xml' }])
+	);
+	await zip.add('[Content_Types].xml', contentTypesXml(sheets.length));
+	return zip.finish();
+}
+
+/**
+ * Strings in the order they were first written, for the shared string table.
+ */
+class SharedStrings {
+	constructor() {
+		/** @type {Map<string, number>} */
+		this._indexByString = new Map();
+		this._references = 0;
+	}
+
+	/**
+	 * @param {string} text
+	 * @returns {number} The string's index in the table
+	 */
+	indexOf(text) {
+		this._references++;
+		let index = this._indexByString.get(text);
+		if (index === undefined) {
+			index = this._indexByString.size;
+			this._indexByString.set(text, index);
+		}
+		return index;
+	}
+
+	/** @returns {Generator<string>} */
+	*xml() {
+		yield `${XML_DECLARATION}<sst xmlns="${NS_MAIN}" count="${this._references}" uniqueCount="${this._indexByString.size}">`;
+		let piece = '';
+		for (const text of this._indexByString.keys()) {
+			piece += `<si><t xml:space="preserve">${escapeXml(encodeOoxmlEscapes(text))}</t></si>`;
+			if (piece.length > 65536) {
+				yield piece;
+				piece = '';
+			}
+		}
+		yield `${piece}</sst>`;
+	}
+}
+
+/**
+ * Cell formats (`cellXfs`), one per number format in use. Format 0 is General.
+ */
+class CellFormats {
+	constructor() {
+		/** @type {Map<string, number>} Cell format index by pattern */
+		this._indexByPattern = new Map();
+		/** @type {number[]} Number format id of each cell format after the first */
+		this._numberFormatIds = [];
+		/** @type {Map<string, number>} */
+		this._customIds = new Map();
+		/** @type {Map<string, number>} */
+		this._builtinIds = new Map(
+			Object.entries(BUILTIN_NUMBER_FORMATS).map(([id, pattern]) => [pattern, Number(id)])
+		);
+	}
+
+	/**
+	 * @param {string|null} pattern
+	 * @returns {number} Cell format index for the `s` attribute
+	 */
+	indexOf(pattern) {
+		if (!pattern) return 0;
+		let index = this._indexByPattern.get(pattern);
+		if (index === undefined) {
+			let id = this._builtinIds.get(pattern);
+			if (id === undefined) {
+				id = FIRST_CUSTOM_NUMBER_FORMAT_ID + this._customIds.size;
+				this._customIds.set(pattern, id);
+			}
+			this._numberFormatIds.push(id);
+			index = this._numberFormatIds.length;
+			this._indexByPattern.set(pattern, index);
+		}
+		return index;
+	}
+
+	/** @returns {string} */
+	xml() {
+		const numFmts = Array.from(
+			this._customIds,
+			([pattern, id]) => `<numFmt numFmtId="${id}" formatCode="${escapeXml(pattern)}"/>`
+		);
+		const xfs = [0, ...this._numberFormatIds].map(
+			(id) =>
+				`<xf numFmtId="${id}" fontId="0" fillId="0" borderId="0" xfId="0"${id ? ' applyNumberFormat="1"' : ''}/>`
+		);
+		return (
+			`${XML_DECLARATION}<styleSheet xmlns="${NS_MAIN}">` +
+			(numFmts.length ? `<numFmts count="${numFmts.length}">${numFmts.join('')}</numFmts>` : '') +
+			'<fonts count="1"><font><sz val="11"/><name val="Calibri"/><family val="2"/></font></fonts>' +
+			'<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+			'<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+			'<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+			`<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+			'<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+			'</styleSheet>'
+		);
+	}
+}
+
+/**
+ * Generates a worksheet's XML a block of rows at a time.
+ * @param {import('../sheet/sheet.js').Sheet} sheet
+ * @param {SharedStrings} sharedStrings
+ * @param {CellFormats} cellFormats
+ * @param {XlsxWriteOptions} options
+ * @returns {Generator<string>}
+ */
+function* worksheetXml(sheet, sharedStrings, cellFormats, options) {
+	const { rowHeights, colWidths } = sheet.layout;
+	let head = `${XML_DECLARATION}<worksheet xmlns="${NS_MAIN}" xmlns:r="${NS_RELATIONSHIPS}">`;
+	const defaultHeight = options.defaultRowHeight ? pixelsToPoints(options.defaultRowHeight) : 15;
+	const defaultWidth = options.defaultColWidth
+		? ` defaultColWidth="${pixelsToColumnWidth(options.defaultColWidth)}"`
+		: '';
+	head += `<sheetFormatPr${defaultWidth} defaultRowHeight="${defaultHeight}"${options.defaultRowHeight ? ' customHeight="1"' : ''}/>`;
+	const cols = [];
+	for (let c = 0; c < colWidths.length; c++) {
+		const width = colWidths[c];
+		if (width == null) continue;
+		let end = c;
+		while (colWidths[end + 1] === width) end++;
+		cols.push(
+			`<col min="${c + 1}" max="${end + 1}" width="${pixelsToColumnWidth(width)}" customWidth="1"/>`
+		);
+		c = end;
+	}
+	if (cols.length) head += `<cols>${cols.join('')}</cols>`;
+	yield `${head}<sheetData>`;
+
+	/** @type {number[]} Rows with a custom height, ascending */
+	const customRows = [];
+	rowHeights.forEach((height, r) => {
+		if (height != null) customRows.push(r);
+	});
+	let nextCustom = 0;
+	const rowOpen = (r) =>
+		rowHeights[r] != null
+			? `<row r="${r + 1}" ht="${pixelsToPoints(rowHeights[r])}" customHeight="1">`
+			: `<row r="${r + 1}">`;
+	const hasFormats = sheet.formats.ranges.length > 0;
+
+	let piece = '';
+	let rowsInPiece = 0;
+	for (const { row, cols: cellCols, values } of sheet.storedRows()) {
+		// Rows that only have a height come out in order among the ones with cells
+		while (nextCustom < customRows.length && customRows[nextCustom] < row) {
+			piece += `${rowOpen(customRows[nextCustom++])}</row>`;
+		}
+		if (customRows[nextCustom] === row) nextCustom++;
+		piece += rowOpen(row);
+		for (let i = 0; i < cellCols.length; i++) {
+			const c = cellCols[i];
+			const pattern = hasFormats ? sheet.formats.getNumberFormat(row, c) : null;
+			piece += cellXml(sheet, row, c, values[i], pattern, sharedStrings, cellFormats);
+		}
+		piece += '</row>';
+		if (++rowsInPiece >= ROWS_PER_PIECE) {
+			yield piece;
+			piece = '';
+			rowsInPiece = 0;
+		}
+	}
+	while (nextCustom < customRows.length) piece += `${rowOpen(customRows[nextCustom++])}</row>`;
+	piece += '</sheetData>';
+
+	const merges = sheet.merges.all();
+	if (merges.length) {
+		piece += `<mergeCells count="${merges.length}">`;
+		for (const m of merges) {
+			piece += `<mergeCell ref="${formatA1(m.r1, m.c1)}:${formatA1(m.r2, m.c2)}"/>`;
+		}
+		piece += '</mergeCells>';
+	}
+	yield `${piece}</worksheet>`;
+}
+
+/**
+ * @param {import('../sheet/sheet.js').Sheet} sheet
+ * @param {number} r
+ * @param {number} c
+ * @param {import('../sheet/sheet.js').CellValue} raw - The stored value; a formula's source
+ * @param {string|null} pattern
+ * @param {SharedStrings} sharedStrings
+ * @param {CellFormats} cellFormats
+ * @returns {string}
+ */
+function cellXml(sheet, r, c, raw, pattern, sharedStrings, cellFormats) {
+	const formula = typeof raw === 'string' ? sheet.getFormula(r, c) : null;
+	const value = formula ? sheet.getValue(r, c) : raw;
+	if (!pattern && isDateValue(value)) {
+		pattern = value.hasTime ? NUMBER_FORMAT_PRESETS.datetime : NUMBER_FORMAT_PRESETS.date;
+	}
+	const formatIndex = cellFormats.indexOf(pattern);
+	let attrs = `r="${formatA1(r, c)}"${formatIndex ? ` s="${formatIndex}"` : ''}`;
+	let content = formula ? `<f>${escapeXml(formula.slice(1))}</f>` : '';
+
+	if (typeof value === 'string') {
+		if (formula) {
+			attrs += ' t="str"';
+			content += `<v>${escapeXml(encodeOoxmlEscapes(value))}</v>`;
+		} else {
+			attrs += ' t="s"';
+			content += `<v>${sharedStrings.indexOf(value)}</v>`;
+		}
+	} else if (typeof value === 'boolean') {
+		attrs += ' t="b"';
+		content += `<v>${value ? 1 : 0}</v>`;
+	} else if (isFormulaError(value)) {
+		attrs += ' t="e"';
+		content += `<v>${escapeXml(value.code)}</v>`;
+	} else if (isDateValue(value)) {
+		content += `<v>${value.serial}</v>`;
+	} else if (typeof value === 'number') {
+		if (Number.isFinite(value)) {
+			content += `<v>${value}</v>`;
+		} else {
+			attrs += ' t="e"';
+			content += '<v>#NUM!</v>';
+		}
+	}
+	return `<c ${attrs}>${content}</c>`;
+}
+
+/** @param {string[]} names */
+function workbookXml(names) {
+	const sheets = names
+		.map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+		.join('');
+	return `${XML_DECLARATION}<workbook xmlns="${NS_MAIN}" xmlns:r="${NS_RELATIONSHIPS}"><sheets>${sheets}</sheets></workbook>`;
+}
+
+/** @param {number} sheetCount */
+function workbookRelsXml(sheetCount) {
+	const rels = Array.from({ length: sheetCount }, (_, i) => ({
+		type: REL_WORKSHEET,
+		target: `worksheets/sheet${i + 1}.xml`
+	}));
+	rels.push({ type: REL_STYLES, target: 'styles.xml' });
+	rels.push({ type: REL_SHARED_STRINGS, target: 'sharedStrings.xml' });
+	return relationshipsXml(rels);
+}
+
+/** @param {{ type:string, target:string }[]} rels */
+function relationshipsXml(rels) {
+	const items = rels
+		.map((rel, i) => `<Relationship Id="rId${i + 1}" Type="${rel.type}" Target="${rel.target}"/>`)
+		.join('');
+	return `${XML_DECLARATION}<Relationships xmlns="${NS_PACKAGE_RELATIONSHIPS}">${items}</Relationships>`;
+}
+
+/** @param {number} sheetCount */
+function contentTypesXml(sheetCount) {
+	const override = (part, type) =>
+		`<Override PartName="${part}" ContentType="${CONTENT_TYPE_PREFIX}.${type}+xml"/>`;
+	let xml =
+		`${XML_DECLARATION}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+		'<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+		'<Default Extension="xml" ContentType="application/xml"/>' +
+		override('/xl/workbook.xml', 'sheet.main');
+	for (let i = 0; i < sheetCount; i++) {
+		xml += override(`/xl/worksheets/sheet${i + 1}.xml`, 'worksheet');
+	}
+	xml += override('/xl/styles.xml', 'styles');
+	xml += override('/xl/sharedStrings.xml', 'sharedStrings');
+	return `${xml}</Types>`;
+}
@@ -0,0 +1,172 @@
+/**
+ * @file A small streaming XML reader for the parts of an .xlsx file. It reports
+ * tags and text to handlers as the text arrives, so a worksheet is read without
+ * building a document tree. Element and attribute names come without their
+ * namespace prefix (`x:row` is `row`, `r:id` is `id`). DTDs and namespaces are
+ * not interpreted; comments and processing instructions are skipped.
+ */
+
+/**
+ * @typedef {Object} XmlHandlers
+ * @property {(name:string, attrs:Record<string, string>) => void} [open] - Also called for `<a/>`
+ * @property {(name:string) => void} [close] - Also called for `<a/>`, right after `open`
+ * @property {(text:string) => void} [text] - Character data with entities decoded; text
+ *   between two tags may come in more than one call
+ */
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const ENTITY_RE = /&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g;
+const ATTRIBUTE_RE = /([^\s=/]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+/** Longest markup opener that must be whole before it can be told apart (`<![CDATA[`) */
+const LONGEST_OPENER = 9;
+
+/**
+ * Creates a reader that takes XML text in pieces of any size.
+ * @param {XmlHandlers} handlers
+ * @returns {{ write: (text:string) => void, end: () => void }}
+ */
+export function createXmlParser(handlers) {
+	let pending = '';
+	return {
+		write(text) {
+			pending += text;
+			pending = pending.slice(readMarkup(pending, false, handlers));
+		},
+		end() {
+			readMarkup(pending, true, handlers);
+			pending = '';
+		}
+	};
+}
+
+/**
+ * Reads a stream of UTF-8 XML to the end.
+ * @param {ReadableStream<Uint8Array>} stream
+ * @param {XmlHandlers} handlers
+ * @returns {Promise<void>}
+ */
+export async function parseXmlStream(stream, handlers) {
+	const parser = createXmlParser(handlers);
+	const reader = stream.pipeThrough(new TextDecoderStream()).getReader();
+	for (;;) {
+		const { done, value } = await reader.read();
+		if (done) break;
+		parser.write(value);
+	}
+	parser.end();
+}
+
+/**
+ * Escapes text for use in element content or a double-quoted attribute.
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeXml(text) {
+	return /[&<>"]/.test(text)
+		? text
+				.replace(/&/g, '&amp;')
+				.replace(/</g, '&lt;')
+				.replace(/>/g, '&gt;')
+				.replace(/"/g, '&quot;')
+		: text;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeEntities(text) {
+	if (!text.includes('&')) return text;
+	return text.replace(ENTITY_RE, (match, entity) => {
+		if (entity[0] !== '#') return ENTITIES[entity] ?? match;
+		const code = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+		return code <= 0x10ffff ? String.fromCodePoint(code) : match;
+	});
+}
+
+/** @param {string} name */
+function localName(name) {
+	const colon = name.indexOf(':');
+	return colon === -1 ? name : name.slice(colon + 1);
+}
+
+/**
+ * Finds the `>` closing a tag, skipping any inside quoted attribute values.
+ * @param {string} text
+ * @param {number} pos
+ * @returns {number} -1 when the tag is not complete yet
+ */
+function findTagEnd(text, pos) {
+	let quote = 0;
+	for (let i = pos; i < text.length; i++) {
+		const code = text.charCodeAt(i);
+		if (quote) {
+			if (code === quote) quote = 0;
+		} else if (code === 34 || code === 39) {
+			quote = code;
+		} else if (code === 62) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Reports the markup and text in `text` from the start.
+ * @param {string} text
+ * @param {boolean} atEnd - Whether no more text follows; otherwise markup or text
+ *   that may continue in the next piece is left unread
+ * @param {XmlHandlers} handlers
+ * @returns {number} Where reading stopped
+ */
+function readMarkup(text, atEnd, handlers) {
+	const length = text.length;
+	let pos = 0;
+	while (pos < length) {
+		const lt = text.indexOf('<', pos);
+		if (lt === -1) {
+			// An entity may be split across pieces
+			if (!atEnd) return pos;
+			handlers.text?.(decodeEntities(text.slice(pos)));
+			return length;
+		}
+		if (lt > pos) handlers.text?.(decodeEntities(text.slice(pos, lt)));
+		pos = lt;
+		if (!atEnd && length - pos < LONGEST_OPENER) return pos;
+
+		/** @type {string|null} */
+		let closer = null;
+		if (text.startsWith('<!--', pos)) closer = '-->';
+		else if (text.startsWith('<![CDATA[', pos)) closer = ']]>';
+		else if (text.startsWith('<?', pos)) closer = '?>';
+		if (closer) {
+			const end = text.indexOf(closer, pos);
+			if (end === -1) return atEnd ? length : pos;
+			if (closer === ']]>') handlers.text?.(text.slice(pos + 9, end));
+			pos = end + closer.length;
+			continue;
+		}
+
+		const end = findTagEnd(text, pos + 1);
+		if (end === -1) return atEnd ? length : pos;
+		if (text.charCodeAt(pos + 1) === 47) {
+			handlers.close?.(localName(text.slice(pos + 2, end).trim()));
+		} else if (text.charCodeAt(pos + 1) !== 33) {
+			// `<!DOCTYPE ...>` and the like are skipped
+			const selfClosing = text.charCodeAt(end - 1) === 47;
+			const body = text.slice(pos + 1, selfClosing ? end - 1 : end);
+			const nameEnd = body.search(/[\s/]|$/);
+			const name = localName(body.slice(0, nameEnd));
+			/** @type {Record<string, string>} */
+			const attrs = {};
+			ATTRIBUTE_RE.lastIndex = nameEnd;
+			for (let m = ATTRIBUTE_RE.exec(body); m; m = ATTRIBUTE_RE.exec(body)) {
+				attrs[localName(m[1])] = decodeEntities(m[2] ?? m[3]);
+			}
+			handlers.open?.(name, attrs);
+			if (selfClosing) handlers.close?.(name);
+		}
+		pos = end + 1;
+	}
+	return pos;
+}
@@ -0,0 +1,403 @@
+/**
+ * @file Reads and writes ZIP archives, the container of .xlsx files. Inflating and
+ * deflating is left to the platform's `DecompressionStream`/`CompressionStream`
+ * ('deflate-raw'), so the same code runs in browsers, workers and Node.
+ *   - reading goes by the central directory; entries are stored or deflated and
+ *     come out as streams, so a large worksheet is never inflated whole
+ *   - writing streams each entry through the compressor and puts its CRC and sizes
+ *     in a data descriptor after the data
+ * ZIP64, encrypted and multi-disk archives are not supported.
+ */
+
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const END_OF_CENTRAL_DIRECTORY_SIZE = 22;
+const LOCAL_HEADER_SIZE = 30;
+const CENTRAL_HEADER_SIZE = 46;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x1;
+const FLAG_DATA_DESCRIPTOR = 0x8;
+const FLAG_UTF8_NAME = 0x800;
+/** Size of the pieces a byte array is streamed in */
+const STREAM_PIECE_BYTES = 64 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+/** @typedef {Blob|ArrayBuffer|Uint8Array} ZipSource */
+
+/**
+ * @typedef {Object} ZipEntry
+ * @property {string} name
+ * @property {number} method - 0 stored, 8 deflated
+ * @property {number} compressedSize
+ * @property {number} size
+ * @property {number} headerOffset - Where the entry's local header starts
+ */
+
+/**
+ * Random access to an archive's entries. A Blob (such as a File) is read a slice at
+ * a time rather than loaded whole.
+ */
+export class ZipReader {
+	/**
+	 * @param {ZipSource} source
+	 * @param {Map<string, ZipEntry>} entries
+	 */
+	constructor(source, entries) {
+		this._source = source instanceof ArrayBuffer ? new Uint8Array(source) : source;
+		/** @type {Map<string, ZipEntry>} */
+		this.entries = entries;
+	}
+
+	/**
+	 * Reads an archive's central directory.
+	 * @param {ZipSource} source
+	 * @returns {Promise<ZipReader>}
+	 * @throws {Error} When the source is not a ZIP archive or uses ZIP64
+	 */
+	static async open(source) {
+		const bytes = source instanceof ArrayBuffer ? new Uint8Array(source) : source;
+		const size = byteSize(bytes);
+		const tailStart = Math.max(0, size - END_OF_CENTRAL_DIRECTORY_SIZE - 0xffff);
+		const tail = await readBytes(bytes, tailStart, size);
+		let end = -1;
+		for (let i = tail.length - END_OF_CENTRAL_DIRECTORY_SIZE; i >= 0; i--) {
+			if (readU32(tail, i) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+				end = i;
+				break;
+			}
+		}
+		if (end === -1) throw new Error('Not a ZIP archive: no end of central directory');
+		const count = readU16(tail, end + 10);
+		const directorySize = readU32(tail, end + 12);
+		const directoryOffset = readU32(tail, end + 16);
+		if (count === 0xffff || directoryOffset === 0xffffffff) {
+			throw new Error('ZIP64 archives are not supported');
+		}
+
+		const directory = await readBytes(bytes, directoryOffset, directoryOffset + directorySize);
+		/** @type {Map<string, ZipEntry>} */
+		const entries = new Map();
+		let pos = 0;
+		for (let i = 0; i < count; i++) {
+			if (readU32(directory, pos) !== CENTRAL_HEADER_SIGNATURE) {
+				throw new Error('Corrupt ZIP central directory');
+			}
+			const flags = readU16(directory, pos + 8);
+			const nameLength = readU16(directory, pos + 28);
+			const extraLength = readU16(directory, pos + 30);
+			const commentLength = readU16(directory, pos + 32);
+			const name = decoder.decode(
+				directory.subarray(pos + CENTRAL_HEADER_SIZE, pos + CENTRAL_HEADER_SIZE + nameLength)
+			);
+			if (flags & FLAG_ENCRYPTED) throw new Error(`Encrypted ZIP entry ${name} is not supported`);
+			entries.set(name, {
+				name,
+				method: readU16(directory, pos + 10),
+				compressedSize: readU32(directory, pos + 20),
+				size: readU32(directory, pos + 24),
+				headerOffset: readU32(directory, pos + 42)
+			});
+			pos += CENTRAL_HEADER_SIZE + nameLength + extraLength + commentLength;
+		}
+		return new ZipReader(bytes, entries);
+	}
+
+	/**
+	 * @param {string} name
+	 * @returns {boolean}
+	 */
+	has(name) {
+		return this.entries.has(name);
+	}
+
+	/**
+	 * Streams an entry's uncompressed bytes.
+	 * @param {string} name
+	 * @returns {Promise<ReadableStream<Uint8Array>>}
+	 * @throws {Error} When there is no such entry or it is compressed some other way
+	 */
+	async stream(name) {
+		const entry = this.entries.get(name);
+		if (!entry) throw new Error(`No ${name} in the archive`);
+		const header = await readBytes(
+			this._source,
+			entry.headerOffset,
+			entry.headerOffset + LOCAL_HEADER_SIZE
+		);
+		if (readU32(header, 0) !== LOCAL_HEADER_SIGNATURE) {
+			throw new Error(`Corrupt ZIP entry ${name}`);
+		}
+		const dataStart =
+			entry.headerOffset + LOCAL_HEADER_SIZE + readU16(header, 26) + readU16(header, 28);
+		const raw = streamBytes(this._source, dataStart, dataStart + entry.compressedSize);
+		if (entry.method === METHOD_STORED) return raw;
+		if (entry.method === METHOD_DEFLATED) {
+			return raw.pipeThrough(new DecompressionStream('deflate-raw'));
+		}
+		throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+	}
+
+	/**
+	 * Reads an entry whole as UTF-8 text.
+	 * @param {string} name
+	 * @returns {Promise<string>}
+	 */
+	async text(name) {
+		const reader = (await this.stream(name)).pipeThrough(new TextDecoderStream()).getReader();
+		let text = '';
+		for (;;) {
+			const { done, value } = await reader.read();
+			if (done) return text;
+			text += value;
+		}
+	}
+}
+
+/**
+ * Builds an archive entry by entry. Each entry is deflated as its content arrives,
+ * so only the compressed bytes are held until `finish`.
+ */
+export class ZipWriter {
+	constructor() {
+		/** @type {Uint8Array[]} */
+		this._parts = [];
+		/** @type {number} Bytes written so far */
+		this._offset = 0;
+		/** @type {(ZipEntry & { crc:number, nameBytes:Uint8Array })[]} */
+		this._entries = [];
+		this._time = dosDateTime(new Date());
+	}
+
+	/**
+	 * Adds a deflated entry. Entries must be added one at a time.
+	 * @param {string} name
+	 * @param {string|Uint8Array|Iterable<string|Uint8Array>|AsyncIterable<string|Uint8Array>} content -
+	 *   Strings are written as UTF-8
+	 * @returns {Promise<void>}
+	 */
+	async add(name, content) {
+		const nameBytes = encoder.encode(name);
+		const headerOffset = this._offset;
+		const header = new Uint8Array(LOCAL_HEADER_SIZE + nameBytes.length);
+		writeU32(header, 0, LOCAL_HEADER_SIGNATURE);
+		writeU16(header, 4, 20);
+		writeU16(header, 6, FLAG_DATA_DESCRIPTOR | FLAG_UTF8_NAME);
+		writeU16(header, 8, METHOD_DEFLATED);
+		writeU16(header, 10, this._time.time);
+		writeU16(header, 12, this._time.date);
+		// CRC and sizes follow the data in a descriptor
+		writeU16(header, 26, nameBytes.length);
+		header.set(nameBytes, LOCAL_HEADER_SIZE);
+		this._push(header);
+
+		const compressor = new CompressionStream('deflate-raw');
+		const writer = compressor.writable.getWriter();
+		const startOffset = this._offset;
+		// Drain the compressor while writing to it, or its backpressure stalls the writes
+		const drained = (async () => {
+			const reader = compressor.readable.getReader();
+			for (;;) {
+				const { done, value } = await reader.read();
+				if (done) return;
+				this._push(value);
+			}
+		})();
+		let crc = 0;
+		let size = 0;
+		/** @param {string|Uint8Array} piece */
+		const write = async (piece) => {
+			const bytes = typeof piece === 'string' ? encoder.encode(piece) : piece;
+			if (bytes.length === 0) return;
+			crc = crc32(bytes, crc);
+			size += bytes.length;
+			await writer.write(bytes);
+		};
+		if (typeof content === 'string' || content instanceof Uint8Array) await write(content);
+		else for await (const piece of content) await write(piece);
+		await writer.close();
+		await drained;
+		const compressedSize = this._offset - startOffset;
+
+		const descriptor = new Uint8Array(16);
+		writeU32(descriptor, 0, DATA_DESCRIPTOR_SIGNATURE);
+		writeU32(descriptor, 4, crc);
+		writeU32(descriptor, 8, compressedSize);
+		writeU32(descriptor, 12, size);
+		this._push(descriptor);
+		this._entries.push({
+			name,
+			nameBytes,
+			method: METHOD_DEFLATED,
+			crc,
+			compressedSize,
+			size,
+			headerOffset
+		});
+	}
+
+	/**
+	 * Writes the central directory and returns the whole archive.
+	 * @returns {Uint8Array}
+	 */
+	finish() {
+		const directoryOffset = this._offset;
+		for (const entry of this._entries) {
+			const record = new Uint8Array(CENTRAL_HEADER_SIZE + entry.nameBytes.length);
+			writeU32(record, 0, CENTRAL_HEADER_SIGNATURE);
+			writeU16(record, 4, 20);
+			writeU16(record, 6, 20);
+			writeU16(record, 8, FLAG_DATA_DESCRIPTOR | FLAG_UTF8_NAME);
+			writeU16(record, 10, entry.method);
+			writeU16(record, 12, this._time.time);
+			writeU16(record, 14, this._time.date);
+			writeU32(record, 16, entry.crc);
+			writeU32(record, 20, entry.compressedSize);
+			writeU32(record, 24, entry.size);
+			writeU16(record, 28, entry.nameBytes.length);
+			writeU32(record, 42, entry.headerOffset);
+			record.set(entry.nameBytes, CENTRAL_HEADER_SIZE);
+			this._push(record);
+		}
+		const end = new Uint8Array(END_OF_CENTRAL_DIRECTORY_SIZE);
+		writeU32(end, 0, END_OF_CENTRAL_DIRECTORY_SIGNATURE);
+		writeU16(end, 8, this._entries.length);
+		writeU16(end, 10, this._entries.length);
+		writeU32(end, 12, this._offset - directoryOffset);
+		writeU32(end, 16, directoryOffset);
+		this._push(end);
+
+		const out = new Uint8Array(this._offset);
+		let pos = 0;
+		for (const part of this._parts) {
+			out.set(part, pos);
+			pos += part.length;
+		}
+		return out;
+	}
+
+	/**
+	 * @private
+	 * @param {Uint8Array} bytes
+	 */
+	_push(bytes) {
+		this._parts.push(bytes);
+		this._offset += bytes.length;
+	}
+}
+
+/** @type {Uint32Array|null} */
+let crcTable = null;
+
+/**
+ * Updates a CRC-32 (as ZIP uses it) with more bytes.
+ * @param {Uint8Array} bytes
+ * @param {number} [crc] - The CRC of the bytes before these, 0 to start
+ * @returns {number}
+ */
+export function crc32(bytes, crc = 0) {
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+			crcTable[n] = c;
+		}
+	}
+	let c = crc ^ 0xffffffff;
+	for (let i = 0; i < bytes.length; i++) c = crcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+	return (c ^ 0xffffffff) >>> 0;
+}
+
+/** @param {Blob|Uint8Array} source */
+function byteSize(source) {
+	return source instanceof Uint8Array ? source.length : source.size;
+}
+
+/**
+ * @param {Blob|Uint8Array} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {Promise<Uint8Array>}
+ */
+async function readBytes(source, start, end) {
+	if (source instanceof Uint8Array) return source.subarray(start, end);
+	return new Uint8Array(await source.slice(start, end).arrayBuffer());
+}
+
+/**
+ * @param {Blob|Uint8Array} source
+ * @param {number} start
+ * @param {number} end
+ * @returns {ReadableStream<Uint8Array>}
+ */
+function streamBytes(source, start, end) {
+	if (!(source instanceof Uint8Array)) return source.slice(start, end).stream();
+	let pos = start;
+	return new ReadableStream({
+		pull(controller) {
+			if (pos >= end) {
+				controller.close();
+				return;
+			}
+			const next = Math.min(end, pos + STREAM_PIECE_BYTES);
+			controller.enqueue(source.slice(pos, next));
+			pos = next;
+		}
+	});
+}
+
+/** @param {Date} date */
+function dosDateTime(date) {
+	return {
+		time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+		date:
+			((Math.max(1980, date.getFullYear()) - 1980) << 9) |
+			((date.getMonth() + 1) << 5) |
+			date.getDate()
+	};
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ */
+function readU16(bytes, pos) {
+	return bytes[pos] | (bytes[pos + 1] << 8);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ */
+function readU32(bytes, pos) {
+	return (
+		(bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0
+	);
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @param {number} value
+ */
+function writeU16(bytes, pos, value) {
+	bytes[pos] = value & 0xff;
+	bytes[pos + 1] = (value >>> 8) & 0xff;
+}
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {number} pos
+ * @param {number} value
+ */
+function writeU32(bytes, pos, value) {
+	bytes[pos] = value & 0xff;
+	bytes[pos + 1] = (value >>> 8) & 0xff;
+	bytes[pos + 2] = (value >>> 16) & 0xff;
+	bytes[pos + 3] = (value >>> 24) & 0xff;
+}
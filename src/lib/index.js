@@ -1,2 +1,6 @@
 // Reexport your entry components here
 export { default } from '../components/Radsheet/index.svelte';
+export { createHttpRelayTransport, createWebSocketTransport } from '../domain/sync/transports.js';
+export { SyncRelay } from '../domain/sync/SyncRelay.js';
+export { readXlsx } from '../domain/xlsx/readXlsx.js';
+export { writeXlsx } from '../domain/xlsx/writeXlsx.js';
@@ -0,0 +1,80 @@
+/**
+ * Reference relay for collaborative editing, for trying sync out locally. Rooms live
+ * in this server process's memory and are lost when it restarts.
+ *  - GET ?room=&since= streams the room's batches after `since` and every new one as
+ *    Server-Sent Events, with the batch's seq as the event id
+ *  - POST ?room= takes a batch from a client (see SyncRelay) and answers with its seq;
+ *    presence messages (see PresenceStore) are passed on to the room as they are
+ */
+import { json } from '@sveltejs/kit';
+import { SyncRelay } from '../../../domain/sync/SyncRelay.js';
+
+/** @type {Map<string, { relay: SyncRelay, subscribers: Set<(message: object) => void> }>} */
+const rooms = new Map();
+
+/** @param {URL} url */
+function getRoom(url) {
+	const name = url.searchParams.get('room') || 'default';
+	let room = rooms.get(name);
+	if (!room) {
+		room = { relay: new SyncRelay(), subscribers: new Set() };
+		rooms.set(name, room);
+	}
+	return room;
+}
+
+/** @type {import('@sveltejs/kit').RequestHandler} */
+export function GET({ url, request }) {
+	const room = getRoom(url);
+	// EventSource reconnects with the id of the last event it got
+	const since = Math.max(
+		Number(url.searchParams.get('since') || 0),
+		Number(request.headers.get('last-event-id') || 0)
+	);
+	const encoder = new TextEncoder();
+	/** @type {(message: object) => void} */
+	let subscriber;
+
+	const stream = new ReadableStream({
+		start(controller) {
+			subscriber = (message) => {
+				// Presence is not in the log, so it must not move the resume point
+				const id = 'seq' in message ? `id: ${message.seq}\n` : '';
+				const event = `${id}data: ${JSON.stringify(message)}\n\n`;
+				controller.enqueue(encoder.encode(event));
+			};
+			for (const message of room.relay.since(since)) subscriber(message);
+			room.subscribers.add(subscriber);
+		},
+		cancel() {
+			room.subscribers.delete(subscriber);
+		}
+	});
+
+	return new Response(stream, {
+		headers: {
+			'content-type': 'text/event-stream',
+			'cache-control': 'no-cache'
+		}
+	});
+}
+
+/** @type {import('@sveltejs/kit').RequestHandler} */
+export async function POST({ url, request }) {
+	const room = getRoom(url);
+	const seq = room.relay.seq;
+	let message;
+	try {
+		message = await request.json();
+		if (message?.type === 'presence') {
+			for (const subscriber of room.subscribers) subscriber(message);
+			return new Response(null, { status: 204 });
+		}
+		message = room.relay.receive(message);
+	} catch (err) {
+		return json({ error: err instanceof Error ? err.message : String(err) }, { status: 400 });
+	}
+	// A resent batch went out when it first arrived
+	if (message.seq > seq) for (const subscriber of room.subscribers) subscriber(message);
+	return json({ seq: message.seq });
+}
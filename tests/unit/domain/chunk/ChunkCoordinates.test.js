@@ -1,5 +1,9 @@
 import { describe, it, expect } from 'vitest';
-import { computeLocalIndexWithinChunk } from '../../../../src/domain/chunk/ChunkCoordinates.js';
+import {
+	computeLocalIndexWithinChunk,
+	makeChunkKey,
+	splitChunkKey
+} from '../../../../src/domain/chunk/ChunkCoordinates.js';
 
 describe('ChunkCoordinates', () => {
 	it('computeLocalIndexWithinChunk calculates the correct index', () => {
@@ -16,4 +20,10 @@ describe('ChunkCoordinates', () => {
 		expect(computeLocalIndexWithinChunk(63, 63)).toBe(4095);
 		expect(computeLocalIndexWithinChunk(127, 191)).toBe(4095); // Also (63,63) in a different chunk
 	});
+
+	it('splitChunkKey reverses makeChunkKey', () => {
+		expect(splitChunkKey(makeChunkKey(0, 0))).toEqual([0, 0]);
+		expect(splitChunkKey(makeChunkKey(15, 3))).toEqual([15, 3]);
+		expect(splitChunkKey(makeChunkKey(70000, 1023))).toEqual([70000, 1023]);
+	});
 });
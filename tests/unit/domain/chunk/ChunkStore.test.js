@@ -0,0 +1,246 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { ChunkStore } from '../../../../src/domain/chunk/ChunkStore.js';
+import { IndexedDbChunkBackend } from '../../../../src/domain/chunk/IndexedDbChunkBackend.js';
+import { encodeChunk, decodeChunk } from '../../../../src/domain/chunk/ChunkCodec.js';
+import { createSparseChunk, createDenseChunk } from '../../../../src/domain/chunk/ChunkFactory.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { makeChunkKey } from '../../../../src/domain/chunk/ChunkCoordinates.js';
+import { formulaError, ERROR_NA } from '../../../../src/domain/formula/errors.js';
+import { dateValue } from '../../../../src/domain/dates/DateValue.js';
+
+/** Resolves once every pending write and read has settled */
+const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+function sparseWith(entries) {
+	const chunk = createSparseChunk();
+	for (const [i, v] of entries) chunk.localIndexToValue.set(i, v);
+	chunk.nonEmptyCellCount = entries.length;
+	return chunk;
+}
+
+describe('ChunkCodec', () => {
+	it('round-trips every kind of sparse value', () => {
+		const values = [
+			[0, 42],
+			[5, 'text'],
+			[6, true],
+			[7, false],
+			[64, formulaError(ERROR_NA)],
+			[4095, dateValue(45000.5)],
+			[100, '=A1+1']
+		];
+		const chunk = decodeChunk(encodeChunk(sparseWith(values)));
+		expect(chunk.kind).toBe('sparse');
+		expect(chunk.nonEmptyCellCount).toBe(values.length);
+		expect(chunk.isDirty).toBe(false);
+		for (const [i, v] of values) expect(chunk.localIndexToValue.get(i)).toBe(v);
+	});
+
+	it('keeps dense chunks as typed arrays', () => {
+		const dense = createDenseChunk();
+		dense.tagByLocalIndex[3] = 1;
+		dense.numberByLocalIndex[3] = 7;
+		dense.nonEmptyCellCount = 1;
+		const record = encodeChunk(dense);
+		expect(record.tagByLocalIndex).toBeInstanceOf(Uint8Array);
+		const copy = decodeChunk(structuredClone(record));
+		expect(copy.kind).toBe('dense');
+		expect(copy.numberByLocalIndex[3]).toBe(7);
+	});
+});
+
+describe('ChunkStore', () => {
+	/** @type {IndexedDbChunkBackend} */
+	let backend;
+
+	beforeEach(() => {
+		backend = new IndexedDbChunkBackend({ indexedDB: new IDBFactory() });
+	});
+
+	it('never evicts without a backend', () => {
+		const store = new ChunkStore({ capacity: 1 });
+		store.set(1, sparseWith([[0, 1]]));
+		store.set(2, sparseWith([[0, 2]]));
+		expect(store.hotSize).toBe(2);
+		expect(store.spilledSize).toBe(0);
+	});
+
+	it('evicts the least recently used chunk past capacity', async () => {
+		const store = new ChunkStore({ capacity: 2, backend });
+		store.set(1, sparseWith([[0, 'one']]));
+		store.set(2, sparseWith([[0, 'two']]));
+		store.get(1);
+		store.set(3, sparseWith([[0, 'three']]));
+		expect(Array.from(store.keys())).toEqual([1, 3]);
+		expect(store.isSpilled(2)).toBe(true);
+		expect(store.size).toBe(3);
+		await settle();
+		expect(await backend.get(2)).toBeDefined();
+	});
+
+	it('faults a spilled chunk back in asynchronously', async () => {
+		const store = new ChunkStore({ capacity: 1, backend });
+		const loaded = [];
+		store.onLoad((key) => loaded.push(key));
+		store.set(1, sparseWith([[0, 'one']]));
+		store.set(2, sparseWith([[0, 'two']]));
+		await settle();
+
+		expect(store.get(1)).toBeUndefined();
+		await store.load(1);
+		expect(loaded).toEqual([1]);
+		expect(store.get(1).localIndexToValue.get(0)).toBe('one');
+		// Chunk 2 made room for it
+		expect(store.isSpilled(2)).toBe(true);
+	});
+
+	it('revives a chunk synchronously while its write is in flight', () => {
+		const store = new ChunkStore({ capacity: 1, backend });
+		store.set(1, sparseWith([[0, 'one']]));
+		store.set(2, sparseWith([[0, 'two']]));
+		expect(store.get(1).localIndexToValue.get(0)).toBe('one');
+	});
+
+	it('skips rewriting unchanged chunks', async () => {
+		const store = new ChunkStore({ capacity: 1, backend });
+		let puts = 0;
+		const put = backend.put.bind(backend);
+		backend.put = (key, record) => {
+			puts++;
+			return put(key, record);
+		};
+		store.set(1, sparseWith([[0, 'one']]));
+		store.set(2, sparseWith([[0, 'two']]));
+		await settle();
+		await store.load(1); // spills 2
+		await settle();
+		await store.load(2); // spills 1, which is clean
+		await settle();
+		expect(puts).toBe(2);
+	});
+
+	it('deletes spilled chunks from the backend', async () => {
+		const store = new ChunkStore({ capacity: 1, backend });
+		store.set(1, sparseWith([[0, 'one']]));
+		store.set(2, sparseWith([[0, 'two']]));
+		await settle();
+		expect(store.delete(1)).toBe(true);
+		expect(store.has(1)).toBe(false);
+		await settle();
+		expect(await backend.get(1)).toBeUndefined();
+	});
+});
+
+describe('Sheet with a spilling chunk store', () => {
+	function makeSheet(capacity) {
+		return new Sheet({
+			chunkStore: new ChunkStore({
+				capacity,
+				backend: new IndexedDbChunkBackend({ indexedDB: new IDBFactory() })
+			})
+		});
+	}
+
+	it('reads spilled cells as empty until their chunk is loaded', async () => {
+		const sheet = makeSheet(2);
+		for (let block = 0; block < 4; block++) sheet.setValue(block * 64, 0, 'row ' + block * 64);
+		await settle();
+		expect(sheet.hasSpilledChunks()).toBe(true);
+
+		let notified = 0;
+		sheet.onChunksLoaded(() => notified++);
+		expect(sheet.getValue(0, 0)).toBeNull();
+		await sheet.loadRange(0, 0, 0, 0);
+		expect(notified).toBe(1);
+		expect(sheet.getValue(0, 0)).toBe('row 0');
+	});
+
+	it('recomputes formulas that read a spilled cell', async () => {
+		const sheet = makeSheet(2);
+		sheet.setValue(0, 0, 5);
+		sheet.setValue(64, 0, 1);
+		sheet.setValue(128, 0, '=A1+1');
+		await settle();
+
+		expect(sheet.getValue(128, 0)).toBe(1);
+		await sheet.loadRange(0, 0, 0, 0);
+		expect(sheet.getValue(128, 0)).toBe(6);
+	});
+
+	it('refuses to write into a spilled chunk', async () => {
+		const sheet = makeSheet(1);
+		sheet.setValue(0, 0, 'a');
+		sheet.setValue(64, 0, 'b');
+		await settle();
+		expect(() => sheet.setValue(0, 1, 'c')).toThrow(/still in storage/);
+		await sheet.loadRange(0, 0, 0, 1);
+		sheet.setValue(0, 1, 'c');
+		expect(sheet.getValue(0, 1)).toBe('c');
+	});
+
+	it('inserts rows once every chunk is loaded', async () => {
+		const sheet = makeSheet(1);
+		sheet.setValue(0, 0, 'a');
+		sheet.setValue(64, 0, 'b');
+		await settle();
+		expect(() => sheet.insertRows(0, 1)).toThrow(/withAllChunksLoaded/);
+		await sheet.withAllChunksLoaded(() => sheet.insertRows(0, 1));
+		await sheet.loadRange(0, 0, 65, 0);
+		await sheet.withAllChunksLoaded(() => {
+			expect(sheet.getValue(1, 0)).toBe('a');
+			expect(sheet.getValue(65, 0)).toBe('b');
+		});
+	});
+
+	it('keeps an undo that touches a spilled chunk until it is loaded', async () => {
+		const sheet = makeSheet(1);
+		sheet.transact(() => {
+			sheet.setValue(0, 0, 'a');
+			sheet.setValue(64, 0, 'b');
+		});
+		await settle();
+		expect(() => sheet.undo()).toThrow(/withHistoryLoaded/);
+		expect(sheet.canUndo()).toBe(true);
+		expect(sheet.canRedo()).toBe(false);
+
+		await sheet.withHistoryLoaded('undo', () => sheet.undo());
+		await sheet.loadRange(0, 0, 64, 0);
+		expect(sheet.getValue(0, 0)).toBeNull();
+		expect(sheet.getValue(64, 0)).toBeNull();
+		expect(sheet.canRedo()).toBe(true);
+	});
+
+	it('refuses to delete a block that is partly in storage', async () => {
+		const sheet = makeSheet(1);
+		sheet.setValue(0, 0, 'a');
+		sheet.setValue(64, 0, 'b');
+		await settle();
+		expect(() => sheet.deleteBlock(0, 0, 64, 0)).toThrow(/still in storage/);
+		expect(sheet.getValue(64, 0)).toBe('b');
+		await sheet.withRangeLoaded(0, 0, 64, 0, () => sheet.deleteBlock(0, 0, 64, 0));
+		await sheet.loadRange(0, 0, 64, 0);
+		expect(sheet.getValue(0, 0)).toBeNull();
+	});
+
+	it('estimates only the chunks in memory', async () => {
+		const inMemory = new Sheet();
+		const spilling = makeSheet(1);
+		for (const sheet of [inMemory, spilling]) {
+			for (let r = 0; r < 64 * 4; r += 64) sheet.setValue(r, 0, 12345);
+		}
+		await settle();
+		expect(spilling.estimatedBytesInHotCache()).toBeGreaterThan(0);
+		expect(spilling.estimatedBytesInHotCache()).toBeLessThan(inMemory.estimatedBytesInHotCache());
+	});
+
+	it('counts dense chunks by their typed arrays', () => {
+		const sheet = new Sheet();
+		const before = sheet.estimatedBytesInHotCache();
+		for (let r = 0; r < 64; r++) {
+			for (let c = 0; c < 64; c++) sheet.setValue(r, c, r + c);
+		}
+		expect(sheet._chunks.get(makeChunkKey(0, 0)).kind).toBe('dense');
+		expect(sheet.estimatedBytesInHotCache() - before).toBeGreaterThanOrEqual(4096 * 13);
+	});
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest';
+import {
+	parseDelimited,
+	parseDelimitedChunks,
+	createDelimitedParser,
+	formatDelimited
+} from '../../../../src/domain/clipboard/delimited.js';
+import {
+	serialize2DToTSV,
+	parseTSVTo2D,
+	parseTSVChunks
+} from '../../../../src/domain/clipboard/tsv.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+
+describe('delimited', () => {
+	it('reads quoted fields with delimiters, quotes and line breaks', () => {
+		const text = '\uFEFFname,note\r\n"Smith, J","said ""hi""\r\nthen left"\r\nplain,\n';
+		expect(parseDelimited(text)).toEqual([
+			['name', 'note'],
+			['Smith, J', 'said "hi"\r\nthen left'],
+			['plain', '']
+		]);
+	});
+
+	it('is lenient with stray quotes like spreadsheet apps', () => {
+		expect(parseDelimited('5" screen\t"a"b\n"open', { delimiter: '\t' })).toEqual([
+			['5" screen', 'ab'],
+			['"open']
+		]);
+	});
+
+	it('round-trips fields that need quoting', () => {
+		const rows = [
+			['a,b', '"quoted"', 'two\nlines', ''],
+			['x', 'tab\there', 'cr\r', ' ']
+		];
+		for (const delimiter of [',', '\t', ';']) {
+			expect(parseDelimited(formatDelimited(rows, { delimiter }), { delimiter })).toEqual(rows);
+		}
+	});
+
+	it('parses text arriving in pieces the same as all at once', () => {
+		const text = 'a,"b\r\nc","d""e"\r\n1,2,3\r\n"",x,\r\n';
+		const whole = parseDelimited(text);
+		for (let size = 1; size <= 5; size++) {
+			const parser = createDelimitedParser();
+			const rows = [];
+			for (let i = 0; i < text.length; i += size)
+				rows.push(...parser.push(text.slice(i, i + size)));
+			rows.push(...parser.finish());
+			expect(rows).toEqual(whole);
+		}
+	});
+
+	it('reads rows a chunk at a time', () => {
+		const text = 'a,"multi\nline"\nb,2\nc,3\n"d\r\n",4\ne,';
+		const chunks = parseDelimitedChunks(text, 2);
+		expect(chunks.next().value).toEqual([
+			['a', 'multi\nline'],
+			['b', '2']
+		]);
+		expect([...chunks]).toEqual([
+			[
+				['c', '3'],
+				['d\r\n', '4']
+			],
+			[['e', '']]
+		]);
+		expect([...parseDelimitedChunks('', 2)]).toEqual([]);
+	});
+
+	it('rejects delimiters that cannot work', () => {
+		expect(() => parseDelimited('a', { delimiter: '"' })).toThrow();
+		expect(() => parseDelimited('a', { delimiter: '::' })).toThrow();
+	});
+});
+
+describe('TSV clipboard', () => {
+	it('keeps tabs and line breaks inside cells through copy and paste', () => {
+		const values = [
+			['line 1\nline 2', 'a\tb', 3],
+			['say "x"', null, true]
+		];
+		const tsv = serialize2DToTSV(values);
+		expect(tsv).toBe('"line 1\nline 2"\t"a\tb"\t3\n"say ""x"""\t\tTRUE');
+		expect(parseTSVTo2D(tsv)).toEqual(values);
+		const sheet = new Sheet();
+		expect(sheet.deserializeTSV(1, 1, tsv)).toEqual({ rows: 2, cols: 3, writeCount: 5 });
+		expect(sheet.getValue(1, 1)).toBe('line 1\nline 2');
+		expect(sheet.serializeRangeToTSV(1, 1, 2, 3)).toBe(tsv);
+	});
+
+	it('parses TSV chunks as cell values with their row offsets', () => {
+		const chunks = [...parseTSVChunks('1\tx\n2\t=A1\nTRUE\t', 2)];
+		expect(chunks).toEqual([
+			{
+				rowOffset: 0,
+				values: [
+					[1, 'x'],
+					[2, '=A1']
+				]
+			},
+			{ rowOffset: 2, values: [[true, null]] }
+		]);
+	});
+
+	it('finds the used range', () => {
+		const sheet = new Sheet();
+		expect(sheet.getUsedRange()).toBeNull();
+		sheet.setValue(4, 1, 'x');
+		sheet.setValue(0, 6, 1);
+		expect(sheet.getUsedRange()).toEqual({ r2: 4, c2: 6 });
+	});
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect } from 'vitest';
+import { formatHtmlTable, parseHtmlTable } from '../../../../src/domain/clipboard/html.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { SheetView } from '../../../../src/domain/view/SheetView.js';
+
+describe('HTML clipboard tables', () => {
+	it('places cells around rowspan and colspan and reads them as merges', () => {
+		const table = parseHtmlTable(
+			'<table><tr><td rowspan="2">A</td><td colspan="2">B</td></tr>' +
+				'<tr><td>C</td><td>D</td></tr></table>'
+		);
+		expect(table.rows).toBe(2);
+		expect(table.cols).toBe(3);
+		expect(table.values).toEqual([
+			['A', 'B', null],
+			[null, 'C', 'D']
+		]);
+		expect(table.merges).toEqual([
+			{ r1: 0, c1: 0, r2: 1, c2: 0 },
+			{ r1: 0, c1: 1, r2: 0, c2: 2 }
+		]);
+	});
+
+	it('reads numbers from Excel, Google Sheets and formatted text', () => {
+		const table = parseHtmlTable(
+			'<table><tr>' +
+				'<td x:num="1234.5">$1,234.50</td>' +
+				'<td data-sheets-value=\'{"1":3,"3":0.25}\'>25%</td>' +
+				'<td>(1,000)</td><td>12%</td><td>007</td><td>42</td><td x:str>42</td>' +
+				'</tr></table>'
+		);
+		expect(table.values[0]).toEqual([1234.5, 0.25, -1000, 0.12, '007', 42, '42']);
+	});
+
+	it('maps inline CSS, class rules and tags to cell styles', () => {
+		const html = `<html><head><style>
+			<!-- .xl65 { font-weight:700; background:#FFFF00; border-bottom:.5pt solid windowtext } -->
+			</style></head><body><table><tr>
+			<td class="xl65">a</td>
+			<td style="color: rgb(255, 0, 0); text-align: center; font-style: italic">b</td>
+			<td><b>c</b></td>
+			<th>d</th>
+			</tr></table></body></html>`;
+		const { styles } = parseHtmlTable(html);
+		expect(styles[0][0]).toEqual({
+			bold: true,
+			fill: '#ffff00',
+			borderBottom: { style: 'thin', color: '#000000' }
+		});
+		expect(styles[0][1]).toEqual({ color: '#ff0000', hAlign: 'center', italic: true });
+		expect(styles[0][2]).toEqual({ bold: true });
+		expect(styles[0][3]).toEqual({ bold: true, hAlign: 'center' });
+	});
+
+	it('keeps line breaks and collapses other white space', () => {
+		const table = parseHtmlTable(
+			'<table><tr><td>  one\n  two<br>three&nbsp;four </td></tr></table>'
+		);
+		expect(table.values[0][0]).toBe('one two\nthree four');
+	});
+
+	it('returns null without a table', () => {
+		expect(parseHtmlTable('<p>just text</p>')).toBeNull();
+		expect(parseHtmlTable('')).toBeNull();
+	});
+
+	it('round-trips a styled, merged range through a sheet as one undo step', () => {
+		const source = new Sheet();
+		source.setValue(0, 0, 'Total');
+		source.setValue(1, 0, 1234.5);
+		source.setValue(1, 1, 'x < y & z');
+		source.formats.setNumberFormat(1, 0, 1, 0, '#,##0.00');
+		source.applyStyle(0, 0, 0, 1, { bold: true, fill: '#dde' });
+		source.mergeRange(0, 0, 0, 1);
+		const html = new SheetView(source).serializeRangeToHTML(0, 0, 1, 1);
+		expect(html).toContain('colspan="2"');
+		expect(html).toContain('x:num="1234.5"');
+		expect(html).toContain('x &lt; y &amp; z');
+
+		const target = new Sheet();
+		target.setValue(5, 5, 'keep');
+		const res = target.deserializeHTML(2, 3, html);
+		expect(res).toMatchObject({ rows: 2, cols: 2 });
+		expect(target.getValue(2, 3)).toBe('Total');
+		expect(target.getValue(3, 3)).toBe(1234.5);
+		expect(target.getValue(3, 4)).toBe('x < y & z');
+		expect(target.getStyle(2, 3)).toEqual({ bold: true, fill: '#ddddee' });
+		expect(target.merges.all()).toEqual([{ r1: 2, c1: 3, r2: 2, c2: 4 }]);
+
+		target.undo();
+		expect(target.getValue(2, 3)).toBeNull();
+		expect(target.getStyle(2, 3)).toEqual({});
+		expect(target.merges.all()).toEqual([]);
+		expect(target.getValue(5, 5)).toBe('keep');
+	});
+
+	it('writes borders and alignment as inline CSS', () => {
+		const html = formatHtmlTable([
+			[
+				{
+					text: 'a',
+					style: { hAlign: 'right', borderTop: { style: 'medium', color: '#112233' } }
+				}
+			]
+		]);
+		expect(html).toContain('style="text-align:right;border-top:2px solid #112233"');
+		expect(parseHtmlTable(html).styles[0][0]).toEqual({
+			hAlign: 'right',
+			borderTop: { style: 'medium', color: '#112233' }
+		});
+	});
+});
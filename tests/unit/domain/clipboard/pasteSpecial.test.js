@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import {
+	combineValues,
+	readClipboardBlock,
+	transposeBlock
+} from '../../../../src/domain/clipboard/pasteSpecial.js';
+import { dateValue } from '../../../../src/domain/dates/DateValue.js';
+import { formulaError } from '../../../../src/domain/formula/errors.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+
+describe('Paste Special', () => {
+	it('combines copied numbers with the destination', () => {
+		expect(combineValues(10, 5, 'add')).toBe(15);
+		expect(combineValues(null, 5, 'subtract')).toBe(-5);
+		expect(combineValues(10, null, 'multiply')).toBe(10);
+		expect(combineValues(10, 0, 'divide')).toBe(formulaError('#DIV/0!'));
+		expect(combineValues('label', 5, 'add')).toBe('label');
+		expect(combineValues(10, 'text', 'add')).toBe('text');
+		expect(combineValues('=A1*2', -5, 'add')).toBe('=(A1*2)+(-5)');
+		expect(combineValues(dateValue(45000), 7, 'add')).toBe(dateValue(45007));
+	});
+
+	it('transposes values and merges', () => {
+		const block = readClipboardBlock({
+			text: 'a\tb\tc\n1\t2',
+			merges: [{ r1: 0, c1: 0, r2: 0, c2: 1 }]
+		});
+		expect(block.values).toEqual([
+			['a', 'b', 'c'],
+			[1, 2, null]
+		]);
+		const flipped = transposeBlock(block);
+		expect(flipped.values).toEqual([
+			['a', 1],
+			['b', 2],
+			['c', null]
+		]);
+		expect(flipped.merges).toEqual([{ r1: 0, c1: 0, r2: 1, c2: 0 }]);
+	});
+
+	it('skips blanks, applies operations and undoes as one step', () => {
+		const sheet = new Sheet();
+		sheet.setValue(0, 0, 10);
+		sheet.setValue(0, 1, 'keep');
+		sheet.setValue(1, 0, '=A1*2');
+		sheet.setValue(1, 1, 3);
+		const res = sheet.pasteSpecial(
+			0,
+			0,
+			{ text: '5\t\n1\t\n' },
+			{ operation: 'multiply', skipBlanks: true }
+		);
+		expect(res).toMatchObject({ rows: 2, cols: 2 });
+		expect(sheet.getValue(0, 0)).toBe(50);
+		expect(sheet.getValue(0, 1)).toBe('keep');
+		expect(sheet.getFormula(1, 0)).toBe('=(A1*2)*1');
+		expect(sheet.getValue(1, 0)).toBe(100);
+		expect(sheet.getValue(1, 1)).toBe(3);
+
+		sheet.undo();
+		expect(sheet.getValue(0, 0)).toBe(10);
+		expect(sheet.getFormula(1, 0)).toBe('=A1*2');
+	});
+
+	it('pastes values only without touching styles or merges', () => {
+		const html =
+			'<table><tr><td colspan="2" style="font-weight:bold">Head</td></tr>' +
+			'<tr><td>1</td><td>2</td></tr></table>';
+		const sheet = new Sheet();
+		sheet.applyStyle(0, 0, 0, 0, { italic: true });
+		sheet.pasteSpecial(0, 0, { html }, { valuesOnly: true, transpose: true });
+		expect(sheet.getValue(0, 0)).toBe('Head');
+		expect(sheet.getValue(0, 1)).toBe(1);
+		expect(sheet.getValue(1, 1)).toBe(2);
+		expect(sheet.getStyle(0, 0)).toEqual({ italic: true });
+		expect(sheet.merges.all()).toEqual([]);
+
+		sheet.pasteSpecial(0, 0, { html }, {});
+		expect(sheet.getStyle(0, 0)).toEqual({ bold: true });
+		expect(sheet.merges.all()).toEqual([{ r1: 0, c1: 0, r2: 0, c2: 1 }]);
+	});
+});
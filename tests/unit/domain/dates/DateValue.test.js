@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+	dateValue,
+	dateToSerial,
+	serialToDateParts,
+	formatDateValue,
+	isValidDate
+} from '../../../../src/domain/dates/DateValue.js';
+
+describe('DateValue', () => {
+	it('uses spreadsheet serial numbers', () => {
+		expect(dateToSerial(1900, 3, 1)).toBe(61);
+		expect(dateToSerial(1970, 1, 1)).toBe(25569);
+		expect(dateToSerial(2024, 3, 5)).toBe(45356);
+		expect(dateToSerial(2024, 3, 5, 18, 0, 0)).toBe(45356.75);
+	});
+
+	it('converts serials back to calendar fields', () => {
+		expect(serialToDateParts(45356.75)).toEqual({
+			year: 2024,
+			month: 3,
+			day: 5,
+			hours: 18,
+			minutes: 0,
+			seconds: 0
+		});
+		// Rounds sub-second drift to the nearest second
+		expect(serialToDateParts(45356 + 86399.9999 / 86400).day).toBe(6);
+	});
+
+	it('shares instances per serial', () => {
+		expect(dateValue(45356)).toBe(dateValue(45356));
+		expect(dateValue(45356)).not.toBe(dateValue(45357));
+	});
+
+	it('formats as ISO text', () => {
+		expect(formatDateValue(dateValue(45356))).toBe('2024-03-05');
+		expect(formatDateValue(dateValue(dateToSerial(2024, 3, 5, 9, 30)))).toBe('2024-03-05 09:30');
+		expect(String(dateValue(dateToSerial(2024, 3, 5, 9, 30, 15)))).toBe('2024-03-05 09:30:15');
+	});
+
+	it('validates calendar dates', () => {
+		expect(isValidDate(2024, 2, 29)).toBe(true);
+		expect(isValidDate(2023, 2, 29)).toBe(false);
+		expect(isValidDate(2024, 13, 1)).toBe(false);
+		expect(isValidDate(2024, 4, 31)).toBe(false);
+	});
+});
@@ -0,0 +1,45 @@
+import { describe, it, expect } from 'vitest';
+import { parseDateText, parseIsoDate } from '../../../../src/domain/dates/parseDate.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
+
+const day = (y, m, d) => dateValue(dateToSerial(y, m, d));
+
+describe('parseDateText', () => {
+	it('parses ISO dates and datetimes', () => {
+		expect(parseIsoDate('2024-03-05')).toBe(day(2024, 3, 5));
+		expect(parseIsoDate('2024-03-05T14:30')).toBe(dateValue(dateToSerial(2024, 3, 5, 14, 30)));
+		expect(parseIsoDate('2024-03-05 14:30:15')).toBe(
+			dateValue(dateToSerial(2024, 3, 5, 14, 30, 15))
+		);
+		expect(parseIsoDate('2024-02-30')).toBe(null);
+		expect(parseIsoDate('2024-03-05T25:00')).toBe(null);
+	});
+
+	it('parses numeric dates using the requested day/month order', () => {
+		expect(parseDateText('3/5/2024', { dayFirst: false })).toBe(day(2024, 3, 5));
+		expect(parseDateText('3/5/2024', { dayFirst: true })).toBe(day(2024, 5, 3));
+		expect(parseDateText('25/12/2024', { dayFirst: false })).toBe(day(2024, 12, 25));
+		expect(parseDateText('05.03.2024', { dayFirst: false })).toBe(day(2024, 3, 5));
+		expect(parseDateText('2024/03/05')).toBe(day(2024, 3, 5));
+		expect(parseDateText('1/2/24', { dayFirst: false })).toBe(day(2024, 1, 2));
+		expect(parseDateText('1/2/95', { dayFirst: false })).toBe(day(1995, 1, 2));
+	});
+
+	it('parses month names and trailing times', () => {
+		expect(parseDateText('Mar 5, 2024')).toBe(day(2024, 3, 5));
+		expect(parseDateText('5 March 2024')).toBe(day(2024, 3, 5));
+		expect(parseDateText('March 5th 2024')).toBe(day(2024, 3, 5));
+		expect(parseDateText('3/5/2024 2:30 PM', { dayFirst: false })).toBe(
+			dateValue(dateToSerial(2024, 3, 5, 14, 30))
+		);
+		expect(parseDateText('Mar 5, 2024 12:00 AM')).toBe(day(2024, 3, 5));
+	});
+
+	it('rejects text that is not a date', () => {
+		expect(parseDateText('hello')).toBe(null);
+		expect(parseDateText('555-123-4567')).toBe(null);
+		expect(parseDateText('13/13/2024')).toBe(null);
+		expect(parseDateText('Foo 5, 2024')).toBe(null);
+		expect(parseDateText('3/5/2024 noon')).toBe(null);
+	});
+});
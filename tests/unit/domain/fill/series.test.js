@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { inferSeries } from '../../../../src/domain/fill/series.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+
+const take = (series, from, to) => {
+	const out = [];
+	for (let i = from; i <= to; i++) out.push(series(i));
+	return out;
+};
+
+describe('Fill series', () => {
+	it('continues numbers along their trend', () => {
+		expect(take(inferSeries([1, 2]), 2, 4)).toEqual([3, 4, 5]);
+		expect(take(inferSeries([0.1, 0.2]), 2, 3)).toEqual([0.3, 0.4]);
+		expect(take(inferSeries([10, 8]), -1, 3)).toEqual([12, 10, 8, 6, 4]);
+		expect(take(inferSeries([1, 2, 6]), 3, 3)).toEqual([8]);
+		expect(take(inferSeries([7]), 1, 2)).toEqual([7, 7]);
+	});
+
+	it('steps dates by days or whole months', () => {
+		const d = (y, m, day) => dateValue(dateToSerial(y, m, day));
+		expect(take(inferSeries([d(2024, 1, 1)]), 1, 2)).toEqual([d(2024, 1, 2), d(2024, 1, 3)]);
+		expect(take(inferSeries([d(2024, 1, 1), d(2024, 1, 8)]), 2, 2)).toEqual([d(2024, 1, 15)]);
+		expect(take(inferSeries([d(2023, 12, 31), d(2024, 1, 31)]), 2, 3)).toEqual([
+			d(2024, 2, 29),
+			d(2024, 3, 31)
+		]);
+	});
+
+	it('cycles weekday and month names in their own case', () => {
+		expect(take(inferSeries(['Fri']), 1, 3)).toEqual(['Sat', 'Sun', 'Mon']);
+		expect(take(inferSeries(['JANUARY', 'MARCH']), 2, 3)).toEqual(['MAY', 'JULY']);
+		expect(take(inferSeries(['Nov 2024']), 1, 2)).toEqual(['Dec 2024', 'Jan 2025']);
+	});
+
+	it('counts on numbered text and repeats anything else', () => {
+		expect(take(inferSeries(['Item-008']), 1, 2)).toEqual(['Item-009', 'Item-010']);
+		expect(take(inferSeries(['Q1', 'Q3']), 2, 2)).toEqual(['Q5']);
+		expect(take(inferSeries(['a', 'b']), 2, 4)).toEqual(['a', 'b', 'a']);
+		expect(take(inferSeries(['a', 1]), 2, 3)).toEqual(['a', 1]);
+	});
+});
+
+describe('Sheet.fillRange', () => {
+	it('fills series down and formulas, styles and formats with them, as one undo step', () => {
+		const sheet = new Sheet();
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(1, 0, 2);
+		sheet.setValue(0, 1, '=A1*2');
+		sheet.applyStyle(0, 0, 1, 0, { bold: true });
+		sheet.formats.setNumberFormat(0, 0, 1, 0, '0.00');
+		sheet.setValue(4, 0, 'keep');
+
+		sheet.fillRange({ r1: 0, c1: 0, r2: 1, c2: 1 }, { r1: 0, c1: 0, r2: 3, c2: 1 });
+		expect(sheet.getValue(2, 0)).toBe(3);
+		expect(sheet.getValue(3, 0)).toBe(4);
+		expect(sheet.getStyle(3, 0)).toEqual({ bold: true });
+		expect(sheet.formats.getNumberFormat(3, 0)).toBe('0.00');
+		expect(sheet.getFormula(2, 1)).toBe('=A3*2');
+		expect(sheet.getValue(2, 1)).toBe(6);
+		expect(sheet.getValue(3, 1)).toBeNull();
+		expect(sheet.getValue(4, 0)).toBe('keep');
+
+		sheet.undo();
+		expect(sheet.getValue(2, 0)).toBeNull();
+		expect(sheet.getFormula(2, 1)).toBeNull();
+		expect(sheet.getStyle(3, 0)).toEqual({});
+		expect(sheet.formats.getNumberFormat(3, 0)).toBeNull();
+		expect(sheet.formats.getNumberFormat(1, 0)).toBe('0.00');
+		sheet.redo();
+		expect(sheet.formats.getNumberFormat(3, 0)).toBe('0.00');
+	});
+
+	it('copies instead of counting without a series, and fills leftwards', () => {
+		const sheet = new Sheet();
+		sheet.setValue(0, 3, 5);
+		sheet.fillRange(
+			{ r1: 0, c1: 3, r2: 0, c2: 3 },
+			{ r1: 0, c1: 3, r2: 0, c2: 5 },
+			{ series: false }
+		);
+		expect(sheet.getValue(0, 5)).toBe(5);
+
+		sheet.setValue(1, 2, 'Mon');
+		sheet.fillRange({ r1: 1, c1: 2, r2: 1, c2: 2 }, { r1: 1, c1: 0, r2: 1, c2: 2 });
+		expect(sheet.getValue(1, 1)).toBe('Sun');
+		expect(sheet.getValue(1, 0)).toBe('Sat');
+
+		expect(() =>
+			sheet.fillRange({ r1: 0, c1: 0, r2: 0, c2: 0 }, { r1: 0, c1: 0, r2: 1, c2: 1 })
+		).toThrow();
+	});
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { FormatLayer } from '../../../../src/domain/format/FormatLayer.js';
+
+describe('FormatLayer', () => {
+	it('returns the most recent format covering a cell', () => {
+		const layer = new FormatLayer();
+		layer.setNumberFormat(0, 1, 999, 1, '0.00');
+		layer.setNumberFormat(5, 1, 5, 1, '0%');
+		expect(layer.getNumberFormat(4, 1)).toBe('0.00');
+		expect(layer.getNumberFormat(5, 1)).toBe('0%');
+		expect(layer.getNumberFormat(5, 2)).toBeNull();
+	});
+
+	it('drops ranges that a new assignment fully covers', () => {
+		const layer = new FormatLayer();
+		layer.setNumberFormat(0, 0, 0, 0, '0.0');
+		layer.setNumberFormat(0, 0, 9, 9, '0.00');
+		layer.setNumberFormat(0, 0, 9, 9, '0.000');
+		expect(layer.ranges).toHaveLength(1);
+		expect(layer.getNumberFormat(0, 0)).toBe('0.000');
+	});
+
+	it('resets to General', () => {
+		const layer = new FormatLayer();
+		layer.setNumberFormat(0, 0, 9, 0, '0.00');
+		layer.setNumberFormat(3, 0, 3, 0, 'General');
+		expect(layer.getNumberFormat(3, 0)).toBeNull();
+		expect(layer.getNumberFormat(4, 0)).toBe('0.00');
+		layer.setNumberFormat(0, 0, 9, 0, null);
+		expect(layer.ranges).toHaveLength(0);
+	});
+
+	it('extends the latest range when a new one continues it', () => {
+		const layer = new FormatLayer();
+		for (let r = 0; r < 100; r++) layer.setNumberFormat(r, 0, r, 2, '0.00');
+		expect(layer.ranges).toEqual([{ r1: 0, c1: 0, r2: 99, c2: 2, pattern: '0.00' }]);
+		layer.setNumberFormat(0, 3, 99, 3, '0.00');
+		expect(layer.ranges).toHaveLength(1);
+		layer.setNumberFormat(100, 0, 100, 0, '0%');
+		expect(layer.ranges).toHaveLength(2);
+	});
+
+	it('looks up cells across many ranges and whole columns', () => {
+		const layer = new FormatLayer();
+		layer.setNumberFormat(0, 1, 1_000_000, 1, '0.0');
+		for (let r = 0; r < 1000; r += 2) layer.setNumberFormat(r, 0, r, 1, '0.00');
+		layer.setNumberFormat(500, 0, 500, 5, '0%');
+		expect(layer.getNumberFormat(10, 1)).toBe('0.00');
+		expect(layer.getNumberFormat(11, 1)).toBe('0.0');
+		expect(layer.getNumberFormat(11, 0)).toBeNull();
+		expect(layer.getNumberFormat(500, 1)).toBe('0%');
+		expect(layer.getNumberFormat(900_000, 1)).toBe('0.0');
+		layer.setNumberFormat(0, 0, 1_000_000, 1, null);
+		expect(layer.getNumberFormat(10, 1)).toBeNull();
+		expect(layer.getNumberFormat(500, 5)).toBe('0%');
+	});
+
+	it('formats values for a cell', () => {
+		const layer = new FormatLayer();
+		layer.setNumberFormat(2, 2, 2, 2, '#,##0.00');
+		expect(layer.formatValue(1234.5, 2, 2).text).toBe('1,234.50');
+		expect(layer.formatValue(1234.5, 2, 3).text).toBe('1234.5');
+	});
+});
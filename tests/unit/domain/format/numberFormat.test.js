@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { formatCellValue } from '../../../../src/domain/format/numberFormat.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
+import { formulaError } from '../../../../src/domain/formula/errors.js';
+
+const text = (value, pattern) => formatCellValue(value, pattern).text;
+
+describe('formatCellValue', () => {
+	it('shows values unchanged under General', () => {
+		expect(text(1234.5, null)).toBe('1234.5');
+		expect(text('abc', 'General')).toBe('abc');
+		expect(text(true, null)).toBe('TRUE');
+		expect(text(null, '0.00')).toBe('');
+		expect(text(dateValue(dateToSerial(2024, 3, 5)), null)).toBe('2024-03-05');
+	});
+
+	it('pads and rounds digit placeholders', () => {
+		expect(text(3.14159, '0.00')).toBe('3.14');
+		expect(text(1.005, '0.00')).toBe('1.01');
+		expect(text(0.5, '#.##')).toBe('.5');
+		expect(text(7, '000')).toBe('007');
+		expect(text(2.5, '0.0#')).toBe('2.5');
+		expect(text(2.5, '0.??')).toBe('2.5 ');
+		expect(text(0, '0')).toBe('0');
+	});
+
+	it('groups thousands and scales by trailing commas', () => {
+		expect(text(1234567.891, '#,##0.00')).toBe('1,234,567.89');
+		expect(text(999, '#,##0')).toBe('999');
+		expect(text(1234567, '#,##0,')).toBe('1,235');
+		expect(text(1234567, '0.0,,"M"')).toBe('1.2M');
+	});
+
+	it('handles percent and scientific notation', () => {
+		expect(text(0.256, '0.0%')).toBe('25.6%');
+		expect(text(12345, '0.00E+00')).toBe('1.23E+04');
+		expect(text(0.00012, '0.0E+0')).toBe('1.2E-4');
+		expect(text(99999, '0.0E+00')).toBe('1.0E+05');
+	});
+
+	it('uses literals, currency and sections', () => {
+		expect(text(-5, '$#,##0.00')).toBe('-$5.00');
+		expect(text(-5, '$#,##0.00;($#,##0.00)')).toBe('($5.00)');
+		expect(text(0, '0;-0;"zero"')).toBe('zero');
+		expect(text(5, '[$€-407] 0')).toBe('€ 5');
+		expect(text(1234, '\\#0')).toBe('#1234');
+		expect(text('n/a', '0;-0;0;"text: "@')).toBe('text: n/a');
+		expect(text(150, '[>100]"big";"small"')).toBe('big');
+		expect(text(50, '[>100]"big";"small"')).toBe('small');
+	});
+
+	it('returns the section color', () => {
+		expect(formatCellValue(-3, '0;[Red]-0')).toEqual({ text: '-3', color: '#ff0000' });
+		expect(formatCellValue(3, '0;[Red]-0')).toEqual({ text: '3', color: null });
+	});
+
+	it('formats dates and times', () => {
+		const serial = dateToSerial(2024, 3, 5, 14, 7, 9);
+		expect(text(dateValue(serial), 'dd/mm/yyyy')).toBe('05/03/2024');
+		expect(text(dateValue(serial), 'mmm d, yy')).toBe('Mar 5, 24');
+		expect(text(dateValue(serial), 'dddd, mmmm d')).toBe('Tuesday, March 5');
+		expect(text(dateValue(serial), 'hh:mm:ss')).toBe('14:07:09');
+		expect(text(dateValue(serial), 'h:mm AM/PM')).toBe('2:07 PM');
+		// Plain numbers format as serials too
+		expect(text(45356, 'yyyy-mm-dd')).toBe('2024-03-05');
+	});
+
+	it('formats fractions', () => {
+		expect(text(1.5, '# ?/?')).toBe('1 1/2');
+		expect(text(0.5, '# ?/?')).toBe(' 1/2');
+		expect(text(-1.25, '# ?/?')).toBe('-1 1/4');
+		expect(text(3.14159, '# ??/??')).toBe('3 14/99');
+		expect(text(0.3, '# ?/8')).toBe(' 2/8');
+		expect(text(1.5, '?/?')).toBe('3/2');
+		// Whole numbers blank the fraction but keep its width
+		expect(text(2, '# ?/?')).toBe('2    ');
+	});
+
+	it('leaves errors and booleans alone', () => {
+		expect(text(formulaError('#DIV/0!'), '0.00')).toBe('#DIV/0!');
+		expect(text(false, '0.00')).toBe('FALSE');
+	});
+});
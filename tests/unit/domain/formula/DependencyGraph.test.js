@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+	DependencyGraph,
+	collectPrecedents,
+	cellKey
+} from '../../../../src/domain/formula/DependencyGraph.js';
+import { parseFormula } from '../../../../src/domain/formula/parser.js';
+
+function addFormula(graph, row, col, source) {
+	graph.setPrecedents(cellKey(row, col), collectPrecedents(parseFormula(source)));
+}
+
+describe('DependencyGraph', () => {
+	it('collects cell and range precedents from an AST', () => {
+		const precedents = collectPrecedents(parseFormula('=A1+SUM(B1:C2, -D4%)'));
+		expect(precedents.cells).toEqual([
+			{ row: 0, col: 0 },
+			{ row: 3, col: 3 }
+		]);
+		expect(precedents.ranges).toEqual([{ r1: 0, c1: 1, r2: 1, c2: 2 }]);
+	});
+
+	it('finds direct dependents through cells and ranges', () => {
+		const graph = new DependencyGraph();
+		addFormula(graph, 5, 0, '=A1');
+		addFormula(graph, 5, 1, '=SUM(A1:A3)');
+		expect(graph.getDirectDependents('0,0').sort()).toEqual(['5,0', '5,1']);
+		expect(graph.getDirectDependents('2,0')).toEqual(['5,1']);
+		expect(graph.hasDependents(3, 0)).toBe(false);
+
+		graph.removeFormula('5,1');
+		expect(graph.hasDependents(2, 0)).toBe(false);
+		expect(graph.size).toBe(1);
+	});
+
+	it('finds range dependents across chunks, long ranges and whole columns', () => {
+		const graph = new DependencyGraph();
+		addFormula(graph, 0, 10, '=SUM(A60:C70)');
+		addFormula(graph, 0, 11, '=SUM(B1:B100000)');
+		addFormula(graph, 0, 12, '=SUM(C:D)');
+		expect(graph.getDirectDependents('69,2').sort()).toEqual(['0,10', '0,12']);
+		expect(graph.getDirectDependents('65,1').sort()).toEqual(['0,10', '0,11']);
+		expect(graph.getDirectDependents('99999,1')).toEqual(['0,11']);
+		expect(graph.hasDependents(500000, 3)).toBe(true);
+		expect(graph.hasDependents(100000, 1)).toBe(false);
+		expect(graph.hasDependents(69, 0)).toBe(true);
+		expect(graph.hasDependents(70, 0)).toBe(false);
+
+		graph.removeFormula('0,12');
+		graph.removeFormula('0,11');
+		expect(graph.hasDependents(500000, 3)).toBe(false);
+		expect(graph.getDirectDependents('65,1')).toEqual(['0,10']);
+		graph.removeFormula('0,10');
+		expect(graph._rangesByChunk.size + graph._rangesByChunkCol.size).toBe(0);
+	});
+
+	it('orders the affected formulas topologically', () => {
+		const graph = new DependencyGraph();
+		addFormula(graph, 0, 3, '=B1+C1');
+		addFormula(graph, 0, 2, '=B1*2');
+		addFormula(graph, 0, 1, '=A1+1');
+		addFormula(graph, 9, 9, '=1');
+		const { order, circular } = graph.planRecalc(['0,0']);
+		expect(order).toEqual(['0,1', '0,2', '0,3']);
+		expect(circular.size).toBe(0);
+	});
+
+	it('reports cycle members but not cells merely downstream of a cycle', () => {
+		const graph = new DependencyGraph();
+		addFormula(graph, 0, 0, '=B1');
+		addFormula(graph, 0, 1, '=A1');
+		addFormula(graph, 0, 2, '=B1');
+		addFormula(graph, 0, 3, '=D1');
+		const plan = graph.planRecalc(['0,0', '0,3']);
+		expect([...plan.circular].sort()).toEqual(['0,0', '0,1', '0,3']);
+		expect(plan.order.indexOf('0,2')).toBeGreaterThan(plan.order.indexOf('0,1'));
+	});
+});
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest';
+import { parseFormula } from '../../../../src/domain/formula/parser.js';
+import { evaluateFormula } from '../../../../src/domain/formula/evaluator.js';
+import { isFormulaError } from '../../../../src/domain/formula/errors.js';
+
+function evaluate(source, cells = {}) {
+	const ctx = {
+		getCellValue: (r, c) => cells[r + ',' + c] ?? null,
+		numRows: 100,
+		numCols: 26
+	};
+	const result = evaluateFormula(parseFormula(source), ctx);
+	return isFormulaError(result) ? result.code : result;
+}
+
+describe('Formula evaluator', () => {
+	it('evaluates arithmetic', () => {
+		expect(evaluate('=1+2*3')).toBe(7);
+		expect(evaluate('=(1+2)*3')).toBe(9);
+		expect(evaluate('=2^3')).toBe(8);
+		expect(evaluate('=-2^2')).toBe(4);
+		expect(evaluate('=50%')).toBe(0.5);
+	});
+
+	it('reads cell references and coerces blanks to zero', () => {
+		const cells = { '0,0': 10, '0,1': '5' };
+		expect(evaluate('=A1+B1', cells)).toBe(15);
+		expect(evaluate('=A1+C1', cells)).toBe(10);
+		expect(evaluate('=C1', cells)).toBe(0);
+	});
+
+	it('returns errors as values', () => {
+		expect(evaluate('=1/0')).toBe('#DIV/0!');
+		expect(evaluate('="a"+1')).toBe('#VALUE!');
+		expect(evaluate('=NOPE(1)')).toBe('#NAME?');
+		expect(evaluate('=1/0+1')).toBe('#DIV/0!');
+	});
+
+	it('concatenates and compares', () => {
+		expect(evaluate('="a"&1&TRUE')).toBe('a1TRUE');
+		expect(evaluate('="abc"="ABC"')).toBe(true);
+		expect(evaluate('=2<>2')).toBe(false);
+		expect(evaluate('=1<"a"')).toBe(true);
+	});
+
+	it('aggregates ranges skipping text', () => {
+		const cells = { '0,0': 1, '1,0': 2, '2,0': 'x', '3,0': 4 };
+		expect(evaluate('=SUM(A1:A4)', cells)).toBe(7);
+		expect(evaluate('=AVERAGE(A1:A4)', cells)).toBe(7 / 3);
+		expect(evaluate('=COUNT(A1:A4)', cells)).toBe(3);
+		expect(evaluate('=COUNTA(A1:A5)', cells)).toBe(4);
+		expect(evaluate('=MAX(A:A)', cells)).toBe(4);
+		expect(evaluate('=AVERAGE(B1:B3)', cells)).toBe('#DIV/0!');
+	});
+
+	it('takes MIN and MAX over more numbers than a call can spread', () => {
+		// Past the engine's argument limit, Math.max(...nums) overflows the stack
+		const ctx = { getCellValue: (r) => r - 150000, numRows: 300000, numCols: 1 };
+		expect(evaluateFormula(parseFormula('=MAX(A:A)'), ctx)).toBe(149999);
+		expect(evaluateFormula(parseFormula('=MIN(A:A)'), ctx)).toBe(-150000);
+	});
+
+	it('supports logical and text functions', () => {
+		expect(evaluate('=IF(1>2,"yes","no")')).toBe('no');
+		expect(evaluate('=IFERROR(1/0,"oops")')).toBe('oops');
+		expect(evaluate('=AND(TRUE,1)')).toBe(true);
+		expect(evaluate('=OR(FALSE,0)')).toBe(false);
+		expect(evaluate('=UPPER(LEFT("hello",2))')).toBe('HE');
+		expect(evaluate('=MID("spreadsheet",7,5)')).toBe('sheet');
+		expect(evaluate('=ROUND(2.345,2)')).toBe(2.35);
+		expect(evaluate('=MOD(-3,2)')).toBe(1);
+	});
+});
@@ -0,0 +1,62 @@
+import { describe, it, expect } from 'vitest';
+import { parseFormula, isFormulaText } from '../../../../src/domain/formula/parser.js';
+import { FormulaSyntaxError } from '../../../../src/domain/formula/tokenizer.js';
+import {
+	columnLabelToIndex,
+	columnIndexToLabel,
+	parseA1
+} from '../../../../src/domain/formula/references.js';
+
+describe('Formula parser', () => {
+	it('recognizes formula text', () => {
+		expect(isFormulaText('=A1')).toBe(true);
+		expect(isFormulaText('=')).toBe(false);
+		expect(isFormulaText('A1')).toBe(false);
+		expect(isFormulaText(1)).toBe(false);
+	});
+
+	it('converts column labels both ways', () => {
+		expect(columnLabelToIndex('A')).toBe(0);
+		expect(columnLabelToIndex('Z')).toBe(25);
+		expect(columnLabelToIndex('AA')).toBe(26);
+		expect(columnLabelToIndex('ab')).toBe(27);
+		expect(columnIndexToLabel(0)).toBe('A');
+		expect(columnIndexToLabel(26)).toBe('AA');
+		expect(columnIndexToLabel(701)).toBe('ZZ');
+		expect(parseA1('$B$3')).toEqual({ row: 2, col: 1, absRow: true, absCol: true });
+	});
+
+	it('respects operator precedence', () => {
+		const ast = parseFormula('=1+2*3');
+		expect(ast).toEqual({
+			type: 'binary',
+			op: '+',
+			left: { type: 'number', value: 1 },
+			right: {
+				type: 'binary',
+				op: '*',
+				left: { type: 'number', value: 2 },
+				right: { type: 'number', value: 3 }
+			}
+		});
+	});
+
+	it('parses references, ranges and function calls', () => {
+		const ast = parseFormula('=SUM(A1:B2, $C$3)');
+		expect(ast.type).toBe('call');
+		expect(ast.name).toBe('SUM');
+		expect(ast.args[0]).toEqual({ type: 'range', r1: 0, c1: 0, r2: 1, c2: 1 });
+		expect(ast.args[1]).toEqual({ type: 'ref', row: 2, col: 2, absRow: true, absCol: true });
+	});
+
+	it('parses whole-column ranges', () => {
+		const ast = parseFormula('=SUM(B:C)');
+		expect(ast.args[0]).toEqual({ type: 'range', r1: 0, c1: 1, r2: Infinity, c2: 2 });
+	});
+
+	it('throws FormulaSyntaxError on malformed input', () => {
+		expect(() => parseFormula('=1+')).toThrow(FormulaSyntaxError);
+		expect(() => parseFormula('=SUM(1,2')).toThrow(FormulaSyntaxError);
+		expect(() => parseFormula('="abc')).toThrow(FormulaSyntaxError);
+	});
+});
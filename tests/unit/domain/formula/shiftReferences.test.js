@@ -0,0 +1,48 @@
+import { describe, it, expect } from 'vitest';
+import {
+	shiftIndex,
+	shiftSpan,
+	shiftFormulaReferences,
+	offsetFormulaReferences
+} from '../../../../src/domain/formula/shiftReferences.js';
+
+describe('shiftReferences', () => {
+	it('maps indices through inserts and deletes', () => {
+		expect(shiftIndex(2, 5, 3)).toBe(2);
+		expect(shiftIndex(5, 5, 3)).toBe(8);
+		expect(shiftIndex(6, 5, -2)).toBe(-1);
+		expect(shiftIndex(7, 5, -2)).toBe(5);
+	});
+
+	it('shrinks spans that overlap a deleted band', () => {
+		expect(shiftSpan(2, 8, 4, -3)).toEqual([2, 5]);
+		expect(shiftSpan(4, 6, 4, -3)).toBeNull();
+		expect(shiftSpan(5, 9, 4, -3)).toEqual([4, 6]);
+		expect(shiftSpan(0, Infinity, 4, 2)).toEqual([0, Infinity]);
+	});
+
+	it('rewrites cell references and ranges', () => {
+		expect(shiftFormulaReferences('=A1+A5*2', 'row', 2, 1)).toBe('=A1+A6*2');
+		expect(shiftFormulaReferences('=SUM(B2:B10)', 'row', 3, -2)).toBe('=SUM(B2:B8)');
+		expect(shiftFormulaReferences('=$C$3', 'col', 1, 2)).toBe('=$E$3');
+		expect(shiftFormulaReferences('=SUM(A:C)', 'col', 0, 1)).toBe('=SUM(B:D)');
+	});
+
+	it('produces #REF! for deleted references', () => {
+		expect(shiftFormulaReferences('=B2+1', 'row', 1, -1)).toBe('=#REF!+1');
+		expect(shiftFormulaReferences('=SUM(A2:B2)', 'row', 1, -1)).toBe('=SUM(#REF!)');
+	});
+
+	it('leaves text, function names and untouched formulas alone', () => {
+		expect(shiftFormulaReferences('A5', 'row', 0, 1)).toBe('A5');
+		expect(shiftFormulaReferences('=LOG10(A1)', 'row', 3, 1)).toBe('=LOG10(A1)');
+		expect(shiftFormulaReferences('="A5"&A1', 'row', 3, 1)).toBe('="A5"&A1');
+	});
+
+	it('moves relative references when a formula is copied', () => {
+		expect(offsetFormulaReferences('=A1+$B$2*C$3', 2, 1)).toBe('=B3+$B$2*D$3');
+		expect(offsetFormulaReferences('=SUM($A1:A1)', 3, 0)).toBe('=SUM($A4:A4)');
+		expect(offsetFormulaReferences('=SUM(B:C)', 0, 2)).toBe('=SUM(D:E)');
+		expect(offsetFormulaReferences('=A1+1', -1, 0)).toBe('=#REF!+1');
+	});
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { MergeRegistry } from '../../../../src/domain/merge/MergeRegistry.js';
+
+describe('MergeRegistry', () => {
+	let merges;
+	beforeEach(() => {
+		merges = new MergeRegistry();
+	});
+
+	it('finds the merge covering a cell, across chunk boundaries', () => {
+		const merge = merges.add({ r1: 62, c1: 0, r2: 66, c2: 2 });
+		expect(merges.getMergeAt(62, 0)).toBe(merge);
+		expect(merges.getMergeAt(65, 2)).toBe(merge);
+		expect(merges.getMergeAt(67, 0)).toBeNull();
+		merges.remove(merge);
+		expect(merges.getMergeAt(65, 2)).toBeNull();
+		expect(merges.size).toBe(0);
+	});
+
+	it('rejects single cells and overlapping merges', () => {
+		expect(() => merges.add({ r1: 1, c1: 1, r2: 1, c2: 1 })).toThrow();
+		merges.add({ r1: 0, c1: 0, r2: 1, c2: 1 });
+		expect(() => merges.add({ r1: 1, c1: 1, r2: 2, c2: 2 })).toThrow();
+	});
+
+	it('expands a range until it contains every merge it touches', () => {
+		merges.add({ r1: 0, c1: 2, r2: 3, c2: 3 });
+		merges.add({ r1: 3, c1: 4, r2: 5, c2: 4 });
+		expect(merges.expandRange(1, 0, 1, 2)).toEqual({ r1: 0, c1: 0, r2: 3, c2: 3 });
+		expect(merges.expandRange(2, 3, 2, 4)).toEqual({ r1: 0, c1: 2, r2: 5, c2: 4 });
+	});
+
+	it('shifts merges with inserted and deleted rows', () => {
+		merges.add({ r1: 2, c1: 0, r2: 4, c2: 1 });
+		merges.add({ r1: 10, c1: 0, r2: 11, c2: 0 });
+		merges.shift('row', 3, 2);
+		expect(merges.all()).toEqual([
+			{ r1: 2, c1: 0, r2: 6, c2: 1 },
+			{ r1: 12, c1: 0, r2: 13, c2: 0 }
+		]);
+		merges.shift('row', 12, -1);
+		expect(merges.all()).toEqual([{ r1: 2, c1: 0, r2: 6, c2: 1 }]);
+	});
+});
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { createCellMatcher } from '../../../../src/domain/search/findReplace.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { SheetView } from '../../../../src/domain/view/SheetView.js';
+
+describe('Find and Replace', () => {
+	it('matches cell text with the find options', () => {
+		expect(createCellMatcher('')).toBeNull();
+		const plain = createCellMatcher('an');
+		expect(plain.test('Banana')).toBe(true);
+		expect(plain.test('ANT')).toBe(true);
+		expect(plain.test(null)).toBe(false);
+		expect(createCellMatcher('an', { matchCase: true }).test('ANT')).toBe(false);
+		expect(createCellMatcher('ant', { wholeCell: true }).test('ants')).toBe(false);
+		expect(createCellMatcher('ant', { wholeCell: true }).test('Ant')).toBe(true);
+		expect(createCellMatcher('1.5').test('125')).toBe(false);
+		expect(createCellMatcher('^\\d+$', { regex: true }).test(42)).toBe(true);
+		expect(createCellMatcher('SUM', { matchCase: true }).test('=SUM(A1:A3)')).toBe(true);
+		expect(createCellMatcher('2024-03').test(dateValue(dateToSerial(2024, 3, 9)))).toBe(true);
+		expect(() => createCellMatcher('(', { regex: true })).toThrow();
+	});
+
+	it('replaces text and reads the result back as a cell value', () => {
+		const m = createCellMatcher('1');
+		expect(m.replace(100, '2')).toBe(200);
+		expect(m.replace('Q1 v1', 'x')).toBe('Qx vx');
+		expect(createCellMatcher('B', { matchCase: true }).replace('=A1+B1', 'C')).toBe('=A1+C1');
+		expect(createCellMatcher('(\\w+)@', { regex: true }).replace('joe@x', '$1 at ')).toBe(
+			'joe at x'
+		);
+		expect(createCellMatcher('$1').replace('cost $1', '$2')).toBe('cost $2');
+		expect(createCellMatcher('a', { wholeCell: true }).replace('a', '')).toBeNull();
+	});
+
+	it('finds cells in order within a range', () => {
+		const sheet = new Sheet();
+		sheet.setValue(200, 3, 'apple');
+		sheet.setValue(0, 1, 'Apple pie');
+		sheet.setValue(0, 0, 'pear');
+		sheet.setValue(5, 0, 'apple');
+		const m = createCellMatcher('apple');
+		expect(sheet.findCells((v) => m.test(v))).toEqual([
+			{ row: 0, col: 1 },
+			{ row: 5, col: 0 },
+			{ row: 200, col: 3 }
+		]);
+		expect(sheet.findCells((v) => m.test(v), { r1: 1, c1: 0, r2: 300, c2: 2 })).toEqual([
+			{ row: 5, col: 0 }
+		]);
+	});
+
+	it('finds and replaces through a filtered view as one undo step', () => {
+		const sheet = new Sheet();
+		const rows = [
+			['red', 'x-1'],
+			['blue', 'x-2'],
+			['red', 'x-3']
+		];
+		rows.forEach((row, r) => row.forEach((v, c) => sheet.setValue(r, c, v)));
+		const view = new SheetView(sheet);
+		view.setFilters([{ col: 0, values: ['red'] }]);
+		const m = createCellMatcher('x-');
+		expect(view.findCells(m)).toEqual([
+			{ row: 0, col: 1 },
+			{ row: 1, col: 1 }
+		]);
+		expect(view.findCells(m, { r1: 1, c1: 0, r2: 1, c2: 1 })).toEqual([{ row: 1, col: 1 }]);
+
+		expect(view.replaceAll(m, 'y-')).toBe(2);
+		expect(sheet.getValue(0, 1)).toBe('y-1');
+		expect(sheet.getValue(1, 1)).toBe('x-2');
+		expect(sheet.getValue(2, 1)).toBe('y-3');
+
+		sheet.undo();
+		expect(sheet.getValue(0, 1)).toBe('x-1');
+		expect(sheet.getValue(2, 1)).toBe('x-3');
+	});
+});
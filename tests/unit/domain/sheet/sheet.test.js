@@ -1,10 +1,12 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { Sheet } from '../../../../src/domain/sheet/sheet.js';
 import { CELLS_PER_CHUNK } from '../../../../src/domain/constants/ChunkSizing.js';
 import {
 	PROMOTE_TO_DENSE_FILL_RATIO,
 	DEMOTE_TO_SPARSE_FILL_RATIO
 } from '../../../../src/domain/constants/PromotionPolicy.js';
+import { formulaError } from '../../../../src/domain/formula/errors.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
 
 describe('SheetAggregate (Comprehensive)', () => {
 	let sheet;
@@ -113,5 +115,589 @@ describe('SheetAggregate (Comprehensive)', () => {
 			expect(sheet.hasValue(1, 3)).toBe(false);
 			expect(sheet.hasValue(1, 4)).toBe(false);
 		});
+
+		it('lists stored cells in row order across chunks', () => {
+			sheet.setValue(70, 3, 'c');
+			sheet.setValue(2, 80, 'b');
+			sheet.setValue(2, 1, '=1+1');
+			sheet.setValue(0, 0, 'a');
+			expect(Array.from(sheet.storedRows())).toEqual([
+				{ row: 0, cols: [0], values: ['a'] },
+				{ row: 2, cols: [1, 80], values: ['=1+1', 'b'] },
+				{ row: 70, cols: [3], values: ['c'] }
+			]);
+		});
+	});
+});
+
+describe('Formulas', () => {
+	let sheet;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('evaluates formulas and exposes the raw source separately', () => {
+		sheet.setValue(0, 0, 2);
+		sheet.setValue(0, 1, 3);
+		sheet.setValue(0, 2, '=A1+B1');
+		expect(sheet.getValue(0, 2)).toBe(5);
+		expect(sheet.getRawValue(0, 2)).toBe('=A1+B1');
+		expect(sheet.getFormula(0, 2)).toBe('=A1+B1');
+		expect(sheet.getFormula(0, 0)).toBe(null);
+	});
+
+	it('reflects edits to referenced cells', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(1, 0, '=A1*10');
+		sheet.setValue(0, 0, 4);
+		expect(sheet.getValue(1, 0)).toBe(40);
+	});
+
+	it('surfaces syntax errors and self references as error codes', () => {
+		sheet.setValue(0, 0, '=1+');
+		expect(sheet.getValue(0, 0)).toBe(formulaError('#ERROR!'));
+		sheet.setValue(1, 0, '=A2+1');
+		expect(sheet.getValue(1, 0)).toBe(formulaError('#CIRCULAR!'));
+	});
+
+	it('records the formula source for undo/redo', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.transact(() => sheet.setValue(0, 1, '=A1+1'));
+		expect(sheet.getValue(0, 1)).toBe(2);
+		sheet.undo();
+		expect(sheet.getValue(0, 1)).toBe(null);
+		expect(sheet.getFormula(0, 1)).toBe(null);
+		sheet.redo();
+		expect(sheet.getRawValue(0, 1)).toBe('=A1+1');
+		expect(sheet.getValue(0, 1)).toBe(2);
+	});
+
+	it('treats pasted text beginning with = as a formula', () => {
+		sheet.setValue(0, 0, 5);
+		sheet.deserializeTSV(0, 1, '=A1*2\t= not a formula');
+		expect(sheet.getValue(0, 1)).toBe(10);
+		expect(sheet.getValue(0, 2)).toBe(formulaError('#ERROR!'));
+	});
+});
+
+describe('Formula recalculation', () => {
+	let sheet;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('recomputes only the formulas downstream of an edit', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(0, 1, '=A1*2');
+		sheet.setValue(0, 2, '=B1+1');
+		sheet.setValue(5, 5, '=10');
+		expect(sheet.recalculate()).toBe(3);
+
+		sheet.setValue(0, 0, 4);
+		expect(sheet.recalculate()).toBe(2);
+		expect(sheet.getValue(0, 1)).toBe(8);
+		expect(sheet.getValue(0, 2)).toBe(9);
+		expect(sheet.recalculate()).toBe(0);
+	});
+
+	it('tracks range references', () => {
+		sheet.setValue(10, 0, '=SUM(A1:A3)');
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(2, 0, 2);
+		expect(sheet.getValue(10, 0)).toBe(3);
+		sheet.setValue(3, 0, 100);
+		expect(sheet.recalculate()).toBe(0);
+		expect(sheet.getValue(10, 0)).toBe(3);
+	});
+
+	it('updates dependents through setBlock and deleteBlock', () => {
+		sheet.setValue(0, 2, '=A1+B1');
+		sheet.setBlock(0, 0, [[2, 3]]);
+		expect(sheet.getValue(0, 2)).toBe(5);
+		sheet.deleteBlock(0, 0, 0, 0);
+		expect(sheet.getValue(0, 2)).toBe(3);
+	});
+
+	it('marks every member of a cycle and recovers when it is broken', () => {
+		sheet.setValue(0, 0, '=C1');
+		sheet.setValue(0, 1, '=A1+1');
+		sheet.setValue(0, 2, '=B1+1');
+		sheet.setValue(0, 3, '=IFERROR(C1,"broken")');
+		expect(sheet.getValue(0, 0)).toBe(formulaError('#CIRCULAR!'));
+		expect(sheet.getValue(0, 1)).toBe(formulaError('#CIRCULAR!'));
+		expect(sheet.getValue(0, 2)).toBe(formulaError('#CIRCULAR!'));
+		expect(sheet.getValue(0, 3)).toBe('broken');
+
+		sheet.setValue(0, 0, 1);
+		expect(sheet.getValue(0, 1)).toBe(2);
+		expect(sheet.getValue(0, 2)).toBe(3);
+		expect(sheet.getValue(0, 3)).toBe(3);
+	});
+
+	it('recomputes dependents on undo and redo', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(1, 0, '=A1*10');
+		sheet.transact(() => sheet.setValue(0, 0, 5));
+		expect(sheet.getValue(1, 0)).toBe(50);
+		sheet.undo();
+		expect(sheet.getValue(1, 0)).toBe(10);
+		sheet.redo();
+		expect(sheet.getValue(1, 0)).toBe(50);
+	});
+
+	it('handles long dependency chains without recursion', () => {
+		sheet.addRows(5000);
+		sheet.setValue(0, 0, 1);
+		for (let r = 1; r < 5000; r++) sheet.setValue(r, 0, '=A' + r + '+1');
+		expect(sheet.getValue(4999, 0)).toBe(5000);
+		sheet.setValue(0, 0, 0);
+		expect(sheet.getValue(4999, 0)).toBe(4999);
+	});
+});
+
+describe('Error values', () => {
+	let sheet;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('stores error values and propagates them through formulas', () => {
+		sheet.setValue(0, 0, formulaError('#N/A'));
+		sheet.setValue(0, 1, '=A1+1');
+		expect(sheet.getValue(0, 0)).toBe(formulaError('#N/A'));
+		expect(sheet.getValue(0, 1)).toBe(formulaError('#N/A'));
+		expect(sheet.getValue(0, 2)).toBe(null);
+	});
+
+	it('survives promotion to dense and demotion back to sparse', () => {
+		const promoteCount = Math.ceil(CELLS_PER_CHUNK * PROMOTE_TO_DENSE_FILL_RATIO);
+		sheet.setValue(0, 0, formulaError('#REF!'));
+		for (let i = 1; i < promoteCount; i++) sheet.setValue(Math.floor(i / 64), i % 64, i);
+		expect(sheet._getChunk(0, 0, false).kind).toBe('dense');
+		expect(sheet.getValue(0, 0)).toBe(formulaError('#REF!'));
+
+		sheet.setValue(0, 1, formulaError('#DIV/0!'));
+		expect(sheet.getValue(0, 1)).toBe(formulaError('#DIV/0!'));
+
+		const demoteCount = Math.floor(CELLS_PER_CHUNK * DEMOTE_TO_SPARSE_FILL_RATIO);
+		for (let i = promoteCount - 1; i >= demoteCount; i--) {
+			sheet.deleteValue(Math.floor(i / 64), i % 64);
+		}
+		expect(sheet._getChunk(0, 0, false).kind).toBe('sparse');
+		expect(sheet.getValue(0, 0)).toBe(formulaError('#REF!'));
+		expect(sheet.getValue(0, 1)).toBe(formulaError('#DIV/0!'));
+	});
+
+	it('round-trips through TSV as canonical text', () => {
+		sheet.setValue(0, 0, '=1/0');
+		sheet.setValue(0, 1, formulaError('#NAME?'));
+		const tsv = sheet.serializeRangeToTSV(0, 0, 0, 1);
+		expect(tsv).toBe('#DIV/0!\t#NAME?');
+		sheet.deserializeTSV(1, 0, tsv);
+		expect(sheet.getValue(1, 0)).toBe(formulaError('#DIV/0!'));
+		expect(sheet.getValue(1, 1)).toBe(formulaError('#NAME?'));
+		expect(sheet.getRawValue(1, 0)).toBe(formulaError('#DIV/0!'));
+	});
+});
+
+describe('Date values', () => {
+	let sheet;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('survives promotion to dense and demotion back to sparse', () => {
+		const date = dateValue(dateToSerial(2024, 3, 5, 12, 0));
+		const promoteCount = Math.ceil(CELLS_PER_CHUNK * PROMOTE_TO_DENSE_FILL_RATIO);
+		sheet.setValue(0, 0, date);
+		for (let i = 1; i < promoteCount; i++) sheet.setValue(Math.floor(i / 64), i % 64, i);
+		expect(sheet._getChunk(0, 0, false).kind).toBe('dense');
+		expect(sheet.getValue(0, 0)).toBe(date);
+
+		const demoteCount = Math.floor(CELLS_PER_CHUNK * DEMOTE_TO_SPARSE_FILL_RATIO);
+		for (let i = promoteCount - 1; i >= demoteCount; i--) {
+			sheet.deleteValue(Math.floor(i / 64), i % 64);
+		}
+		expect(sheet._getChunk(0, 0, false).kind).toBe('sparse');
+		expect(sheet.getValue(0, 0)).toBe(date);
+	});
+
+	it('parses pasted dates and exports them as ISO text', () => {
+		sheet.deserializeTSV(0, 0, '2024-03-05\tMar 6, 2024\t2024-03-05T08:15');
+		expect(sheet.getValue(0, 0)).toBe(dateValue(dateToSerial(2024, 3, 5)));
+		expect(sheet.getValue(0, 1)).toBe(dateValue(dateToSerial(2024, 3, 6)));
+		expect(sheet.serializeRangeToTSV(0, 0, 0, 2)).toBe('2024-03-05\t2024-03-06\t2024-03-05 08:15');
+	});
+
+	it('converts ISO date strings from setDataFromObjects', () => {
+		sheet.setDataFromObjects([{ Name: 'A', HireDate: '2021-07-09' }]);
+		expect(sheet.getValue(0, 0)).toBe('A');
+		expect(sheet.getValue(0, 1)).toBe(dateValue(dateToSerial(2021, 7, 9)));
+	});
+
+	it('treats dates as serial numbers in formulas', () => {
+		sheet.setValue(0, 0, dateValue(dateToSerial(2024, 3, 5)));
+		sheet.setValue(0, 1, '=A1+1');
+		sheet.setValue(0, 2, '=MAX(A1:A2)');
+		expect(sheet.getValue(0, 1)).toBe(45357);
+		expect(sheet.getValue(0, 2)).toBe(45356);
+	});
+});
+
+describe('Cell styles', () => {
+	let sheet;
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('styles cells independently of their values', () => {
+		sheet.applyStyle(0, 0, 1, 1, { bold: true, fill: '#fef3c7' });
+		expect(sheet.getStyle(1, 1)).toEqual({ bold: true, fill: '#fef3c7' });
+		expect(sheet.getStyle(2, 2)).toEqual({});
+		sheet.setValue(0, 0, 'x');
+		sheet.deleteValue(0, 0);
+		expect(sheet.getStyle(0, 0).bold).toBe(true);
+	});
+
+	it('undoes and redoes a style change as one transaction', () => {
+		sheet.transact(() => sheet.setValue(0, 0, 5));
+		sheet.applyStyle(0, 0, 2, 0, { italic: true });
+		sheet.applyStyle(0, 0, 0, 0, { hAlign: 'right' });
+		expect(sheet.getStyle(0, 0)).toEqual({ italic: true, hAlign: 'right' });
+
+		sheet.undo();
+		expect(sheet.getStyle(0, 0)).toEqual({ italic: true });
+		sheet.undo();
+		expect(sheet.getStyle(2, 0)).toEqual({});
+		expect(sheet.getValue(0, 0)).toBe(5);
+
+		sheet.redo();
+		expect(sheet.getStyle(2, 0)).toEqual({ italic: true });
+	});
+
+	it('records value and style edits in the same transaction', () => {
+		sheet.transact(() => {
+			sheet.setValue(3, 3, 'total');
+			sheet.patchCellStyle(3, 3, { bold: true });
+		});
+		sheet.undo();
+		expect(sheet.getValue(3, 3)).toBeNull();
+		expect(sheet.getStyle(3, 3)).toEqual({});
+	});
+});
+
+describe('Merged cells', () => {
+	let sheet;
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('keeps only the top-left value and undoes as one transaction', () => {
+		sheet.setValue(0, 0, 'Q1');
+		sheet.setValue(0, 1, 'lost');
+		sheet.mergeRange(0, 0, 0, 2);
+		expect(sheet.getMergeAt(0, 2)).toEqual({ r1: 0, c1: 0, r2: 0, c2: 2 });
+		expect(sheet.getValue(0, 1)).toBeNull();
+
+		sheet.undo();
+		expect(sheet.getMergeAt(0, 2)).toBeNull();
+		expect(sheet.getValue(0, 1)).toBe('lost');
+
+		sheet.redo();
+		expect(sheet.getMergeAt(0, 1)).not.toBeNull();
+		sheet.unmergeRange(0, 1, 0, 1);
+		expect(sheet.merges.size).toBe(0);
+		sheet.undo();
+		expect(sheet.merges.size).toBe(1);
+	});
+
+	it('grows to take in merges it partly covers', () => {
+		sheet.mergeRange(0, 0, 1, 1);
+		const merge = sheet.mergeRange(1, 1, 2, 2);
+		expect(merge).toEqual({ r1: 0, c1: 0, r2: 2, c2: 2 });
+		expect(sheet.merges.size).toBe(1);
+		sheet.undo();
+		expect(sheet.merges.all()).toEqual([{ r1: 0, c1: 0, r2: 1, c2: 1 }]);
+	});
+
+	it('moves merges with inserted rows and restores them on undo', () => {
+		sheet.mergeRange(2, 0, 3, 1);
+		sheet.deleteRows(3);
+		expect(sheet.merges.all()).toEqual([{ r1: 2, c1: 0, r2: 2, c2: 1 }]);
+		sheet.undo();
+		expect(sheet.merges.all()).toEqual([{ r1: 2, c1: 0, r2: 3, c2: 1 }]);
+	});
+
+	it('re-creates copied merges over a pasted block', () => {
+		sheet.mergeRange(5, 5, 5, 6);
+		sheet.transact(() => {
+			sheet.deserializeTSV(5, 5, 'a\t\nb\tc');
+			sheet.pasteMerges(5, 5, 2, 2, [{ r1: 1, c1: 0, r2: 1, c2: 1 }]);
+		});
+		expect(sheet.getMergeAt(5, 6)).toBeNull();
+		expect(sheet.getMergeAt(6, 6)).toEqual({ r1: 6, c1: 5, r2: 6, c2: 6 });
+		sheet.undo();
+		expect(sheet.merges.all()).toEqual([{ r1: 5, c1: 5, r2: 5, c2: 6 }]);
+	});
+});
+
+describe('Inserting and deleting rows and columns', () => {
+	let sheet;
+	beforeEach(() => {
+		sheet = new Sheet();
+	});
+
+	it('shifts values, styles and formats below an inserted row', () => {
+		sheet.setValue(0, 0, 'top');
+		sheet.setValue(70, 0, 'far');
+		sheet.patchCellStyle(1, 0, { bold: true });
+		sheet.formats.setNumberFormat(1, 0, 1, 0, '0.00');
+		const rows = sheet.numRows;
+
+		sheet.insertRows(1, 2);
+		expect(sheet.getValue(0, 0)).toBe('top');
+		expect(sheet.getValue(72, 0)).toBe('far');
+		expect(sheet.getValue(70, 0)).toBeNull();
+		expect(sheet.getStyle(3, 0).bold).toBe(true);
+		expect(sheet.formats.getNumberFormat(3, 0)).toBe('0.00');
+		expect(sheet.numRows).toBe(rows + 2);
+	});
+
+	it('rewrites formulas and turns references to deleted cells into #REF!', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(1, 0, 2);
+		sheet.setValue(2, 0, 3);
+		sheet.setValue(0, 2, '=SUM(A1:A3)');
+		sheet.setValue(1, 2, '=A2*10');
+
+		sheet.deleteRows(1);
+		expect(sheet.getRawValue(0, 2)).toBe('=SUM(A1:A2)');
+		expect(sheet.getValue(0, 2)).toBe(4);
+		expect(sheet.getValue(1, 2)).toBeNull();
+
+		sheet.setValue(5, 5, '=A2+1');
+		sheet.deleteColumns(0);
+		expect(sheet.getRawValue(5, 4)).toBe('=#REF!+1');
+		expect(sheet.getValue(5, 4)).toBe(formulaError('#REF!'));
+	});
+
+	it('shifts column references when a column is inserted', () => {
+		sheet.setValue(0, 1, 5);
+		sheet.setValue(0, 3, '=B1+$B$1');
+		sheet.insertColumns(0);
+		expect(sheet.getRawValue(0, 4)).toBe('=C1+$C$1');
+		expect(sheet.getValue(0, 4)).toBe(10);
+	});
+
+	it('undoes and redoes a deletion as a single operation', () => {
+		sheet.setValue(0, 0, 'keep');
+		sheet.setValue(1, 0, 'gone');
+		sheet.setValue(2, 0, 'moved');
+		sheet.setValue(3, 0, '=A2&A3');
+		sheet.patchCellStyle(1, 0, { italic: true });
+		sheet.formats.setNumberFormat(1, 0, 1, 0, '0%');
+
+		sheet.deleteRows(1);
+		expect(sheet.getValue(1, 0)).toBe('moved');
+
+		sheet.undo();
+		expect(sheet.getValue(1, 0)).toBe('gone');
+		expect(sheet.getRawValue(3, 0)).toBe('=A2&A3');
+		expect(sheet.getValue(3, 0)).toBe('gonemoved');
+		expect(sheet.getStyle(1, 0).italic).toBe(true);
+		expect(sheet.formats.getNumberFormat(1, 0)).toBe('0%');
+
+		sheet.redo();
+		expect(sheet.getValue(1, 0)).toBe('moved');
+		expect(sheet.getRawValue(2, 0)).toBe('=#REF!&A2');
+	});
+
+	it('moves whole chunks and splits the chunk a shift starts in', () => {
+		// A dense chunk across rows 64-127, one row at the shift point, a formula below
+		for (let r = 64; r < 128; r++) {
+			for (let c = 0; c < 64; c++) sheet.setValue(r, c, r * 100 + c);
+		}
+		sheet.setValue(10, 1, 'split');
+		sheet.setValue(200, 2, '=SUM(A65:A66)');
+		sheet.patchCellStyle(100, 3, { bold: true });
+		expect(sheet.getValue(200, 2)).toBe(6400 + 6500);
+
+		sheet.insertRows(10, 64);
+		expect(sheet.getValue(10, 1)).toBeNull();
+		expect(sheet.getValue(74, 1)).toBe('split');
+		expect(sheet.getValue(128, 5)).toBe(6405);
+		expect(sheet.getValue(191, 63)).toBe(12763);
+		expect(sheet.getStyle(164, 3).bold).toBe(true);
+		expect(sheet.getRawValue(264, 2)).toBe('=SUM(A129:A130)');
+		expect(sheet.getValue(264, 2)).toBe(6400 + 6500);
+
+		sheet.deleteRows(5, 3);
+		expect(sheet.getValue(71, 1)).toBe('split');
+		expect(sheet.getValue(125, 5)).toBe(6405);
+		expect(sheet.getValue(261, 2)).toBe(6400 + 6500);
+
+		sheet.undo();
+		sheet.undo();
+		expect(sheet.getValue(10, 1)).toBe('split');
+		expect(sheet.getValue(64, 5)).toBe(6405);
+		expect(sheet.getStyle(100, 3).bold).toBe(true);
+		expect(sheet.getRawValue(200, 2)).toBe('=SUM(A65:A66)');
+	});
+
+	it('recomputes whole-column formulas after deleting the cells they read', () => {
+		sheet.setValue(0, 0, 1);
+		sheet.setValue(1, 0, 2);
+		sheet.setValue(0, 1, '=SUM(A:A)');
+		expect(sheet.getValue(0, 1)).toBe(3);
+		sheet.deleteRows(1);
+		expect(sheet.getValue(0, 1)).toBe(1);
+	});
+
+	it('notifies structure listeners, including on undo', () => {
+		const changes = [];
+		const off = sheet.onStructureChange((change) => changes.push(change));
+		sheet.insertColumns(2, 3);
+		sheet.undo();
+		off();
+		sheet.insertRows(0);
+		expect(changes).toEqual([
+			{ axis: 'col', at: 2, delta: 3 },
+			{ axis: 'col', at: 2, delta: -3 }
+		]);
+	});
+});
+
+describe('Change events', () => {
+	let sheet;
+	let events;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+		events = [];
+		sheet.onChange((event) => events.push(event));
+	});
+
+	it('reports a standalone edit straight away', () => {
+		sheet.setValue(1, 2, 'a');
+		sheet.setValue(1, 2, '=1+1');
+		sheet.deleteValue(1, 2);
+		expect(events.map((e) => e.cells)).toEqual([
+			[{ r: 1, c: 2, prev: null, next: 'a' }],
+			[{ r: 1, c: 2, prev: 'a', next: '=1+1' }],
+			[{ r: 1, c: 2, prev: '=1+1', next: null }]
+		]);
+		expect(events[0]).toMatchObject({ source: 'edit', structure: [], dimensions: null });
+	});
+
+	it('keeps a failing listener from the others and from the edit', () => {
+		/** @type {(() => void)[]} */
+		const rethrown = [];
+		vi.stubGlobal('queueMicrotask', (fn) => rethrown.push(fn));
+		try {
+			const failing = new Sheet();
+			const seen = [];
+			failing.onChange(() => {
+				throw new Error('listener failed');
+			});
+			failing.onChange((event) => seen.push(event));
+			expect(() => failing.transact(() => failing.setValue(0, 0, 'a'))).not.toThrow();
+			expect(seen).toHaveLength(1);
+			expect(failing.canUndo()).toBe(true);
+			expect(rethrown).toHaveLength(1);
+			expect(rethrown[0]).toThrow('listener failed');
+		} finally {
+			vi.unstubAllGlobals();
+		}
+	});
+
+	it('batches a transaction and coalesces each cell', () => {
+		sheet.setValue(0, 0, 1);
+		events.length = 0;
+		sheet.transact(() => {
+			sheet.setValue(0, 0, 2);
+			sheet.setValue(0, 0, 3);
+			sheet.setValue(0, 1, 'x');
+			sheet.setValue(0, 1, null);
+			expect(events).toHaveLength(0);
+		});
+		expect(events).toHaveLength(1);
+		expect(events[0].cells).toEqual([{ r: 0, c: 0, prev: 1, next: 3 }]);
+	});
+
+	it('reports setBlock and deleteBlock as one event each', () => {
+		sheet.setBlock(0, 0, [
+			[1, 2],
+			[3, 4]
+		]);
+		sheet.deleteBlock(0, 0, 1, 0);
+		expect(events.map((e) => e.cells.length)).toEqual([4, 2]);
+	});
+
+	it('reports undo and redo with their source', () => {
+		sheet.transact(() => sheet.setBlock(0, 0, [[1, 2]]));
+		sheet.undo();
+		sheet.redo();
+		expect(events.map((e) => e.source)).toEqual(['edit', 'undo', 'redo']);
+		expect(events[1].cells).toEqual([
+			{ r: 0, c: 1, prev: 2, next: null },
+			{ r: 0, c: 0, prev: 1, next: null }
+		]);
+	});
+
+	it('reports structure and size changes with cells at their final position', () => {
+		sheet.transact(() => {
+			sheet.setValue(5, 0, 'moved');
+			sheet.setValue(2, 0, 'deleted');
+			sheet.deleteRows(1, 2);
+			sheet.insertColumns(0, 1);
+		});
+		expect(events).toHaveLength(1);
+		const [event] = events;
+		expect(event.structure).toEqual([
+			{ axis: 'row', at: 1, delta: -2 },
+			{ axis: 'col', at: 0, delta: 1 }
+		]);
+		expect(event.cells).toEqual([{ r: 3, c: 1, prev: null, next: 'moved' }]);
+		expect(event.dimensions).toEqual({ numRows: 998, numCols: 28 });
+
+		sheet.addRows(2);
+		expect(events[1].dimensions).toEqual({ numRows: 1000, numCols: 28 });
+	});
+
+	it('reports style and merge changes, including their undo', () => {
+		sheet.applyStyle(0, 0, 0, 1, { bold: true });
+		sheet.mergeRange(2, 0, 3, 1);
+		sheet.undo();
+		sheet.undo();
+		expect(events.map((e) => [e.styles.length, e.merges])).toEqual([
+			[2, false],
+			[0, true],
+			[0, true],
+			[2, false]
+		]);
+	});
+
+	it('reports loaded data as one load event', () => {
+		sheet.setDataFromObjects([
+			{ a: 1, b: 2 },
+			{ a: 3, b: 4 }
+		]);
+		expect(events).toHaveLength(1);
+		expect(events[0].source).toBe('load');
+		expect(events[0].cells).toHaveLength(4);
+	});
+
+	it('stops reporting after unsubscribing', () => {
+		const other = new Sheet();
+		const seen = [];
+		const unsubscribe = other.onChange((e) => seen.push(e));
+		other.setValue(0, 0, 1);
+		unsubscribe();
+		other.setValue(0, 0, 2);
+		expect(seen).toHaveLength(1);
 	});
 });
@@ -0,0 +1,135 @@
+import { describe, it, expect } from 'vitest';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { Workbook } from '../../../../src/domain/workbook/Workbook.js';
+import { SnapshotReader, SNAPSHOT_VERSION } from '../../../../src/domain/snapshot/SheetSnapshot.js';
+import { formulaError, ERROR_NA } from '../../../../src/domain/formula/errors.js';
+import { dateValue } from '../../../../src/domain/dates/DateValue.js';
+
+function buildSheet() {
+	const sheet = new Sheet();
+	sheet.setValue(0, 0, 'name');
+	sheet.setValue(0, 1, 42.5);
+	sheet.setValue(0, 2, true);
+	sheet.setValue(0, 3, formulaError(ERROR_NA));
+	sheet.setValue(0, 4, dateValue(45000));
+	sheet.setValue(1, 1, '=B1*2');
+	sheet.setValue(5000, 70, 'far away ✓');
+	// A dense chunk
+	for (let r = 64; r < 128; r++) {
+		for (let c = 0; c < 40; c++) sheet.setValue(r, c, c % 2 ? r * c : `s${c}`);
+	}
+	sheet.applyStyle(0, 0, 0, 1, { bold: true });
+	sheet.formats.setNumberFormat(0, 1, 0, 1, '0.00');
+	sheet.mergeRange(2, 0, 3, 1);
+	sheet.layout = { rowHeights: [], colWidths: [] };
+	sheet.layout.rowHeights[3] = 40;
+	sheet.layout.colWidths[1] = 150;
+	return sheet;
+}
+
+function expectSameContents(copy) {
+	expect(copy.getValue(0, 0)).toBe('name');
+	expect(copy.getValue(0, 1)).toBe(42.5);
+	expect(copy.getValue(0, 2)).toBe(true);
+	expect(copy.getValue(0, 3)).toBe(formulaError(ERROR_NA));
+	expect(copy.getValue(0, 4)).toBe(dateValue(45000));
+	expect(copy.getRawValue(1, 1)).toBe('=B1*2');
+	expect(copy.getValue(1, 1)).toBe(85);
+	expect(copy.getValue(5000, 70)).toBe('far away ✓');
+	expect(copy.getValue(100, 4)).toBe('s4');
+	expect(copy.getValue(100, 5)).toBe(500);
+	expect(copy.getStyle(0, 1).bold).toBe(true);
+	expect(copy.getFormattedValue(0, 1).text).toBe('42.50');
+	expect(copy.getMergeAt(3, 1)).toEqual({ r1: 2, c1: 0, r2: 3, c2: 1 });
+}
+
+describe('Sheet snapshots', () => {
+	it('round-trips values, formulas, styles, formats, merges and sizes', () => {
+		const sheet = buildSheet();
+		const copy = Sheet.fromSnapshot(sheet.toSnapshot());
+		expectSameContents(copy);
+		expect(copy.numRows).toBe(sheet.numRows);
+		expect(copy.numCols).toBe(sheet.numCols);
+		expect(copy.layout.rowHeights[3]).toBe(40);
+		expect(copy.layout.colWidths[1]).toBe(150);
+		expect(copy.layout.rowHeights[2]).toBeUndefined();
+	});
+
+	it('keeps formulas live after loading', () => {
+		const copy = Sheet.fromSnapshot(buildSheet().toSnapshot());
+		copy.setValue(0, 1, 10);
+		expect(copy.getValue(1, 1)).toBe(20);
+	});
+
+	it('reads a snapshot streamed in small pieces', async () => {
+		const bytes = buildSheet().toSnapshot();
+		async function* pieces() {
+			for (let i = 0; i < bytes.length; i += 1000) yield bytes.slice(i, i + 1000);
+		}
+		expectSameContents(await Sheet.fromSnapshotStream(pieces()));
+	});
+
+	it('reads from a ReadableStream of snapshot parts', async () => {
+		const parts = Array.from(buildSheet().snapshotParts());
+		const stream = new ReadableStream({
+			start(controller) {
+				for (const part of parts) controller.enqueue(part);
+				controller.close();
+			}
+		});
+		expectSameContents(await Sheet.fromSnapshotStream(stream));
+	});
+
+	it('re-interns strings into a shared table', () => {
+		const bytes = buildSheet().toSnapshot();
+		const workbook = new Workbook();
+		workbook.addSheet().sheet.setValue(0, 0, 'already here');
+		const entry = workbook.addSheetFromSnapshot(bytes, 'Loaded');
+		expect(entry.sheet.globalStringTable).toBe(workbook.globalStringTable);
+		expectSameContents(entry.sheet);
+		expect(workbook.sheets[0].sheet.getValue(0, 0)).toBe('already here');
+	});
+
+	it('writes dense chunks as their typed arrays', () => {
+		const sheet = new Sheet();
+		for (let r = 0; r < 64; r++) {
+			for (let c = 0; c < 64; c++) sheet.setValue(r, c, r * 64 + c);
+		}
+		// One chunk: 13 bytes per cell plus small headers
+		const size = sheet.toSnapshot().byteLength;
+		expect(size).toBeGreaterThan(4096 * 13);
+		expect(size).toBeLessThan(4096 * 13 + 1024);
+	});
+
+	it('rejects data that is not a snapshot, newer or truncated', () => {
+		expect(() => Sheet.fromSnapshot(new Uint8Array(16))).toThrow(/Not a sheet snapshot/);
+
+		const bytes = buildSheet().toSnapshot();
+		const newer = bytes.slice();
+		new DataView(newer.buffer).setUint16(4, SNAPSHOT_VERSION + 1, true);
+		expect(() => Sheet.fromSnapshot(newer)).toThrow(/newer/);
+
+		expect(() => Sheet.fromSnapshot(bytes.slice(0, bytes.length - 8))).toThrow(/incomplete/);
+	});
+
+	it('skips sections it does not know', () => {
+		const bytes = buildSheet().toSnapshot();
+		const unknown = new Uint8Array(16);
+		unknown[0] = 200;
+		new DataView(unknown.buffer).setUint32(4, 5, true);
+		const seen = [];
+		const reader = new SnapshotReader({
+			meta: () => seen.push('meta'),
+			stringShard: () => {},
+			formulas: () => {},
+			chunk: () => {},
+			styledCells: () => {},
+			sizes: () => seen.push('sizes')
+		});
+		reader.push(bytes.subarray(0, 8));
+		reader.push(unknown);
+		reader.push(bytes.subarray(8));
+		reader.finish();
+		expect(seen).toEqual(['meta', 'sizes']);
+	});
+});
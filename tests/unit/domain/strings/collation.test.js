@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest';
+import {
+	createCollator,
+	rankStrings,
+	rankAgainst
+} from '../../../../src/domain/strings/collation.js';
+
+describe('collation', () => {
+	it('orders accented letters beside their base letter and digit runs by value', () => {
+		const compare = createCollator({ locale: 'en' });
+		expect(['Zoe', 'Émile', 'Eddie', 'Item 10', 'Item 2'].sort(compare)).toEqual([
+			'Eddie',
+			'Émile',
+			'Item 2',
+			'Item 10',
+			'Zoe'
+		]);
+		expect(['Item 10', 'Item 2'].sort(createCollator({ locale: 'en', numeric: false }))).toEqual([
+			'Item 10',
+			'Item 2'
+		]);
+		expect(createCollator({ locale: 'en' })('abc', 'ABC')).toBe(0);
+		expect(createCollator({ locale: 'en', caseSensitive: true })('abc', 'ABC')).not.toBe(0);
+	});
+
+	it('ranks strings, sharing a rank when the collator sees them as equal', () => {
+		const { sorted, ranks } = rankStrings(['b', 'B', 'a', 'b'], createCollator({ locale: 'en' }));
+		expect(sorted).toHaveLength(3);
+		expect(ranks.get('a')).toBe(0);
+		expect(ranks.get('b')).toBe(ranks.get('B'));
+	});
+
+	it('ranks extra strings between the ones of a base ranking', () => {
+		const compare = createCollator({ locale: 'en' });
+		const base = rankStrings(['b', 'd'], compare);
+		const extra = rankAgainst(base, ['c2', 'a', 'c1', 'D', 'e'], compare);
+		const rank = (s) => base.ranks.get(s) ?? extra.get(s);
+		const order = ['a', 'b', 'c1', 'c2', 'd', 'e'].map(rank);
+		expect(order).toEqual([...order].sort((x, y) => x - y));
+		expect(new Set(order).size).toBe(6);
+		expect(extra.get('D')).toBe(base.ranks.get('d'));
+	});
+});
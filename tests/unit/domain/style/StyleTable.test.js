@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest';
+import { StyleTable, borderPatchForCell } from '../../../../src/domain/style/StyleTable.js';
+import { StyleStore } from '../../../../src/domain/style/StyleStore.js';
+
+describe('StyleTable', () => {
+	it('interns equal styles to one id regardless of property order', () => {
+		const table = new StyleTable();
+		const a = table.intern({ bold: true, color: '#ff0000' });
+		const b = table.intern({ color: '#ff0000', bold: true });
+		expect(a).toBe(b);
+		expect(a).not.toBe(0);
+		expect(table.intern({})).toBe(0);
+		expect(table.intern({ bold: false })).toBe(0);
+	});
+
+	it('applies patches, removing null properties', () => {
+		const table = new StyleTable();
+		const bold = table.applyPatch(0, { bold: true, fill: '#fef3c7' });
+		expect(table.getStyle(bold)).toEqual({ bold: true, fill: '#fef3c7' });
+		const noFill = table.applyPatch(bold, { fill: null });
+		expect(table.getStyle(noFill)).toEqual({ bold: true });
+		expect(table.applyPatch(noFill, { bold: null })).toBe(0);
+	});
+
+	it('builds outline border patches from the cell position', () => {
+		const border = { style: 'thin', color: '#000000' };
+		expect(
+			borderPatchForCell('outline', border, { top: true, right: false, bottom: false, left: true })
+		).toEqual({ borderTop: border, borderLeft: border });
+		expect(
+			borderPatchForCell('none', border, { top: true, right: true, bottom: true, left: true })
+		).toEqual({ borderTop: null, borderRight: null, borderBottom: null, borderLeft: null });
+	});
+});
+
+describe('StyleStore', () => {
+	it('stores style ids per chunk and drops chunks that become unstyled', () => {
+		const store = new StyleStore();
+		const id = store.table.intern({ italic: true });
+		store.setStyleId(70, 3, id);
+		expect(store.getStyleId(70, 3)).toBe(id);
+		expect(store.getStyle(70, 3)).toEqual({ italic: true });
+		expect(store.getStyleId(70, 4)).toBe(0);
+		store.setStyleId(70, 3, 0);
+		expect(store.isEmpty).toBe(true);
+	});
+});
@@ -0,0 +1,92 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { PresenceStore, presenceColor } from '../../../../src/domain/sync/PresenceStore.js';
+
+/** Transports that deliver every message to all the others right away */
+function createBus() {
+	const handlers = new Set();
+	const sent = [];
+	return {
+		sent,
+		transport() {
+			return {
+				send: (message) => {
+					sent.push(message);
+					for (const handler of handlers) handler(JSON.parse(JSON.stringify(message)));
+				},
+				onMessage: (handler) => {
+					handlers.add(handler);
+					return () => handlers.delete(handler);
+				}
+			};
+		}
+	};
+}
+
+describe('PresenceStore', () => {
+	beforeEach(() => vi.useFakeTimers());
+	afterEach(() => vi.useRealTimers());
+
+	it('shows each client the others’ selections', () => {
+		const bus = createBus();
+		const a = new PresenceStore(bus.transport(), { clientId: 'a', name: 'Ann' });
+		const b = new PresenceStore(bus.transport(), { clientId: 'b', name: 'Bo' });
+		a.start();
+		b.start();
+		// b learns about a from a's answer to b's arrival
+		vi.advanceTimersByTime(100);
+		expect(b.peers.map((p) => p.name)).toEqual(['Ann']);
+		a.update({ sheetId: 1, anchor: { r: 2, c: 3 }, ranges: [{ r1: 2, c1: 3, r2: 4, c2: 3 }] });
+		vi.advanceTimersByTime(100);
+		expect(a.peers.map((p) => p.name)).toEqual(['Bo']);
+		expect(b.peers).toEqual([
+			{
+				clientId: 'a',
+				name: 'Ann',
+				color: presenceColor('a'),
+				sheetId: 1,
+				anchor: { r: 2, c: 3 },
+				ranges: [{ r1: 2, c1: 3, r2: 4, c2: 3 }],
+				seenAt: Date.now()
+			}
+		]);
+	});
+
+	it('sends at most one update per throttle interval, the newest last', () => {
+		const bus = createBus();
+		const a = new PresenceStore(bus.transport(), { clientId: 'a', throttleMs: 100 });
+		a.start();
+		for (let c = 0; c < 5; c++) {
+			a.update({ anchor: { r: 0, c } });
+			vi.advanceTimersByTime(10);
+		}
+		expect(bus.sent).toHaveLength(1);
+		vi.advanceTimersByTime(100);
+		expect(bus.sent).toHaveLength(2);
+		expect(bus.sent[1].anchor).toEqual({ r: 0, c: 4 });
+	});
+
+	it('drops collaborators that go quiet or leave', () => {
+		const bus = createBus();
+		const a = new PresenceStore(bus.transport(), { clientId: 'a', ttlMs: 3000 });
+		const changes = [];
+		a.onChange((peers) => changes.push(peers.length));
+		a.start();
+		a.receive({ type: 'presence', clientId: 'quiet', name: 'Q', ranges: [] });
+		const b = new PresenceStore(bus.transport(), { clientId: 'b', ttlMs: 3000 });
+		b.start();
+		expect(a.peers.map((p) => p.clientId)).toEqual(['quiet', 'b']);
+		// b's heartbeat keeps it alive; the quiet one expires
+		vi.advanceTimersByTime(4000);
+		expect(a.peers.map((p) => p.clientId)).toEqual(['b']);
+		b.stop();
+		expect(a.peers).toEqual([]);
+		expect(changes.at(-1)).toBe(0);
+	});
+
+	it('ignores its own messages and sync batches', () => {
+		const a = new PresenceStore(createBus().transport(), { clientId: 'a' });
+		a.receive({ type: 'presence', clientId: 'a', name: 'me', ranges: [] });
+		a.receive({ type: 'ops', seq: 1, clientId: 'b', batchId: 1, ops: [] });
+		expect(a.peers).toEqual([]);
+	});
+});
@@ -0,0 +1,331 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { ChunkStore } from '../../../../src/domain/chunk/ChunkStore.js';
+import { IndexedDbChunkBackend } from '../../../../src/domain/chunk/IndexedDbChunkBackend.js';
+import { SyncClient } from '../../../../src/domain/sync/SyncClient.js';
+import { SyncRelay } from '../../../../src/domain/sync/SyncRelay.js';
+import { createHttpRelayTransport } from '../../../../src/domain/sync/transports.js';
+import {
+	transformOperations,
+	encodeValue,
+	decodeValue
+} from '../../../../src/domain/sync/syncOperations.js';
+import { formulaError, ERROR_NA } from '../../../../src/domain/formula/errors.js';
+import { dateValue } from '../../../../src/domain/dates/DateValue.js';
+
+/**
+ * Clients and a relay joined by message queues, so tests choose when each message
+ * is delivered.
+ */
+function createNetwork() {
+	const relay = new SyncRelay();
+	const links = [];
+
+	function connect(clientId, options = {}, sheet = new Sheet()) {
+		const link = { up: [], down: [], handlers: new Set(), errorHandlers: new Set() };
+		links.push(link);
+		const client = new SyncClient(
+			sheet,
+			{
+				send: (message) => link.up.push(message),
+				onMessage: (handler) => {
+					link.handlers.add(handler);
+					return () => link.handlers.delete(handler);
+				},
+				onError: (handler) => {
+					link.errorHandlers.add(handler);
+					return () => link.errorHandlers.delete(handler);
+				}
+			},
+			{ clientId, ...options }
+		);
+		client.start();
+		return { sheet, client, link };
+	}
+
+	/** @returns {boolean} Whether there was a message to deliver */
+	function deliverUp(link) {
+		const message = link.up.shift();
+		if (!message) return false;
+		if (message.type === 'join') link.down.push(...relay.since(message.since));
+		else {
+			const ordered = relay.receive(message);
+			for (const other of links) other.down.push(ordered);
+		}
+		return true;
+	}
+
+	/** @returns {boolean} */
+	function deliverDown(link) {
+		const message = link.down.shift();
+		if (!message) return false;
+		for (const handler of link.handlers) handler(message);
+		return true;
+	}
+
+	function flush() {
+		let busy = true;
+		while (busy) {
+			busy = false;
+			for (const link of links) while (deliverUp(link)) busy = true;
+			for (const link of links) while (deliverDown(link)) busy = true;
+		}
+	}
+
+	return { relay, links, connect, flush, deliverUp, deliverDown };
+}
+
+function contents(sheet, rows = 24, cols = 8) {
+	const out = [];
+	for (let r = 0; r < rows; r++) {
+		const row = [];
+		for (let c = 0; c < cols; c++) row.push(sheet.getRawValue(r, c));
+		out.push(row);
+	}
+	return out;
+}
+
+describe('syncOperations', () => {
+	it('round-trips cell values through JSON', () => {
+		for (const value of [null, 'text', 3.5, true, formulaError(ERROR_NA), dateValue(45000)]) {
+			expect(decodeValue(JSON.parse(JSON.stringify(encodeValue(value))))).toBe(value);
+		}
+	});
+
+	it('splits a deletion around rows inserted inside it', () => {
+		const del = { type: 'structure', axis: 'row', at: 2, delta: -4 };
+		const ins = { type: 'structure', axis: 'row', at: 4, delta: 1 };
+		const [delAfter, insAfter] = transformOperations([del], [ins], true);
+		expect(delAfter).toEqual([
+			{ type: 'structure', axis: 'row', at: 5, delta: -2 },
+			{ type: 'structure', axis: 'row', at: 2, delta: -2 }
+		]);
+		expect(insAfter).toEqual([{ type: 'structure', axis: 'row', at: 2, delta: 1 }]);
+	});
+});
+
+describe('SyncClient', () => {
+	it('lets the edit the server orders last win', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		a.sheet.setValue(0, 0, 'from a');
+		b.sheet.setValue(0, 0, 'from b');
+		net.flush();
+		expect(a.sheet.getValue(0, 0)).toBe('from b');
+		expect(b.sheet.getValue(0, 0)).toBe('from b');
+		expect(a.client.hasPendingChanges).toBe(false);
+	});
+
+	it('moves concurrent edits and their references past inserted rows', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		a.sheet.insertRows(0, 1);
+		b.sheet.setValue(4, 0, 7);
+		b.sheet.setValue(5, 0, '=A5*2');
+		net.flush();
+		for (const { sheet } of [a, b]) {
+			expect(sheet.getValue(5, 0)).toBe(7);
+			expect(sheet.getRawValue(6, 0)).toBe('=A6*2');
+			expect(sheet.getValue(6, 0)).toBe(14);
+		}
+	});
+
+	it('buffers edits while a batch is in flight', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		net.flush();
+		a.sheet.setValue(0, 0, 1);
+		a.sheet.setValue(1, 0, 2);
+		expect(a.link.up).toHaveLength(1);
+		b.sheet.insertRows(0, 3);
+		net.flush();
+		expect(contents(a.sheet)).toEqual(contents(b.sheet));
+		expect(b.sheet.getValue(4, 0)).toBe(2);
+	});
+
+	it('sends a batch again after a failed send without the relay ordering it twice', async () => {
+		const net = createNetwork();
+		const errors = [];
+		const a = net.connect('a', { retryMs: 0, onError: (error) => errors.push(error.message) });
+		const b = net.connect('b');
+		net.flush();
+		a.sheet.setValue(0, 0, 'x');
+		// The batch arrives but the acknowledgement is lost
+		net.deliverUp(a.link);
+		a.link.down.length = 0;
+		for (const handler of a.link.errorHandlers) handler(new Error('offline'));
+		expect(errors).toEqual(['offline']);
+		expect(a.link.up).toHaveLength(0);
+
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		expect(a.link.up).toHaveLength(1);
+		net.flush();
+		expect(net.relay.seq).toBe(1);
+		expect(a.client.hasPendingChanges).toBe(false);
+		expect(b.sheet.getValue(0, 0)).toBe('x');
+	});
+
+	it('loads spilled chunks before applying remote batches', async () => {
+		const settle = () => new Promise((resolve) => setTimeout(resolve, 20));
+		const net = createNetwork();
+		const a = net.connect('a');
+		const backend = new IndexedDbChunkBackend({ indexedDB: new IDBFactory() });
+		const spilling = new Sheet({ chunkStore: new ChunkStore({ capacity: 1, backend }) });
+		const b = net.connect('b', {}, spilling);
+		a.sheet.setValue(0, 0, 'a');
+		a.sheet.setValue(64, 0, 'b');
+		net.flush();
+		await settle();
+		expect(b.sheet.hasSpilledChunks()).toBe(true);
+
+		a.sheet.setValue(0, 1, 'c');
+		a.sheet.insertRows(0, 1);
+		a.sheet.setValue(70, 0, 'd');
+		net.flush();
+		// Nothing counts as applied until its chunks are in
+		expect(b.client.seq).toBe(2);
+		await settle();
+		net.flush();
+		expect(b.client.seq).toBe(net.relay.seq);
+		await b.sheet.withAllChunksLoaded(() => {
+			expect(contents(b.sheet, 72, 2)).toEqual(contents(a.sheet, 72, 2));
+			expect(b.sheet.getRawValue(1, 1)).toBe('c');
+		});
+	});
+
+	it('syncs styles and catches up clients that join late', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		a.sheet.setValue(2, 1, 'hello');
+		a.sheet.applyStyle(2, 1, 2, 1, { bold: true });
+		net.flush();
+		const late = net.connect('late');
+		net.flush();
+		expect(late.sheet.getValue(2, 1)).toBe('hello');
+		expect(late.sheet.getStyle(2, 1).bold).toBe(true);
+	});
+
+	it('converges under random concurrent edits', () => {
+		let seed = 12345;
+		const random = (n) => {
+			seed = (seed * 1103515245 + 12345) % 2147483648;
+			return seed % n;
+		};
+		const net = createNetwork();
+		const clients = [net.connect('a'), net.connect('b'), net.connect('c')];
+		net.flush();
+		for (let step = 0; step < 400; step++) {
+			const { sheet, link } = clients[random(3)];
+			const action = random(10);
+			if (action < 4)
+				sheet.setValue(random(20), random(6), random(2) ? step : `=A${random(20) + 1}`);
+			else if (action === 4) sheet.insertRows(random(20), random(3) + 1);
+			else if (action === 5) sheet.deleteRows(random(20), random(3) + 1);
+			else if (action === 6) sheet.insertColumns(random(6), 1);
+			else if (action === 7) sheet.deleteColumns(random(6), 1);
+			else if (action === 8) net.deliverUp(link);
+			else net.deliverDown(link);
+		}
+		net.flush();
+		const expected = contents(clients[0].sheet);
+		expect(contents(clients[1].sheet)).toEqual(expected);
+		expect(contents(clients[2].sheet)).toEqual(expected);
+	});
+});
+
+describe('createHttpRelayTransport', () => {
+	afterEach(() => {
+		vi.unstubAllGlobals();
+	});
+
+	it('reports POSTs the relay refuses or that fail', async () => {
+		const replies = [
+			() =>
+				new Response(JSON.stringify({ error: 'Unknown base sequence number 3' }), { status: 400 }),
+			() => Promise.reject(new Error('Failed to fetch')),
+			() => new Response(JSON.stringify({ seq: 1 }), { status: 200 })
+		];
+		vi.stubGlobal('fetch', () => replies.shift()());
+		const transport = createHttpRelayTransport('/api/sync');
+		const errors = [];
+		transport.onError((error) => errors.push(error.message));
+		const batch = { type: 'ops', clientId: 'a', batchId: 1, baseSeq: 3, ops: [] };
+		for (let i = 0; i < 3; i++) transport.send(batch);
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		expect(errors).toEqual(['Unknown base sequence number 3', 'Failed to fetch']);
+		expect(replies).toHaveLength(0);
+	});
+});
+
+describe('Undo with collaborators', () => {
+	it('only reverts the local user’s own edits', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		a.sheet.transact(() => a.sheet.setValue(0, 0, 'mine'));
+		net.flush();
+		b.sheet.setValue(1, 0, 'theirs');
+		net.flush();
+		a.sheet.undo();
+		net.flush();
+		for (const { sheet } of [a, b]) {
+			expect(sheet.getValue(0, 0)).toBeNull();
+			expect(sheet.getValue(1, 0)).toBe('theirs');
+		}
+	});
+
+	it('keeps a collaborator’s later edit to the same cell', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		a.sheet.transact(() => {
+			a.sheet.setValue(0, 0, 'mine');
+			a.sheet.setValue(0, 1, 'also mine');
+		});
+		net.flush();
+		b.sheet.setValue(0, 0, 'theirs');
+		net.flush();
+		a.sheet.undo();
+		expect(a.sheet.getValue(0, 0)).toBe('theirs');
+		expect(a.sheet.getValue(0, 1)).toBeNull();
+	});
+
+	it('follows rows a collaborator inserted', () => {
+		const net = createNetwork();
+		const a = net.connect('a');
+		const b = net.connect('b');
+		a.sheet.transact(() => a.sheet.setValue(3, 0, 'mine'));
+		net.flush();
+		b.sheet.insertRows(0, 2);
+		net.flush();
+		expect(a.sheet.getValue(5, 0)).toBe('mine');
+		a.sheet.undo();
+		expect(a.sheet.getValue(5, 0)).toBeNull();
+		a.sheet.redo();
+		expect(a.sheet.getValue(5, 0)).toBe('mine');
+	});
+
+	it('matches older entries through local row insertions', () => {
+		const sheet = new Sheet();
+		sheet.transact(() => sheet.setValue(2, 0, 'old'));
+		sheet.insertRows(0, 1);
+		sheet.applyRemote(() => sheet.setValue(3, 0, 'remote'));
+		sheet.undo(); // the insertion
+		expect(sheet.getValue(2, 0)).toBe('remote');
+		expect(sheet.undo()).toBe(false);
+		expect(sheet.getValue(2, 0)).toBe('remote');
+	});
+
+	it('does not record remote edits', () => {
+		const sheet = new Sheet();
+		const sources = [];
+		sheet.onChange((event) => sources.push(event.source));
+		sheet.applyRemote(() => sheet.setValue(0, 0, 'remote'));
+		expect(sheet.canUndo()).toBeFalsy();
+		expect(sources).toEqual(['remote']);
+	});
+});
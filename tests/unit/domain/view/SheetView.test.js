@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { SheetView } from '../../../../src/domain/view/SheetView.js';
+import { parseCell } from '../../../../src/domain/clipboard/tsv.js';
+
+describe('SheetView', () => {
+	let sheet;
+	let view;
+
+	beforeEach(() => {
+		sheet = new Sheet();
+		view = new SheetView(sheet);
+	});
+
+	it('sorts date cells chronologically rather than by text', () => {
+		const dates = ['2/1/2023', '12/25/2022', '1/15/2024'];
+		dates.forEach((text, r) => sheet.setValue(r, 0, parseCell(text)));
+		view.setSort({ cols: [{ c: 0, dir: 'asc' }], stable: true });
+		const order = [0, 1, 2].map((r) => String(view.getValue(r, 0)));
+		expect(order).toEqual(['2022-12-25', '2023-02-01', '2024-01-15']);
+	});
+
+	it('sorts by several columns, each key breaking ties left by the ones before', () => {
+		const rows = [
+			['Sales', 50],
+			['Eng', 70],
+			['Sales', 90],
+			['Eng', null],
+			['Eng', 120]
+		];
+		rows.forEach(([dept, pay], r) => {
+			sheet.setValue(r, 0, dept);
+			if (pay !== null) sheet.setValue(r, 1, pay);
+		});
+		view.setSort({
+			cols: [
+				{ c: 0, dir: 'asc' },
+				{ c: 1, dir: 'desc' }
+			]
+		});
+		const read = () => [0, 1, 2, 3, 4].map((r) => [view.getValue(r, 0), view.getValue(r, 1)]);
+		expect(read()).toEqual([
+			['Eng', 120],
+			['Eng', 70],
+			['Eng', null],
+			['Sales', 90],
+			['Sales', 50]
+		]);
+
+		view._applySortAndReassignRows();
+		expect(sheet.getValue(0, 1)).toBe(120);
+		expect(sheet.getValue(4, 1)).toBe(50);
+		sheet.undo();
+		expect(sheet.getValue(0, 1)).toBe(50);
+	});
+
+	it('sorts text by locale, case and natural order as the collation asks', () => {
+		['item 10', 'Zoe', 'Item 2', 'Émile', 'Eddie', 7].forEach((v, r) => sheet.setValue(r, 0, v));
+		const read = () => [0, 1, 2, 3, 4, 5].map((r) => view.getValue(r, 0));
+		view.setSort({ cols: [{ c: 0, dir: 'asc' }], collation: { locale: 'en' } });
+		expect(read()).toEqual([7, 'Eddie', 'Émile', 'Item 2', 'item 10', 'Zoe']);
+		view.setSort({ cols: [{ c: 0, dir: 'asc' }], collation: { locale: 'en', numeric: false } });
+		expect(read().slice(3, 5)).toEqual(['item 10', 'Item 2']);
+	});
+
+	it('ranks only the sorted text on large sorts and reuses it for the next', () => {
+		const count = 5000;
+		sheet.addRows(count - sheet.numRows);
+		const names = Array.from({ length: count }, (_, i) => [`item ${count - i}`, `other ${i}`]);
+		sheet.transact(() => sheet.setBlock(0, 0, names));
+		const collation = { locale: 'en' };
+		view.setSort({ cols: [{ c: 0, dir: 'asc' }], collation });
+		expect([0, 1, count - 1].map((r) => view.getValue(r, 0))).toEqual([
+			'item 1',
+			'item 2',
+			`item ${count}`
+		]);
+		const ranked = view._sortTextRanks.ranks;
+		expect(ranked.sorted).toHaveLength(count);
+
+		sheet.setValue(0, 0, 'item 0');
+		view.setSort({ cols: [{ c: 0, dir: 'desc' }], collation });
+		expect(view._sortTextRanks.ranks).toBe(ranked);
+		expect(view.getValue(count - 1, 0)).toBe('item 0');
+	});
+
+	it('filters date cells by value', () => {
+		const target = parseCell('2024-01-15');
+		sheet.setValue(0, 0, parseCell('2023-02-01'));
+		sheet.setValue(1, 0, target);
+		sheet.setValue(2, 0, parseCell('2024-01-15'));
+		view.setFilters([{ col: 0, values: [target] }]);
+		expect(view.visualRowCount()).toBe(2);
+		expect(view.getValue(0, 0)).toBe(target);
+	});
+
+	it('keeps filters on their column when columns are inserted or deleted', () => {
+		['a', 'b', 'a'].forEach((v, r) => sheet.setValue(r, 1, v));
+		view.setFilters([{ col: 1, values: ['a'] }]);
+		sheet.insertColumns(0, 2);
+		expect(view.filters[0].col).toBe(3);
+		expect(view.visualRowCount()).toBe(2);
+		sheet.deleteColumns(3);
+		expect(view.filters).toEqual([]);
+		expect(view.visualRowCount()).toBe(sheet.numRows);
+	});
+
+	it('hides merges while a filter is active', () => {
+		['a', 'b'].forEach((v, r) => sheet.setValue(r, 0, v));
+		sheet.mergeRange(0, 1, 1, 2);
+		expect(view.expandRangeToMerges(1, 1, 1, 1)).toEqual({ r1: 0, c1: 1, r2: 1, c2: 2 });
+		view.setFilters([{ col: 0, values: ['b'] }]);
+		expect(view.getMergeAt(0, 1)).toBeNull();
+		expect(view.mergeRange(0, 0, 0, 1)).toBeNull();
+		view.setFilters([]);
+		expect(view.getMergeAt(1, 2)).not.toBeNull();
+	});
+
+	it('deletes only the visible rows of a filtered range', () => {
+		['a', 'b', 'a', 'c', 'a'].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([{ col: 0, values: ['a'] }]);
+		view.deleteRows(0, 1);
+		expect([0, 1, 2].map((r) => sheet.getValue(r, 0))).toEqual(['b', 'c', 'a']);
+		expect(view.visualRowCount()).toBe(1);
+		sheet.undo();
+		expect(sheet.getValue(2, 0)).toBe('a');
+		expect(view.visualRowCount()).toBe(3);
+	});
+
+	it('keeps edited rows visible until the filter is reapplied, and shows hidden rows that come to match', () => {
+		['a', 'b', 'a', 'c'].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([{ col: 0, values: ['a'] }]);
+		sheet.transact(() => view.setValue(0, 0, 'z'));
+		expect(view.visualRowCount()).toBe(2);
+		expect(view.getValue(0, 0)).toBe('z');
+
+		view.reapplyFilters();
+		expect(view.visualRowCount()).toBe(1);
+		expect(view.getValue(0, 0)).toBe('a');
+
+		sheet.undo();
+		expect(view.visualRowCount()).toBe(2);
+		expect([0, 1].map((r) => view.getValue(r, 0))).toEqual(['a', 'a']);
+		sheet.setValue(3, 0, 'a');
+		expect([0, 1, 2].map((r) => view.rowIdAt(r))).toEqual([0, 2, 3]);
+	});
+
+	it('shows the rows of a large edit under a filter and a sort', () => {
+		const count = 200000;
+		sheet.addRows(count - sheet.numRows);
+		sheet.setValue(0, 0, 'a');
+		sheet.setValue(count - 1, 0, 'z');
+		view.setFilters([{ col: 0, values: ['a'] }]);
+		view.setSort({ cols: [{ c: 0, dir: 'asc' }] });
+		expect(view.visualRowCount()).toBe(1);
+
+		const block = Array.from({ length: count - 2 }, () => ['a']);
+		sheet.transact(() => sheet.setBlock(1, 0, block));
+		expect(view.visualRowCount()).toBe(count - 1);
+		expect(view.rowIdAt(count - 2)).toBe(count - 2);
+	});
+
+	it('lists the sheet rows of a visual range as runs', () => {
+		expect(view.sheetRowRuns(2, 5)).toEqual([{ r1: 2, r2: 5 }]);
+		['a', 'b', 'a', 'a', 'c', 'a'].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([{ col: 0, values: ['a'] }]);
+		expect(view.sheetRowRuns(0, 3)).toEqual([
+			{ r1: 0, r2: 0 },
+			{ r1: 2, r2: 3 },
+			{ r1: 5, r2: 5 }
+		]);
+		expect(view.sheetRowRuns(1, 9)).toEqual([
+			{ r1: 2, r2: 3 },
+			{ r1: 5, r2: 5 }
+		]);
+		expect(view.sheetRowRuns(0, 3, 2)).toEqual([{ r1: 0, r2: 5 }]);
+		// Sorted rows could come from anywhere, so a long range covers the sheet
+		view.setSort({ cols: [{ c: 0, dir: 'desc' }] });
+		expect(view.sheetRowRuns(0, 3, 2)).toEqual([{ r1: 0, r2: sheet.numRows - 1 }]);
+		expect(view.sheetRowRuns(1, 2)).toHaveLength(1);
+	});
+
+	it('formats the visible rows under a filter as runs of sheet rows', () => {
+		['a', 'a', 'b', 'a', 'a', 'b', 'a'].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([{ col: 0, values: ['a'] }]);
+		view.setNumberFormat(0, 1, view.visualRowCount() - 1, 1, '0.00');
+		expect(sheet.formats.ranges.map((f) => [f.r1, f.r2])).toEqual([
+			[0, 1],
+			[3, 4],
+			[6, 6]
+		]);
+		expect(sheet.formats.getNumberFormat(2, 1)).toBeNull();
+	});
+});
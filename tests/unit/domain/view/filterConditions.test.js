@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import {
+	compileFilterCondition,
+	compileConditionFilter
+} from '../../../../src/domain/view/filterConditions.js';
+import { dateValue, dateToSerial } from '../../../../src/domain/dates/DateValue.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { SheetView } from '../../../../src/domain/view/SheetView.js';
+
+const column = [5, '12', 'text', 30, null, 8];
+const keep = (condition, values = column, options) => {
+	const test = compileFilterCondition(condition, () => values, options);
+	return values.filter((v) => test(v));
+};
+
+describe('Filter conditions', () => {
+	it('compares numbers, including text that reads as a number', () => {
+		expect(keep({ op: 'gt', term: '8' })).toEqual(['12', 30]);
+		expect(keep({ op: 'lte', term: '8' })).toEqual([5, 8]);
+		expect(keep({ op: 'between', term: '30', term2: '8' })).toEqual(['12', 30, 8]);
+		expect(() => keep({ op: 'gt', term: 'abc' })).toThrow('not a number');
+	});
+
+	it('keeps the top or bottom N with ties, and values above or below the average', () => {
+		expect(keep({ op: 'topN', term: '2' })).toEqual(['12', 30]);
+		expect(keep({ op: 'bottomN', term: '2' }, [3, 1, 3, 1, 9])).toEqual([1, 1]);
+		expect(keep({ op: 'aboveAverage' })).toEqual([30]);
+		expect(keep({ op: 'belowAverage' })).toEqual([5, '12', 8]);
+		expect(() => keep({ op: 'topN', term: '0' })).toThrow();
+	});
+
+	it('compares dates by day and counts the last N days up to today', () => {
+		const day = (y, m, d) => dateValue(dateToSerial(y, m, d));
+		const dates = [day(2024, 1, 14), dateValue(dateToSerial(2024, 1, 15, 18)), day(2024, 1, 16)];
+		expect(keep({ op: 'before', term: '2024-01-15' }, dates)).toEqual([dates[0]]);
+		expect(keep({ op: 'after', term: '2024-01-15' }, dates)).toEqual([dates[2]]);
+		const now = new Date(2024, 0, 16, 9);
+		expect(keep({ op: 'inLastDays', term: '2' }, dates, { now })).toEqual(dates.slice(1));
+		expect(() => keep({ op: 'before', term: 'soon' }, dates)).toThrow('not a date');
+	});
+
+	it('matches regular expressions and rejects invalid ones', () => {
+		expect(keep({ op: 'regex', term: '^t.x' })).toEqual(['text']);
+		expect(() => keep({ op: 'regex', term: '(' })).toThrow(SyntaxError);
+	});
+
+	it('joins conditions with AND or OR', () => {
+		const conditions = [
+			{ op: 'lt', term: '6' },
+			{ op: 'gt', term: '20' }
+		];
+		const any = compileConditionFilter({ conditions, join: 'or' }, () => column);
+		const all = compileConditionFilter({ conditions, join: 'and' }, () => column);
+		expect(column.filter((v) => any(v, true))).toEqual([5, 30]);
+		expect(column.filter((v) => all(v, true))).toEqual([]);
+	});
+});
+
+describe('SheetView condition filters', () => {
+	it('filters a column by several conditions and by the single-condition form', () => {
+		const sheet = new Sheet();
+		const view = new SheetView(sheet);
+		[40, 'n/a', 75, 90, 10].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([
+			{
+				col: 0,
+				conditions: [
+					{ op: 'topN', term: '2' },
+					{ op: 'equals', term: 'N/A' }
+				],
+				join: 'or'
+			}
+		]);
+		expect(view.visualRowCount()).toBe(3);
+		expect([0, 1, 2].map((r) => view.getValue(r, 0))).toEqual(['n/a', 75, 90]);
+
+		view.setFilters([{ col: 0, condition: { op: 'isNotBlank' } }]);
+		expect(view.visualRowCount()).toBe(sheet.numRows);
+	});
+
+	it('keeps the current filters when a new one does not compile', () => {
+		const sheet = new Sheet();
+		const view = new SheetView(sheet);
+		[40, 75, 90].forEach((v, r) => sheet.setValue(r, 0, v));
+		view.setFilters([{ col: 0, conditions: [{ op: 'gt', term: '50' }] }]);
+		expect(() => view.setFilters([{ col: 0, conditions: [{ op: 'gt', term: 'abc' }] }])).toThrow(
+			'not a number'
+		);
+		expect(view.visualRowCount()).toBe(2);
+		expect(view.getValue(0, 0)).toBe(75);
+		sheet.insertRows(0, 1);
+		expect(view.visualRowCount()).toBe(2);
+	});
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Workbook } from '../../../../src/domain/workbook/Workbook.js';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { writeXlsx } from '../../../../src/domain/xlsx/writeXlsx.js';
+
+describe('Workbook', () => {
+	let workbook;
+	beforeEach(() => {
+		workbook = new Workbook();
+	});
+
+	it('adds sheets with default names and a shared string table', () => {
+		const a = workbook.addSheet();
+		const b = workbook.addSheet();
+		expect([a.name, b.name]).toEqual(['Sheet1', 'Sheet2']);
+		expect(a.sheet.globalStringTable).toBe(b.sheet.globalStringTable);
+		expect(a.id).not.toBe(b.id);
+	});
+
+	it('renames sheets and rejects invalid or duplicate names', () => {
+		const a = workbook.addSheet();
+		workbook.addSheet('Data');
+		workbook.renameSheet(a.id, '  Summary ');
+		expect(workbook.getSheet(a.id).name).toBe('Summary');
+		expect(() => workbook.renameSheet(a.id, 'data')).toThrow(/already exists/);
+		expect(() => workbook.renameSheet(a.id, 'Q1/Q2')).toThrow();
+		expect(() => workbook.renameSheet(a.id, '')).toThrow();
+		workbook.renameSheet(a.id, 'SUMMARY');
+		expect(workbook.findSheetByName('summary')).toBe(workbook.getSheet(a.id));
+	});
+
+	it('reorders sheets', () => {
+		const [a, b, c] = [workbook.addSheet(), workbook.addSheet(), workbook.addSheet()];
+		workbook.moveSheet(c.id, 0);
+		expect(workbook.sheets.map((e) => e.id)).toEqual([c.id, a.id, b.id]);
+		workbook.moveSheet(c.id, 99);
+		expect(workbook.sheets.map((e) => e.id)).toEqual([a.id, b.id, c.id]);
+	});
+
+	it('duplicates a sheet after the original without sharing history', () => {
+		const a = workbook.addSheet('Report');
+		workbook.addSheet();
+		a.sheet.transact(() => {
+			a.sheet.setValue(0, 0, 2);
+			a.sheet.setValue(0, 1, '=A1*3');
+		});
+		a.sheet.patchCellStyle(0, 0, { bold: true });
+		a.sheet.mergeRange(2, 0, 2, 1);
+
+		const copy = workbook.duplicateSheet(a.id);
+		expect(copy.name).toBe('Report (2)');
+		expect(workbook.sheets.map((e) => e.name)).toEqual(['Report', 'Report (2)', 'Sheet2']);
+		expect(copy.sheet.getValue(0, 1)).toBe(6);
+		expect(copy.sheet.getStyle(0, 0).bold).toBe(true);
+		expect(copy.sheet.getMergeAt(2, 1)).not.toBeNull();
+		expect(copy.sheet.canUndo()).toBeFalsy();
+
+		copy.sheet.setValue(0, 0, 5);
+		expect(a.sheet.getValue(0, 1)).toBe(6);
+		expect(workbook.duplicateSheet(copy.id).name).toBe('Report (3)');
+	});
+
+	it('keeps at least one sheet', () => {
+		const a = workbook.addSheet();
+		const b = workbook.addSheet();
+		expect(workbook.deleteSheet(a.id)).toBe(true);
+		expect(workbook.deleteSheet(b.id)).toBe(false);
+		expect(workbook.size).toBe(1);
+	});
+
+	it('adds the sheets of an .xlsx file, renaming ones whose names are taken', async () => {
+		workbook.addSheet('Data');
+		const data = new Sheet();
+		data.setValue(0, 0, 'imported');
+		const bytes = await writeXlsx([
+			{ name: 'Data', sheet: data },
+			{ name: 'Notes', sheet: new Sheet() }
+		]);
+		const added = await workbook.addSheetsFromXlsx(bytes, { index: 0 });
+		expect(added.map((e) => e.name)).toEqual(['Data (2)', 'Notes']);
+		expect(workbook.sheets.map((e) => e.name)).toEqual(['Data (2)', 'Notes', 'Data']);
+		expect(added[0].sheet.getValue(0, 0)).toBe('imported');
+		expect(added[0].sheet.globalStringTable).toBe(workbook.globalStringTable);
+	});
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+// jsdom's Blob cannot be read in slices the way browsers' can
+import { Blob } from 'node:buffer';
+import { Sheet } from '../../../../src/domain/sheet/sheet.js';
+import { GlobalStringTable } from '../../../../src/domain/strings/GlobalStringTable.js';
+import { readXlsx } from '../../../../src/domain/xlsx/readXlsx.js';
+import { writeXlsx } from '../../../../src/domain/xlsx/writeXlsx.js';
+import { ZipReader, ZipWriter } from '../../../../src/domain/xlsx/zip.js';
+import { dateValue } from '../../../../src/domain/dates/DateValue.js';
+import { formulaError, ERROR_NA } from '../../../../src/domain/formula/errors.js';
+
+const MAIN = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const PKG_REL = 'http://schemas.openxmlformats.org/package/2006/relationships';
+
+/** An .xlsx file the way Excel and other apps write them, not the way writeXlsx does */
+async function buildForeignXlsx() {
+	const zip = new ZipWriter();
+	await zip.add(
+		'_rels/.rels',
+		`<Relationships xmlns="${PKG_REL}"><Relationship Id="r1" Type="${REL}/officeDocument" Target="/xl/wb.xml"/></Relationships>`
+	);
+	await zip.add(
+		'xl/_rels/wb.xml.rels',
+		`<Relationships xmlns="${PKG_REL}">` +
+			`<Relationship Id="rA" Type="${REL}/worksheet" Target="sheets/first.xml"/>` +
+			`<Relationship Id="rB" Type="${REL}/chartsheet" Target="sheets/chart.xml"/>` +
+			`<Relationship Id="rS" Type="${REL}/sharedStrings" Target="strings.xml"/>` +
+			`<Relationship Id="rT" Type="${REL}/styles" Target="../xl/styles.xml"/>` +
+			`</Relationships>`
+	);
+	await zip.add(
+		'xl/wb.xml',
+		`<?xml version="1.0"?><x:workbook xmlns:x="${MAIN}" xmlns:r="${REL}"><x:workbookPr date1904="1"/>` +
+			`<x:sheets><x:sheet name="Data &amp; more" sheetId="1" r:id="rA"/><x:sheet name="Chart" sheetId="2" r:id="rB"/></x:sheets></x:workbook>`
+	);
+	await zip.add(
+		'xl/strings.xml',
+		`<sst xmlns="${MAIN}"><si><t>plain</t></si>` +
+			`<si><r><rPr><b/></rPr><t xml:space="preserve">rich </t></r><r><t>text</t></r><rPh><t>ignored</t></rPh></si>` +
+			`<si><t>line_x000D_break</t></si><si><t>=A1 is text</t></si></sst>`
+	);
+	await zip.add(
+		'xl/styles.xml',
+		`<styleSheet xmlns="${MAIN}"><numFmts><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/></numFmts>` +
+			`<cellStyleXfs><xf numFmtId="14"/></cellStyleXfs>` +
+			`<cellXfs><xf numFmtId="0"/><xf numFmtId="164"/><xf numFmtId="14"/><xf numFmtId="2"/></cellXfs></styleSheet>`
+	);
+	// Written in small pieces, so tags and entities are split across stream chunks
+	const sheetXml =
+		`<worksheet xmlns="${MAIN}"><cols><col min="2" max="3" width="20" customWidth="1"/><col min="4" max="16384" width="9"/></cols><sheetData>` +
+		`<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c t="s"><v>2</v></c></row>` +
+		`<row r="2" ht="30" customHeight="1"><c r="A2" s="1"><v>0</v></c><c r="B2" s="2"><v>1</v></c><c r="C2" s="3"><v>2.5</v></c></row>` +
+		`<row r="4"><c r="A4" t="b"><v>1</v></c><c r="B4" t="e"><v>#N/A</v></c><c r="C4" t="inlineStr"><is><t>a &lt; b</t></is></c>` +
+		`<c r="D4" t="str"><f>UPPER("x")</f><v>X</v></c><c r="E4" s="3"/><c r="F4"><f>1+1</f><v>2</v></c><c r="G4" t="s"><v>3</v></c></row>` +
+		`<row r="5"><c r="E5"><f t="shared" ref="E5:F5" si="0">E4+1</f><v>1</v></c><c r="F5"><f t="shared" si="0"/><v>3</v></c>` +
+		`<c r="G5"><f>_xlfn.XLOOKUP(1,A1:A2,B1:B2)</f><v>7</v></c><c r="H5"><f>NOSUCHFUNCTION(1)</f><v>8</v></c></row>` +
+		`<row r="70"><c r="AB70" t="d"><v>2024-02-29T12:00:00</v></c></row>` +
+		`</sheetData><mergeCells><mergeCell ref="A6:B7"/><mergeCell ref="C6:C6"/></mergeCells></worksheet>`;
+	await zip.add('xl/sheets/first.xml', sheetXml.match(/[\s\S]{1,7}/g));
+	await zip.add('xl/sheets/chart.xml', `<chartsheet xmlns="${MAIN}"/>`);
+	return zip.finish();
+}
+
+describe('readXlsx', () => {
+	it('reads values, strings, dates, formats and sizes from a foreign file', async () => {
+		const sheets = await readXlsx(await buildForeignXlsx());
+		expect(sheets.map((s) => s.name)).toEqual(['Data & more']);
+		const { sheet } = sheets[0];
+		expect(sheet.getValue(0, 0)).toBe('plain');
+		expect(sheet.getValue(0, 1)).toBe('rich text');
+		expect(sheet.getValue(0, 2)).toBe('line\rbreak');
+		// 1904 dates are moved to the 1900 system
+		expect(sheet.getValue(1, 0)).toBe(dateValue(1462));
+		expect(sheet.getValue(1, 1)).toBe(dateValue(1463));
+		expect(sheet.getValue(1, 2)).toBe(2.5);
+		expect(sheet.formats.getNumberFormat(1, 0)).toBe('dd/mm/yyyy');
+		expect(sheet.formats.getNumberFormat(1, 1)).toBe('m/d/yyyy');
+		expect(sheet.formats.getNumberFormat(3, 4)).toBe('0.00');
+		expect(sheet.getValue(3, 0)).toBe(true);
+		expect(sheet.getValue(3, 1)).toBe(formulaError(ERROR_NA));
+		expect(sheet.getValue(3, 2)).toBe('a < b');
+		expect(sheet.getValue(3, 3)).toBe('X');
+		expect(sheet.getFormula(3, 3)).toBe('=UPPER("x")');
+		expect(sheet.getFormula(3, 5)).toBe('=1+1');
+		expect(sheet.getValue(3, 5)).toBe(2);
+		expect(sheet.getValue(3, 6)).toBe('=A1 is text');
+		// Later cells of a shared formula move its references along
+		expect(sheet.getFormula(4, 5)).toBe('=F4+1');
+		expect(sheet.getValue(4, 5)).toBe(3);
+		// Formulas Radsheet cannot compute come in as their cached results
+		expect(sheet.getFormula(4, 6)).toBeNull();
+		expect(sheet.getValue(4, 6)).toBe(7);
+		expect(sheet.getValue(4, 7)).toBe(8);
+		expect(sheet.hasValue(3, 4)).toBe(false);
+		expect(sheet.getValue(69, 27)).toBe(dateValue(45351.5));
+		expect(sheet.numCols).toBe(28);
+		expect(sheet.merges.all()).toEqual([{ r1: 5, c1: 0, r2: 6, c2: 1 }]);
+		expect(sheet.layout.rowHeights[1]).toBe(40);
+		expect(sheet.layout.colWidths[1]).toBe(145);
+		expect(sheet.layout.colWidths[2]).toBe(145);
+		// The catch-all column range stops at the sheet's last column
+		expect(sheet.layout.colWidths.length).toBe(28);
+	});
+
+	it('round-trips what writeXlsx writes', async () => {
+		const sheet = new Sheet();
+		sheet.setValue(0, 0, 'name & <tag>');
+		sheet.setValue(0, 1, 42.5);
+		sheet.setValue(0, 2, 'repeated');
+		sheet.setValue(1, 2, 'repeated');
+		sheet.setValue(1, 1, '=B1*2');
+		sheet.setValue(2, 0, dateValue(45000));
+		sheet.setValue(2, 1, dateValue(45000.75));
+		sheet.setValue(3, 0, false);
+		sheet.setValue(3, 1, formulaError(ERROR_NA));
+		sheet.setValue(4, 0, 'tab\there\u0001');
+		sheet.setValue(5000, 60, 'far');
+		for (let r = 64; r < 128; r++) {
+			for (let c = 0; c < 40; c++) sheet.setValue(r, c, c % 2 ? r * c : `s${c % 5}`);
+		}
+		sheet.formats.setNumberFormat(0, 1, 1, 1, '#,##0.00');
+		sheet.formats.setNumberFormat(2, 0, 2, 0, 'dd mmm yyyy');
+		sheet.mergeRange(10, 0, 11, 2);
+		sheet.layout.colWidths[1] = 150;
+		sheet.layout.rowHeights[3] = 40;
+		sheet.layout.rowHeights[9000] = 12;
+		const other = new Sheet();
+		other.setValue(0, 0, 'repeated');
+
+		const bytes = await writeXlsx(
+			[
+				{ name: 'Main', sheet },
+				{ name: 'Other', sheet: other }
+			],
+			{ defaultColWidth: 100, defaultRowHeight: 22 }
+		);
+		const strings = new GlobalStringTable();
+		const [main, second] = await readXlsx(bytes, { globalStringTable: strings });
+
+		expect([main.name, second.name]).toEqual(['Main', 'Other']);
+		const copy = main.sheet;
+		expect(copy.globalStringTable).toBe(strings);
+		expect(copy.getValue(0, 0)).toBe('name & <tag>');
+		expect(copy.getValue(0, 1)).toBe(42.5);
+		expect(copy.getValue(1, 2)).toBe('repeated');
+		expect(copy.getValue(1, 1)).toBe(85);
+		expect(copy.getFormula(1, 1)).toBe('=B1*2');
+		copy.setValue(0, 1, 1);
+		expect(copy.getValue(1, 1)).toBe(2);
+		expect(copy.getValue(2, 0)).toBe(dateValue(45000));
+		expect(copy.getValue(2, 1)).toBe(dateValue(45000.75));
+		expect(copy.getValue(3, 0)).toBe(false);
+		expect(copy.getValue(3, 1)).toBe(formulaError(ERROR_NA));
+		expect(copy.getValue(4, 0)).toBe('tab\there\u0001');
+		expect(copy.getValue(5000, 60)).toBe('far');
+		expect(copy.getValue(100, 4)).toBe('s4');
+		expect(copy.getValue(100, 5)).toBe(500);
+		expect(copy.formats.getNumberFormat(1, 1)).toBe('#,##0.00');
+		expect(copy.formats.getNumberFormat(2, 0)).toBe('dd mmm yyyy');
+		expect(copy.formats.getNumberFormat(2, 1)).toBe('yyyy-mm-dd hh:mm');
+		expect(copy.merges.all()).toEqual([{ r1: 10, c1: 0, r2: 11, c2: 2 }]);
+		expect(copy.layout.colWidths[1]).toBe(150);
+		expect(copy.layout.rowHeights[3]).toBe(40);
+		expect(copy.layout.rowHeights[9000]).toBe(12);
+		expect(copy.numRows).toBe(5001);
+		expect(copy.numCols).toBe(61);
+		expect(second.sheet.getValue(0, 0)).toBe('repeated');
+
+		const zip = await ZipReader.open(new Blob([bytes]));
+		const xml = await zip.text('xl/worksheets/sheet1.xml');
+		expect(xml).toContain('<f>B1*2</f><v>85</v>');
+		expect(await zip.text('xl/sharedStrings.xml')).toContain('uniqueCount="');
+	});
+
+	it('rejects files that are not workbooks', async () => {
+		await expect(readXlsx(new Uint8Array([1, 2, 3]))).rejects.toThrow(/ZIP/);
+		const zip = new ZipWriter();
+		await zip.add('hello.txt', 'hi');
+		await expect(readXlsx(zip.finish())).rejects.toThrow(/xlsx/);
+	});
+});